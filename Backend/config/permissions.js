@@ -0,0 +1,81 @@
+// Staff roles and what each may do. Routes check permissions rather than
+// roles, so a new role only needs an entry here. Admins can do everything.
+const PERMISSIONS = {
+    DASHBOARD_VIEW: 'dashboard.view',
+    PRODUCTS_VIEW: 'products.view',
+    PRODUCTS_MANAGE: 'products.manage',
+    REVIEWS_MODERATE: 'reviews.moderate',
+    ORDERS_VIEW: 'orders.view',
+    ORDERS_UPDATE: 'orders.update',
+    ORDERS_REFUND: 'orders.refund',
+    TRACKING_UPDATE: 'tracking.update',
+    RESERVATIONS_VIEW: 'reservations.view',
+    CUSTOMERS_VIEW: 'customers.view',
+    INQUIRIES_VIEW: 'inquiries.view',
+    INQUIRIES_UPDATE: 'inquiries.update',
+    PAYMENTS_VIEW: 'payments.view',
+    PAYMENTS_MANAGE: 'payments.manage',
+    COD_VIEW: 'cod.view',
+    COD_SETTLE: 'cod.settle',
+    SECURITY_VIEW: 'security.view',
+    AUDIT_VIEW: 'audit.view',
+    USERS_MANAGE_ROLES: 'users.manage_roles',
+    USERS_MANAGE: 'users.manage'
+};
+
+const P = PERMISSIONS;
+
+const ROLE_PERMISSIONS = {
+    admin: Object.values(PERMISSIONS),
+    catalog_manager: [
+        P.DASHBOARD_VIEW,
+        P.PRODUCTS_VIEW,
+        P.PRODUCTS_MANAGE,
+        P.REVIEWS_MODERATE,
+        P.RESERVATIONS_VIEW
+    ],
+    fulfilment: [
+        P.DASHBOARD_VIEW,
+        P.PRODUCTS_VIEW,
+        P.ORDERS_VIEW,
+        P.ORDERS_UPDATE,
+        P.TRACKING_UPDATE,
+        P.RESERVATIONS_VIEW
+    ],
+    support: [
+        P.DASHBOARD_VIEW,
+        P.PRODUCTS_VIEW,
+        P.ORDERS_VIEW,
+        P.CUSTOMERS_VIEW,
+        P.INQUIRIES_VIEW,
+        P.INQUIRIES_UPDATE,
+        P.REVIEWS_MODERATE,
+        P.PAYMENTS_VIEW
+    ],
+    finance: [
+        P.DASHBOARD_VIEW,
+        P.ORDERS_VIEW,
+        P.ORDERS_REFUND,
+        P.PAYMENTS_VIEW,
+        P.PAYMENTS_MANAGE,
+        P.COD_VIEW,
+        P.COD_SETTLE
+    ],
+    customer: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const STAFF_ROLES = ROLES.filter(role => role !== 'customer');
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ROLES,
+    STAFF_ROLES,
+    getPermissions,
+    hasPermission
+};
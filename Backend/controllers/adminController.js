@@ -1,33 +1,55 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const { supabase } = require('../config/supabase');
-
-const generateProductId = () => {
-    return 'PRD' + Date.now().toString().slice(-6);
-};
+const reservationService = require('../services/reservationService');
+const codService = require('../services/codService');
+const loginProtection = require('../services/loginProtection');
+const tokenService = require('../services/tokenService');
+const accountMailer = require('../services/accountMailer');
+const auditLog = require('../services/auditLog');
+const variantService = require('../services/variantService');
+const mediaService = require('../services/mediaService');
+const catalogService = require('../services/catalogService');
+const catalogTransfer = require('../services/catalogTransfer');
+const categoryService = require('../services/categoryService');
+const collectionService = require('../services/collectionService');
+const reviewService = require('../services/reviewService');
+const { getProvider } = require('../services/paymentProviders');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
 
 // Product Management
 const createProduct = async (req, res, next) => {
     try {
-        const { name, description, price, category, stock, image_url } = req.body;
-        const productId = generateProductId();
+        const { options = [], variants } = req.body;
 
-        const { data: product, error } = await supabase
-            .from('products')
-            .insert([{
-                id: productId,
-                name,
-                description,
-                price,
-                category,
-                stock,
-                image_url
-            }])
-            .select()
-            .single();
+        const definitionError = variants && variantService.validateDefinitions(options, variants);
 
-        if (error) {
-            throw error;
+        if (definitionError) {
+            return res.status(400).json({
+                status: 'error',
+                message: definitionError
+            });
+        }
+
+        const { category, error: categoryError } = await categoryService.resolveProductCategory(req.body);
+
+        if (categoryError) {
+            return res.status(400).json({
+                status: 'error',
+                message: categoryError
+            });
         }
 
+        const product = await catalogService.createProduct({ ...req.body, category_id: category.id });
+
+        await auditLog.record(req, {
+            action: 'product.create',
+            entityType: 'product',
+            entityId: product.id,
+            after: product,
+            metadata: variants ? { variants: variants.map(variant => variant.sku) } : null
+        });
+
         res.status(201).json({
             status: 'success',
             message: 'Product created successfully',
@@ -43,30 +65,57 @@ const createProduct = async (req, res, next) => {
 const updateProduct = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { name, description, price, category, stock, image_url } = req.body;
+        const { options = [], variants } = req.body;
 
-        const { data: product, error } = await supabase
+        const definitionError = variants && variantService.validateDefinitions(options, variants);
+
+        if (definitionError) {
+            return res.status(400).json({
+                status: 'error',
+                message: definitionError
+            });
+        }
+
+        const { category, error: categoryError } = await categoryService.resolveProductCategory(req.body);
+
+        if (categoryError) {
+            return res.status(400).json({
+                status: 'error',
+                message: categoryError
+            });
+        }
+
+        const { data: existingProduct, error: existingError } = await supabase
             .from('products')
-            .update({
-                name,
-                description,
-                price,
-                category,
-                stock,
-                image_url,
-                updated_at: new Date().toISOString()
-            })
+            .select('*')
             .eq('id', id)
-            .select()
             .single();
 
-        if (error || !product) {
+        if (existingError || !existingProduct) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Product not found'
+            });
+        }
+
+        const product = await catalogService.updateProduct(existingProduct, { ...req.body, category_id: category.id });
+
+        if (!product) {
             return res.status(404).json({
                 status: 'error',
                 message: 'Product not found'
             });
         }
 
+        await auditLog.record(req, {
+            action: 'product.update',
+            entityType: 'product',
+            entityId: id,
+            before: existingProduct,
+            after: product,
+            metadata: variants ? { variants: variants.map(variant => variant.sku) } : null
+        });
+
         res.status(200).json({
             status: 'success',
             message: 'Product updated successfully',
@@ -87,7 +136,7 @@ const deleteProduct = async (req, res, next) => {
             .from('products')
             .update({ is_active: false })
             .eq('id', id)
-            .select('id')
+            .select('id, name, is_active')
             .single();
 
         if (error || !product) {
@@ -97,6 +146,15 @@ const deleteProduct = async (req, res, next) => {
             });
         }
 
+        await auditLog.record(req, {
+            action: 'product.delete',
+            entityType: 'product',
+            entityId: id,
+            before: { is_active: true },
+            after: product,
+            metadata: { name: product.name }
+        });
+
         res.status(200).json({
             status: 'success',
             message: 'Product deleted successfully'
@@ -106,54 +164,108 @@ const deleteProduct = async (req, res, next) => {
     }
 };
 
-// Order Management
-const getAllOrders = async (req, res, next) => {
+// Bulk import and export
+
+// CSV is sent as text/csv, JSON as a list of products. With ?dryRun=true
+// nothing is saved and the report shows what would happen. A file with
+// errors is never partly imported.
+const importProducts = async (req, res, next) => {
     try {
-        const { status, search, page = 1, limit = 10 } = req.query;
-        const offset = (page - 1) * limit;
+        const dryRun = req.query.dryRun === 'true';
+        const format = req.is('text/csv') ? 'csv' : 'json';
+        const { items, error } = catalogTransfer.parse(format, req.body);
 
-        let query = supabase
-            .from('orders')
-            .select('*')
-            .order('created_at', { ascending: false });
+        if (error) {
+            return res.status(400).json({
+                status: 'error',
+                message: error
+            });
+        }
 
-        if (status) {
-            query = query.eq('status', status);
+        await catalogTransfer.validate(items);
+
+        const failed = items.filter(item => item.errors.length > 0).length;
+
+        if (dryRun || failed > 0) {
+            return res.status(dryRun ? 200 : 400).json({
+                status: dryRun ? 'success' : 'error',
+                message: failed > 0
+                    ? `${failed} of ${items.length} products have errors${dryRun ? '' : '; nothing was imported'}`
+                    : `${items.length} products are ready to import`,
+                data: catalogTransfer.report(items, dryRun)
+            });
         }
 
-        if (search) {
-            query = query.or(`id.ilike.%${search}%,customer_name.ilike.%${search}%,customer_email.ilike.%${search}%`);
+        for (const item of items) {
+            try {
+                const product = item.existing
+                    ? await catalogService.updateProduct(item.existing, item.body)
+                    : await catalogService.createProduct(item.body);
+
+                await auditLog.record(req, {
+                    action: `product.${item.action}`,
+                    entityType: 'product',
+                    entityId: product.id,
+                    before: item.existing,
+                    after: product,
+                    metadata: { source: `${format}_import` }
+                });
+            } catch (saveError) {
+                console.error(`Catalog import failed for ${item.product.sku}:`, saveError);
+                item.errors.push({
+                    row: item.row,
+                    message: saveError.code === 'P0001' ? saveError.message : 'Failed to save product'
+                });
+            }
         }
 
-        // Apply pagination
-        query = query.range(offset, offset + parseInt(limit) - 1);
+        const report = catalogTransfer.report(items, false);
 
-        const { data: orders, error: ordersError } = await query;
-        if (ordersError) {
-            throw ordersError;
+        res.status(200).json({
+            status: 'success',
+            message: `Imported ${report.summary.create} new and ${report.summary.update} updated products`
+                + (report.summary.failed > 0 ? `; ${report.summary.failed} failed` : ''),
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const exportProducts = async (req, res, next) => {
+    try {
+        const { format = 'csv' } = req.query;
+        const products = await catalogService.getAllProducts();
+        const categories = await categoryService.getAll({ includeInactive: true });
+        const fileName = `bidhaaline-products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.attachment(fileName);
+
+        if (format === 'csv') {
+            return res.type('text/csv').send(catalogTransfer.toCsv(products, categories));
         }
 
-        // Get order items for each order
-        const ordersWithItems = await Promise.all(
-            orders.map(async (order) => {
-                const { data: items, error: itemsError } = await supabase
-                    .from('order_items')
-                    .select('*')
-                    .eq('order_id', order.id);
+        res.status(200).json({
+            exported_at: new Date().toISOString(),
+            products: catalogTransfer.toJson(products, categories)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-                if (itemsError) {
-                    console.error('Error fetching order items:', itemsError);
-                    return { ...order, items: [] };
-                }
+// Categories
+const CATEGORY_EXISTS_MESSAGE = 'A category with this slug, or this name under the same parent, already exists';
 
-                return { ...order, items: items || [] };
-            })
-        );
+// Every category, inactive ones included, as a tree
+const getCategoryTree = async (req, res, next) => {
+    try {
+        const categories = await categoryService.getAll({ includeInactive: true });
 
         res.status(200).json({
             status: 'success',
             data: {
-                orders: ordersWithItems
+                categories: categoryService.buildTree(categories)
             }
         });
     } catch (error) {
@@ -161,65 +273,56 @@ const getAllOrders = async (req, res, next) => {
     }
 };
 
-const updateOrderStatus = async (req, res, next) => {
+const createCategory = async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const { status } = req.body;
+        const { name, slug, parent_id = null, description, image_url, sort_order, is_active } = req.body;
 
-        // Update order status
-        const { data: order, error: orderError } = await supabase
-            .from('orders')
-            .update({ 
-                status, 
-                updated_at: new Date().toISOString() 
-            })
-            .eq('id', id)
-            .select()
-            .single();
+        const parentError = await categoryService.checkParent(null, parent_id);
 
-        if (orderError || !order) {
-            return res.status(404).json({
+        if (parentError) {
+            return res.status(400).json({
                 status: 'error',
-                message: 'Order not found'
+                message: parentError
             });
         }
 
-        // Add tracking entry
-        let description = '';
-        switch (status) {
-            case 'Confirmed':
-                description = 'Your order has been confirmed and is being prepared';
-                break;
-            case 'Shipped':
-                description = 'Your order has been shipped and is on its way';
-                break;
-            case 'Delivered':
-                description = 'Your order has been delivered successfully';
-                break;
-            case 'Cancelled':
-                description = 'Your order has been cancelled';
-                break;
-            default:
-                description = `Order status updated to ${status}`;
-        }
-
-        const { error: trackingError } = await supabase
-            .from('order_tracking')
+        const { data: category, error } = await supabase
+            .from('categories')
             .insert([{
-                order_id: id,
-                status,
-                description
-            }]);
+                name,
+                slug: slug || categoryService.slugify(name),
+                parent_id,
+                description,
+                image_url,
+                sort_order,
+                is_active
+            }])
+            .select()
+            .single();
 
-        if (trackingError) {
-            console.error('Error adding tracking entry:', trackingError);
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    status: 'error',
+                    message: CATEGORY_EXISTS_MESSAGE
+                });
+            }
+
+            throw error;
         }
 
-        res.status(200).json({
+        await auditLog.record(req, {
+            action: 'category.create',
+            entityType: 'category',
+            entityId: category.id,
+            after: category
+        });
+
+        res.status(201).json({
             status: 'success',
-            message: 'Order status updated successfully',
+            message: 'Category created successfully',
             data: {
-                order: order
+                category
             }
         });
     } catch (error) {
@@ -227,101 +330,990 @@ const updateOrderStatus = async (req, res, next) => {
     }
 };
 
-// Dashboard Statistics
-const getDashboardStats = async (req, res, next) => {
+// Renaming a category renames it on its products too (see 020_categories.sql)
+const updateCategory = async (req, res, next) => {
     try {
-        // Get total products with proper error handling
-        const { count: totalProducts, error: productsError } = await supabase
-            .from('products')
-            .select('*', { count: 'exact', head: true })
-            .eq('is_active', true);
-
-        if (productsError) {
-            console.error('Error fetching products count:', productsError);
-        }
+        const { id } = req.params;
+        const { name, slug, parent_id = null, description, image_url, sort_order, is_active } = req.body;
 
-        // Get total orders
-        const { count: totalOrders, error: ordersError } = await supabase
-            .from('orders')
-            .select('*', { count: 'exact', head: true });
+        const existingCategory = await categoryService.getById(id);
 
-        if (ordersError) {
-            console.error('Error fetching orders:', ordersError);
-            console.error('Error fetching orders count:', ordersError);
+        if (!existingCategory) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Category not found'
+            });
         }
 
-        // Get total revenue (orders that are not cancelled)
-        const { data: revenueOrders, error: revenueError } = await supabase
-            .from('orders')
-            .select('total_amount')
-            .neq('status', 'Cancelled');
+        const parentError = await categoryService.checkParent(existingCategory.id, parent_id);
 
-        if (revenueError) {
-            console.error('Error fetching revenue:', revenueError);
+        if (parentError) {
+            return res.status(400).json({
+                status: 'error',
+                message: parentError
+            });
         }
 
-        const totalRevenue = revenueOrders?.reduce((sum, order) => sum + (order.total_amount || 0), 0) || 0;
+        const { data: category, error } = await supabase
+            .from('categories')
+            .update({
+                name,
+                slug,
+                parent_id,
+                description,
+                image_url,
+                sort_order,
+                is_active,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select()
+            .single();
 
-        // Get pending orders
-        const { count: pendingOrders, error: pendingError } = await supabase
-            .from('orders')
-            .select('*', { count: 'exact', head: true })
-            .eq('status', 'Processing');
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    status: 'error',
+                    message: CATEGORY_EXISTS_MESSAGE
+                });
+            }
 
-        if (pendingError) {
-            console.error('Error fetching pending orders:', pendingError);
+            throw error;
         }
 
-        // Get recent orders
-        const { data: recentOrders, error: recentError } = await supabase
-            .from('orders')
-            .select('id, customer_name, total_amount, status, created_at')
-            .order('created_at', { ascending: false })
-            .limit(5);
-
-        if (recentError) {
-            console.error('Error fetching recent orders:', recentError);
-        }
+        await auditLog.record(req, {
+            action: 'category.update',
+            entityType: 'category',
+            entityId: id,
+            before: existingCategory,
+            after: category
+        });
 
         res.status(200).json({
             status: 'success',
+            message: 'Category updated successfully',
             data: {
-                stats: {
-                    totalProducts: totalProducts || 0,
-                    totalOrders: totalOrders || 0,
-                    totalRevenue: totalRevenue,
-                    pendingOrders: pendingOrders || 0
-                },
-                recentOrders: recentOrders || []
+                category
             }
         });
     } catch (error) {
-        console.error('Dashboard stats error:', error);
         next(error);
     }
 };
 
-const getAllCustomers = async (req, res, next) => {
+// Only empty categories can go; others can be deactivated instead
+const deleteCategory = async (req, res, next) => {
     try {
-        const { data: customers, error: customersError } = await supabase
-            .from('users')
-            .select('id, name, email, phone, address, created_at')
-            .eq('role', 'customer')
-            .order('created_at', { ascending: false });
+        const { id } = req.params;
 
-        if (customersError) {
-            throw customersError;
+        const existingCategory = await categoryService.getById(id);
+
+        if (!existingCategory) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Category not found'
+            });
         }
 
-        const customersWithStats = await Promise.all(
-            customers.map(async (customer) => {
-                const { data: orders, error: ordersError } = await supabase
-                    .from('orders')
-                    .select('total_amount, status')
-                    .eq('user_id', customer.id);
+        const reason = await categoryService.checkDeletable(existingCategory.id);
 
-                if (ordersError) {
-                    console.error('Error fetching customer orders:', ordersError);
+        if (reason) {
+            return res.status(400).json({
+                status: 'error',
+                message: reason
+            });
+        }
+
+        const { error } = await supabase
+            .from('categories')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            throw error;
+        }
+
+        await auditLog.record(req, {
+            action: 'category.delete',
+            entityType: 'category',
+            entityId: id,
+            before: existingCategory
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Category deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Collections
+const COLLECTION_EXISTS_MESSAGE = 'A collection with this slug already exists';
+
+// Rules as stored: only the known filters, with categories as IDs. Returns
+// { rules } or { error }.
+const collectionRules = async (rules) => {
+    if (!rules) {
+        return { rules: null };
+    }
+
+    const stored = {};
+
+    if (rules.categories?.length > 0) {
+        const categories = await categoryService.getAll({ includeInactive: true });
+        stored.categories = [];
+
+        for (const value of rules.categories) {
+            const { category, error } = categoryService.match(categories, value);
+            if (error) return { error };
+            stored.categories.push(category.id);
+        }
+    }
+
+    for (const field of ['min_price', 'max_price', 'in_stock', 'sort']) {
+        if (rules[field] !== undefined && rules[field] !== null) stored[field] = rules[field];
+    }
+
+    return { rules: stored };
+};
+
+// Every collection, whether live or not, with its hand-picked product IDs
+const getAllCollections = async (req, res, next) => {
+    try {
+        const collections = await collectionService.getAll();
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                collections: collections.map(collection => ({ ...collection, is_live: collectionService.isLive(collection) }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const createCollection = async (req, res, next) => {
+    try {
+        const { name, slug, description, product_limit, starts_at = null, ends_at = null, home_position = null, is_active, product_ids } = req.body;
+
+        const { rules, error: rulesError } = await collectionRules(req.body.rules);
+
+        if (rulesError) {
+            return res.status(400).json({
+                status: 'error',
+                message: rulesError
+            });
+        }
+
+        const { data: created, error } = await supabase
+            .from('collections')
+            .insert([{
+                name,
+                slug: slug || categoryService.slugify(name),
+                description,
+                rules,
+                product_limit,
+                starts_at,
+                ends_at,
+                home_position,
+                is_active
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    status: 'error',
+                    message: COLLECTION_EXISTS_MESSAGE
+                });
+            }
+
+            throw error;
+        }
+
+        if (product_ids) {
+            try {
+                await collectionService.saveProducts(created.id, product_ids);
+            } catch (saveError) {
+                await supabase.from('collections').delete().eq('id', created.id);
+                throw saveError;
+            }
+        }
+
+        const collection = await collectionService.getById(created.id);
+
+        await auditLog.record(req, {
+            action: 'collection.create',
+            entityType: 'collection',
+            entityId: collection.id,
+            after: collection
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Collection created successfully',
+            data: {
+                collection
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Replaces the collection's settings; its products are changed separately
+const updateCollection = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { name, slug, description, product_limit, starts_at = null, ends_at = null, home_position = null, is_active } = req.body;
+
+        const existingCollection = await collectionService.getById(id);
+
+        if (!existingCollection) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Collection not found'
+            });
+        }
+
+        const { rules, error: rulesError } = await collectionRules(req.body.rules);
+
+        if (rulesError) {
+            return res.status(400).json({
+                status: 'error',
+                message: rulesError
+            });
+        }
+
+        const { error } = await supabase
+            .from('collections')
+            .update({
+                name,
+                slug,
+                description,
+                rules,
+                product_limit,
+                starts_at,
+                ends_at,
+                home_position,
+                is_active,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id);
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    status: 'error',
+                    message: COLLECTION_EXISTS_MESSAGE
+                });
+            }
+
+            throw error;
+        }
+
+        const collection = await collectionService.getById(id);
+
+        await auditLog.record(req, {
+            action: 'collection.update',
+            entityType: 'collection',
+            entityId: id,
+            before: existingCollection,
+            after: collection
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Collection updated successfully',
+            data: {
+                collection
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Sets the hand-picked products, in the order given
+const updateCollectionProducts = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { product_ids } = req.body;
+
+        const existingCollection = await collectionService.getById(id);
+
+        if (!existingCollection) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Collection not found'
+            });
+        }
+
+        await collectionService.saveProducts(existingCollection.id, product_ids);
+
+        const collection = await collectionService.getById(id);
+
+        await auditLog.record(req, {
+            action: 'collection.products_update',
+            entityType: 'collection',
+            entityId: id,
+            before: { product_ids: existingCollection.product_ids },
+            after: { product_ids: collection.product_ids }
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Collection products updated successfully',
+            data: {
+                collection
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const deleteCollection = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const existingCollection = await collectionService.getById(id);
+
+        if (!existingCollection) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Collection not found'
+            });
+        }
+
+        const { error } = await supabase
+            .from('collections')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            throw error;
+        }
+
+        await auditLog.record(req, {
+            action: 'collection.delete',
+            entityType: 'collection',
+            entityId: id,
+            before: existingCollection
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Collection deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Review moderation
+
+// Reviews waiting for a decision (or, with ?status=, those already decided)
+const getReviews = async (req, res, next) => {
+    try {
+        const { status = 'pending', productId, page = 1, limit = 20 } = req.query;
+
+        const { reviews, total } = await reviewService.getQueue({ status, productId, page, limit });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                reviews,
+                total
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Approving a review shows it and counts it in the product's rating;
+// rejecting one takes it down again
+const moderateReview = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        const existingReview = await reviewService.getById(id);
+
+        if (!existingReview) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Review not found'
+            });
+        }
+
+        const review = await reviewService.moderate(id, { status, note, moderatorId: req.user.id });
+
+        await auditLog.record(req, {
+            action: 'review.moderate',
+            entityType: 'review',
+            entityId: id,
+            before: { status: existingReview.status, moderation_note: existingReview.moderation_note },
+            after: { status: review.status, moderation_note: review.moderation_note },
+            metadata: { productId: review.product_id }
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: `Review ${status}`,
+            data: {
+                review
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Media and product galleries
+
+// Checks every file before storing any, so a bad file in a batch leaves
+// nothing behind
+const storeUploads = async (req) => {
+    for (const file of req.files) {
+        if (!await mediaService.inspect(file.buffer)) {
+            return { error: `${file.originalname} is not a valid JPEG, PNG, WebP or GIF image` };
+        }
+    }
+
+    const assets = [];
+
+    for (const file of req.files) {
+        assets.push(await mediaService.upload(file, req.user.id));
+    }
+
+    return { assets };
+};
+
+const productExists = async (id) => {
+    const { data } = await supabase
+        .from('products')
+        .select('id')
+        .eq('id', id)
+        .single();
+
+    return !!data;
+};
+
+// How a gallery shows up in the audit log
+const galleryUrls = (images) => images.map(image => image.is_primary ? `${image.url} (primary)` : image.url);
+
+const recordGalleryChange = (req, productId, before, after) => auditLog.record(req, {
+    action: 'product.images_update',
+    entityType: 'product',
+    entityId: productId,
+    before: { images: galleryUrls(before) },
+    after: { images: galleryUrls(after) }
+});
+
+const uploadMedia = async (req, res, next) => {
+    try {
+        const { assets, error } = await storeUploads(req);
+
+        if (error) {
+            return res.status(400).json({
+                status: 'error',
+                message: error
+            });
+        }
+
+        await auditLog.record(req, {
+            action: 'media.upload',
+            entityType: 'media',
+            entityId: assets.map(asset => asset.id).join(','),
+            metadata: { files: assets.map(asset => asset.original_name) }
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Images uploaded successfully',
+            data: {
+                media: assets
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Uploads images straight onto the end of a product's gallery
+const addProductImages = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!await productExists(id)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Product not found'
+            });
+        }
+
+        const { assets, error } = await storeUploads(req);
+
+        if (error) {
+            return res.status(400).json({
+                status: 'error',
+                message: error
+            });
+        }
+
+        const gallery = await mediaService.getGallery(id);
+        const saved = await mediaService.saveGallery(id, [
+            ...gallery,
+            ...assets.map(asset => ({ media_id: asset.id, alt_text: req.body.alt_text }))
+        ]);
+
+        await recordGalleryChange(req, id, gallery, saved);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Images added successfully',
+            data: {
+                product: await variantService.getProduct(id)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Replaces the gallery: reorders, sets the primary image, edits alt text
+// and drops whatever is left out
+const updateProductImages = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { images } = req.body;
+
+        if (!await productExists(id)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Product not found'
+            });
+        }
+
+        const gallery = await mediaService.getGallery(id);
+        const saved = await mediaService.saveGallery(id, images);
+
+        await recordGalleryChange(req, id, gallery, saved);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Product images updated successfully',
+            data: {
+                product: await variantService.getProduct(id)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const deleteProductImage = async (req, res, next) => {
+    try {
+        const { id, imageId } = req.params;
+
+        const gallery = await mediaService.getGallery(id);
+
+        if (!gallery.some(image => image.id === parseInt(imageId))) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Image not found'
+            });
+        }
+
+        // If the primary image goes, the next image in order takes over
+        const saved = await mediaService.saveGallery(id, gallery.filter(image => image.id !== parseInt(imageId)));
+
+        await recordGalleryChange(req, id, gallery, saved);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Image removed successfully',
+            data: {
+                product: await variantService.getProduct(id)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Order Management
+const getAllOrders = async (req, res, next) => {
+    try {
+        const { status, search, page = 1, limit = 10 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('orders')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        if (search) {
+            query = query.or(`id.ilike.%${search}%,customer_name.ilike.%${search}%,customer_email.ilike.%${search}%`);
+        }
+
+        // Apply pagination
+        query = query.range(offset, offset + parseInt(limit) - 1);
+
+        const { data: orders, error: ordersError } = await query;
+        if (ordersError) {
+            throw ordersError;
+        }
+
+        // Get order items for each order
+        const ordersWithItems = await Promise.all(
+            orders.map(async (order) => {
+                const { data: items, error: itemsError } = await supabase
+                    .from('order_items')
+                    .select('*')
+                    .eq('order_id', order.id);
+
+                if (itemsError) {
+                    console.error('Error fetching order items:', itemsError);
+                    return { ...order, items: [] };
+                }
+
+                return { ...order, items: items || [] };
+            })
+        );
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                orders: ordersWithItems
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Once shipped the goods are no longer on the shelf; those go through a refund
+const STAFF_CANCELLABLE_STATUSES = ['Processing', 'Confirmed'];
+
+const updateOrderStatus = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { status, cod_collected_amount, cod_collected_by } = req.body;
+
+        const { data: existingOrder, error: existingError } = await supabase
+            .from('orders')
+            .select('id, status, payment_method, cod_settlement_id, cod_collected_amount, cod_collected_by, cod_collected_at')
+            .eq('id', id)
+            .single();
+
+        if (existingError || !existingOrder) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Order not found'
+            });
+        }
+
+        // Cancelling puts the stock back, so it goes through cancel_order
+        // instead of a plain status update
+        if (status === 'Cancelled') {
+            if (!STAFF_CANCELLABLE_STATUSES.includes(existingOrder.status)) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: existingOrder.status === 'Cancelled'
+                        ? 'Order is already cancelled'
+                        : `${existingOrder.status} orders cannot be cancelled`
+                });
+            }
+
+            const { data: order, error: cancelError } = await supabase
+                .rpc('cancel_order', {
+                    p_order_id: id,
+                    p_description: 'Your order has been cancelled',
+                    p_from_statuses: STAFF_CANCELLABLE_STATUSES
+                })
+                .single();
+
+            if (cancelError) throw cancelError;
+
+            await auditLog.record(req, {
+                action: 'order.status_update',
+                entityType: 'order',
+                entityId: id,
+                before: existingOrder,
+                after: order
+            });
+
+            return res.status(200).json({
+                status: 'success',
+                message: 'Order status updated successfully',
+                data: {
+                    order: order
+                }
+            });
+        }
+
+        const updates = {
+            status,
+            updated_at: new Date().toISOString()
+        };
+
+        // Delivering a cash order means the rider has the money
+        const collectsCash = status === 'Delivered' && existingOrder.payment_method === 'cash';
+
+        if (collectsCash) {
+            if (cod_collected_amount === undefined) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Collected cash amount is required to deliver a cash order'
+                });
+            }
+
+            if (existingOrder.cod_settlement_id) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Cash for this order has already been settled'
+                });
+            }
+
+            const collector = await codService.getCollector(cod_collected_by || req.user.id);
+
+            if (!collector) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Cash must be collected by an active staff member'
+                });
+            }
+
+            updates.cod_collected_amount = cod_collected_amount;
+            updates.cod_collected_by = collector.id;
+            updates.cod_collected_at = new Date().toISOString();
+        }
+
+        // Update order status
+        const { data: order, error: orderError } = await supabase
+            .from('orders')
+            .update(updates)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (orderError) throw orderError;
+
+        await auditLog.record(req, {
+            action: 'order.status_update',
+            entityType: 'order',
+            entityId: id,
+            before: existingOrder,
+            after: order
+        });
+
+        // Add tracking entry
+        let description = '';
+        switch (status) {
+            case 'Confirmed':
+                description = 'Your order has been confirmed and is being prepared';
+                break;
+            case 'Shipped':
+                description = 'Your order has been shipped and is on its way';
+                break;
+            case 'Delivered':
+                description = collectsCash
+                    ? `Your order has been delivered and KSh ${Number(cod_collected_amount).toLocaleString()} cash received`
+                    : 'Your order has been delivered successfully';
+                break;
+            case 'Cancelled':
+                description = 'Your order has been cancelled';
+                break;
+            default:
+                description = `Order status updated to ${status}`;
+        }
+
+        const { error: trackingError } = await supabase
+            .from('order_tracking')
+            .insert([{
+                order_id: id,
+                status,
+                description
+            }]);
+
+        if (trackingError) {
+            console.error('Error adding tracking entry:', trackingError);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Order status updated successfully',
+            data: {
+                order: order
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const refundOrder = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { amount, reason, provider: providerName } = req.body;
+
+        const { data: order, error: orderError } = await supabase
+            .from('orders')
+            .select('id, status, payment_method')
+            .eq('id', id)
+            .single();
+
+        if (orderError || !order) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Order not found'
+            });
+        }
+
+        const provider = getProvider(providerName || order.payment_method);
+
+        if (!provider) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Order was not paid through a refundable payment provider'
+            });
+        }
+
+        const refund = await provider.refund({
+            order,
+            amount,
+            reason,
+            requestedBy: req.user.id
+        });
+
+        await auditLog.record(req, {
+            action: 'order.refund',
+            entityType: 'order',
+            entityId: id,
+            after: refund,
+            metadata: { provider: provider.name }
+        });
+
+        res.status(202).json({
+            status: 'success',
+            message: 'Refund initiated',
+            data: {
+                refund
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Dashboard Statistics
+const getDashboardStats = async (req, res, next) => {
+    try {
+        // Get total products with proper error handling
+        const { count: totalProducts, error: productsError } = await supabase
+            .from('products')
+            .select('*', { count: 'exact', head: true })
+            .eq('is_active', true);
+
+        if (productsError) {
+            console.error('Error fetching products count:', productsError);
+        }
+
+        // Get total orders
+        const { count: totalOrders, error: ordersError } = await supabase
+            .from('orders')
+            .select('*', { count: 'exact', head: true });
+
+        if (ordersError) {
+            console.error('Error fetching orders:', ordersError);
+            console.error('Error fetching orders count:', ordersError);
+        }
+
+        // Get total revenue (orders that are not cancelled). Cash orders only
+        // count once the rider has handed the money over.
+        const { data: revenueOrders, error: revenueError } = await supabase
+            .from('orders')
+            .select('total_amount')
+            .neq('status', 'Cancelled')
+            .or('payment_method.neq.cash,cod_settlement_id.not.is.null');
+
+        if (revenueError) {
+            console.error('Error fetching revenue:', revenueError);
+        }
+
+        const totalRevenue = revenueOrders?.reduce((sum, order) => sum + (order.total_amount || 0), 0) || 0;
+
+        // Get pending orders
+        const { count: pendingOrders, error: pendingError } = await supabase
+            .from('orders')
+            .select('*', { count: 'exact', head: true })
+            .eq('status', 'Processing');
+
+        if (pendingError) {
+            console.error('Error fetching pending orders:', pendingError);
+        }
+
+        // Get recent orders
+        const { data: recentOrders, error: recentError } = await supabase
+            .from('orders')
+            .select('id, customer_name, total_amount, status, created_at')
+            .order('created_at', { ascending: false })
+            .limit(5);
+
+        if (recentError) {
+            console.error('Error fetching recent orders:', recentError);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                stats: {
+                    totalProducts: totalProducts || 0,
+                    totalOrders: totalOrders || 0,
+                    totalRevenue: totalRevenue,
+                    pendingOrders: pendingOrders || 0
+                },
+                recentOrders: recentOrders || []
+            }
+        });
+    } catch (error) {
+        console.error('Dashboard stats error:', error);
+        next(error);
+    }
+};
+
+const getAllCustomers = async (req, res, next) => {
+    try {
+        const { data: customers, error: customersError } = await supabase
+            .from('users')
+            .select('id, name, email, phone, address, is_active, created_at')
+            .eq('role', 'customer')
+            .order('created_at', { ascending: false });
+
+        if (customersError) {
+            throw customersError;
+        }
+
+        const customersWithStats = await Promise.all(
+            customers.map(async (customer) => {
+                const { data: orders, error: ordersError } = await supabase
+                    .from('orders')
+                    .select('total_amount, status')
+                    .eq('user_id', customer.id);
+
+                if (ordersError) {
+                    console.error('Error fetching customer orders:', ordersError);
                     return {
                         ...customer,
                         total_orders: 0,
@@ -354,13 +1346,466 @@ const getAllCustomers = async (req, res, next) => {
     }
 };
 
+// Stock Reservations
+const getActiveReservations = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const reservations = await reservationService.getActiveReservations({ page, limit });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                reservations,
+                holdMinutes: reservationService.holdMinutes
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Cash-on-delivery settlement
+const getCodSettlementReport = async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+
+        const riders = await codService.getSettlementReport({ from, to });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                riders
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const settleCodCollections = async (req, res, next) => {
+    try {
+        const { riderId, note, until } = req.body;
+
+        const settlement = await codService.settle({
+            riderId,
+            note,
+            until,
+            settledBy: req.user.id
+        });
+
+        await auditLog.record(req, {
+            action: 'cod.settle',
+            entityType: 'cod_settlement',
+            entityId: settlement.id,
+            after: settlement
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Cash collections settled',
+            data: {
+                settlement
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const getCodSettlements = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, riderId } = req.query;
+
+        const settlements = await codService.getSettlements({ riderId, page, limit });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                settlements
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Security events (lockouts, suspicious logins, authenticator changes)
+const getSecurityEvents = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 50, type, email, userId, from, to } = req.query;
+
+        const { events, total } = await loginProtection.getEvents({
+            eventType: type,
+            email,
+            userId,
+            from,
+            to,
+            page,
+            limit
+        });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                events,
+                total
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Audit trail of staff writes
+const getAuditLog = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 50, actorId, action, entityType, entityId, from, to } = req.query;
+
+        const { entries, total } = await auditLog.getEntries({
+            actorId,
+            action,
+            entityType,
+            entityId,
+            from,
+            to,
+            page,
+            limit
+        });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                entries,
+                total
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Roles and permissions
+const findUser = async (id, fields) => {
+    const { data } = await supabase
+        .from('users')
+        .select(fields)
+        .eq('id', id)
+        .single();
+
+    return data || null;
+};
+
+const getRoles = async (req, res, next) => {
+    try {
+        const roles = Object.entries(ROLE_PERMISSIONS).map(([name, permissions]) => ({
+            name,
+            permissions
+        }));
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                roles
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const assignUserRole = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        // Stops the last admin from locking everyone out of role management
+        if (id === req.user.id) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const existingUser = await findUser(id, 'role');
+
+        if (!existingUser) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'User not found'
+            });
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .update({
+                role,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select('id, name, email, role, is_active')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await auditLog.record(req, {
+            action: 'user.role_change',
+            entityType: 'user',
+            entityId: id,
+            before: existingUser,
+            after: user
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: `${user.name} is now ${role.replace(/_/g, ' ')}`,
+            data: {
+                user
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Staff accounts
+const STAFF_FIELDS = 'id, name, email, role, is_active, last_login_at, invited_at, email_verified_at, totp_enabled_at, created_at';
+
+// A hash nobody knows the password for, so the account can't be logged into
+// until its owner sets one through an emailed link
+const unusablePasswordHash = () => bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+const getStaff = async (req, res, next) => {
+    try {
+        const { data: staff, error } = await supabase
+            .from('users')
+            .select(STAFF_FIELDS)
+            .neq('role', 'customer')
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                staff: staff.map(member => ({
+                    ...member,
+                    invitation_pending: !!member.invited_at && !member.email_verified_at
+                }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const inviteStaff = async (req, res, next) => {
+    try {
+        const { name, email, role } = req.body;
+
+        const { data: existingUser } = await supabase
+            .from('users')
+            .select('id')
+            .eq('email', email)
+            .single();
+
+        if (existingUser) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'A user with this email already exists. Change their role instead.'
+            });
+        }
+
+        const now = new Date().toISOString();
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .insert([{
+                name,
+                email,
+                role,
+                password: await unusablePasswordHash(),
+                is_active: true,
+                invited_by: req.user.id,
+                invited_at: now,
+                created_at: now
+            }])
+            .select(STAFF_FIELDS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await auditLog.record(req, {
+            action: 'user.invite',
+            entityType: 'user',
+            entityId: user.id,
+            after: { name: user.name, email: user.email, role: user.role }
+        });
+
+        await accountMailer.sendStaffInviteEmail(user, req.user);
+
+        res.status(201).json({
+            status: 'success',
+            message: `Invitation sent to ${email}`,
+            data: {
+                user
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const setUserActive = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { isActive } = req.body;
+
+        if (id === req.user.id) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'You cannot deactivate your own account'
+            });
+        }
+
+        const existingUser = await findUser(id, 'is_active');
+
+        if (!existingUser) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'User not found'
+            });
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .update({
+                is_active: isActive,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select('id, name, email, role, is_active')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await auditLog.record(req, {
+            action: isActive ? 'user.reactivate' : 'user.deactivate',
+            entityType: 'user',
+            entityId: id,
+            before: existingUser,
+            after: user
+        });
+
+        // authenticateToken already refuses inactive users; this also stops
+        // their refresh tokens from minting new access tokens
+        if (!isActive) {
+            await tokenService.revokeAllSessions(id, 'account_deactivated');
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: `${user.name} has been ${isActive ? 'reactivated' : 'deactivated'}`,
+            data: {
+                user
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Scrambles the password, signs the user out everywhere and emails a reset
+// link, for when an account may be compromised
+const forcePasswordReset = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .update({
+                password: await unusablePasswordHash(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select('id, name, email, is_active')
+            .single();
+
+        if (error || !user) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'User not found'
+            });
+        }
+
+        await tokenService.revokeAllSessions(id, 'password_reset_forced');
+
+        await auditLog.record(req, {
+            action: 'user.password_reset_forced',
+            entityType: 'user',
+            entityId: id,
+            metadata: { email: user.email }
+        });
+
+        if (user.is_active) {
+            await accountMailer.sendPasswordResetEmail(user);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: user.is_active
+                ? `${user.name} has been signed out and sent a password reset link`
+                : `${user.name} has been signed out; reactivate the account to send a reset link`
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
 module.exports = {
     createProduct,
     updateProduct,
     deleteProduct,
+    importProducts,
+    exportProducts,
+    getCategoryTree,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    getAllCollections,
+    createCollection,
+    updateCollection,
+    updateCollectionProducts,
+    deleteCollection,
+    getReviews,
+    moderateReview,
+    uploadMedia,
+    addProductImages,
+    updateProductImages,
+    deleteProductImage,
     getAllOrders,
     updateOrderStatus,
     getDashboardStats,
-    getAllCustomers
+    getAllCustomers,
+    getActiveReservations,
+    refundOrder,
+    getCodSettlementReport,
+    settleCodCollections,
+    getCodSettlements,
+    getSecurityEvents,
+    getAuditLog,
+    getRoles,
+    assignUserRole,
+    getStaff,
+    inviteStaff,
+    setUserActive,
+    forcePasswordReset
 };
\ No newline at end of file
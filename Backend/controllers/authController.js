@@ -1,14 +1,15 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { supabase } = require('../config/supabase');
+const tokenService = require('../services/tokenService');
+const userTokenService = require('../services/userTokenService');
+const accountMailer = require('../services/accountMailer');
+const otpService = require('../services/otpService');
+const loginProtection = require('../services/loginProtection');
+const { getPermissions } = require('../config/permissions');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
 
-const generateToken = (user) => {
-    return jwt.sign(
-        { id: user.id, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
-};
+const requiresEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
 
 const register = async (req, res, next) => {
     try {
@@ -42,7 +43,30 @@ const register = async (req, res, next) => {
             throw error;
         }
 
-        const token = generateToken(user);
+        // A mail outage shouldn't block sign-up; the customer can ask for a new link
+        try {
+            await accountMailer.sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError.message);
+        }
+
+        if (requiresEmailVerification()) {
+            return res.status(201).json({
+                status: 'success',
+                message: 'Registration successful. Check your email to verify your account before logging in.',
+                data: {
+                    user: {
+                        id: user.id,
+                        name: user.name,
+                        email: user.email,
+                        role: user.role,
+                        created_at: user.created_at
+                    }
+                }
+            });
+        }
+
+        const { token, refreshToken } = await tokenService.createSession(user, req);
 
         res.status(201).json({
             status: 'success',
@@ -55,7 +79,8 @@ const register = async (req, res, next) => {
                     role: user.role,
                     created_at: user.created_at
                 },
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -65,16 +90,27 @@ const register = async (req, res, next) => {
 
 const login = async (req, res, next) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, totpCode } = req.body;
 
         // Find user
         const { data: user, error } = await supabase
             .from('users')
-            .select('id, name, email, password, role, phone, address, is_active')
+            .select('id, name, email, password, role, phone, address, is_active, email_verified_at, totp_secret, totp_enabled_at, totp_last_used_step')
             .eq('email', email)
             .single();
 
+        const blocked = await loginProtection.check(email, req.ip);
+
+        if (blocked) {
+            res.set('Retry-After', String(blocked.retryAfterSeconds));
+            return res.status(429).json({
+                status: 'error',
+                message: blocked.message
+            });
+        }
+
         if (error || !user) {
+            await loginProtection.recordFailure(email, req, null);
             return res.status(401).json({
                 status: 'error',
                 message: 'Invalid email or password'
@@ -92,28 +128,274 @@ const login = async (req, res, next) => {
         const isPasswordValid = await bcrypt.compare(password, user.password);
 
         if (!isPasswordValid) {
+            await loginProtection.recordFailure(email, req, user);
             return res.status(401).json({
                 status: 'error',
                 message: 'Invalid email or password'
             });
         }
 
-        const token = generateToken(user);
+        if (requiresEmailVerification() && !user.email_verified_at) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Please verify your email address before logging in'
+            });
+        }
+
+        if (user.totp_enabled_at) {
+            if (!totpCode) {
+                return res.status(401).json({
+                    status: 'error',
+                    message: 'Authenticator code required',
+                    totpRequired: true
+                });
+            }
+
+            const step = verifyCode(user.totp_secret, totpCode, { afterStep: user.totp_last_used_step });
+
+            if (step === null) {
+                await loginProtection.recordFailure(email, req, user);
+                await loginProtection.logEvent('totp_failed', req, { user });
+                return res.status(401).json({
+                    status: 'error',
+                    message: 'Invalid authenticator code',
+                    totpRequired: true
+                });
+            }
+
+            await supabase
+                .from('users')
+                .update({ totp_last_used_step: step })
+                .eq('id', user.id);
+        }
+
+        await loginProtection.recordSuccess(email, req, user);
+        await sendLoginSuccess(req, res, user);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Every way of logging in ends with the same session and response
+const sendLoginSuccess = async (req, res, user) => {
+    const { token, refreshToken } = await tokenService.createSession(user, req);
+
+    await supabase
+        .from('users')
+        .update({ last_login_at: new Date().toISOString() })
+        .eq('id', user.id);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Login successful',
+        data: {
+            user: {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                permissions: getPermissions(user.role),
+                phone: user.phone,
+                address: user.address
+            },
+            token,
+            refreshToken
+        }
+    });
+};
+
+const requestLoginOtp = async (req, res, next) => {
+    try {
+        const phone = normalizePhoneNumber(req.body.phone);
+
+        if (!phone) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Valid phone number is required'
+            });
+        }
+
+        const { retryAfterSeconds } = await otpService.requestCode(phone, req.ip);
+
+        if (retryAfterSeconds) {
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({
+                status: 'error',
+                message: `Too many code requests. Try again in ${retryAfterSeconds} seconds.`
+            });
+        }
 
         res.status(200).json({
             status: 'success',
-            message: 'Login successful',
-            data: {
-                user: {
-                    id: user.id,
-                    name: user.name,
-                    email: user.email,
-                    role: user.role,
-                    phone: user.phone,
-                    address: user.address
-                },
-                token
-            }
+            message: 'If an account uses this number, a login code has been sent by SMS'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const verifyLoginOtp = async (req, res, next) => {
+    try {
+        const phone = normalizePhoneNumber(req.body.phone);
+
+        if (!phone) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Valid phone number is required'
+            });
+        }
+
+        const { result, userId } = await otpService.verifyCode(phone, req.body.code);
+
+        if (result === 'locked') {
+            return res.status(429).json({
+                status: 'error',
+                message: 'Too many incorrect codes. Please request a new code.'
+            });
+        }
+
+        if (result !== 'ok') {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid or expired code'
+            });
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, name, email, role, phone, address, is_active, email_verified_at, totp_enabled_at')
+            .eq('id', userId)
+            .single();
+
+        if (error || !user) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid or expired code'
+            });
+        }
+
+        if (!user.is_active) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Account is deactivated'
+            });
+        }
+
+        if (requiresEmailVerification() && !user.email_verified_at) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Please verify your email address before logging in'
+            });
+        }
+
+        // An SMS code must not stand in for the authenticator second factor
+        if (user.totp_enabled_at) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'This account uses an authenticator app. Log in with your email and password.'
+            });
+        }
+
+        await sendLoginSuccess(req, res, user);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Sends a code to the number on the customer's profile. Until it is entered,
+// the number can't be used for OTP login.
+const requestPhoneVerification = async (req, res, next) => {
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('phone, phone_normalized')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const phone = normalizePhoneNumber(user.phone);
+
+        if (!phone) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Add a valid phone number to your profile first'
+            });
+        }
+
+        if (user.phone_normalized === phone) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Phone number is already verified'
+            });
+        }
+
+        const { retryAfterSeconds } = await otpService.requestVerificationCode(req.user.id, phone, req.ip);
+
+        if (retryAfterSeconds) {
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({
+                status: 'error',
+                message: `Too many code requests. Try again in ${retryAfterSeconds} seconds.`
+            });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'A verification code has been sent to your phone by SMS'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const verifyPhone = async (req, res, next) => {
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('phone')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const phone = normalizePhoneNumber(user.phone);
+
+        if (!phone) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Add a valid phone number to your profile first'
+            });
+        }
+
+        const { result } = await otpService.verifyCode(phone, req.body.code, {
+            purpose: 'phone_verification',
+            userId: req.user.id
+        });
+
+        if (result === 'locked') {
+            return res.status(429).json({
+                status: 'error',
+                message: 'Too many incorrect codes. Please request a new code.'
+            });
+        }
+
+        if (result !== 'ok') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid or expired code'
+            });
+        }
+
+        await otpService.claimPhoneNumber(req.user.id, phone);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Phone number verified. You can now log in with a code sent to it.'
         });
     } catch (error) {
         next(error);
@@ -124,7 +406,7 @@ const getProfile = async (req, res, next) => {
     try {
         const { data: user, error } = await supabase
             .from('users')
-            .select('id, name, email, role, phone, address, created_at')
+            .select('id, name, email, role, phone, phone_verified_at, address, created_at')
             .eq('id', req.user.id)
             .single();
 
@@ -135,7 +417,10 @@ const getProfile = async (req, res, next) => {
         res.status(200).json({
             status: 'success',
             data: {
-                user
+                user: {
+                    ...user,
+                    permissions: getPermissions(user.role)
+                }
             }
         });
     } catch (error) {
@@ -147,11 +432,35 @@ const updateProfile = async (req, res, next) => {
     try {
         const { name, phone, address } = req.body;
 
+        // A changed number has to be verified again before OTP login uses it
+        let phoneVerification = {};
+        if (phone !== undefined) {
+            const { data: current, error: currentError } = await supabase
+                .from('users')
+                .select('phone_normalized')
+                .eq('id', req.user.id)
+                .single();
+
+            if (currentError) {
+                throw currentError;
+            }
+
+            if (current.phone_normalized !== normalizePhoneNumber(phone)) {
+                phoneVerification = { phone_normalized: null, phone_verified_at: null };
+            }
+        }
+
         const { data: user, error } = await supabase
             .from('users')
-            .update({ name, phone, address, updated_at: new Date().toISOString() })
+            .update({
+                name,
+                phone,
+                ...phoneVerification,
+                address,
+                updated_at: new Date().toISOString()
+            })
             .eq('id', req.user.id)
-            .select('id, name, email, role, phone, address')
+            .select('id, name, email, role, phone, phone_verified_at, address')
             .single();
 
         if (error) {
@@ -170,9 +479,412 @@ const updateProfile = async (req, res, next) => {
     }
 };
 
+const refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const tokens = await tokenService.rotate(refreshToken, req);
+
+        if (!tokens) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: tokens
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const logout = async (req, res, next) => {
+    try {
+        await tokenService.revokeSession(req.sessionId, 'logout');
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await tokenService.getActiveSessions(req.user.id);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                sessions: sessions.map(session => ({
+                    ...session,
+                    current: session.id === req.sessionId
+                }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const revokeSession = async (req, res, next) => {
+    try {
+        const revoked = await tokenService.revokeSession(req.params.id, 'revoked', req.user.id);
+
+        if (!revoked) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Session not found'
+            });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Same answer whether or not the email exists, so accounts can't be probed
+const forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, name, email, is_active')
+            .eq('email', email)
+            .single();
+
+        if (user && user.is_active) {
+            await accountMailer.sendPasswordResetEmail(user);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'If an account exists for that email, a password reset link has been sent'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const userId = await userTokenService.consume(token, 'password_reset');
+
+        if (!userId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid or expired reset link'
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+
+        // Following the emailed link also proves the address
+        const { data: user, error } = await supabase
+            .from('users')
+            .update({ password: hashedPassword, updated_at: new Date().toISOString() })
+            .eq('id', userId)
+            .select('id, email_verified_at')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!user.email_verified_at) {
+            await supabase
+                .from('users')
+                .update({ email_verified_at: new Date().toISOString() })
+                .eq('id', userId);
+        }
+
+        // Whoever knew the old password is signed out everywhere
+        await tokenService.revokeAllSessions(userId, 'password_reset');
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Invited staff choose their first password through the emailed setup link
+const acceptInvite = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const userId = await userTokenService.consume(token, 'staff_invite');
+
+        if (!userId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid or expired invitation link'
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+        const now = new Date().toISOString();
+
+        const { error } = await supabase
+            .from('users')
+            .update({
+                password: hashedPassword,
+                email_verified_at: now,
+                updated_at: now
+            })
+            .eq('id', userId);
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Your account is ready. Please log in with your new password.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const verifyEmail = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        const userId = await userTokenService.consume(token, 'email_verification');
+
+        if (!userId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid or expired verification link'
+            });
+        }
+
+        const { error } = await supabase
+            .from('users')
+            .update({ email_verified_at: new Date().toISOString() })
+            .eq('id', userId)
+            .is('email_verified_at', null);
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Email address verified'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const resendVerification = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, name, email, email_verified_at')
+            .eq('email', email)
+            .single();
+
+        if (user && !user.email_verified_at) {
+            await accountMailer.sendVerificationEmail(user);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'If the account still needs verification, a new link has been sent'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Authenticator (TOTP) second factor. Setup stores a pending secret that
+// only takes effect once a code from the app has been confirmed.
+const setupTotp = async (req, res, next) => {
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, totp_enabled_at')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        if (user.totp_enabled_at) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Authenticator is already enabled'
+            });
+        }
+
+        const secret = generateSecret();
+
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ totp_secret: secret })
+            .eq('id', user.id);
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Scan the code with your authenticator app, then confirm with a code from the app',
+            data: {
+                secret,
+                otpauthUrl: buildOtpAuthUrl(secret, user.email)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const enableTotp = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, totp_secret, totp_enabled_at')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        if (user.totp_enabled_at) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Authenticator is already enabled'
+            });
+        }
+
+        if (!user.totp_secret) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Start authenticator setup first'
+            });
+        }
+
+        const step = verifyCode(user.totp_secret, code);
+
+        if (step === null) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid authenticator code'
+            });
+        }
+
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ totp_enabled_at: new Date().toISOString(), totp_last_used_step: step })
+            .eq('id', user.id);
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        await loginProtection.logEvent('totp_enabled', req, { user });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Authenticator enabled'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const disableTotp = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, totp_secret, totp_enabled_at, totp_last_used_step')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!user.totp_enabled_at) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Authenticator is not enabled'
+            });
+        }
+
+        if (verifyCode(user.totp_secret, code, { afterStep: user.totp_last_used_step }) === null) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid authenticator code'
+            });
+        }
+
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ totp_secret: null, totp_enabled_at: null, totp_last_used_step: null })
+            .eq('id', user.id);
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        await loginProtection.logEvent('totp_disabled', req, { user });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Authenticator disabled'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     register,
     login,
+    requestLoginOtp,
+    verifyLoginOtp,
+    refresh,
+    logout,
+    forgotPassword,
+    resetPassword,
+    acceptInvite,
+    verifyEmail,
+    resendVerification,
+    requestPhoneVerification,
+    verifyPhone,
     getProfile,
-    updateProfile
+    updateProfile,
+    getSessions,
+    revokeSession,
+    setupTotp,
+    enableTotp,
+    disableTotp
 };
\ No newline at end of file
@@ -1,67 +1,26 @@
 const { supabase } = require('../config/supabase');
+const variantService = require('../services/variantService');
+const cartService = require('../services/cartService');
 
 const addToCart = async (req, res, next) => {
     try {
-        const { product_id, quantity } = req.body;
+        const { product_id, variant_id, quantity } = req.body;
 
-        const { data: product, error: productError } = await supabase
-            .from('products')
-            .select('id, name, price, stock')
-            .eq('id', product_id)
-            .eq('is_active', true)
-            .single();
-
-        if (productError || !product) {
-            return res.status(404).json({ status: 'error', message: 'Product not found' });
-        }
+        const { cartItem, created, error, statusCode } = await cartService.addItem(req.user.id, {
+            productId: product_id,
+            variantId: variant_id,
+            quantity
+        });
 
-        if (product.stock < quantity) {
-            return res.status(400).json({ status: 'error', message: 'Insufficient stock available' });
+        if (error) {
+            return res.status(statusCode).json({ status: 'error', message: error });
         }
 
-        const { data: existingCartItem, error: cartError } = await supabase
-            .from('cart_items')
-            .select('id, quantity')
-            .eq('user_id', req.user.id)
-            .eq('product_id', product_id)
-            .single();
-
-        if (existingCartItem && !cartError) {
-            const newQuantity = existingCartItem.quantity + quantity;
-
-            if (newQuantity > product.stock) {
-                return res.status(400).json({ status: 'error', message: 'Cannot add more items than available stock' });
-            }
-
-            const { data: updatedItem, error: updateError } = await supabase
-                .from('cart_items')
-                .update({ quantity: newQuantity, updated_at: new Date().toISOString() })
-                .eq('id', existingCartItem.id)
-                .select()
-                .single();
-
-            if (updateError) throw updateError;
-
-            return res.status(200).json({
-                status: 'success',
-                message: 'Cart updated successfully',
-                data: { cartItem: updatedItem }
-            });
-        } else {
-            const { data: newItem, error: insertError } = await supabase
-                .from('cart_items')
-                .insert([{ user_id: req.user.id, product_id, quantity }])
-                .select()
-                .single();
-
-            if (insertError) throw insertError;
-
-            res.status(201).json({
-                status: 'success',
-                message: 'Item added to cart successfully',
-                data: { cartItem: newItem }
-            });
-        }
+        res.status(created ? 201 : 200).json({
+            status: 'success',
+            message: created ? 'Item added to cart successfully' : 'Cart updated successfully',
+            data: { cartItem }
+        });
     } catch (error) {
         next(error);
     }
@@ -74,7 +33,11 @@ const getCart = async (req, res, next) => {
             .select(`
                 id, quantity, created_at, updated_at,
                 products!inner (
-                    id, name, price, image_url, stock
+                    id, name, price, image_url, stock,
+                    product_options ( name, position )
+                ),
+                product_variants (
+                    id, sku, options, price, stock, image_url
                 )
             `)
             .eq('user_id', req.user.id)
@@ -83,17 +46,24 @@ const getCart = async (req, res, next) => {
 
         if (error) throw error;
 
-        const transformedItems = cartItems.map(item => ({
-            id: item.id,
-            quantity: item.quantity,
-            created_at: item.created_at,
-            updated_at: item.updated_at,
-            product_id: item.products.id,
-            name: item.products.name,
-            price: item.products.price,
-            image_url: item.products.image_url,
-            stock: item.products.stock
-        }));
+        const transformedItems = cartItems.map(item => {
+            const variant = item.product_variants;
+
+            return {
+                id: item.id,
+                quantity: item.quantity,
+                created_at: item.created_at,
+                updated_at: item.updated_at,
+                product_id: item.products.id,
+                variant_id: variant?.id || null,
+                sku: variant?.sku || null,
+                variant_label: variant ? variantService.formatLabel(item.products.product_options, variant) : null,
+                name: item.products.name,
+                price: variant ? variant.price : item.products.price,
+                image_url: variant?.image_url || item.products.image_url,
+                stock: variant ? variant.stock : item.products.stock
+            };
+        });
 
         const subtotal = transformedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
         const tax = subtotal * 0.16;
@@ -127,7 +97,7 @@ const updateCartItem = async (req, res, next) => {
 
         const { data: cartItem, error: fetchError } = await supabase
             .from('cart_items')
-            .select('id, product_id')
+            .select('id, product_id, variant_id')
             .eq('id', id)
             .eq('user_id', req.user.id)
             .single();
@@ -136,11 +106,9 @@ const updateCartItem = async (req, res, next) => {
             return res.status(404).json({ status: 'error', message: 'Cart item not found' });
         }
 
-        const { data: product, error: productError } = await supabase
-            .from('products')
-            .select('stock')
-            .eq('id', cartItem.product_id)
-            .single();
+        const { data: product, error: productError } = cartItem.variant_id
+            ? await supabase.from('product_variants').select('stock').eq('id', cartItem.variant_id).single()
+            : await supabase.from('products').select('stock').eq('id', cartItem.product_id).single();
 
         if (productError || quantity > product.stock) {
             return res.status(400).json({ status: 'error', message: 'Cannot add more items than available stock' });
@@ -0,0 +1,60 @@
+const collectionService = require('../services/collectionService');
+
+// Rules and hand-picked IDs are for staff; shoppers get the products
+const publicFields = ({ id, name, slug, description, ends_at }) => ({ id, name, slug, description, ends_at });
+
+// Live collections with their products. With ?home=true, only those placed
+// on the home page, in their home page order.
+const getCollections = async (req, res, next) => {
+    try {
+        const home = req.query.home === 'true';
+        const collections = (await collectionService.getAll())
+            .filter(collection => collectionService.isLive(collection))
+            .filter(collection => !home || collection.home_position !== null);
+
+        const withProducts = await Promise.all(collections.map(async collection => ({
+            ...publicFields(collection),
+            products: await collectionService.getProducts(collection)
+        })));
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                collections: withProducts
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const getCollectionBySlug = async (req, res, next) => {
+    try {
+        const collection = await collectionService.getBySlug(req.params.slug);
+
+        // Scheduled and ended collections don't exist as far as shoppers know
+        if (!collection || !collectionService.isLive(collection)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Collection not found'
+            });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                collection: {
+                    ...publicFields(collection),
+                    products: await collectionService.getProducts(collection)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getCollections,
+    getCollectionBySlug
+};
@@ -1,4 +1,5 @@
 const { supabase } = require('../config/supabase');
+const auditLog = require('../services/auditLog');
 
 const createInquiry = async (req, res, next) => {
     try {
@@ -70,6 +71,19 @@ const updateInquiryStatus = async (req, res, next) => {
         const { id } = req.params;
         const { status, admin_response } = req.body;
 
+        const { data: existingInquiry, error: existingError } = await supabase
+            .from('inquiries')
+            .select('status, admin_response')
+            .eq('id', id)
+            .single();
+
+        if (existingError || !existingInquiry) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Inquiry not found'
+            });
+        }
+
         const { data: inquiry, error } = await supabase
             .from('inquiries')
             .update({
@@ -88,6 +102,14 @@ const updateInquiryStatus = async (req, res, next) => {
             });
         }
 
+        await auditLog.record(req, {
+            action: 'inquiry.update',
+            entityType: 'inquiry',
+            entityId: id,
+            before: existingInquiry,
+            after: inquiry
+        });
+
         res.status(200).json({
             status: 'success',
             message: 'Inquiry updated successfully',
@@ -1,7 +1,10 @@
 const { supabase } = require('../config/supabase');
+const reservationService = require('../services/reservationService');
 
 const generateOrderId = () => {
-    return 'ORD' + Date.now().toString().slice(-6);
+    // Random suffix keeps IDs unique when several checkouts land in the same millisecond
+    const suffix = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return 'ORD' + Date.now().toString().slice(-6) + suffix;
 };
 
 const createOrder = async (req, res, next) => {
@@ -17,93 +20,32 @@ const createOrder = async (req, res, next) => {
         } = req.body;
 
         const orderId = generateOrderId();
-        let subtotal = 0;
-
-        const productIds = items.map(item => item.product_id);
-        const { data: products, error: productsError } = await supabase
-            .from('products')
-            .select('id, name, price, stock')
-            .in('id', productIds)
-            .eq('is_active', true);
-
-        if (productsError) {
-            throw productsError;
-        }
-
-        for (const item of items) {
-            const product = products.find(p => p.id === item.product_id);
-            if (!product) throw new Error(`Product ${item.product_id} not found`);
-            if (product.stock < item.quantity) throw new Error(`Insufficient stock for product ${product.name}`);
-            subtotal += product.price * item.quantity;
-        }
-
-        const taxAmount = subtotal * 0.16;
-        const totalAmount = subtotal + taxAmount;
 
+        // Stock checks, inserts and the cart clear all run inside one
+        // database transaction; see database/migrations/001_place_order.sql
         const { data: order, error: orderError } = await supabase
-            .from('orders')
-            .insert([{
-                id: orderId,
-                user_id: req.user.id,
-                total_amount: totalAmount,
-                subtotal,
-                tax_amount: taxAmount,
-                payment_method,
-                payment_account,
-                transaction_code,
-                customer_name: req.user.name,
-                customer_email: req.user.email,
-                customer_phone,
-                shipping_address,
-                notes
-            }])
-            .select()
+            .rpc('place_order', {
+                p_order_id: orderId,
+                p_user_id: req.user.id,
+                p_items: items.map(item => ({
+                    product_id: item.product_id,
+                    variant_id: item.variant_id || null,
+                    quantity: parseInt(item.quantity)
+                })),
+                p_payment_method: payment_method,
+                p_payment_account: payment_account || null,
+                p_transaction_code: transaction_code || null,
+                p_customer_name: req.user.name,
+                p_customer_email: req.user.email,
+                p_customer_phone: customer_phone,
+                p_shipping_address: shipping_address || null,
+                p_notes: notes || null,
+                p_reservation_minutes: reservationService.getHoldMinutes(payment_method)
+            })
             .single();
 
         if (orderError) throw orderError;
 
-        for (const item of items) {
-            const product = products.find(p => p.id === item.product_id);
-            const itemTotal = product.price * item.quantity;
-
-            const { error: itemError } = await supabase
-                .from('order_items')
-                .insert([{
-                    order_id: orderId,
-                    product_id: product.id,
-                    product_name: product.name,
-                    product_price: product.price,
-                    quantity: item.quantity,
-                    total_price: itemTotal
-                }]);
-
-            if (itemError) throw itemError;
-
-            const { error: stockError } = await supabase
-                .from('products')
-                .update({ stock: product.stock - item.quantity })
-                .eq('id', product.id);
-
-            if (stockError) throw stockError;
-        }
-
-        const { error: trackingError } = await supabase
-            .from('order_tracking')
-            .insert([{
-                order_id: orderId,
-                status: 'Order Placed',
-                description: 'Your order has been placed successfully'
-            }]);
-
-        if (trackingError) throw trackingError;
-
-        const { error: clearCartError } = await supabase
-            .from('cart_items')
-            .delete()
-            .eq('user_id', req.user.id);
-
-        if (clearCartError) throw clearCartError;
-
         res.status(201).json({
             status: 'success',
             message: 'Order created successfully',
@@ -203,26 +145,13 @@ const cancelOrder = async (req, res, next) => {
             });
         }
 
-        await supabase
-            .from('orders')
-            .update({ status: 'Cancelled', updated_at: new Date().toISOString() })
-            .eq('id', id);
-
-        const { data: items } = await supabase
-            .from('order_items')
-            .select('product_id, quantity')
-            .eq('order_id', id);
-
-        for (const item of items) {
-            await supabase
-                .from('products')
-                .update({ stock: supabase.raw('stock + ?', [item.quantity]) })
-                .eq('id', item.product_id);
-        }
+        // Restores stock and releases any reservation in one transaction
+        const { error: cancelError } = await supabase.rpc('cancel_order', {
+            p_order_id: id,
+            p_description: 'Order cancelled by customer'
+        });
 
-        await supabase
-            .from('order_tracking')
-            .insert([{ order_id: id, status: 'Order Cancelled', description: 'Order cancelled by customer' }]);
+        if (cancelError) throw cancelError;
 
         res.status(200).json({
             status: 'success',
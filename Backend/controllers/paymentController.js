@@ -1,16 +1,14 @@
 const mpesaService = require('../services/mpesaService');
+const { getProvider } = require('../services/paymentProviders');
+const paymentReconciler = require('../services/paymentReconciler');
+const auditLog = require('../services/auditLog');
 const { supabase } = require('../config/supabase');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
 
-const initiateMpesaPayment = async (req, res, next) => {
+const initiatePayment = async (req, res, next) => {
     try {
-        const { orderId, phoneNumber, amount } = req.body;
-
-        if (!orderId || !phoneNumber || !amount) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Order ID, phone number, and amount are required'
-            });
-        }
+        const provider = req.paymentProvider;
+        const { orderId, phoneNumber } = req.body;
 
         // Check if order exists and belongs to user
         const { data: order, error: orderError } = await supabase
@@ -34,29 +32,17 @@ const initiateMpesaPayment = async (req, res, next) => {
             });
         }
 
-        // Initiate STK push
-        const result = await mpesaService.initiateSTKPush(
-            phoneNumber,
-            amount,
-            orderId,
-            `Bidhaaline-${orderId}`
-        );
-
-        // Update order with checkout request ID
-        const { error: updateError } = await supabase
-            .from('orders')
-            .update({ mpesa_checkout_request_id: result.checkoutRequestId })
-            .eq('id', orderId);
-
-        if (updateError) throw updateError;
+        // The amount always comes from the order, never from the client
+        const result = await provider.initiate({ order, user: req.user, phoneNumber });
 
         res.status(200).json({
             status: 'success',
-            message: 'Payment request sent to your phone. Please enter your M-Pesa PIN to complete the payment.',
+            message: result.message,
             data: {
-                checkoutRequestId: result.checkoutRequestId,
-                merchantRequestId: result.merchantRequestId,
-                customerMessage: result.customerMessage
+                provider: provider.name,
+                reference: result.reference,
+                redirectUrl: result.redirectUrl || null,
+                ...result.data
             }
         });
 
@@ -67,17 +53,29 @@ const initiateMpesaPayment = async (req, res, next) => {
 
 const checkPaymentStatus = async (req, res, next) => {
     try {
-        const { checkoutRequestId } = req.params;
-
-        const status = await mpesaService.querySTKPushStatus(checkoutRequestId);
-        const transaction = await mpesaService.getTransactionByCheckoutRequestId(checkoutRequestId);
+        const { reference } = req.params;
+
+        const result = await req.paymentProvider.getStatus(reference);
+
+        if (!hasPermission(req.user.role, PERMISSIONS.PAYMENTS_VIEW)) {
+            const { data: order } = await supabase
+                .from('orders')
+                .select('id')
+                .eq('id', result.orderId)
+                .eq('user_id', req.user.id)
+                .single();
+
+            if (!order) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Payment not found'
+                });
+            }
+        }
 
         res.status(200).json({
             status: 'success',
-            data: {
-                mpesaStatus: status,
-                localTransaction: transaction
-            }
+            data: result
         });
 
     } catch (error) {
@@ -85,25 +83,74 @@ const checkPaymentStatus = async (req, res, next) => {
     }
 };
 
-const mpesaCallback = async (req, res, next) => {
+const providerCallback = async (req, res, next) => {
+    const provider = req.paymentProvider;
+
     try {
-        console.log('M-Pesa Callback received:', JSON.stringify(req.body, null, 2));
-        await mpesaService.handleCallback(req.body);
+        console.log(`${provider.label} callback received:`, JSON.stringify(req.body, null, 2));
+        const acknowledgement = await provider.handleCallback(req);
 
-        res.status(200).json({
-            ResultCode: 0,
-            ResultDesc: 'Success'
-        });
+        res.status(200).json(acknowledgement);
 
     } catch (error) {
-        console.error('M-Pesa Callback Error:', error);
-        res.status(200).json({
-            ResultCode: 0,
-            ResultDesc: 'Success'
-        });
+        next(error);
     }
 };
 
+const mpesaRefundResult = async (req, res, next) => {
+    try {
+        console.log('M-Pesa Refund Result received:', JSON.stringify(req.body, null, 2));
+        await mpesaService.handleRefundResult(req.body);
+    } catch (error) {
+        console.error('M-Pesa Refund Result Error:', error);
+    }
+
+    res.status(200).json({
+        ResultCode: 0,
+        ResultDesc: 'Success'
+    });
+};
+
+const mpesaRefundTimeout = async (req, res, next) => {
+    try {
+        console.log('M-Pesa Refund Timeout received:', JSON.stringify(req.body, null, 2));
+        await mpesaService.handleRefundResult(req.body, { timedOut: true });
+    } catch (error) {
+        console.error('M-Pesa Refund Timeout Error:', error);
+    }
+
+    res.status(200).json({
+        ResultCode: 0,
+        ResultDesc: 'Success'
+    });
+};
+
+// C2B validation runs before M-Pesa completes a paybill payment. We accept
+// everything: payments we cannot match are reviewed by an admin rather than
+// bounced back to the customer.
+const c2bValidation = async (req, res) => {
+    console.log('C2B Validation received:', JSON.stringify(req.body, null, 2));
+
+    res.status(200).json({
+        ResultCode: '0',
+        ResultDesc: 'Accepted'
+    });
+};
+
+const c2bConfirmation = async (req, res, next) => {
+    try {
+        console.log('C2B Confirmation received:', JSON.stringify(req.body, null, 2));
+        await mpesaService.handleC2BConfirmation(req.body);
+    } catch (error) {
+        console.error('C2B Confirmation Error:', error);
+    }
+
+    res.status(200).json({
+        ResultCode: 0,
+        ResultDesc: 'Success'
+    });
+};
+
 const getTransactionHistory = async (req, res, next) => {
     try {
         const { page = 1, limit = 10 } = req.query;
@@ -218,11 +265,269 @@ const getAllTransactions = async (req, res, next) => {
     }
 };
 
+const getQuarantinedPayments = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status = 'open' } = req.query;
+
+        const payments = await mpesaService.getQuarantinedPayments({ status, page, limit });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                payments
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+const resolveQuarantinedPayment = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { action, note } = req.body;
+
+        const entry = await mpesaService.getQuarantinedPayment(id);
+
+        if (!entry) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Quarantined payment not found'
+            });
+        }
+
+        if (entry.status !== 'open') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Quarantined payment has already been resolved'
+            });
+        }
+
+        if (action === 'approve') {
+            const provider = getProvider(entry.provider);
+
+            if (!provider) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Payment provider is not available'
+                });
+            }
+
+            const approved = await provider.approveQuarantined(entry);
+
+            if (!approved) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Order is no longer awaiting payment. Refund the customer from the order, then reject this payment.'
+                });
+            }
+        }
+
+        const payment = await mpesaService.resolveQuarantinedPayment(id, {
+            status: action === 'approve' ? 'approved' : 'rejected',
+            note,
+            resolvedBy: req.user.id
+        });
+
+        await auditLog.record(req, {
+            action: `payment.quarantine_${action}`,
+            entityType: 'quarantined_payment',
+            entityId: id,
+            before: { status: entry.status },
+            after: payment,
+            metadata: { order_id: entry.order_id || null }
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: `Payment ${payment.status}`,
+            data: {
+                payment
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+const getReconciliationRuns = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const runs = await paymentReconciler.getRuns({ page, limit });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                runs
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+const runReconciliation = async (req, res, next) => {
+    try {
+        const run = await paymentReconciler.run({ trigger: 'manual', triggeredBy: req.user.id });
+
+        if (!run) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'A reconciliation run is already in progress'
+            });
+        }
+
+        await auditLog.record(req, {
+            action: 'payment.reconcile',
+            entityType: 'reconciliation_run',
+            entityId: run.id,
+            metadata: { trigger: 'manual' }
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Reconciliation completed',
+            data: {
+                run
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+const registerC2BUrls = async (req, res, next) => {
+    try {
+        const result = await mpesaService.registerC2BUrls();
+
+        await auditLog.record(req, {
+            action: 'payment.c2b_register_urls',
+            entityType: 'mpesa_c2b',
+            entityId: null
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'C2B URLs registered',
+            data: {
+                result
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+const getC2BPayments = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+
+        const payments = await mpesaService.getC2BPayments({ status, page, limit });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                payments
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+const resolveC2BPayment = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { action, orderId, note } = req.body;
+
+        const payment = await mpesaService.getC2BPayment(id);
+
+        if (!payment) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'C2B payment not found'
+            });
+        }
+
+        if (payment.status !== 'unmatched') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'C2B payment has already been resolved'
+            });
+        }
+
+        let updatedPayment;
+
+        if (action === 'match') {
+            const { data: order, error: orderError } = await supabase
+                .from('orders')
+                .select('id')
+                .eq('id', orderId)
+                .single();
+
+            if (orderError || !order) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Order not found'
+                });
+            }
+
+            updatedPayment = await mpesaService.matchC2BPayment(payment, orderId, req.user.id);
+
+            if (updatedPayment.status !== 'matched') {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Order is no longer awaiting payment'
+                });
+            }
+        } else {
+            updatedPayment = await mpesaService.dismissC2BPayment(id, { note, dismissedBy: req.user.id });
+        }
+
+        await auditLog.record(req, {
+            action: `payment.c2b_${action}`,
+            entityType: 'c2b_payment',
+            entityId: id,
+            before: { status: payment.status, order_id: payment.order_id || null },
+            after: updatedPayment
+        });
+
+        res.status(200).json({
+            status: 'success',
+            message: `C2B payment ${updatedPayment.status}`,
+            data: {
+                payment: updatedPayment
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
-    initiateMpesaPayment,
+    initiatePayment,
     checkPaymentStatus,
-    mpesaCallback,
+    providerCallback,
+    mpesaRefundResult,
+    mpesaRefundTimeout,
+    c2bValidation,
+    c2bConfirmation,
     getTransactionHistory,
     getTransactionByOrderId,
-    getAllTransactions
+    getAllTransactions,
+    getQuarantinedPayments,
+    resolveQuarantinedPayment,
+    getReconciliationRuns,
+    runReconciliation,
+    registerC2BUrls,
+    getC2BPayments,
+    resolveC2BPayment
 };
@@ -1,64 +1,82 @@
 const { supabase } = require('../config/supabase');
+const variantService = require('../services/variantService');
+const categoryService = require('../services/categoryService');
+const searchService = require('../services/searchService');
+const collectionService = require('../services/collectionService');
+
+// page/limit pagination, plus nextCursor for clients paging by cursor
+const paginationFor = (page, limit, totalProducts, nextCursor) => {
+    const totalPages = Math.ceil(totalProducts / limit);
+
+    return {
+        currentPage: parseInt(page),
+        totalPages,
+        totalProducts,
+        hasNextPage: !!nextCursor,
+        hasPreviousPage: page > 1,
+        nextCursor
+    };
+};
 
+// The listing and search filters as searchService.search takes them
+const searchFilters = (query) => ({
+    categories: query.category || [],
+    minPrice: query.min_price,
+    maxPrice: query.max_price,
+    inStock: query.in_stock || false,
+    sort: query.sort,
+    cursor: query.cursor,
+    page: query.page || 1,
+    limit: query.limit || 12
+});
+
+// Active products, filtered and sorted (see validateProductList). A search
+// ranks by relevance unless another sort is asked for.
 const getAllProducts = async (req, res, next) => {
     try {
-        const { category, search, page = 1, limit = 12 } = req.query;
-        const offset = (page - 1) * limit;
-
-        let query = supabase
-            .from('products')
-            .select('*')
-            .eq('is_active', true);
-
-        if (category) {
-            query = query.eq('category', category);
-        }
-
-        if (search) {
-            query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
-        }
-
-        const { data: products, error } = await query
-            .order('created_at', { ascending: false })
-            .range(offset, offset + parseInt(limit) - 1);
-
-        if (error) {
-            throw error;
-        }
+        const filters = searchFilters(req.query);
+        const result = await searchService.search({ ...filters, query: req.query.search || '', facets: false });
 
-        // Get total count for pagination
-        let countQuery = supabase
-            .from('products')
-            .select('*', { count: 'exact', head: true })
-            .eq('is_active', true);
-            
-        if (category) {
-            countQuery = countQuery.eq('category', category);
-        }
+        res.status(200).json({
+            status: 'success',
+            data: {
+                products: result.products,
+                pagination: paginationFor(filters.page, filters.limit, result.total, result.nextCursor)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        if (search) {
-            countQuery = countQuery.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
-        }
+// The listing's filters plus category and price facets; q may be left out
+// to browse with facets
+const searchProducts = async (req, res, next) => {
+    try {
+        const filters = searchFilters(req.query);
+        const result = await searchService.search({ ...filters, query: req.query.q || '' });
 
-        const { count: totalProducts, error: countError } = await countQuery;
-        
-        if (countError) {
-            throw countError;
-        }
+        res.status(200).json({
+            status: 'success',
+            data: {
+                products: result.products,
+                facets: result.facets,
+                pagination: paginationFor(filters.page, filters.limit, result.total, result.nextCursor)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        const totalPages = Math.ceil(totalProducts / limit);
+const getSearchSuggestions = async (req, res, next) => {
+    try {
+        const { q } = req.query;
 
         res.status(200).json({
             status: 'success',
             data: {
-                products,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages,
-                    totalProducts,
-                    hasNextPage: page < totalPages,
-                    hasPreviousPage: page > 1
-                }
+                suggestions: await searchService.suggest(q)
             }
         });
     } catch (error) {
@@ -72,7 +90,7 @@ const getProductById = async (req, res, next) => {
 
         const { data: product, error } = await supabase
             .from('products')
-            .select('*')
+            .select(variantService.productSelect)
             .eq('id', id)
             .eq('is_active', true)
             .single();
@@ -87,7 +105,7 @@ const getProductById = async (req, res, next) => {
         res.status(200).json({
             status: 'success',
             data: {
-                product
+                product: variantService.shapeProduct(product)
             }
         });
     } catch (error) {
@@ -95,11 +113,23 @@ const getProductById = async (req, res, next) => {
     }
 };
 
+// The "featured" collection, or the six newest products while it isn't live
 const getFeaturedProducts = async (req, res, next) => {
     try {
+        const featured = await collectionService.getBySlug('featured');
+
+        if (featured && collectionService.isLive(featured)) {
+            return res.status(200).json({
+                status: 'success',
+                data: {
+                    products: await collectionService.getProducts(featured)
+                }
+            });
+        }
+
         const { data: products, error } = await supabase
             .from('products')
-            .select('*')
+            .select(variantService.productSelect)
             .eq('is_active', true)
             .order('created_at', { ascending: false })
             .limit(6);
@@ -111,7 +141,7 @@ const getFeaturedProducts = async (req, res, next) => {
         res.status(200).json({
             status: 'success',
             data: {
-                products
+                products: products.map(product => variantService.shapeProduct(product))
             }
         });
     } catch (error) {
@@ -119,25 +149,15 @@ const getFeaturedProducts = async (req, res, next) => {
     }
 };
 
+// Active categories as a tree, each with its children
 const getCategories = async (req, res, next) => {
     try {
-        const { data: result, error } = await supabase
-            .from('products')
-            .select('category')
-            .eq('is_active', true)
-            .order('category');
-
-        if (error) {
-            throw error;
-        }
-
-        // Get unique categories
-        const categories = [...new Set(result.map(row => row.category))];
+        const categories = await categoryService.getAll();
 
         res.status(200).json({
             status: 'success',
             data: {
-                categories
+                categories: categoryService.buildTree(categories)
             }
         });
     } catch (error) {
@@ -147,6 +167,8 @@ const getCategories = async (req, res, next) => {
 
 module.exports = {
     getAllProducts,
+    searchProducts,
+    getSearchSuggestions,
     getProductById,
     getFeaturedProducts,
     getCategories
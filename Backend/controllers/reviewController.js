@@ -0,0 +1,169 @@
+const { supabase } = require('../config/supabase');
+const reviewService = require('../services/reviewService');
+
+const findActiveProduct = async (id) => {
+    const { data } = await supabase
+        .from('products')
+        .select('id')
+        .eq('id', id)
+        .eq('is_active', true)
+        .single();
+
+    return data || null;
+};
+
+// An approved review of the product in the URL, or null
+const findShownReview = async (productId, reviewId) => {
+    const review = await reviewService.getById(reviewId);
+
+    return review && review.product_id === productId && review.status === 'approved' ? review : null;
+};
+
+// Approved reviews with the rating summary, paged (see validateReviewList)
+const getProductReviews = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { sort = 'newest', page = 1, limit = 10 } = req.query;
+
+        if (!(await findActiveProduct(id))) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Product not found'
+            });
+        }
+
+        const [{ reviews, total }, summary] = await Promise.all([
+            reviewService.getForProduct(id, { sort, page, limit }),
+            reviewService.getSummary(id)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                summary,
+                reviews,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / limit),
+                    totalReviews: total,
+                    hasNextPage: page * limit < total,
+                    hasPreviousPage: page > 1
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Creates or replaces the customer's review; it shows once approved
+const submitReview = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { rating, title, body } = req.body;
+
+        if (!(await findActiveProduct(id))) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Product not found'
+            });
+        }
+
+        const review = await reviewService.submit(id, req.user.id, { rating, title, body });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Thanks for your review. It will appear once it has been checked.',
+            data: {
+                review
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const voteReviewHelpful = async (req, res, next) => {
+    try {
+        const { id, reviewId } = req.params;
+        const review = await findShownReview(id, reviewId);
+
+        if (!review) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Review not found'
+            });
+        }
+
+        if (review.user_id === req.user.id) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'You cannot vote on your own review'
+            });
+        }
+
+        try {
+            await reviewService.addHelpfulVote(review.id, req.user.id);
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    status: 'error',
+                    message: 'You have already marked this review as helpful'
+                });
+            }
+            throw error;
+        }
+
+        const { helpful_count } = await reviewService.getById(review.id);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Thanks for your feedback',
+            data: {
+                review: {
+                    id: review.id,
+                    helpful_count
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const removeReviewHelpfulVote = async (req, res, next) => {
+    try {
+        const { id, reviewId } = req.params;
+        const review = await findShownReview(id, reviewId);
+
+        if (!review) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Review not found'
+            });
+        }
+
+        await reviewService.removeHelpfulVote(review.id, req.user.id);
+        const { helpful_count } = await reviewService.getById(review.id);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Vote removed',
+            data: {
+                review: {
+                    id: review.id,
+                    helpful_count
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getProductReviews,
+    submitReview,
+    voteReviewHelpful,
+    removeReviewHelpfulVote
+};
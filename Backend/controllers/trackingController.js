@@ -1,4 +1,5 @@
 const { supabase } = require('../config/supabase');
+const auditLog = require('../services/auditLog');
 
 
 const getOrderTracking = async (req, res, next) => {
@@ -134,6 +135,14 @@ const addTrackingUpdate = async (req, res, next) => {
             throw trackingError;
         }
 
+        await auditLog.record(req, {
+            action: 'order.tracking_add',
+            entityType: 'order',
+            entityId: orderId,
+            after: { tracking_status: status, tracking_description: description || null },
+            metadata: { tracking_id: tracking.id }
+        });
+
         res.status(201).json({
             status: 'success',
             message: 'Tracking update added successfully',
@@ -0,0 +1,241 @@
+const { supabase } = require('../config/supabase');
+const cartService = require('../services/cartService');
+
+const findActiveProduct = async (id) => {
+    const { data } = await supabase
+        .from('products')
+        .select('id, price')
+        .eq('id', id)
+        .eq('is_active', true)
+        .single();
+
+    return data || null;
+};
+
+const findWishlistItem = async (userId, productId) => {
+    const { data } = await supabase
+        .from('wishlist_items')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('product_id', productId)
+        .single();
+
+    return data || null;
+};
+
+const getWishlist = async (req, res, next) => {
+    try {
+        const { data: wishlistItems, error } = await supabase
+            .from('wishlist_items')
+            .select(`
+                id, notify_back_in_stock, notify_price_drop, reference_price, created_at,
+                products!inner (
+                    id, name, price, image_url, stock,
+                    product_options ( name )
+                )
+            `)
+            .eq('user_id', req.user.id)
+            .eq('products.is_active', true)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        // Products with options go through the product page to pick one
+        const transformedItems = wishlistItems.map(item => ({
+            id: item.id,
+            product_id: item.products.id,
+            name: item.products.name,
+            price: item.products.price,
+            image_url: item.products.image_url,
+            stock: item.products.stock,
+            has_options: item.products.product_options.length > 0,
+            notify_back_in_stock: item.notify_back_in_stock,
+            notify_price_drop: item.notify_price_drop,
+            created_at: item.created_at
+        }));
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                wishlistItems: transformedItems,
+                itemCount: transformedItems.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Saving a product that is already saved only updates its notification choices
+const addToWishlist = async (req, res, next) => {
+    try {
+        const { product_id, notify_back_in_stock, notify_price_drop } = req.body;
+
+        const product = await findActiveProduct(product_id);
+
+        if (!product) {
+            return res.status(404).json({ status: 'error', message: 'Product not found' });
+        }
+
+        const existingItem = await findWishlistItem(req.user.id, product_id);
+
+        if (existingItem) {
+            const { data: updatedItem, error: updateError } = await supabase
+                .from('wishlist_items')
+                .update({
+                    notify_back_in_stock: notify_back_in_stock ?? existingItem.notify_back_in_stock,
+                    notify_price_drop: notify_price_drop ?? existingItem.notify_price_drop,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', existingItem.id)
+                .select()
+                .single();
+
+            if (updateError) throw updateError;
+
+            return res.status(200).json({
+                status: 'success',
+                message: 'Product is already in your wishlist',
+                data: { wishlistItem: updatedItem }
+            });
+        }
+
+        const { data: newItem, error: insertError } = await supabase
+            .from('wishlist_items')
+            .insert([{
+                user_id: req.user.id,
+                product_id,
+                notify_back_in_stock: notify_back_in_stock || false,
+                notify_price_drop: notify_price_drop || false,
+                reference_price: product.price
+            }])
+            .select()
+            .single();
+
+        if (insertError) throw insertError;
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Product saved to your wishlist',
+            data: { wishlistItem: newItem }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Turning price drop alerts on measures drops from today's price
+const updateWishlistItem = async (req, res, next) => {
+    try {
+        const { productId } = req.params;
+        const { notify_back_in_stock, notify_price_drop } = req.body;
+
+        const existingItem = await findWishlistItem(req.user.id, productId);
+
+        if (!existingItem) {
+            return res.status(404).json({ status: 'error', message: 'Wishlist item not found' });
+        }
+
+        const updates = { updated_at: new Date().toISOString() };
+
+        if (notify_back_in_stock !== undefined) {
+            updates.notify_back_in_stock = notify_back_in_stock;
+        }
+
+        if (notify_price_drop !== undefined) {
+            updates.notify_price_drop = notify_price_drop;
+
+            if (notify_price_drop && !existingItem.notify_price_drop) {
+                const product = await findActiveProduct(productId);
+                if (product) updates.reference_price = product.price;
+            }
+        }
+
+        const { data: updatedItem, error: updateError } = await supabase
+            .from('wishlist_items')
+            .update(updates)
+            .eq('id', existingItem.id)
+            .select()
+            .single();
+
+        if (updateError) throw updateError;
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Wishlist item updated successfully',
+            data: { wishlistItem: updatedItem }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const removeFromWishlist = async (req, res, next) => {
+    try {
+        const { productId } = req.params;
+
+        const { data: deletedItem, error } = await supabase
+            .from('wishlist_items')
+            .delete()
+            .eq('user_id', req.user.id)
+            .eq('product_id', productId)
+            .select()
+            .single();
+
+        if (error || !deletedItem) {
+            return res.status(404).json({ status: 'error', message: 'Wishlist item not found' });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Item removed from wishlist successfully' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Adds the product to the cart with the cart's stock checks, then takes it
+// off the wishlist
+const moveToCart = async (req, res, next) => {
+    try {
+        const { productId } = req.params;
+        const { variant_id, quantity = 1 } = req.body;
+
+        const existingItem = await findWishlistItem(req.user.id, productId);
+
+        if (!existingItem) {
+            return res.status(404).json({ status: 'error', message: 'Wishlist item not found' });
+        }
+
+        const { cartItem, error, statusCode } = await cartService.addItem(req.user.id, {
+            productId,
+            variantId: variant_id,
+            quantity
+        });
+
+        if (error) {
+            return res.status(statusCode).json({ status: 'error', message: error });
+        }
+
+        const { error: deleteError } = await supabase
+            .from('wishlist_items')
+            .delete()
+            .eq('id', existingItem.id);
+
+        if (deleteError) throw deleteError;
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Item moved to cart successfully',
+            data: { cartItem }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getWishlist,
+    addToWishlist,
+    updateWishlistItem,
+    removeFromWishlist,
+    moveToCart
+};
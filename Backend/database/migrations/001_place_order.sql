@@ -0,0 +1,99 @@
+-- Atomic order placement.
+--
+-- Inserts the order, its items and the first tracking entry, decrements stock
+-- and clears the customer's cart in a single transaction. Stock is decremented
+-- with a conditional UPDATE so concurrent checkouts can never drive it below
+-- zero: the row lock taken by the first UPDATE makes the second one re-check
+-- the remaining stock before it applies.
+
+CREATE OR REPLACE FUNCTION place_order(
+    p_order_id TEXT,
+    p_user_id UUID,
+    p_items JSONB,
+    p_payment_method TEXT,
+    p_payment_account TEXT,
+    p_transaction_code TEXT,
+    p_customer_name TEXT,
+    p_customer_email TEXT,
+    p_customer_phone TEXT,
+    p_shipping_address TEXT,
+    p_notes TEXT,
+    p_tax_rate NUMERIC DEFAULT 0.16
+)
+RETURNS orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item JSONB;
+    v_product RECORD;
+    v_quantity INTEGER;
+    v_subtotal NUMERIC := 0;
+    v_order orders;
+BEGIN
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item';
+    END IF;
+
+    -- The order row has to exist before order_items can reference it; totals
+    -- are filled in once every line has been priced.
+    INSERT INTO orders (
+        id, user_id, total_amount, subtotal, tax_amount,
+        payment_method, payment_account, transaction_code,
+        customer_name, customer_email, customer_phone,
+        shipping_address, notes
+    ) VALUES (
+        p_order_id, p_user_id, 0, 0, 0,
+        p_payment_method, p_payment_account, p_transaction_code,
+        p_customer_name, p_customer_email, p_customer_phone,
+        p_shipping_address, p_notes
+    );
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        v_quantity := (v_item->>'quantity')::INTEGER;
+
+        UPDATE products
+        SET stock = stock - v_quantity,
+            updated_at = NOW()
+        WHERE id = v_item->>'product_id'
+          AND is_active = TRUE
+          AND stock >= v_quantity
+        RETURNING id, name, price INTO v_product;
+
+        IF NOT FOUND THEN
+            SELECT id, name INTO v_product
+            FROM products
+            WHERE id = v_item->>'product_id' AND is_active = TRUE;
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'Product % not found', v_item->>'product_id';
+            END IF;
+
+            RAISE EXCEPTION 'Insufficient stock for product %', v_product.name;
+        END IF;
+
+        INSERT INTO order_items (
+            order_id, product_id, product_name, product_price, quantity, total_price
+        ) VALUES (
+            p_order_id, v_product.id, v_product.name, v_product.price,
+            v_quantity, v_product.price * v_quantity
+        );
+
+        v_subtotal := v_subtotal + v_product.price * v_quantity;
+    END LOOP;
+
+    UPDATE orders
+    SET subtotal = v_subtotal,
+        tax_amount = v_subtotal * p_tax_rate,
+        total_amount = v_subtotal + v_subtotal * p_tax_rate
+    WHERE id = p_order_id
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_tracking (order_id, status, description)
+    VALUES (p_order_id, 'Order Placed', 'Your order has been placed successfully');
+
+    DELETE FROM cart_items WHERE user_id = p_user_id;
+
+    RETURN v_order;
+END;
+$$;
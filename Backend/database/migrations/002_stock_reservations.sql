@@ -0,0 +1,217 @@
+-- Time-limited stock reservations for orders awaiting payment.
+--
+-- place_order already decrements stock; for orders paid by M-Pesa it now also
+-- records a reservation that expires after p_reservation_minutes. If the STK
+-- push is never completed, release_expired_reservations() cancels the order
+-- and puts the stock back.
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id BIGSERIAL PRIMARY KEY,
+    order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    product_id TEXT NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'converted', 'released')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    released_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_active
+    ON stock_reservations (expires_at)
+    WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_order
+    ON stock_reservations (order_id);
+
+-- Cancels a Processing order, restores its stock and releases any active
+-- reservation. Used by customer cancellation and by the reservation sweeper.
+CREATE OR REPLACE FUNCTION cancel_order(
+    p_order_id TEXT,
+    p_description TEXT DEFAULT 'Order cancelled by customer'
+)
+RETURNS orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_order orders;
+    v_item RECORD;
+BEGIN
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % not found', p_order_id;
+    END IF;
+
+    IF v_order.status <> 'Processing' THEN
+        RAISE EXCEPTION 'Order cannot be cancelled at this stage';
+    END IF;
+
+    FOR v_item IN SELECT product_id, quantity FROM order_items WHERE order_id = p_order_id
+    LOOP
+        UPDATE products
+        SET stock = stock + v_item.quantity,
+            updated_at = NOW()
+        WHERE id = v_item.product_id;
+    END LOOP;
+
+    UPDATE stock_reservations
+    SET status = 'released',
+        released_at = NOW()
+    WHERE order_id = p_order_id AND status = 'active';
+
+    UPDATE orders
+    SET status = 'Cancelled',
+        updated_at = NOW()
+    WHERE id = p_order_id
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_tracking (order_id, status, description)
+    VALUES (p_order_id, 'Order Cancelled', p_description);
+
+    RETURN v_order;
+END;
+$$;
+
+-- Releases every expired reservation whose order is still unpaid. Orders are
+-- locked with SKIP LOCKED so overlapping sweeps (several app instances) never
+-- cancel the same order twice. Returns the IDs of the cancelled orders.
+CREATE OR REPLACE FUNCTION release_expired_reservations()
+RETURNS SETOF TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_order_id TEXT;
+BEGIN
+    FOR v_order_id IN
+        SELECT o.id
+        FROM orders o
+        WHERE o.status = 'Processing'
+          AND EXISTS (
+              SELECT 1 FROM stock_reservations r
+              WHERE r.order_id = o.id
+                AND r.status = 'active'
+                AND r.expires_at <= NOW()
+          )
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        PERFORM cancel_order(
+            v_order_id,
+            'Order cancelled automatically because payment was not received in time'
+        );
+        RETURN NEXT v_order_id;
+    END LOOP;
+
+    -- Reservations whose order left Processing some other way (e.g. an admin
+    -- status change) no longer hold anything
+    UPDATE stock_reservations r
+    SET status = 'released',
+        released_at = NOW()
+    FROM orders o
+    WHERE r.order_id = o.id
+      AND r.status = 'active'
+      AND r.expires_at <= NOW()
+      AND o.status <> 'Processing';
+END;
+$$;
+
+-- place_order gains a reservation window, so the old signature is replaced
+DROP FUNCTION IF EXISTS place_order(TEXT, UUID, JSONB, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, NUMERIC);
+
+CREATE OR REPLACE FUNCTION place_order(
+    p_order_id TEXT,
+    p_user_id UUID,
+    p_items JSONB,
+    p_payment_method TEXT,
+    p_payment_account TEXT,
+    p_transaction_code TEXT,
+    p_customer_name TEXT,
+    p_customer_email TEXT,
+    p_customer_phone TEXT,
+    p_shipping_address TEXT,
+    p_notes TEXT,
+    p_tax_rate NUMERIC DEFAULT 0.16,
+    p_reservation_minutes INTEGER DEFAULT NULL
+)
+RETURNS orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item JSONB;
+    v_product RECORD;
+    v_quantity INTEGER;
+    v_subtotal NUMERIC := 0;
+    v_order orders;
+BEGIN
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item';
+    END IF;
+
+    INSERT INTO orders (
+        id, user_id, total_amount, subtotal, tax_amount,
+        payment_method, payment_account, transaction_code,
+        customer_name, customer_email, customer_phone,
+        shipping_address, notes
+    ) VALUES (
+        p_order_id, p_user_id, 0, 0, 0,
+        p_payment_method, p_payment_account, p_transaction_code,
+        p_customer_name, p_customer_email, p_customer_phone,
+        p_shipping_address, p_notes
+    );
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        v_quantity := (v_item->>'quantity')::INTEGER;
+
+        UPDATE products
+        SET stock = stock - v_quantity,
+            updated_at = NOW()
+        WHERE id = v_item->>'product_id'
+          AND is_active = TRUE
+          AND stock >= v_quantity
+        RETURNING id, name, price INTO v_product;
+
+        IF NOT FOUND THEN
+            SELECT id, name INTO v_product
+            FROM products
+            WHERE id = v_item->>'product_id' AND is_active = TRUE;
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'Product % not found', v_item->>'product_id';
+            END IF;
+
+            RAISE EXCEPTION 'Insufficient stock for product %', v_product.name;
+        END IF;
+
+        INSERT INTO order_items (
+            order_id, product_id, product_name, product_price, quantity, total_price
+        ) VALUES (
+            p_order_id, v_product.id, v_product.name, v_product.price,
+            v_quantity, v_product.price * v_quantity
+        );
+
+        IF p_reservation_minutes IS NOT NULL THEN
+            INSERT INTO stock_reservations (order_id, product_id, quantity, expires_at)
+            VALUES (
+                p_order_id, v_product.id, v_quantity,
+                NOW() + make_interval(mins => p_reservation_minutes)
+            );
+        END IF;
+
+        v_subtotal := v_subtotal + v_product.price * v_quantity;
+    END LOOP;
+
+    UPDATE orders
+    SET subtotal = v_subtotal,
+        tax_amount = v_subtotal * p_tax_rate,
+        total_amount = v_subtotal + v_subtotal * p_tax_rate
+    WHERE id = p_order_id
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_tracking (order_id, status, description)
+    VALUES (p_order_id, 'Order Placed', 'Your order has been placed successfully');
+
+    DELETE FROM cart_items WHERE user_id = p_user_id;
+
+    RETURN v_order;
+END;
+$$;
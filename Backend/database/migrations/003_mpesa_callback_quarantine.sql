@@ -0,0 +1,30 @@
+-- Idempotent M-Pesa callbacks and quarantine for suspicious payments.
+
+-- One transaction per STK push; retried callbacks resolve to the same row
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mpesa_transactions_checkout_request_id
+    ON mpesa_transactions (checkout_request_id);
+
+ALTER TABLE mpesa_transactions DROP CONSTRAINT IF EXISTS mpesa_transactions_status_check;
+ALTER TABLE mpesa_transactions
+    ADD CONSTRAINT mpesa_transactions_status_check
+    CHECK (status IN ('pending', 'success', 'failed', 'quarantined'));
+
+-- Payments that could not be applied automatically and wait for an admin
+CREATE TABLE IF NOT EXISTS payment_quarantine (
+    id BIGSERIAL PRIMARY KEY,
+    checkout_request_id TEXT NOT NULL REFERENCES mpesa_transactions(checkout_request_id),
+    order_id TEXT REFERENCES orders(id),
+    reason TEXT NOT NULL CHECK (reason IN ('amount_mismatch', 'order_not_awaiting_payment')),
+    expected_amount NUMERIC(10, 2),
+    received_amount NUMERIC(10, 2),
+    mpesa_receipt_number TEXT,
+    payload JSONB,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'approved', 'rejected')),
+    resolution_note TEXT,
+    resolved_by UUID REFERENCES users(id),
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_quarantine_status
+    ON payment_quarantine (status, created_at DESC);
@@ -0,0 +1,26 @@
+-- History of the background job that resolves stuck pending M-Pesa transactions.
+
+CREATE TABLE IF NOT EXISTS payment_reconciliation_runs (
+    id BIGSERIAL PRIMARY KEY,
+    trigger TEXT NOT NULL DEFAULT 'scheduled' CHECK (trigger IN ('scheduled', 'manual')),
+    triggered_by UUID REFERENCES users(id),
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    checked INTEGER NOT NULL DEFAULT 0,
+    confirmed INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    quarantined INTEGER NOT NULL DEFAULT 0,
+    still_pending INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    -- One entry per transaction checked: checkout_request_id, order_id, outcome, detail
+    details JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reconciliation_runs_started
+    ON payment_reconciliation_runs (started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_mpesa_transactions_pending
+    ON mpesa_transactions (created_at)
+    WHERE status = 'pending';
@@ -0,0 +1,24 @@
+-- Refunds of M-Pesa payments, through Daraja transaction reversal (full
+-- refunds) or B2C payments (partial refunds).
+
+CREATE TABLE IF NOT EXISTS mpesa_refunds (
+    id BIGSERIAL PRIMARY KEY,
+    order_id TEXT NOT NULL REFERENCES orders(id),
+    checkout_request_id TEXT NOT NULL REFERENCES mpesa_transactions(checkout_request_id),
+    method TEXT NOT NULL CHECK (method IN ('reversal', 'b2c')),
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+    conversation_id TEXT,
+    originator_conversation_id TEXT UNIQUE,
+    mpesa_transaction_id TEXT,
+    result_code TEXT,
+    result_desc TEXT,
+    requested_by UUID REFERENCES users(id),
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mpesa_refunds_order
+    ON mpesa_refunds (order_id);
@@ -0,0 +1,30 @@
+-- Paybill/till payments made outside STK push, reported through the C2B
+-- confirmation URL and matched to orders by account reference and amount.
+
+CREATE TABLE IF NOT EXISTS mpesa_c2b_payments (
+    id BIGSERIAL PRIMARY KEY,
+    trans_id TEXT NOT NULL UNIQUE,
+    transaction_type TEXT,
+    trans_time TEXT,
+    amount NUMERIC(10, 2) NOT NULL,
+    business_short_code TEXT,
+    bill_ref_number TEXT,
+    invoice_number TEXT,
+    msisdn TEXT,
+    payer_name TEXT,
+    order_id TEXT REFERENCES orders(id),
+    status TEXT NOT NULL DEFAULT 'unmatched' CHECK (status IN ('matched', 'unmatched', 'dismissed')),
+    unmatched_reason TEXT CHECK (unmatched_reason IN ('no_matching_order', 'amount_mismatch', 'order_not_awaiting_payment')),
+    resolution_note TEXT,
+    resolved_by UUID REFERENCES users(id),
+    resolved_at TIMESTAMPTZ,
+    payload JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mpesa_c2b_payments_status
+    ON mpesa_c2b_payments (status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_orders_transaction_code
+    ON orders (transaction_code)
+    WHERE transaction_code IS NOT NULL;
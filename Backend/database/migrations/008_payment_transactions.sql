@@ -0,0 +1,40 @@
+-- Payments and refunds for providers other than M-Pesa (card checkout and the
+-- fake provider used in development). M-Pesa keeps its own tables.
+
+CREATE TABLE IF NOT EXISTS payment_transactions (
+    id BIGSERIAL PRIMARY KEY,
+    provider TEXT NOT NULL,
+    reference TEXT NOT NULL,
+    order_id TEXT NOT NULL REFERENCES orders(id),
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+    paid_amount NUMERIC(10, 2),
+    currency TEXT NOT NULL DEFAULT 'KES',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed', 'quarantined')),
+    provider_transaction_id TEXT,
+    raw_response JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (provider, reference)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_order
+    ON payment_transactions (order_id);
+
+CREATE TABLE IF NOT EXISTS payment_refunds (
+    id BIGSERIAL PRIMARY KEY,
+    provider TEXT NOT NULL,
+    order_id TEXT NOT NULL REFERENCES orders(id),
+    transaction_reference TEXT NOT NULL,
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+    provider_refund_id TEXT,
+    raw_response JSONB,
+    requested_by UUID REFERENCES users(id),
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (provider, transaction_reference) REFERENCES payment_transactions(provider, reference)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_order
+    ON payment_refunds (order_id);
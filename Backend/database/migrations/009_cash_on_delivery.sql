@@ -0,0 +1,73 @@
+-- Cash-on-delivery: the rider records the cash collected when an order is
+-- delivered, and hands it over at the end of the day in a settlement.
+
+CREATE TABLE IF NOT EXISTS cod_settlements (
+    id BIGSERIAL PRIMARY KEY,
+    rider_id UUID NOT NULL REFERENCES users(id),
+    order_count INTEGER NOT NULL,
+    expected_amount NUMERIC(10, 2) NOT NULL,
+    collected_amount NUMERIC(10, 2) NOT NULL,
+    note TEXT,
+    settled_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cod_settlements_rider
+    ON cod_settlements (rider_id, created_at DESC);
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS cod_collected_amount NUMERIC(10, 2),
+    ADD COLUMN IF NOT EXISTS cod_collected_by UUID REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS cod_collected_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS cod_settlement_id BIGINT REFERENCES cod_settlements(id);
+
+CREATE INDEX IF NOT EXISTS idx_orders_cod_unsettled
+    ON orders (cod_collected_by)
+    WHERE payment_method = 'cash' AND cod_collected_at IS NOT NULL AND cod_settlement_id IS NULL;
+
+-- Settles every collection the rider has not handed over yet, up to p_until.
+-- Locks the orders so a collection recorded mid-settlement is either fully
+-- in this settlement or left for the next one.
+CREATE OR REPLACE FUNCTION settle_cod_collections(
+    p_rider_id UUID,
+    p_settled_by UUID,
+    p_note TEXT DEFAULT NULL,
+    p_until TIMESTAMPTZ DEFAULT NOW()
+) RETURNS cod_settlements
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_order_ids TEXT[];
+    v_expected NUMERIC(10, 2);
+    v_collected NUMERIC(10, 2);
+    v_settlement cod_settlements;
+BEGIN
+    SELECT array_agg(id), SUM(total_amount), SUM(cod_collected_amount)
+      INTO v_order_ids, v_expected, v_collected
+      FROM (
+          SELECT id, total_amount, cod_collected_amount
+            FROM orders
+           WHERE payment_method = 'cash'
+             AND cod_collected_by = p_rider_id
+             AND cod_collected_at IS NOT NULL
+             AND cod_collected_at <= p_until
+             AND cod_settlement_id IS NULL
+           FOR UPDATE
+      ) pending;
+
+    IF v_order_ids IS NULL THEN
+        RAISE EXCEPTION 'No unsettled cash collections for this rider';
+    END IF;
+
+    INSERT INTO cod_settlements (rider_id, order_count, expected_amount, collected_amount, note, settled_by)
+    VALUES (p_rider_id, array_length(v_order_ids, 1), v_expected, v_collected, p_note, p_settled_by)
+    RETURNING * INTO v_settlement;
+
+    UPDATE orders
+       SET cod_settlement_id = v_settlement.id,
+           updated_at = NOW()
+     WHERE id = ANY(v_order_ids);
+
+    RETURN v_settlement;
+END;
+$$;
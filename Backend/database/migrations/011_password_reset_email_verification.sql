@@ -0,0 +1,24 @@
+-- Email verification and password reset. The tokens themselves are signed
+-- JWTs; this table only records their ids so each can be used once.
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- Accounts created before verification existed keep working when
+-- REQUIRE_EMAIL_VERIFICATION is switched on
+UPDATE users
+   SET email_verified_at = created_at
+ WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS user_tokens (
+    jti UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose
+    ON user_tokens (user_id, purpose)
+    WHERE used_at IS NULL;
@@ -0,0 +1,72 @@
+-- Passwordless login by phone. Accounts are matched on the phone number in
+-- the same 2547XXXXXXXX form used for M-Pesa (utils/phone.js), once the
+-- customer has verified it (034_verified_phone_numbers.sql).
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS phone_normalized TEXT;
+
+CREATE TABLE IF NOT EXISTS phone_otps (
+    id BIGSERIAL PRIMARY KEY,
+    phone TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    consumed_at TIMESTAMPTZ,
+    ip_address TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_otps_phone
+    ON phone_otps (phone, created_at DESC);
+
+-- Checks a code against the newest live OTP for the phone. The row lock makes
+-- the attempt counter exact under concurrent guesses. Returns
+--   ok       code matched; the OTP is consumed
+--   invalid  wrong code
+--   locked   too many wrong codes; a new OTP is needed
+--   expired  no live OTP for this phone
+CREATE OR REPLACE FUNCTION verify_phone_otp(
+    p_phone TEXT,
+    p_code_hash TEXT,
+    p_max_attempts INTEGER
+) RETURNS TABLE (result TEXT, user_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_otp phone_otps;
+BEGIN
+    SELECT * INTO v_otp
+      FROM phone_otps
+     WHERE phone = p_phone
+       AND consumed_at IS NULL
+       AND expires_at > NOW()
+     ORDER BY created_at DESC
+     LIMIT 1
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT 'expired'::TEXT, NULL::UUID;
+        RETURN;
+    END IF;
+
+    IF v_otp.attempts >= p_max_attempts THEN
+        RETURN QUERY SELECT 'locked'::TEXT, NULL::UUID;
+        RETURN;
+    END IF;
+
+    IF v_otp.code_hash = p_code_hash THEN
+        UPDATE phone_otps SET consumed_at = NOW() WHERE id = v_otp.id;
+        RETURN QUERY SELECT 'ok'::TEXT, v_otp.user_id;
+        RETURN;
+    END IF;
+
+    UPDATE phone_otps SET attempts = attempts + 1 WHERE id = v_otp.id;
+
+    IF v_otp.attempts + 1 >= p_max_attempts THEN
+        RETURN QUERY SELECT 'locked'::TEXT, NULL::UUID;
+    ELSE
+        RETURN QUERY SELECT 'invalid'::TEXT, NULL::UUID;
+    END IF;
+END;
+$$;
@@ -0,0 +1,48 @@
+-- Brute-force protection for password login, optional TOTP for admins and a
+-- log of security-relevant events.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    email TEXT NOT NULL,
+    ip_address TEXT,
+    succeeded BOOLEAN NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_email
+    ON login_attempts (email, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip
+    ON login_attempts (ip_address, created_at DESC)
+    WHERE NOT succeeded;
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+    ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS security_events (
+    id BIGSERIAL PRIMARY KEY,
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'account_locked',
+        'ip_throttled',
+        'login_after_failures',
+        'new_ip_login',
+        'totp_failed',
+        'totp_enabled',
+        'totp_disabled'
+    )),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    email TEXT,
+    ip_address TEXT,
+    user_agent TEXT,
+    details JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_created
+    ON security_events (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_type
+    ON security_events (event_type, created_at DESC);
@@ -0,0 +1,18 @@
+-- Staff roles beyond customer/admin. What each role may do lives in
+-- config/permissions.js; the database only restricts the role names.
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+
+ALTER TABLE users
+    ADD CONSTRAINT users_role_check CHECK (role IN (
+        'customer',
+        'admin',
+        'catalog_manager',
+        'fulfilment',
+        'support',
+        'finance'
+    ));
+
+CREATE INDEX IF NOT EXISTS idx_users_staff_role
+    ON users (role)
+    WHERE role <> 'customer';
@@ -0,0 +1,28 @@
+-- Audit trail of staff writes: who did what to which record, with a
+-- field-level diff, so questions like "who cancelled this order" can be
+-- answered during disputes. Rows are only ever inserted.
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- Kept alongside actor_id so entries stay readable if the user is removed
+    actor_email TEXT,
+    actor_role TEXT,
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    metadata JSONB,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity
+    ON audit_logs (entity_type, entity_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor
+    ON audit_logs (actor_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created
+    ON audit_logs (created_at DESC);
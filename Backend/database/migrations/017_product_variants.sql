@@ -0,0 +1,367 @@
+-- Product variants. A product can declare option types (Size, Colour...) and
+-- sell one SKU per combination, each with its own price, stock and image.
+-- Products without variants keep using products.price and products.stock;
+-- for products with variants those columns mirror the cheapest variant and
+-- the total stock, so listings and filters keep working unchanged.
+
+CREATE TABLE IF NOT EXISTS product_options (
+    id BIGSERIAL PRIMARY KEY,
+    product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    option_values TEXT[] NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (product_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS product_variants (
+    id BIGSERIAL PRIMARY KEY,
+    product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku TEXT NOT NULL UNIQUE,
+    -- e.g. {"Size": "500g"}; keys are the product's option names
+    options JSONB NOT NULL DEFAULT '{}'::jsonb,
+    price NUMERIC(10, 2) NOT NULL CHECK (price > 0),
+    stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+    image_url TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    -- Variants are retired rather than deleted so past orders keep their link
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product
+    ON product_variants (product_id)
+    WHERE is_active;
+
+ALTER TABLE cart_items
+    ADD COLUMN IF NOT EXISTS variant_id BIGINT REFERENCES product_variants(id) ON DELETE CASCADE;
+
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS variant_id BIGINT REFERENCES product_variants(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS variant_sku TEXT,
+    ADD COLUMN IF NOT EXISTS variant_label TEXT;
+
+ALTER TABLE stock_reservations
+    ADD COLUMN IF NOT EXISTS variant_id BIGINT REFERENCES product_variants(id);
+
+-- Keeps products.price/stock in line with the product's active variants
+CREATE OR REPLACE FUNCTION sync_product_from_variants()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_product_id TEXT;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_product_id := OLD.product_id;
+    ELSE
+        v_product_id := NEW.product_id;
+    END IF;
+
+    UPDATE products p
+    SET stock = v.stock,
+        price = v.price,
+        updated_at = NOW()
+    FROM (
+        SELECT COALESCE(SUM(stock), 0)::INTEGER AS stock, MIN(price) AS price
+        FROM product_variants
+        WHERE product_id = v_product_id AND is_active
+    ) v
+    WHERE p.id = v_product_id
+      AND v.price IS NOT NULL;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_sync_product_from_variants ON product_variants;
+
+CREATE TRIGGER trg_sync_product_from_variants
+    AFTER INSERT OR UPDATE OR DELETE ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION sync_product_from_variants();
+
+-- Replaces a product's option types and variants in one transaction.
+-- Variants are matched by SKU; SKUs missing from p_variants are retired.
+CREATE OR REPLACE FUNCTION save_product_variants(
+    p_product_id TEXT,
+    p_options JSONB,
+    p_variants JSONB
+)
+RETURNS SETOF product_variants
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_option JSONB;
+    v_variant JSONB;
+    v_position INTEGER;
+    v_saved_id BIGINT;
+BEGIN
+    DELETE FROM product_options WHERE product_id = p_product_id;
+
+    FOR v_option, v_position IN
+        SELECT value, ordinality FROM jsonb_array_elements(COALESCE(p_options, '[]'::jsonb)) WITH ORDINALITY
+    LOOP
+        INSERT INTO product_options (product_id, name, option_values, position)
+        VALUES (
+            p_product_id,
+            v_option->>'name',
+            ARRAY(SELECT jsonb_array_elements_text(v_option->'values')),
+            v_position
+        );
+    END LOOP;
+
+    FOR v_variant, v_position IN
+        SELECT value, ordinality FROM jsonb_array_elements(COALESCE(p_variants, '[]'::jsonb)) WITH ORDINALITY
+    LOOP
+        INSERT INTO product_variants (product_id, sku, options, price, stock, image_url, position)
+        VALUES (
+            p_product_id,
+            v_variant->>'sku',
+            COALESCE(v_variant->'options', '{}'::jsonb),
+            (v_variant->>'price')::NUMERIC,
+            (v_variant->>'stock')::INTEGER,
+            v_variant->>'image_url',
+            v_position
+        )
+        ON CONFLICT (sku) DO UPDATE
+        SET options = EXCLUDED.options,
+            price = EXCLUDED.price,
+            stock = EXCLUDED.stock,
+            image_url = EXCLUDED.image_url,
+            position = EXCLUDED.position,
+            is_active = TRUE,
+            updated_at = NOW()
+        WHERE product_variants.product_id = p_product_id
+        RETURNING id INTO v_saved_id;
+
+        IF v_saved_id IS NULL THEN
+            RAISE EXCEPTION 'SKU % is already used by another product', v_variant->>'sku';
+        END IF;
+
+        v_saved_id := NULL;
+    END LOOP;
+
+    UPDATE product_variants
+    SET is_active = FALSE,
+        updated_at = NOW()
+    WHERE product_id = p_product_id
+      AND is_active
+      AND sku NOT IN (
+          SELECT value->>'sku' FROM jsonb_array_elements(COALESCE(p_variants, '[]'::jsonb))
+      );
+
+    RETURN QUERY
+        SELECT * FROM product_variants
+        WHERE product_id = p_product_id AND is_active
+        ORDER BY position;
+END;
+$$;
+
+-- place_order now prices and decrements the chosen variant. A line for a
+-- product that has variants must name one.
+CREATE OR REPLACE FUNCTION place_order(
+    p_order_id TEXT,
+    p_user_id UUID,
+    p_items JSONB,
+    p_payment_method TEXT,
+    p_payment_account TEXT,
+    p_transaction_code TEXT,
+    p_customer_name TEXT,
+    p_customer_email TEXT,
+    p_customer_phone TEXT,
+    p_shipping_address TEXT,
+    p_notes TEXT,
+    p_tax_rate NUMERIC DEFAULT 0.16,
+    p_reservation_minutes INTEGER DEFAULT NULL
+)
+RETURNS orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item JSONB;
+    v_quantity INTEGER;
+    v_variant_id BIGINT;
+    v_product_id TEXT;
+    v_product_name TEXT;
+    v_price NUMERIC;
+    v_sku TEXT;
+    v_options JSONB;
+    v_label TEXT;
+    v_subtotal NUMERIC := 0;
+    v_order orders;
+BEGIN
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item';
+    END IF;
+
+    INSERT INTO orders (
+        id, user_id, total_amount, subtotal, tax_amount,
+        payment_method, payment_account, transaction_code,
+        customer_name, customer_email, customer_phone,
+        shipping_address, notes
+    ) VALUES (
+        p_order_id, p_user_id, 0, 0, 0,
+        p_payment_method, p_payment_account, p_transaction_code,
+        p_customer_name, p_customer_email, p_customer_phone,
+        p_shipping_address, p_notes
+    );
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        v_quantity := (v_item->>'quantity')::INTEGER;
+        v_variant_id := NULLIF(v_item->>'variant_id', '')::BIGINT;
+        v_sku := NULL;
+        v_label := NULL;
+
+        IF v_variant_id IS NOT NULL THEN
+            UPDATE product_variants v
+            SET stock = v.stock - v_quantity,
+                updated_at = NOW()
+            FROM products p
+            WHERE v.id = v_variant_id
+              AND v.product_id = v_item->>'product_id'
+              AND v.is_active
+              AND p.id = v.product_id
+              AND p.is_active = TRUE
+              AND v.stock >= v_quantity
+            RETURNING p.id, p.name, v.price, v.sku, v.options
+            INTO v_product_id, v_product_name, v_price, v_sku, v_options;
+
+            IF NOT FOUND THEN
+                SELECT p.name INTO v_product_name
+                FROM product_variants v
+                JOIN products p ON p.id = v.product_id
+                WHERE v.id = v_variant_id
+                  AND v.product_id = v_item->>'product_id'
+                  AND v.is_active
+                  AND p.is_active = TRUE;
+
+                IF NOT FOUND THEN
+                    RAISE EXCEPTION 'Product option % not found', v_variant_id;
+                END IF;
+
+                RAISE EXCEPTION 'Insufficient stock for product %', v_product_name;
+            END IF;
+
+            SELECT string_agg(v_options->>o.name, ' / ' ORDER BY o.position)
+            INTO v_label
+            FROM product_options o
+            WHERE o.product_id = v_product_id;
+        ELSE
+            IF EXISTS (
+                SELECT 1 FROM product_variants
+                WHERE product_id = v_item->>'product_id' AND is_active
+            ) THEN
+                RAISE EXCEPTION 'Please choose an option for product %', v_item->>'product_id';
+            END IF;
+
+            UPDATE products
+            SET stock = stock - v_quantity,
+                updated_at = NOW()
+            WHERE id = v_item->>'product_id'
+              AND is_active = TRUE
+              AND stock >= v_quantity
+            RETURNING id, name, price INTO v_product_id, v_product_name, v_price;
+
+            IF NOT FOUND THEN
+                SELECT name INTO v_product_name
+                FROM products
+                WHERE id = v_item->>'product_id' AND is_active = TRUE;
+
+                IF NOT FOUND THEN
+                    RAISE EXCEPTION 'Product % not found', v_item->>'product_id';
+                END IF;
+
+                RAISE EXCEPTION 'Insufficient stock for product %', v_product_name;
+            END IF;
+        END IF;
+
+        INSERT INTO order_items (
+            order_id, product_id, variant_id, variant_sku, variant_label,
+            product_name, product_price, quantity, total_price
+        ) VALUES (
+            p_order_id, v_product_id, v_variant_id, v_sku, v_label,
+            v_product_name, v_price, v_quantity, v_price * v_quantity
+        );
+
+        IF p_reservation_minutes IS NOT NULL THEN
+            INSERT INTO stock_reservations (order_id, product_id, variant_id, quantity, expires_at)
+            VALUES (
+                p_order_id, v_product_id, v_variant_id, v_quantity,
+                NOW() + make_interval(mins => p_reservation_minutes)
+            );
+        END IF;
+
+        v_subtotal := v_subtotal + v_price * v_quantity;
+    END LOOP;
+
+    UPDATE orders
+    SET subtotal = v_subtotal,
+        tax_amount = v_subtotal * p_tax_rate,
+        total_amount = v_subtotal + v_subtotal * p_tax_rate
+    WHERE id = p_order_id
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_tracking (order_id, status, description)
+    VALUES (p_order_id, 'Order Placed', 'Your order has been placed successfully');
+
+    DELETE FROM cart_items WHERE user_id = p_user_id;
+
+    RETURN v_order;
+END;
+$$;
+
+-- cancel_order puts stock back on the variant that was sold
+CREATE OR REPLACE FUNCTION cancel_order(
+    p_order_id TEXT,
+    p_description TEXT DEFAULT 'Order cancelled by customer'
+)
+RETURNS orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_order orders;
+    v_item RECORD;
+BEGIN
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % not found', p_order_id;
+    END IF;
+
+    IF v_order.status <> 'Processing' THEN
+        RAISE EXCEPTION 'Order cannot be cancelled at this stage';
+    END IF;
+
+    FOR v_item IN SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = p_order_id
+    LOOP
+        IF v_item.variant_id IS NOT NULL THEN
+            UPDATE product_variants
+            SET stock = stock + v_item.quantity,
+                updated_at = NOW()
+            WHERE id = v_item.variant_id;
+        ELSE
+            UPDATE products
+            SET stock = stock + v_item.quantity,
+                updated_at = NOW()
+            WHERE id = v_item.product_id;
+        END IF;
+    END LOOP;
+
+    UPDATE stock_reservations
+    SET status = 'released',
+        released_at = NOW()
+    WHERE order_id = p_order_id AND status = 'active';
+
+    UPDATE orders
+    SET status = 'Cancelled',
+        updated_at = NOW()
+    WHERE id = p_order_id
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_tracking (order_id, status, description)
+    VALUES (p_order_id, 'Order Cancelled', p_description);
+
+    RETURN v_order;
+END;
+$$;
@@ -0,0 +1,109 @@
+-- Uploaded media and product galleries. Uploads are stored once as resized
+-- WebP renditions (see services/mediaService.js) and can then be attached to
+-- any number of products. A product's gallery is ordered and has exactly one
+-- primary image, which products.image_url mirrors so listings, the cart and
+-- order lines keep working unchanged.
+
+CREATE TABLE IF NOT EXISTS media_assets (
+    id BIGSERIAL PRIMARY KEY,
+    storage_driver TEXT NOT NULL,
+    -- Storage keys of every rendition, e.g. {"large": "products/2026/10/...-large.webp"}
+    storage_keys JSONB NOT NULL DEFAULT '{}'::jsonb,
+    url TEXT NOT NULL,
+    medium_url TEXT NOT NULL,
+    thumbnail_url TEXT NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    byte_size INTEGER NOT NULL,
+    original_name TEXT,
+    original_type TEXT NOT NULL,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS product_images (
+    id BIGSERIAL PRIMARY KEY,
+    product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    -- NULL for images hosted elsewhere (e.g. URLs entered before uploads existed)
+    media_id BIGINT REFERENCES media_assets(id) ON DELETE SET NULL,
+    url TEXT NOT NULL,
+    medium_url TEXT,
+    thumbnail_url TEXT,
+    alt_text TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_images_product
+    ON product_images (product_id, position);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_images_one_primary
+    ON product_images (product_id)
+    WHERE is_primary;
+
+-- Existing products start with their current image as the whole gallery
+INSERT INTO product_images (product_id, url, position, is_primary)
+SELECT p.id, p.image_url, 1, TRUE
+FROM products p
+WHERE p.image_url IS NOT NULL
+  AND p.image_url <> ''
+  AND NOT EXISTS (SELECT 1 FROM product_images pi WHERE pi.product_id = p.id);
+
+-- Replaces a product's gallery in one go. p_images is the full ordered list
+-- of { media_id, url, medium_url, thumbnail_url, alt_text, is_primary }; the
+-- first image flagged primary wins, otherwise the first image is primary.
+CREATE OR REPLACE FUNCTION save_product_images(
+    p_product_id TEXT,
+    p_images JSONB
+)
+RETURNS SETOF product_images
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_image JSONB;
+    v_position INTEGER;
+    v_primary INTEGER;
+BEGIN
+    PERFORM 1 FROM products WHERE id = p_product_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Product % not found', p_product_id;
+    END IF;
+
+    SELECT COALESCE(MIN(ordinality), 1) INTO v_primary
+    FROM jsonb_array_elements(COALESCE(p_images, '[]'::jsonb)) WITH ORDINALITY
+    WHERE (value->>'is_primary')::BOOLEAN IS TRUE;
+
+    DELETE FROM product_images WHERE product_id = p_product_id;
+
+    FOR v_image, v_position IN
+        SELECT value, ordinality FROM jsonb_array_elements(COALESCE(p_images, '[]'::jsonb)) WITH ORDINALITY
+    LOOP
+        INSERT INTO product_images (product_id, media_id, url, medium_url, thumbnail_url, alt_text, position, is_primary)
+        VALUES (
+            p_product_id,
+            (v_image->>'media_id')::BIGINT,
+            v_image->>'url',
+            v_image->>'medium_url',
+            v_image->>'thumbnail_url',
+            v_image->>'alt_text',
+            v_position,
+            v_position = v_primary
+        );
+    END LOOP;
+
+    UPDATE products
+    SET image_url = (
+            SELECT url FROM product_images
+            WHERE product_id = p_product_id AND is_primary
+        ),
+        updated_at = NOW()
+    WHERE id = p_product_id;
+
+    RETURN QUERY
+        SELECT * FROM product_images
+        WHERE product_id = p_product_id
+        ORDER BY position;
+END;
+$$;
@@ -0,0 +1,15 @@
+-- Merchant-facing product codes. Bulk imports match products on their SKU,
+-- so every product needs one; existing products take their ID.
+
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS sku TEXT;
+
+UPDATE products
+SET sku = id
+WHERE sku IS NULL;
+
+ALTER TABLE products
+    ALTER COLUMN sku SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku
+    ON products (sku);
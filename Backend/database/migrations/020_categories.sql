@@ -0,0 +1,106 @@
+-- Categories as a managed tree instead of free text. products.category_id is
+-- the source of truth; products.category stays as a copy of the category's
+-- name (kept in sync below) so existing readers don't need to change.
+
+CREATE TABLE IF NOT EXISTS categories (
+    id BIGSERIAL PRIMARY KEY,
+    parent_id BIGINT REFERENCES categories(id) ON DELETE RESTRICT,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    description TEXT,
+    image_url TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (parent_id IS DISTINCT FROM id)
+);
+
+-- Sibling names are unique whatever their case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_sibling_name
+    ON categories (COALESCE(parent_id, 0), lower(name));
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent
+    ON categories (parent_id);
+
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS category_id BIGINT REFERENCES categories(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_products_category_id
+    ON products (category_id);
+
+-- Fold the free-text values into top-level categories. Values differing only
+-- in case or spacing ("Food", "food ") become one category, named after the
+-- most used spelling.
+WITH spellings AS (
+    SELECT lower(regexp_replace(trim(category), '\s+', ' ', 'g')) AS folded,
+           regexp_replace(trim(category), '\s+', ' ', 'g') AS name,
+           COUNT(*) AS uses
+    FROM products
+    WHERE category IS NOT NULL AND trim(category) <> ''
+    GROUP BY 1, 2
+),
+chosen AS (
+    SELECT DISTINCT ON (folded) folded, name
+    FROM spellings
+    ORDER BY folded, uses DESC, name
+),
+slugged AS (
+    SELECT name,
+           COALESCE(NULLIF(trim(BOTH '-' FROM regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g')), ''), 'category') AS slug
+    FROM chosen
+),
+numbered AS (
+    SELECT name, slug, row_number() OVER (PARTITION BY slug ORDER BY name) AS n
+    FROM slugged
+)
+INSERT INTO categories (name, slug)
+SELECT name, CASE WHEN n = 1 THEN slug ELSE slug || '-' || n END
+FROM numbered
+ON CONFLICT DO NOTHING;
+
+UPDATE products p
+SET category_id = c.id
+FROM categories c
+WHERE p.category_id IS NULL
+  AND c.parent_id IS NULL
+  AND lower(c.name) = lower(regexp_replace(trim(p.category), '\s+', ' ', 'g'));
+
+-- products.category follows the category it points at
+CREATE OR REPLACE FUNCTION sync_product_category_name()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.category_id IS NOT NULL THEN
+        SELECT name INTO NEW.category FROM categories WHERE id = NEW.category_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_sync_product_category_name ON products;
+
+CREATE TRIGGER trg_sync_product_category_name
+    BEFORE INSERT OR UPDATE OF category_id, category ON products
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_product_category_name();
+
+CREATE OR REPLACE FUNCTION sync_category_name_to_products()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE products SET category = NEW.name WHERE category_id = NEW.id;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_sync_category_name_to_products ON categories;
+
+CREATE TRIGGER trg_sync_category_name_to_products
+    AFTER UPDATE OF name ON categories
+    FOR EACH ROW
+    WHEN (OLD.name IS DISTINCT FROM NEW.name)
+    EXECUTE FUNCTION sync_category_name_to_products();
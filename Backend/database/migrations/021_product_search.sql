@@ -0,0 +1,101 @@
+-- Product search: full-text ranking weighted name > category > description,
+-- plus trigram matching on names so typos ("cofee") still find products.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(category, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector
+    ON products USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm
+    ON products USING GIN (lower(name) gin_trgm_ops);
+
+-- Active products matching p_query, best first, with facet counts. The
+-- query is only ever used as a value (websearch_to_tsquery, word_similarity,
+-- strpos), so no input needs escaping. An empty query matches every product,
+-- newest first.
+--
+-- Each facet leaves out its own filter: with a category picked, the category
+-- counts still show what the other categories hold. Price bands are numbered
+-- as width_bucket numbers them against p_price_bands (0 is below the first
+-- bound).
+CREATE OR REPLACE FUNCTION search_products(
+    p_query TEXT,
+    p_category_ids BIGINT[] DEFAULT NULL,
+    p_min_price NUMERIC DEFAULT NULL,
+    p_max_price NUMERIC DEFAULT NULL,
+    p_price_bands NUMERIC[] DEFAULT '{}',
+    p_limit INTEGER DEFAULT 12,
+    p_offset INTEGER DEFAULT 0,
+    p_facets BOOLEAN DEFAULT TRUE
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    WITH query AS (
+        SELECT websearch_to_tsquery('english', COALESCE(p_query, '')) AS terms,
+               lower(regexp_replace(trim(COALESCE(p_query, '')), '\s+', ' ', 'g')) AS text
+    ),
+    matches AS (
+        SELECT p.id,
+               p.category_id,
+               p.price,
+               p.created_at,
+               CASE WHEN query.text = '' THEN 0 ELSE
+                   ts_rank(p.search_vector, query.terms)
+                   + word_similarity(query.text, lower(p.name))
+                   + CASE WHEN starts_with(lower(p.name), query.text) THEN 0.5 ELSE 0 END
+               END AS score
+        FROM products p, query
+        WHERE p.is_active
+          AND (
+              query.text = ''
+              OR p.search_vector @@ query.terms
+              OR query.text <% lower(p.name)
+              OR strpos(lower(p.name), query.text) > 0
+          )
+    ),
+    in_category AS (
+        SELECT * FROM matches
+        WHERE p_category_ids IS NULL OR category_id = ANY (p_category_ids)
+    ),
+    in_price AS (
+        SELECT * FROM matches
+        WHERE (p_min_price IS NULL OR price >= p_min_price)
+          AND (p_max_price IS NULL OR price <= p_max_price)
+    ),
+    filtered AS (
+        SELECT in_category.* FROM in_category
+        JOIN in_price USING (id)
+    ),
+    page AS (
+        SELECT id, score, created_at FROM filtered
+        ORDER BY score DESC, created_at DESC, id
+        LIMIT p_limit OFFSET p_offset
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT COUNT(*) FROM filtered),
+        'ids', COALESCE(
+            (SELECT jsonb_agg(id ORDER BY score DESC, created_at DESC, id) FROM page),
+            '[]'::jsonb
+        ),
+        'categories', CASE WHEN p_facets THEN COALESCE(
+            (SELECT jsonb_agg(jsonb_build_object('category_id', category_id, 'count', count))
+             FROM (SELECT category_id, COUNT(*) AS count FROM in_price GROUP BY category_id) counts),
+            '[]'::jsonb
+        ) END,
+        'price_bands', CASE WHEN p_facets THEN COALESCE(
+            (SELECT jsonb_agg(jsonb_build_object('band', band, 'count', count))
+             FROM (SELECT width_bucket(price, p_price_bands) AS band, COUNT(*) AS count FROM in_category GROUP BY 1) counts),
+            '[]'::jsonb
+        ) END
+    );
+$$;
@@ -0,0 +1,187 @@
+-- Sorting and filtering for the product listing: units sold for the
+-- best-selling sort, and search_products extended with sort, in-stock and
+-- keyset (cursor) pagination.
+
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS units_sold INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_products_units_sold
+    ON products (units_sold DESC);
+
+-- Units of each product on orders that weren't cancelled
+CREATE OR REPLACE FUNCTION refresh_units_sold(p_product_ids TEXT[])
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    UPDATE products p
+    SET units_sold = COALESCE((
+        SELECT SUM(oi.quantity)
+        FROM order_items oi
+        JOIN orders o ON o.id = oi.order_id
+        WHERE oi.product_id = p.id
+          AND o.status <> 'Cancelled'
+    ), 0)
+    WHERE p.id = ANY (p_product_ids);
+$$;
+
+SELECT refresh_units_sold(ARRAY(SELECT id FROM products));
+
+CREATE OR REPLACE FUNCTION refresh_units_sold_for_item()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM refresh_units_sold(ARRAY[OLD.product_id]);
+        RETURN OLD;
+    END IF;
+
+    PERFORM refresh_units_sold(ARRAY[NEW.product_id]);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_refresh_units_sold_for_item ON order_items;
+
+CREATE TRIGGER trg_refresh_units_sold_for_item
+    AFTER INSERT OR UPDATE OF quantity OR DELETE ON order_items
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_units_sold_for_item();
+
+-- Cancelling an order (or reinstating one) changes what its products sold
+CREATE OR REPLACE FUNCTION refresh_units_sold_for_order()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    PERFORM refresh_units_sold(ARRAY(SELECT product_id FROM order_items WHERE order_id = NEW.id));
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_refresh_units_sold_for_order ON orders;
+
+CREATE TRIGGER trg_refresh_units_sold_for_order
+    AFTER UPDATE OF status ON orders
+    FOR EACH ROW
+    WHEN ((OLD.status = 'Cancelled') IS DISTINCT FROM (NEW.status = 'Cancelled'))
+    EXECUTE FUNCTION refresh_units_sold_for_order();
+
+-- search_products as in 021_product_search.sql, plus:
+--
+--   p_in_stock  only products with stock left
+--   p_sort      relevance, newest, price_asc, price_desc, name or best_selling
+--   p_after     the "next" key of the previous page; takes the place of
+--               p_offset
+--
+-- Every sort is turned into an ascending (sort_number, sort_text, id) key so
+-- one row comparison serves them all for keyset pagination.
+DROP FUNCTION IF EXISTS search_products(TEXT, BIGINT[], NUMERIC, NUMERIC, NUMERIC[], INTEGER, INTEGER, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION search_products(
+    p_query TEXT,
+    p_category_ids BIGINT[] DEFAULT NULL,
+    p_min_price NUMERIC DEFAULT NULL,
+    p_max_price NUMERIC DEFAULT NULL,
+    p_in_stock BOOLEAN DEFAULT FALSE,
+    p_sort TEXT DEFAULT 'relevance',
+    p_after JSONB DEFAULT NULL,
+    p_price_bands NUMERIC[] DEFAULT '{}',
+    p_limit INTEGER DEFAULT 12,
+    p_offset INTEGER DEFAULT 0,
+    p_facets BOOLEAN DEFAULT TRUE
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    WITH query AS (
+        SELECT websearch_to_tsquery('english', COALESCE(p_query, '')) AS terms,
+               lower(regexp_replace(trim(COALESCE(p_query, '')), '\s+', ' ', 'g')) AS text
+    ),
+    matches AS (
+        SELECT p.id,
+               p.category_id,
+               p.name,
+               p.price,
+               p.units_sold,
+               p.created_at,
+               CASE WHEN query.text = '' THEN 0 ELSE
+                   ts_rank(p.search_vector, query.terms)
+                   + word_similarity(query.text, lower(p.name))
+                   + CASE WHEN starts_with(lower(p.name), query.text) THEN 0.5 ELSE 0 END
+               END AS score
+        FROM products p, query
+        WHERE p.is_active
+          AND (NOT p_in_stock OR p.stock > 0)
+          AND (
+              query.text = ''
+              OR p.search_vector @@ query.terms
+              OR query.text <% lower(p.name)
+              OR strpos(lower(p.name), query.text) > 0
+          )
+    ),
+    in_category AS (
+        SELECT * FROM matches
+        WHERE p_category_ids IS NULL OR category_id = ANY (p_category_ids)
+    ),
+    in_price AS (
+        SELECT * FROM matches
+        WHERE (p_min_price IS NULL OR price >= p_min_price)
+          AND (p_max_price IS NULL OR price <= p_max_price)
+    ),
+    filtered AS (
+        SELECT in_category.* FROM in_category
+        JOIN in_price USING (id)
+    ),
+    keyed AS (
+        SELECT id,
+               CASE p_sort
+                   WHEN 'price_asc' THEN price
+                   WHEN 'price_desc' THEN -price
+                   WHEN 'best_selling' THEN -units_sold
+                   WHEN 'name' THEN 0
+                   WHEN 'newest' THEN -extract(epoch FROM created_at)::numeric
+                   ELSE -score::numeric
+               END AS sort_number,
+               CASE WHEN p_sort = 'name' THEN lower(name) ELSE '' END AS sort_text
+        FROM filtered
+    ),
+    -- One row more than the page, to tell whether there is a next page
+    page AS (
+        SELECT * FROM keyed
+        WHERE p_after IS NULL
+           OR (sort_number, sort_text, id) > ((p_after->>'number')::numeric, p_after->>'text', p_after->>'id')
+        ORDER BY sort_number, sort_text, id
+        LIMIT p_limit + 1
+        OFFSET CASE WHEN p_after IS NULL THEN p_offset ELSE 0 END
+    ),
+    shown AS (
+        SELECT * FROM page
+        ORDER BY sort_number, sort_text, id
+        LIMIT p_limit
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT COUNT(*) FROM filtered),
+        'ids', COALESCE(
+            (SELECT jsonb_agg(id ORDER BY sort_number, sort_text, id) FROM shown),
+            '[]'::jsonb
+        ),
+        'next', CASE WHEN (SELECT COUNT(*) FROM page) > p_limit THEN (
+            SELECT jsonb_build_object('number', sort_number::text, 'text', sort_text, 'id', id)
+            FROM shown
+            ORDER BY sort_number DESC, sort_text DESC, id DESC
+            LIMIT 1
+        ) END,
+        'categories', CASE WHEN p_facets THEN COALESCE(
+            (SELECT jsonb_agg(jsonb_build_object('category_id', category_id, 'count', count))
+             FROM (SELECT category_id, COUNT(*) AS count FROM in_price GROUP BY category_id) counts),
+            '[]'::jsonb
+        ) END,
+        'price_bands', CASE WHEN p_facets THEN COALESCE(
+            (SELECT jsonb_agg(jsonb_build_object('band', band, 'count', count))
+             FROM (SELECT width_bucket(price, p_price_bands) AS band, COUNT(*) AS count FROM in_category GROUP BY 1) counts),
+            '[]'::jsonb
+        ) END
+    );
+$$;
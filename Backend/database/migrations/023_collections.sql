@@ -0,0 +1,87 @@
+-- Merchandising collections (Featured, New Arrivals, Holiday Deals...). A
+-- collection lists its hand-picked products in order, then fills up to
+-- product_limit from its rules, if it has any. rules holds the product
+-- listing filters: { "categories": [...], "min_price", "max_price",
+-- "in_stock", "sort" }. A collection is live while it is active and within
+-- its starts_at/ends_at window; home_position puts it on the home page.
+
+CREATE TABLE IF NOT EXISTS collections (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    description TEXT,
+    rules JSONB,
+    product_limit INTEGER NOT NULL DEFAULT 12 CHECK (product_limit BETWEEN 1 AND 48),
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    home_position INTEGER,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE TABLE IF NOT EXISTS collection_products (
+    collection_id BIGINT NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+    product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (collection_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_products_position
+    ON collection_products (collection_id, position);
+
+-- Replaces the collection's hand-picked products with p_product_ids, in order
+CREATE OR REPLACE FUNCTION save_collection_products(
+    p_collection_id BIGINT,
+    p_product_ids TEXT[]
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_missing TEXT;
+BEGIN
+    PERFORM 1 FROM collections WHERE id = p_collection_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Collection % not found', p_collection_id;
+    END IF;
+
+    SELECT ids.id INTO v_missing
+    FROM unnest(p_product_ids) AS ids(id)
+    WHERE NOT EXISTS (SELECT 1 FROM products WHERE products.id = ids.id)
+    LIMIT 1;
+
+    IF v_missing IS NOT NULL THEN
+        RAISE EXCEPTION 'Product % not found', v_missing;
+    END IF;
+
+    DELETE FROM collection_products WHERE collection_id = p_collection_id;
+
+    INSERT INTO collection_products (collection_id, product_id, position)
+    SELECT p_collection_id, ids.id, MIN(ids.position)
+    FROM unnest(p_product_ids) WITH ORDINALITY AS ids(id, position)
+    GROUP BY ids.id;
+
+    UPDATE collections SET updated_at = NOW() WHERE id = p_collection_id;
+END;
+$$;
+
+-- Start the home page off where it was: the six newest products, now as a
+-- Featured collection that stays put until someone changes it
+INSERT INTO collections (name, slug, description, product_limit, home_position)
+VALUES ('Featured Products', 'featured', 'Hand-picked products for the home page', 6, 1)
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO collection_products (collection_id, product_id, position)
+SELECT c.id, p.id, row_number() OVER (ORDER BY p.created_at DESC)
+FROM collections c
+CROSS JOIN LATERAL (
+    SELECT id, created_at FROM products
+    WHERE is_active
+    ORDER BY created_at DESC
+    LIMIT 6
+) p
+WHERE c.slug = 'featured'
+  AND NOT EXISTS (SELECT 1 FROM collection_products WHERE collection_id = c.id);
@@ -0,0 +1,254 @@
+-- Product reviews from verified buyers. Customers with a Delivered order
+-- containing a product may rate it 1-5 and review it, once; editing a
+-- review sends it back for moderation. Only approved reviews are shown and
+-- counted in the product's rating_average and review_count.
+
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS rating_average NUMERIC(3, 2),
+    ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS product_reviews (
+    id BIGSERIAL PRIMARY KEY,
+    product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title TEXT,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    moderation_note TEXT,
+    moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMPTZ,
+    helpful_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (product_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product_status
+    ON product_reviews (product_id, status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_product_reviews_status
+    ON product_reviews (status, created_at);
+
+CREATE TABLE IF NOT EXISTS review_helpful_votes (
+    review_id BIGINT NOT NULL REFERENCES product_reviews(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (review_id, user_id)
+);
+
+-- Average and count of the product's approved reviews
+CREATE OR REPLACE FUNCTION refresh_product_rating(p_product_id TEXT)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    UPDATE products p
+    SET rating_average = stats.average,
+        review_count = stats.count
+    FROM (
+        SELECT ROUND(AVG(rating), 2) AS average, COUNT(*) AS count
+        FROM product_reviews
+        WHERE product_id = p_product_id
+          AND status = 'approved'
+    ) stats
+    WHERE p.id = p_product_id;
+$$;
+
+CREATE OR REPLACE FUNCTION refresh_product_rating_for_review()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM refresh_product_rating(OLD.product_id);
+        RETURN OLD;
+    END IF;
+
+    PERFORM refresh_product_rating(NEW.product_id);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_refresh_product_rating ON product_reviews;
+
+CREATE TRIGGER trg_refresh_product_rating
+    AFTER INSERT OR UPDATE OF rating, status OR DELETE ON product_reviews
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_product_rating_for_review();
+
+CREATE OR REPLACE FUNCTION refresh_review_helpful_count()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_review_id BIGINT := CASE WHEN TG_OP = 'DELETE' THEN OLD.review_id ELSE NEW.review_id END;
+BEGIN
+    UPDATE product_reviews
+    SET helpful_count = (SELECT COUNT(*) FROM review_helpful_votes WHERE review_id = v_review_id)
+    WHERE id = v_review_id;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_refresh_review_helpful_count ON review_helpful_votes;
+
+CREATE TRIGGER trg_refresh_review_helpful_count
+    AFTER INSERT OR DELETE ON review_helpful_votes
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_review_helpful_count();
+
+-- Creates or replaces the customer's review of a product they have received.
+-- Either way the review waits for moderation again.
+CREATE OR REPLACE FUNCTION submit_product_review(
+    p_product_id TEXT,
+    p_user_id UUID,
+    p_rating INTEGER,
+    p_title TEXT,
+    p_body TEXT
+)
+RETURNS product_reviews
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_review product_reviews;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM order_items oi
+        JOIN orders o ON o.id = oi.order_id
+        WHERE oi.product_id = p_product_id
+          AND o.user_id = p_user_id
+          AND o.status = 'Delivered'
+    ) THEN
+        RAISE EXCEPTION 'Only customers who have received this product can review it';
+    END IF;
+
+    INSERT INTO product_reviews (product_id, user_id, rating, title, body)
+    VALUES (p_product_id, p_user_id, p_rating, p_title, p_body)
+    ON CONFLICT (product_id, user_id) DO UPDATE
+    SET rating = EXCLUDED.rating,
+        title = EXCLUDED.title,
+        body = EXCLUDED.body,
+        status = 'pending',
+        moderation_note = NULL,
+        moderated_by = NULL,
+        moderated_at = NULL,
+        updated_at = NOW()
+    RETURNING * INTO v_review;
+
+    RETURN v_review;
+END;
+$$;
+
+-- search_products as in 022_product_sorting.sql, plus the rating sort:
+-- highest average first, with unreviewed products last
+CREATE OR REPLACE FUNCTION search_products(
+    p_query TEXT,
+    p_category_ids BIGINT[] DEFAULT NULL,
+    p_min_price NUMERIC DEFAULT NULL,
+    p_max_price NUMERIC DEFAULT NULL,
+    p_in_stock BOOLEAN DEFAULT FALSE,
+    p_sort TEXT DEFAULT 'relevance',
+    p_after JSONB DEFAULT NULL,
+    p_price_bands NUMERIC[] DEFAULT '{}',
+    p_limit INTEGER DEFAULT 12,
+    p_offset INTEGER DEFAULT 0,
+    p_facets BOOLEAN DEFAULT TRUE
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    WITH query AS (
+        SELECT websearch_to_tsquery('english', COALESCE(p_query, '')) AS terms,
+               lower(regexp_replace(trim(COALESCE(p_query, '')), '\s+', ' ', 'g')) AS text
+    ),
+    matches AS (
+        SELECT p.id,
+               p.category_id,
+               p.name,
+               p.price,
+               p.units_sold,
+               p.rating_average,
+               p.created_at,
+               CASE WHEN query.text = '' THEN 0 ELSE
+                   ts_rank(p.search_vector, query.terms)
+                   + word_similarity(query.text, lower(p.name))
+                   + CASE WHEN starts_with(lower(p.name), query.text) THEN 0.5 ELSE 0 END
+               END AS score
+        FROM products p, query
+        WHERE p.is_active
+          AND (NOT p_in_stock OR p.stock > 0)
+          AND (
+              query.text = ''
+              OR p.search_vector @@ query.terms
+              OR query.text <% lower(p.name)
+              OR strpos(lower(p.name), query.text) > 0
+          )
+    ),
+    in_category AS (
+        SELECT * FROM matches
+        WHERE p_category_ids IS NULL OR category_id = ANY (p_category_ids)
+    ),
+    in_price AS (
+        SELECT * FROM matches
+        WHERE (p_min_price IS NULL OR price >= p_min_price)
+          AND (p_max_price IS NULL OR price <= p_max_price)
+    ),
+    filtered AS (
+        SELECT in_category.* FROM in_category
+        JOIN in_price USING (id)
+    ),
+    keyed AS (
+        SELECT id,
+               CASE p_sort
+                   WHEN 'price_asc' THEN price
+                   WHEN 'price_desc' THEN -price
+                   WHEN 'best_selling' THEN -units_sold
+                   WHEN 'rating' THEN -COALESCE(rating_average, 0)
+                   WHEN 'name' THEN 0
+                   WHEN 'newest' THEN -extract(epoch FROM created_at)::numeric
+                   ELSE -score::numeric
+               END AS sort_number,
+               CASE WHEN p_sort = 'name' THEN lower(name) ELSE '' END AS sort_text
+        FROM filtered
+    ),
+    -- One row more than the page, to tell whether there is a next page
+    page AS (
+        SELECT * FROM keyed
+        WHERE p_after IS NULL
+           OR (sort_number, sort_text, id) > ((p_after->>'number')::numeric, p_after->>'text', p_after->>'id')
+        ORDER BY sort_number, sort_text, id
+        LIMIT p_limit + 1
+        OFFSET CASE WHEN p_after IS NULL THEN p_offset ELSE 0 END
+    ),
+    shown AS (
+        SELECT * FROM page
+        ORDER BY sort_number, sort_text, id
+        LIMIT p_limit
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT COUNT(*) FROM filtered),
+        'ids', COALESCE(
+            (SELECT jsonb_agg(id ORDER BY sort_number, sort_text, id) FROM shown),
+            '[]'::jsonb
+        ),
+        'next', CASE WHEN (SELECT COUNT(*) FROM page) > p_limit THEN (
+            SELECT jsonb_build_object('number', sort_number::text, 'text', sort_text, 'id', id)
+            FROM shown
+            ORDER BY sort_number DESC, sort_text DESC, id DESC
+            LIMIT 1
+        ) END,
+        'categories', CASE WHEN p_facets THEN COALESCE(
+            (SELECT jsonb_agg(jsonb_build_object('category_id', category_id, 'count', count))
+             FROM (SELECT category_id, COUNT(*) AS count FROM in_price GROUP BY category_id) counts),
+            '[]'::jsonb
+        ) END,
+        'price_bands', CASE WHEN p_facets THEN COALESCE(
+            (SELECT jsonb_agg(jsonb_build_object('band', band, 'count', count))
+             FROM (SELECT width_bucket(price, p_price_bands) AS band, COUNT(*) AS count FROM in_category GROUP BY 1) counts),
+            '[]'::jsonb
+        ) END
+    );
+$$;
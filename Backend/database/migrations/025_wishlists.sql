@@ -0,0 +1,80 @@
+-- Wishlists. Customers save products for later and may ask to hear when one
+-- is back in stock or cheaper. Stock and price changes on products (variants
+-- roll up into them, see 017_product_variants.sql) queue a row in
+-- wishlist_notifications; wishlistNotifier emails them.
+
+CREATE TABLE IF NOT EXISTS wishlist_items (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    notify_back_in_stock BOOLEAN NOT NULL DEFAULT FALSE,
+    notify_price_drop BOOLEAN NOT NULL DEFAULT FALSE,
+    -- The price a drop is measured against: the price when saved, then the
+    -- price last notified, so a price that dips and recovers isn't repeated
+    reference_price NUMERIC(10, 2) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_product
+    ON wishlist_items (product_id);
+
+CREATE TABLE IF NOT EXISTS wishlist_notifications (
+    id BIGSERIAL PRIMARY KEY,
+    wishlist_item_id BIGINT NOT NULL REFERENCES wishlist_items(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('back_in_stock', 'price_drop')),
+    old_price NUMERIC(10, 2),
+    new_price NUMERIC(10, 2),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'skipped')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_wishlist_notifications_pending
+    ON wishlist_notifications (created_at)
+    WHERE status = 'pending';
+
+CREATE OR REPLACE FUNCTION queue_wishlist_notifications()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NOT NEW.is_active THEN
+        RETURN NEW;
+    END IF;
+
+    IF OLD.stock <= 0 AND NEW.stock > 0 THEN
+        INSERT INTO wishlist_notifications (wishlist_item_id, kind, new_price)
+        SELECT id, 'back_in_stock', NEW.price
+        FROM wishlist_items
+        WHERE product_id = NEW.id
+          AND notify_back_in_stock;
+    END IF;
+
+    IF NEW.price < OLD.price THEN
+        INSERT INTO wishlist_notifications (wishlist_item_id, kind, old_price, new_price)
+        SELECT id, 'price_drop', reference_price, NEW.price
+        FROM wishlist_items
+        WHERE product_id = NEW.id
+          AND notify_price_drop
+          AND NEW.price < reference_price;
+
+        UPDATE wishlist_items
+        SET reference_price = NEW.price
+        WHERE product_id = NEW.id
+          AND notify_price_drop
+          AND NEW.price < reference_price;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_queue_wishlist_notifications ON products;
+
+CREATE TRIGGER trg_queue_wishlist_notifications
+    AFTER UPDATE OF stock, price ON products
+    FOR EACH ROW
+    WHEN (OLD.stock IS DISTINCT FROM NEW.stock OR OLD.price IS DISTINCT FROM NEW.price)
+    EXECUTE FUNCTION queue_wishlist_notifications();
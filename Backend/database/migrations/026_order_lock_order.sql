@@ -0,0 +1,218 @@
+-- Two orders for the same products, listed in a different order, used to
+-- lock the product and variant rows in opposite order and could deadlock.
+-- place_order and cancel_order (as in 017_product_variants.sql) now walk
+-- their lines sorted by product then variant, so every transaction takes
+-- those row locks in the same order.
+
+CREATE OR REPLACE FUNCTION place_order(
+    p_order_id TEXT,
+    p_user_id UUID,
+    p_items JSONB,
+    p_payment_method TEXT,
+    p_payment_account TEXT,
+    p_transaction_code TEXT,
+    p_customer_name TEXT,
+    p_customer_email TEXT,
+    p_customer_phone TEXT,
+    p_shipping_address TEXT,
+    p_notes TEXT,
+    p_tax_rate NUMERIC DEFAULT 0.16,
+    p_reservation_minutes INTEGER DEFAULT NULL
+)
+RETURNS orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item JSONB;
+    v_quantity INTEGER;
+    v_variant_id BIGINT;
+    v_product_id TEXT;
+    v_product_name TEXT;
+    v_price NUMERIC;
+    v_sku TEXT;
+    v_options JSONB;
+    v_label TEXT;
+    v_subtotal NUMERIC := 0;
+    v_order orders;
+BEGIN
+    IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item';
+    END IF;
+
+    INSERT INTO orders (
+        id, user_id, total_amount, subtotal, tax_amount,
+        payment_method, payment_account, transaction_code,
+        customer_name, customer_email, customer_phone,
+        shipping_address, notes
+    ) VALUES (
+        p_order_id, p_user_id, 0, 0, 0,
+        p_payment_method, p_payment_account, p_transaction_code,
+        p_customer_name, p_customer_email, p_customer_phone,
+        p_shipping_address, p_notes
+    );
+
+    FOR v_item IN
+        SELECT value
+        FROM jsonb_array_elements(p_items)
+        ORDER BY value->>'product_id', NULLIF(value->>'variant_id', '')::BIGINT
+    LOOP
+        v_quantity := (v_item->>'quantity')::INTEGER;
+        v_variant_id := NULLIF(v_item->>'variant_id', '')::BIGINT;
+        v_sku := NULL;
+        v_label := NULL;
+
+        IF v_variant_id IS NOT NULL THEN
+            UPDATE product_variants v
+            SET stock = v.stock - v_quantity,
+                updated_at = NOW()
+            FROM products p
+            WHERE v.id = v_variant_id
+              AND v.product_id = v_item->>'product_id'
+              AND v.is_active
+              AND p.id = v.product_id
+              AND p.is_active = TRUE
+              AND v.stock >= v_quantity
+            RETURNING p.id, p.name, v.price, v.sku, v.options
+            INTO v_product_id, v_product_name, v_price, v_sku, v_options;
+
+            IF NOT FOUND THEN
+                SELECT p.name INTO v_product_name
+                FROM product_variants v
+                JOIN products p ON p.id = v.product_id
+                WHERE v.id = v_variant_id
+                  AND v.product_id = v_item->>'product_id'
+                  AND v.is_active
+                  AND p.is_active = TRUE;
+
+                IF NOT FOUND THEN
+                    RAISE EXCEPTION 'Product option % not found', v_variant_id;
+                END IF;
+
+                RAISE EXCEPTION 'Insufficient stock for product %', v_product_name;
+            END IF;
+
+            SELECT string_agg(v_options->>o.name, ' / ' ORDER BY o.position)
+            INTO v_label
+            FROM product_options o
+            WHERE o.product_id = v_product_id;
+        ELSE
+            IF EXISTS (
+                SELECT 1 FROM product_variants
+                WHERE product_id = v_item->>'product_id' AND is_active
+            ) THEN
+                RAISE EXCEPTION 'Please choose an option for product %', v_item->>'product_id';
+            END IF;
+
+            UPDATE products
+            SET stock = stock - v_quantity,
+                updated_at = NOW()
+            WHERE id = v_item->>'product_id'
+              AND is_active = TRUE
+              AND stock >= v_quantity
+            RETURNING id, name, price INTO v_product_id, v_product_name, v_price;
+
+            IF NOT FOUND THEN
+                SELECT name INTO v_product_name
+                FROM products
+                WHERE id = v_item->>'product_id' AND is_active = TRUE;
+
+                IF NOT FOUND THEN
+                    RAISE EXCEPTION 'Product % not found', v_item->>'product_id';
+                END IF;
+
+                RAISE EXCEPTION 'Insufficient stock for product %', v_product_name;
+            END IF;
+        END IF;
+
+        INSERT INTO order_items (
+            order_id, product_id, variant_id, variant_sku, variant_label,
+            product_name, product_price, quantity, total_price
+        ) VALUES (
+            p_order_id, v_product_id, v_variant_id, v_sku, v_label,
+            v_product_name, v_price, v_quantity, v_price * v_quantity
+        );
+
+        IF p_reservation_minutes IS NOT NULL THEN
+            INSERT INTO stock_reservations (order_id, product_id, variant_id, quantity, expires_at)
+            VALUES (
+                p_order_id, v_product_id, v_variant_id, v_quantity,
+                NOW() + make_interval(mins => p_reservation_minutes)
+            );
+        END IF;
+
+        v_subtotal := v_subtotal + v_price * v_quantity;
+    END LOOP;
+
+    UPDATE orders
+    SET subtotal = v_subtotal,
+        tax_amount = v_subtotal * p_tax_rate,
+        total_amount = v_subtotal + v_subtotal * p_tax_rate
+    WHERE id = p_order_id
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_tracking (order_id, status, description)
+    VALUES (p_order_id, 'Order Placed', 'Your order has been placed successfully');
+
+    DELETE FROM cart_items WHERE user_id = p_user_id;
+
+    RETURN v_order;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION cancel_order(
+    p_order_id TEXT,
+    p_description TEXT DEFAULT 'Order cancelled by customer'
+)
+RETURNS orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_order orders;
+    v_item RECORD;
+BEGIN
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % not found', p_order_id;
+    END IF;
+
+    IF v_order.status <> 'Processing' THEN
+        RAISE EXCEPTION 'Order cannot be cancelled at this stage';
+    END IF;
+
+    FOR v_item IN
+        SELECT product_id, variant_id, quantity
+        FROM order_items
+        WHERE order_id = p_order_id
+        ORDER BY product_id, variant_id
+    LOOP
+        IF v_item.variant_id IS NOT NULL THEN
+            UPDATE product_variants
+            SET stock = stock + v_item.quantity,
+                updated_at = NOW()
+            WHERE id = v_item.variant_id;
+        ELSE
+            UPDATE products
+            SET stock = stock + v_item.quantity,
+                updated_at = NOW()
+            WHERE id = v_item.product_id;
+        END IF;
+    END LOOP;
+
+    UPDATE stock_reservations
+    SET status = 'released',
+        released_at = NOW()
+    WHERE order_id = p_order_id AND status = 'active';
+
+    UPDATE orders
+    SET status = 'Cancelled',
+        updated_at = NOW()
+    WHERE id = p_order_id
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_tracking (order_id, status, description)
+    VALUES (p_order_id, 'Order Cancelled', p_description);
+
+    RETURN v_order;
+END;
+$$;
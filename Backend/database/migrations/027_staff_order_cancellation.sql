@@ -0,0 +1,65 @@
+-- Staff can cancel an order that was paid but not yet shipped, and that has
+-- to put its stock back just like a customer cancellation. cancel_order (as
+-- in 026_order_lock_order.sql) takes the statuses it may cancel from;
+-- customers and the reservation sweep keep the default of Processing only.
+
+DROP FUNCTION IF EXISTS cancel_order(TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION cancel_order(
+    p_order_id TEXT,
+    p_description TEXT DEFAULT 'Order cancelled by customer',
+    p_from_statuses TEXT[] DEFAULT ARRAY['Processing']
+)
+RETURNS orders
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_order orders;
+    v_item RECORD;
+BEGIN
+    SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % not found', p_order_id;
+    END IF;
+
+    IF NOT v_order.status = ANY (p_from_statuses) THEN
+        RAISE EXCEPTION 'Order cannot be cancelled at this stage';
+    END IF;
+
+    FOR v_item IN
+        SELECT product_id, variant_id, quantity
+        FROM order_items
+        WHERE order_id = p_order_id
+        ORDER BY product_id, variant_id
+    LOOP
+        IF v_item.variant_id IS NOT NULL THEN
+            UPDATE product_variants
+            SET stock = stock + v_item.quantity,
+                updated_at = NOW()
+            WHERE id = v_item.variant_id;
+        ELSE
+            UPDATE products
+            SET stock = stock + v_item.quantity,
+                updated_at = NOW()
+            WHERE id = v_item.product_id;
+        END IF;
+    END LOOP;
+
+    UPDATE stock_reservations
+    SET status = 'released',
+        released_at = NOW()
+    WHERE order_id = p_order_id AND status = 'active';
+
+    UPDATE orders
+    SET status = 'Cancelled',
+        updated_at = NOW()
+    WHERE id = p_order_id
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_tracking (order_id, status, description)
+    VALUES (p_order_id, 'Order Cancelled', p_description);
+
+    RETURN v_order;
+END;
+$$;
@@ -0,0 +1,16 @@
+-- Bounds how long the reconciliation job keeps asking Daraja about an STK
+-- push. Each unanswered status query counts an attempt; after
+-- MPESA_RECONCILE_MAX_ATTEMPTS the transaction is marked expired and no
+-- longer picked up. A late callback can still settle an expired transaction.
+
+ALTER TABLE mpesa_transactions
+    ADD COLUMN IF NOT EXISTS reconcile_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_reconciled_at TIMESTAMPTZ;
+
+ALTER TABLE mpesa_transactions DROP CONSTRAINT IF EXISTS mpesa_transactions_status_check;
+ALTER TABLE mpesa_transactions
+    ADD CONSTRAINT mpesa_transactions_status_check
+    CHECK (status IN ('pending', 'success', 'failed', 'quarantined', 'expired'));
+
+ALTER TABLE payment_reconciliation_runs
+    ADD COLUMN IF NOT EXISTS expired INTEGER NOT NULL DEFAULT 0;
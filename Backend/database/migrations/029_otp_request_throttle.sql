@@ -0,0 +1,17 @@
+-- Every OTP login request is recorded here, whether or not an account uses
+-- the number, and the rate limits are checked against this table instead of
+-- phone_otps. Unknown numbers are then throttled exactly like registered
+-- ones, and requests can be capped per client IP as well as per phone.
+
+CREATE TABLE IF NOT EXISTS phone_otp_requests (
+    id BIGSERIAL PRIMARY KEY,
+    phone TEXT NOT NULL,
+    ip_address TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_otp_requests_phone
+    ON phone_otp_requests (phone, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_phone_otp_requests_ip
+    ON phone_otp_requests (ip_address, created_at DESC);
@@ -0,0 +1,10 @@
+-- Login lockouts are now read from the account_locked security events, which
+-- are logged per email whether or not an account uses it. Lockouts stored on
+-- the user only ever applied to registered emails, which told callers which
+-- emails had accounts.
+
+CREATE INDEX IF NOT EXISTS idx_security_events_email
+    ON security_events (email, event_type, created_at DESC);
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS locked_until;
@@ -0,0 +1,64 @@
+-- Wishlist notices that keep failing to send (a bad address, say) used to
+-- stay pending and come back first in every batch until they crowded out
+-- everything else. wishlistNotifier now counts attempts and marks a notice
+-- failed after WISHLIST_NOTIFY_MAX_ATTEMPTS.
+--
+-- Stock can also flap around zero as reservations are released and orders
+-- cancelled, so a back-in-stock notice is no longer queued for an item that
+-- already has one pending or sent within the last day.
+
+ALTER TABLE wishlist_notifications
+    ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+ALTER TABLE wishlist_notifications DROP CONSTRAINT IF EXISTS wishlist_notifications_status_check;
+ALTER TABLE wishlist_notifications
+    ADD CONSTRAINT wishlist_notifications_status_check
+    CHECK (status IN ('pending', 'sent', 'skipped', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_wishlist_notifications_item
+    ON wishlist_notifications (wishlist_item_id, kind, created_at DESC);
+
+CREATE OR REPLACE FUNCTION queue_wishlist_notifications()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NOT NEW.is_active THEN
+        RETURN NEW;
+    END IF;
+
+    IF OLD.stock <= 0 AND NEW.stock > 0 THEN
+        INSERT INTO wishlist_notifications (wishlist_item_id, kind, new_price)
+        SELECT id, 'back_in_stock', NEW.price
+        FROM wishlist_items
+        WHERE product_id = NEW.id
+          AND notify_back_in_stock
+          AND NOT EXISTS (
+              SELECT 1
+              FROM wishlist_notifications queued
+              WHERE queued.wishlist_item_id = wishlist_items.id
+                AND queued.kind = 'back_in_stock'
+                AND (queued.status = 'pending'
+                     OR (queued.status = 'sent' AND queued.processed_at > NOW() - INTERVAL '1 day'))
+          );
+    END IF;
+
+    IF NEW.price < OLD.price THEN
+        INSERT INTO wishlist_notifications (wishlist_item_id, kind, old_price, new_price)
+        SELECT id, 'price_drop', reference_price, NEW.price
+        FROM wishlist_items
+        WHERE product_id = NEW.id
+          AND notify_price_drop
+          AND NEW.price < reference_price;
+
+        UPDATE wishlist_items
+        SET reference_price = NEW.price
+        WHERE product_id = NEW.id
+          AND notify_price_drop
+          AND NEW.price < reference_price;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
@@ -0,0 +1,96 @@
+-- Refunds are checked against what is left to refund and recorded in one
+-- transaction that holds the order row, so two requests for the same order
+-- can't both pass the check and refund more than the customer paid. The
+-- refund is recorded before the provider is asked to pay it out.
+
+CREATE OR REPLACE FUNCTION check_refundable_balance(
+    p_refunded NUMERIC,
+    p_paid_amount NUMERIC,
+    p_amount NUMERIC
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_refundable NUMERIC := p_paid_amount - p_refunded;
+BEGIN
+    IF v_refundable <= 0 THEN
+        RAISE EXCEPTION 'Order has already been fully refunded';
+    END IF;
+
+    IF p_amount > v_refundable THEN
+        RAISE EXCEPTION 'Refund amount exceeds the refundable balance of KSh %',
+            trim(trailing '.' from to_char(v_refundable, 'FM999,999,990.99'));
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION create_mpesa_refund(
+    p_order_id TEXT,
+    p_checkout_request_id TEXT,
+    p_method TEXT,
+    p_amount NUMERIC,
+    p_paid_amount NUMERIC,
+    p_reason TEXT,
+    p_requested_by UUID
+) RETURNS mpesa_refunds
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_refunded NUMERIC;
+    v_refund mpesa_refunds;
+BEGIN
+    PERFORM 1 FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_refunded
+      FROM mpesa_refunds
+     WHERE order_id = p_order_id
+       AND status <> 'failed';
+
+    PERFORM check_refundable_balance(v_refunded, p_paid_amount, p_amount);
+
+    INSERT INTO mpesa_refunds (order_id, checkout_request_id, method, amount, reason, requested_by, status)
+    VALUES (p_order_id, p_checkout_request_id, p_method, p_amount, p_reason, p_requested_by, 'pending')
+    RETURNING * INTO v_refund;
+
+    RETURN v_refund;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION create_payment_refund(
+    p_provider TEXT,
+    p_order_id TEXT,
+    p_transaction_reference TEXT,
+    p_amount NUMERIC,
+    p_paid_amount NUMERIC,
+    p_reason TEXT,
+    p_requested_by UUID,
+    p_status TEXT
+) RETURNS payment_refunds
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_refunded NUMERIC;
+    v_refund payment_refunds;
+BEGIN
+    PERFORM 1 FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_refunded
+      FROM payment_refunds
+     WHERE provider = p_provider
+       AND order_id = p_order_id
+       AND status <> 'failed';
+
+    PERFORM check_refundable_balance(v_refunded, p_paid_amount, p_amount);
+
+    INSERT INTO payment_refunds (
+        provider, order_id, transaction_reference, amount, reason, requested_by, status, completed_at
+    )
+    VALUES (
+        p_provider, p_order_id, p_transaction_reference, p_amount, p_reason, p_requested_by, p_status,
+        CASE WHEN p_status = 'success' THEN NOW() END
+    )
+    RETURNING * INTO v_refund;
+
+    RETURN v_refund;
+END;
+$$;
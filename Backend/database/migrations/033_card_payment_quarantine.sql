@@ -0,0 +1,29 @@
+-- Card (and other non-M-Pesa) payments that arrive short or after the order
+-- stopped awaiting payment are queued in payment_quarantine as well, so admins
+-- review them next to M-Pesa ones. Those rows point at payment_transactions
+-- by provider and reference instead of at an M-Pesa checkout request.
+
+ALTER TABLE payment_quarantine
+    ADD COLUMN IF NOT EXISTS provider TEXT NOT NULL DEFAULT 'mpesa',
+    ADD COLUMN IF NOT EXISTS transaction_reference TEXT;
+
+ALTER TABLE payment_quarantine
+    ALTER COLUMN checkout_request_id DROP NOT NULL;
+
+ALTER TABLE payment_quarantine
+    DROP CONSTRAINT IF EXISTS payment_quarantine_transaction_fkey;
+
+ALTER TABLE payment_quarantine
+    ADD CONSTRAINT payment_quarantine_transaction_fkey
+    FOREIGN KEY (provider, transaction_reference) REFERENCES payment_transactions(provider, reference);
+
+ALTER TABLE payment_quarantine
+    DROP CONSTRAINT IF EXISTS payment_quarantine_payment_check;
+
+ALTER TABLE payment_quarantine
+    ADD CONSTRAINT payment_quarantine_payment_check CHECK (
+        CASE WHEN provider = 'mpesa'
+            THEN checkout_request_id IS NOT NULL
+            ELSE transaction_reference IS NOT NULL
+        END
+    );
@@ -0,0 +1,99 @@
+-- A phone number only identifies an account for OTP login once the customer
+-- has proven they receive SMS on it (POST /api/auth/phone/verify). Numbers
+-- copied from profiles without that proof are cleared, so nobody can take
+-- over or block OTP login for a number by typing it into their profile.
+-- Those customers verify their number again from their profile.
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMPTZ;
+
+UPDATE users
+   SET phone_normalized = NULL
+ WHERE phone_normalized IS NOT NULL
+   AND phone_verified_at IS NULL;
+
+DROP INDEX IF EXISTS idx_users_phone_normalized;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_phone_normalized_unique
+    ON users (phone_normalized)
+    WHERE phone_normalized IS NOT NULL;
+
+-- Codes sent to verify a number can't be used to log in, and the reverse
+ALTER TABLE phone_otps
+    ADD COLUMN IF NOT EXISTS purpose TEXT NOT NULL DEFAULT 'login'
+        CHECK (purpose IN ('login', 'phone_verification'));
+
+DROP FUNCTION IF EXISTS verify_phone_otp(TEXT, TEXT, INTEGER);
+
+-- As in 012_phone_otp_login.sql, but only codes sent for p_purpose count,
+-- and only those sent to p_user_id when it is given
+CREATE OR REPLACE FUNCTION verify_phone_otp(
+    p_phone TEXT,
+    p_code_hash TEXT,
+    p_max_attempts INTEGER,
+    p_purpose TEXT,
+    p_user_id UUID DEFAULT NULL
+) RETURNS TABLE (result TEXT, user_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_otp phone_otps;
+BEGIN
+    SELECT * INTO v_otp
+      FROM phone_otps
+     WHERE phone = p_phone
+       AND purpose = p_purpose
+       AND (p_user_id IS NULL OR phone_otps.user_id = p_user_id)
+       AND consumed_at IS NULL
+       AND expires_at > NOW()
+     ORDER BY created_at DESC
+     LIMIT 1
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT 'expired'::TEXT, NULL::UUID;
+        RETURN;
+    END IF;
+
+    IF v_otp.attempts >= p_max_attempts THEN
+        RETURN QUERY SELECT 'locked'::TEXT, NULL::UUID;
+        RETURN;
+    END IF;
+
+    IF v_otp.code_hash = p_code_hash THEN
+        UPDATE phone_otps SET consumed_at = NOW() WHERE id = v_otp.id;
+        RETURN QUERY SELECT 'ok'::TEXT, v_otp.user_id;
+        RETURN;
+    END IF;
+
+    UPDATE phone_otps SET attempts = attempts + 1 WHERE id = v_otp.id;
+
+    IF v_otp.attempts + 1 >= p_max_attempts THEN
+        RETURN QUERY SELECT 'locked'::TEXT, NULL::UUID;
+    ELSE
+        RETURN QUERY SELECT 'invalid'::TEXT, NULL::UUID;
+    END IF;
+END;
+$$;
+
+-- Gives a verified number to the account that proved it. Carriers recycle
+-- numbers, so an account that verified it earlier loses it.
+CREATE OR REPLACE FUNCTION claim_phone_number(
+    p_user_id UUID,
+    p_phone TEXT
+) RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE users
+       SET phone_normalized = NULL,
+           phone_verified_at = NULL
+     WHERE phone_normalized = p_phone
+       AND id <> p_user_id;
+
+    UPDATE users
+       SET phone_normalized = p_phone,
+           phone_verified_at = NOW()
+     WHERE id = p_user_id;
+END;
+$$;
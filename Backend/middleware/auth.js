@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { supabase } = require('../config/supabase');
+const tokenService = require('../services/tokenService');
+const { hasPermission } = require('../config/permissions');
 
 const authenticateToken = async (req, res, next) => {
     try {
@@ -14,7 +16,15 @@ const authenticateToken = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
+
+        // Access tokens die with their session (logout, remote revoke, token reuse)
+        if (!decoded.sid || !(await tokenService.isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Session has ended'
+            });
+        }
+
         // Verify user still exists
         const { data: user, error } = await supabase
             .from('users')
@@ -30,8 +40,17 @@ const authenticateToken = async (req, res, next) => {
         }
 
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
+        // Clients refresh on 401; anything else about the token is not recoverable
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Access token expired'
+            });
+        }
+
         return res.status(403).json({
             status: 'error',
             message: 'Invalid or expired token'
@@ -59,7 +78,29 @@ const requireRole = (roles) => {
     };
 };
 
+// Passes when the user's role grants every listed permission
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Authentication required'
+            });
+        }
+
+        if (!permissions.every(permission => hasPermission(req.user.role, permission))) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Insufficient permissions'
+            });
+        }
+
+        next();
+    };
+};
+
 module.exports = {
     authenticateToken,
-    requireRole
+    requireRole,
+    requirePermission
 };
\ No newline at end of file
@@ -22,6 +22,16 @@ const errorHandler = (err, req, res, next) => {
                 error.message = 'Invalid data provided';
                 error.statusCode = 400;
                 break;
+            case 'P0001': // RAISE EXCEPTION from our database functions
+                error.message = err.message;
+                error.statusCode = 400;
+                break;
+            case '40P01': // Deadlock detected
+            case '40001': // Serialization failure
+                // The transaction was rolled back and is safe to repeat
+                error.message = 'The request conflicted with another one, please try again';
+                error.statusCode = 409;
+                break;
             default:
                 error.message = 'Database error occurred';
                 error.statusCode = 500;
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Addresses Safaricom documents for Daraja callbacks. Override with
+// MPESA_CALLBACK_ALLOWED_IPS (comma separated, or * to disable the check).
+const SAFARICOM_CALLBACK_IPS = [
+    '196.201.214.200',
+    '196.201.214.206',
+    '196.201.213.114',
+    '196.201.214.207',
+    '196.201.214.208',
+    '196.201.213.44',
+    '196.201.212.127',
+    '196.201.212.138',
+    '196.201.212.129',
+    '196.201.212.136',
+    '196.201.212.74',
+    '196.201.212.69'
+];
+
+const allowedIps = process.env.MPESA_CALLBACK_ALLOWED_IPS
+    ? process.env.MPESA_CALLBACK_ALLOWED_IPS.split(',').map(ip => ip.trim()).filter(Boolean)
+    : SAFARICOM_CALLBACK_IPS;
+
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:/, '');
+
+const tokensMatch = (provided, expected) => {
+    const a = Buffer.from(provided || '');
+    const b = Buffer.from(expected || '');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const isTrustedMpesaCallback = (req) => {
+    const expectedToken = process.env.MPESA_CALLBACK_TOKEN;
+
+    if (!expectedToken) {
+        console.error('❌ MPESA_CALLBACK_TOKEN is not configured; rejecting M-Pesa callback');
+        return false;
+    }
+
+    const ip = normalizeIp(req.ip);
+    const ipAllowed = allowedIps.includes('*') || allowedIps.includes(ip);
+
+    if (!ipAllowed || !tokensMatch(req.params.token, expectedToken)) {
+        console.warn(`Rejected M-Pesa callback from ${ip}`);
+        return false;
+    }
+
+    return true;
+};
+
+const verifyMpesaCallback = (req, res, next) => {
+    if (!isTrustedMpesaCallback(req)) {
+        return res.status(403).json({
+            status: 'error',
+            message: 'Callback not accepted'
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    isTrustedMpesaCallback,
+    verifyMpesaCallback,
+    tokensMatch
+};
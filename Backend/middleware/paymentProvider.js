@@ -0,0 +1,32 @@
+const { getProvider } = require('../services/paymentProviders');
+
+// router.param handler for :provider
+const loadPaymentProvider = (req, res, next, name) => {
+    const provider = getProvider(name);
+
+    if (!provider) {
+        return res.status(404).json({
+            status: 'error',
+            message: 'Payment provider not found'
+        });
+    }
+
+    req.paymentProvider = provider;
+    next();
+};
+
+const verifyProviderCallback = (req, res, next) => {
+    if (!req.paymentProvider.verifyCallback(req)) {
+        return res.status(403).json({
+            status: 'error',
+            message: 'Callback not accepted'
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    loadPaymentProvider,
+    verifyProviderCallback
+};
@@ -0,0 +1,52 @@
+const multer = require('multer');
+
+const MAX_UPLOAD_MB = parseInt(process.env.MEDIA_MAX_UPLOAD_MB) || 5;
+const MAX_FILES = 10;
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Files are kept in memory: they are resized straight away and only the
+// renditions are stored
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        if (!ACCEPTED_TYPES.includes(file.mimetype)) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+
+        cb(null, true);
+    }
+});
+
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: `Images must be ${MAX_UPLOAD_MB} MB or smaller`,
+    LIMIT_FILE_COUNT: `Upload at most ${MAX_FILES} images at a time`,
+    LIMIT_UNEXPECTED_FILE: 'Only JPEG, PNG, WebP and GIF images can be uploaded'
+};
+
+// Accepts up to MAX_FILES images in the "images" field of a multipart form.
+// Upload problems are answered here: the error handler would report
+// multer's error codes as database errors.
+const uploadImages = (req, res, next) => {
+    imageUpload.array('images', MAX_FILES)(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                status: 'error',
+                message: UPLOAD_ERRORS[error.code] || 'Invalid upload'
+            });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Choose at least one image to upload'
+            });
+        }
+
+        next();
+    });
+};
+
+module.exports = {
+    uploadImages
+};
@@ -39,22 +39,135 @@ const validateLogin = [
     body('password')
         .notEmpty()
         .withMessage('Password is required'),
+    body('totpCode')
+        .optional()
+        .matches(/^\d{6}$/)
+        .withMessage('Authenticator code must be 6 digits'),
+    handleValidationErrors
+];
+
+const validateTotpCode = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Authenticator code must be 6 digits'),
+    handleValidationErrors
+];
+
+const validateOtpRequest = [
+    body('phone')
+        .isMobilePhone()
+        .withMessage('Valid phone number is required'),
+    handleValidationErrors
+];
+
+const validateOtpVerification = [
+    body('phone')
+        .isMobilePhone()
+        .withMessage('Valid phone number is required'),
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+    handleValidationErrors
+];
+
+const validatePhoneVerification = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+    handleValidationErrors
+];
+
+const validateRefreshToken = [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required'),
     handleValidationErrors
 ];
 
+const validateEmailRequest = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+    handleValidationErrors
+];
+
+const validatePasswordReset = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters'),
+    handleValidationErrors
+];
+
+const validateEmailVerification = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Verification token is required'),
+    handleValidationErrors
+];
+
+// A gallery is an ordered list of uploaded images (media_id) or images
+// hosted elsewhere (url). Built per use since validation chains are mutable.
+const productImageRules = (images = body('images')) => [
+    images
+        .isArray({ max: 20 })
+        .withMessage('Images must be a list of at most 20 images'),
+    body('images.*')
+        .custom(image => !!image && (!!image.media_id || !!image.url))
+        .withMessage('Each image needs a media_id or a url'),
+    body('images.*.media_id')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Media ID must be valid'),
+    body('images.*.url')
+        .optional({ nullable: true })
+        .isURL({ require_tld: false })
+        .withMessage('Valid image URL is required'),
+    body('images.*.alt_text')
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Alt text must not exceed 255 characters'),
+    body('images.*.is_primary')
+        .optional()
+        .isBoolean()
+        .withMessage('is_primary must be true or false')
+];
+
 const validateProduct = [
+    body('sku')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 64 })
+        .withMessage('SKU must be between 1 and 64 characters'),
     body('name')
         .trim()
         .isLength({ min: 1, max: 255 })
         .withMessage('Product name is required'),
+    // Products with variants take their price and stock from the variants
     body('price')
+        .if(body('variants').not().exists())
         .isFloat({ min: 0.01 })
         .withMessage('Price must be a positive number'),
+    // The category by ID, or by slug or name in category
+    body('category_id')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Valid category ID is required'),
     body('category')
+        .if(body('category_id').not().exists())
         .trim()
         .isLength({ min: 1, max: 100 })
         .withMessage('Category is required'),
     body('stock')
+        .if(body('variants').not().exists())
         .isInt({ min: 0 })
         .withMessage('Stock must be a non-negative integer'),
     body('description')
@@ -64,8 +177,173 @@ const validateProduct = [
         .withMessage('Description must not exceed 1000 characters'),
     body('image_url')
         .optional()
-        .isURL()
+        .isURL({ require_tld: false })
         .withMessage('Valid image URL is required'),
+    body('is_active')
+        .optional()
+        .isBoolean()
+        .withMessage('is_active must be true or false')
+        .toBoolean(),
+    body('options')
+        .optional()
+        .isArray({ max: 3 })
+        .withMessage('A product can have at most 3 option types'),
+    body('options.*.name')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Option name is required'),
+    body('options.*.values')
+        .isArray({ min: 1, max: 30 })
+        .withMessage('Each option needs at least one value'),
+    body('options.*.values.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Option values must be short text'),
+    body('variants')
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('A product can have at most 100 variants'),
+    body('variants.*.sku')
+        .trim()
+        .isLength({ min: 1, max: 64 })
+        .withMessage('Each variant needs a SKU'),
+    body('variants.*.options')
+        .optional()
+        .isObject()
+        .withMessage('Variant options must be an object such as {"Size": "500g"}'),
+    body('variants.*.price')
+        .isFloat({ min: 0.01 })
+        .withMessage('Variant price must be a positive number'),
+    body('variants.*.stock')
+        .isInt({ min: 0 })
+        .withMessage('Variant stock must be a non-negative integer'),
+    body('variants.*.image_url')
+        .optional()
+        .isURL()
+        .withMessage('Valid variant image URL is required'),
+    ...productImageRules(body('images').optional()),
+    handleValidationErrors
+];
+
+const PRODUCT_SORTS = ['relevance', 'newest', 'price_asc', 'price_desc', 'name', 'best_selling', 'rating'];
+
+// Query parameters of the product listing and search, after the search
+// text itself. category takes several categories, repeated or comma
+// separated. cursor is a previous page's pagination.nextCursor.
+const productQueryRules = (search) => [
+    search
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Search must not exceed 100 characters'),
+    query('category')
+        .optional()
+        .customSanitizer(value => [].concat(value).flatMap(entry => String(entry).split(',')).map(entry => entry.trim()).filter(Boolean))
+        .isArray({ max: 20 })
+        .withMessage('Filter on at most 20 categories'),
+    query('sort')
+        .optional()
+        .isIn(PRODUCT_SORTS)
+        .withMessage(`Sort must be one of ${PRODUCT_SORTS.join(', ')}`),
+    query('min_price')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Minimum price must be a non-negative number')
+        .toFloat(),
+    query('max_price')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Maximum price must be a non-negative number')
+        .toFloat()
+        .custom((value, { req }) => req.query.min_price === undefined || value >= req.query.min_price)
+        .withMessage('Maximum price must not be below the minimum price'),
+    query('in_stock')
+        .optional()
+        .isBoolean()
+        .withMessage('in_stock must be true or false')
+        .toBoolean(),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 48 })
+        .withMessage('Limit must be between 1 and 48')
+        .toInt(),
+    query('cursor')
+        .optional()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('Invalid cursor')
+];
+
+const validateProductList = [
+    ...productQueryRules(query('search')),
+    handleValidationErrors
+];
+
+const validateProductSearch = [
+    ...productQueryRules(query('q')),
+    handleValidationErrors
+];
+
+const validateSearchSuggestions = [
+    query('q')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Type at least 2 characters'),
+    handleValidationErrors
+];
+
+const validateProductImages = [
+    ...productImageRules(),
+    handleValidationErrors
+];
+
+const REVIEW_SORTS = ['newest', 'helpful', 'rating_high', 'rating_low'];
+
+const validateReviewList = [
+    query('sort')
+        .optional()
+        .isIn(REVIEW_SORTS)
+        .withMessage(`Sort must be one of ${REVIEW_SORTS.join(', ')}`),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+        .toInt(),
+    handleValidationErrors
+];
+
+const validateReview = [
+    body('rating')
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Rating must be a whole number from 1 to 5')
+        .toInt(),
+    body('title')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 120 })
+        .withMessage('Title must not exceed 120 characters'),
+    body('body')
+        .trim()
+        .isLength({ min: 10, max: 2000 })
+        .withMessage('Review must be between 10 and 2000 characters'),
+    handleValidationErrors
+];
+
+const validateReviewVote = [
+    param('reviewId')
+        .isInt({ min: 1 })
+        .withMessage('Valid review ID is required')
+        .toInt(),
     handleValidationErrors
 ];
 
@@ -76,6 +354,10 @@ const validateOrder = [
     body('items.*.product_id')
         .notEmpty()
         .withMessage('Product ID is required for each item'),
+    body('items.*.variant_id')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Variant ID must be valid'),
     body('items.*.quantity')
         .isInt({ min: 1 })
         .withMessage('Quantity must be a positive integer'),
@@ -119,7 +401,22 @@ module.exports = {
     handleValidationErrors,
     validateRegistration,
     validateLogin,
+    validateTotpCode,
+    validateOtpRequest,
+    validateOtpVerification,
+    validatePhoneVerification,
+    validateRefreshToken,
+    validateEmailRequest,
+    validatePasswordReset,
+    validateEmailVerification,
     validateProduct,
+    validateProductImages,
+    validateProductList,
+    validateProductSearch,
+    validateSearchSuggestions,
+    validateReviewList,
+    validateReview,
+    validateReviewVote,
     validateOrder,
     validateInquiry
 };
\ No newline at end of file
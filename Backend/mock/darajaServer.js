@@ -0,0 +1,338 @@
+// Local stand-in for the Safaricom Daraja API, for development and tests
+// without network access.
+//
+//   npm run mpesa:mock
+//
+// then point the backend at it:
+//
+//   MPESA_BASE_URL=http://localhost:4010
+//   MPESA_CALLBACK_URL=http://localhost:3000/api/payments/mpesa/callback
+//   MPESA_CALLBACK_ALLOWED_IPS=127.0.0.1,::1
+//
+// C2B payments can be triggered with POST /mpesa/c2b/v1/simulate once the
+// backend has registered its URLs.
+//
+// Every STK push completes asynchronously with the configured scenario:
+//   success, insufficient_funds, user_cancelled, timeout, no_callback
+// The default comes from MOCK_DARAJA_SCENARIO and can be changed at runtime,
+// globally or for a single phone number, with PUT /__mock/scenario.
+
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const SCENARIOS = {
+    success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+    insufficient_funds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+    user_cancelled: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+    timeout: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' },
+    // Payment goes through but the callback is lost; only an STK query reveals it
+    no_callback: { resultCode: 0, resultDesc: 'The service request is processed successfully.', skipCallback: true }
+};
+
+const randomId = (prefix) => `${prefix}${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
+const darajaTimestamp = (date = new Date()) => {
+    const pad = (n) => n.toString().padStart(2, '0');
+    return Number(
+        `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+    );
+};
+
+const createDarajaServer = ({
+    scenario = process.env.MOCK_DARAJA_SCENARIO || 'success',
+    callbackDelayMs = parseInt(process.env.MOCK_DARAJA_CALLBACK_DELAY_MS) || 3000,
+    logger = console
+} = {}) => {
+    const app = express();
+    app.use(express.json());
+
+    const state = {
+        defaultScenario: scenario,
+        phoneScenarios: new Map(),
+        tokens: new Set(),
+        c2bUrls: new Map(),
+        stkRequests: new Map(),
+        requests: []
+    };
+
+    const scenarioFor = (phoneNumber) => state.phoneScenarios.get(String(phoneNumber)) || state.defaultScenario;
+
+    const sendCallback = async (url, payload) => {
+        try {
+            await axios.post(url, payload, { timeout: 10000 });
+        } catch (error) {
+            logger.error(`Mock Daraja callback to ${url} failed:`, error.message);
+        }
+    };
+
+    const requireBearer = (req, res, next) => {
+        const token = (req.headers.authorization || '').replace('Bearer ', '');
+        if (!state.tokens.has(token)) {
+            return res.status(401).json({
+                requestId: randomId(''),
+                errorCode: '404.001.03',
+                errorMessage: 'Invalid Access Token'
+            });
+        }
+        next();
+    };
+
+    const completeStkRequest = (request) => {
+        const outcome = SCENARIOS[request.scenario];
+
+        request.completed = true;
+        request.resultCode = outcome.resultCode;
+        request.resultDesc = outcome.resultDesc;
+
+        if (outcome.resultCode === 0) {
+            request.receiptNumber = randomId('Q').slice(0, 10);
+        }
+
+        if (outcome.skipCallback) return;
+
+        const stkCallback = {
+            MerchantRequestID: request.merchantRequestId,
+            CheckoutRequestID: request.checkoutRequestId,
+            ResultCode: outcome.resultCode,
+            ResultDesc: outcome.resultDesc
+        };
+
+        if (outcome.resultCode === 0) {
+            stkCallback.CallbackMetadata = {
+                Item: [
+                    { Name: 'Amount', Value: request.amount },
+                    { Name: 'MpesaReceiptNumber', Value: request.receiptNumber },
+                    { Name: 'TransactionDate', Value: darajaTimestamp() },
+                    { Name: 'PhoneNumber', Value: Number(request.phoneNumber) }
+                ]
+            };
+        }
+
+        sendCallback(request.callbackUrl, { Body: { stkCallback } });
+    };
+
+    app.get('/oauth/v1/generate', (req, res) => {
+        if (!(req.headers.authorization || '').startsWith('Basic ')) {
+            return res.status(400).json({ errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+        }
+
+        const token = crypto.randomBytes(16).toString('hex');
+        state.tokens.add(token);
+
+        res.json({ access_token: token, expires_in: '3599' });
+    });
+
+    app.post('/mpesa/stkpush/v1/processrequest', requireBearer, (req, res) => {
+        const { BusinessShortCode, Password, Timestamp, TransactionType, Amount, PhoneNumber, CallBackURL } = req.body;
+
+        if (!BusinessShortCode || !Password || !Timestamp || !TransactionType || !Amount || !PhoneNumber || !CallBackURL) {
+            return res.status(400).json({
+                requestId: randomId(''),
+                errorCode: '400.002.02',
+                errorMessage: 'Bad Request - Invalid request payload'
+            });
+        }
+
+        const request = {
+            merchantRequestId: randomId('MR-'),
+            checkoutRequestId: `ws_CO_${randomId('')}`,
+            amount: Number(Amount),
+            phoneNumber: PhoneNumber,
+            transactionType: TransactionType,
+            accountReference: req.body.AccountReference,
+            callbackUrl: CallBackURL,
+            scenario: scenarioFor(PhoneNumber),
+            completed: false,
+            createdAt: new Date().toISOString()
+        };
+
+        state.stkRequests.set(request.checkoutRequestId, request);
+        state.requests.push({ type: 'stkpush', body: req.body });
+
+        setTimeout(() => completeStkRequest(request), callbackDelayMs).unref();
+
+        res.json({
+            MerchantRequestID: request.merchantRequestId,
+            CheckoutRequestID: request.checkoutRequestId,
+            ResponseCode: '0',
+            ResponseDescription: 'Success. Request accepted for processing',
+            CustomerMessage: 'Success. Request accepted for processing'
+        });
+    });
+
+    app.post('/mpesa/stkpushquery/v1/query', requireBearer, (req, res) => {
+        const request = state.stkRequests.get(req.body.CheckoutRequestID);
+
+        if (!request) {
+            return res.status(500).json({
+                requestId: randomId(''),
+                errorCode: '500.001.1001',
+                errorMessage: 'Unable to find the transaction'
+            });
+        }
+
+        if (!request.completed) {
+            return res.status(500).json({
+                requestId: randomId(''),
+                errorCode: '500.001.1001',
+                errorMessage: 'The transaction is being processed'
+            });
+        }
+
+        res.json({
+            ResponseCode: '0',
+            ResponseDescription: 'The service request has been accepted successsfully',
+            MerchantRequestID: request.merchantRequestId,
+            CheckoutRequestID: request.checkoutRequestId,
+            ResultCode: String(request.resultCode),
+            ResultDesc: request.resultDesc
+        });
+    });
+
+    // Reversal and B2C share the asynchronous Result callback format
+    const acceptResultRequest = (type) => (req, res) => {
+        const { ResultURL, Amount } = req.body;
+
+        if (!ResultURL || !Amount) {
+            return res.status(400).json({
+                requestId: randomId(''),
+                errorCode: '400.002.02',
+                errorMessage: 'Bad Request - Invalid request payload'
+            });
+        }
+
+        const conversationId = randomId('AG_');
+        const originatorConversationId = randomId('');
+        state.requests.push({ type, body: req.body });
+
+        setTimeout(() => {
+            sendCallback(ResultURL, {
+                Result: {
+                    ResultType: 0,
+                    ResultCode: 0,
+                    ResultDesc: 'The service request is processed successfully.',
+                    OriginatorConversationID: originatorConversationId,
+                    ConversationID: conversationId,
+                    TransactionID: randomId('R').slice(0, 10)
+                }
+            });
+        }, callbackDelayMs).unref();
+
+        res.json({
+            OriginatorConversationID: originatorConversationId,
+            ConversationID: conversationId,
+            ResponseCode: '0',
+            ResponseDescription: 'Accept the service request successfully.'
+        });
+    };
+
+    app.post('/mpesa/reversal/v1/request', requireBearer, acceptResultRequest('reversal'));
+    app.post('/mpesa/b2c/v1/paymentrequest', requireBearer, acceptResultRequest('b2c'));
+
+    app.post('/mpesa/c2b/v1/registerurl', requireBearer, (req, res) => {
+        const { ShortCode, ConfirmationURL, ValidationURL } = req.body;
+
+        if (!ShortCode || !ConfirmationURL) {
+            return res.status(400).json({
+                requestId: randomId(''),
+                errorCode: '400.002.02',
+                errorMessage: 'Bad Request - Invalid request payload'
+            });
+        }
+
+        state.c2bUrls.set(String(ShortCode), { confirmationUrl: ConfirmationURL, validationUrl: ValidationURL });
+
+        res.json({
+            OriginatorCoversationID: randomId(''),
+            ResponseCode: '0',
+            ResponseDescription: 'Success'
+        });
+    });
+
+    // Simulates a customer paying the paybill/till directly from their phone
+    app.post('/mpesa/c2b/v1/simulate', requireBearer, async (req, res) => {
+        const { ShortCode, CommandID, Amount, Msisdn, BillRefNumber } = req.body;
+        const urls = state.c2bUrls.get(String(ShortCode));
+
+        if (!urls) {
+            return res.status(400).json({
+                requestId: randomId(''),
+                errorCode: '400.002.02',
+                errorMessage: 'No C2B URLs registered for this short code'
+            });
+        }
+
+        const payload = {
+            TransactionType: CommandID === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+            TransID: randomId('Q').slice(0, 10),
+            TransTime: String(darajaTimestamp()),
+            TransAmount: String(Amount),
+            BusinessShortCode: String(ShortCode),
+            BillRefNumber: BillRefNumber || '',
+            InvoiceNumber: '',
+            OrgAccountBalance: '',
+            ThirdPartyTransID: '',
+            MSISDN: String(Msisdn),
+            FirstName: 'John',
+            MiddleName: '',
+            LastName: 'Doe'
+        };
+        state.requests.push({ type: 'c2b', body: payload });
+
+        res.json({
+            OriginatorCoversationID: randomId(''),
+            ResponseCode: '0',
+            ResponseDescription: 'Accept the service request successfully.'
+        });
+
+        if (urls.validationUrl) {
+            await sendCallback(urls.validationUrl, payload);
+        }
+        await sendCallback(urls.confirmationUrl, payload);
+    });
+
+    // Control endpoints for tests and manual runs
+    app.put('/__mock/scenario', (req, res) => {
+        const { scenario: nextScenario, phoneNumber } = req.body;
+
+        if (!SCENARIOS[nextScenario]) {
+            return res.status(400).json({ message: `Unknown scenario. Use one of: ${Object.keys(SCENARIOS).join(', ')}` });
+        }
+
+        if (phoneNumber) {
+            state.phoneScenarios.set(String(phoneNumber), nextScenario);
+        } else {
+            state.defaultScenario = nextScenario;
+        }
+
+        res.json({ defaultScenario: state.defaultScenario, phoneScenarios: Object.fromEntries(state.phoneScenarios) });
+    });
+
+    app.get('/__mock/requests', (req, res) => {
+        res.json({
+            stkRequests: [...state.stkRequests.values()],
+            requests: state.requests
+        });
+    });
+
+    app.delete('/__mock/requests', (req, res) => {
+        state.stkRequests.clear();
+        state.requests.length = 0;
+        state.phoneScenarios.clear();
+        res.status(204).end();
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    const port = process.env.MOCK_DARAJA_PORT || 4010;
+    createDarajaServer().listen(port, () => {
+        console.log(`🧪 Mock Daraja running on http://localhost:${port}`);
+        console.log(`   Default scenario: ${process.env.MOCK_DARAJA_SCENARIO || 'success'}`);
+    });
+}
+
+module.exports = { createDarajaServer, SCENARIOS };
@@ -1,48 +1,385 @@
 const express = require('express');
-const { authenticateToken, requireRole } = require('../middleware/auth');
-const { validateProduct } = require('../middleware/validation');
-const { body } = require('express-validator');
+const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES, STAFF_ROLES } = require('../config/permissions');
+const { validateProduct, validateProductImages, validateProductList } = require('../middleware/validation');
+const { uploadImages } = require('../middleware/upload');
+const { body, query, param } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
 const {
     createProduct,
     updateProduct,
     deleteProduct,
+    importProducts,
+    exportProducts,
+    getCategoryTree,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    getAllCollections,
+    createCollection,
+    updateCollection,
+    updateCollectionProducts,
+    deleteCollection,
+    getReviews,
+    moderateReview,
+    uploadMedia,
+    addProductImages,
+    updateProductImages,
+    deleteProductImage,
     getAllOrders,
     updateOrderStatus,
     getDashboardStats,
-    getAllCustomers
+    getAllCustomers,
+    getActiveReservations,
+    refundOrder,
+    getCodSettlementReport,
+    settleCodCollections,
+    getCodSettlements,
+    getSecurityEvents,
+    getAuditLog,
+    getRoles,
+    assignUserRole,
+    getStaff,
+    inviteStaff,
+    setUserActive,
+    forcePasswordReset
 } = require('../controllers/adminController');
 const { getAllProducts } = require('../controllers/productController');
 
 const router = express.Router();
 
-// All routes require admin authentication
+// All routes require a staff account; each route then checks the
+// permission it needs (see config/permissions.js)
 router.use(authenticateToken);
-router.use(requireRole(['admin']));
+router.use(requireRole(STAFF_ROLES));
 
 // Dashboard
-router.get('/dashboard', getDashboardStats);
+router.get('/dashboard', requirePermission(PERMISSIONS.DASHBOARD_VIEW), getDashboardStats);
 
 // Product management
-router.get('/products', getAllProducts);
-router.post('/products', validateProduct, createProduct);
-router.put('/products/:id', validateProduct, updateProduct);
-router.delete('/products/:id', deleteProduct);
+router.get('/products', requirePermission(PERMISSIONS.PRODUCTS_VIEW), validateProductList, getAllProducts);
+router.post('/products', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateProduct, createProduct);
+router.put('/products/:id', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateProduct, updateProduct);
+router.delete('/products/:id', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), deleteProduct);
+
+// Bulk import (CSV as text/csv, or JSON) and export of the whole catalog
+const validateProductImport = [
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+    handleValidationErrors
+];
+
+const validateProductExport = [
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+    handleValidationErrors
+];
+
+router.post('/products/import', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), express.text({ type: 'text/csv', limit: '10mb' }), validateProductImport, importProducts);
+router.get('/products/export', requirePermission(PERMISSIONS.PRODUCTS_VIEW), validateProductExport, exportProducts);
+
+// Categories. Slugs are made from the name when not given; a PUT without
+// parent_id moves the category to the top level.
+const validateCategory = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Category name is required'),
+    body('slug')
+        .optional()
+        .trim()
+        .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+        .withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('parent_id')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('Valid parent category ID is required'),
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Description must be at most 1000 characters'),
+    body('image_url')
+        .optional({ nullable: true })
+        .isURL({ require_tld: false })
+        .withMessage('Image URL must be valid'),
+    body('sort_order')
+        .optional()
+        .isInt({ min: 0 })
+        .toInt()
+        .withMessage('Sort order must be a whole number'),
+    body('is_active')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('is_active must be true or false'),
+    handleValidationErrors
+];
+
+const validateCategoryId = [
+    param('id').isInt({ min: 1 }).withMessage('Valid category ID is required'),
+    handleValidationErrors
+];
+
+router.get('/categories', requirePermission(PERMISSIONS.PRODUCTS_VIEW), getCategoryTree);
+router.post('/categories', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateCategory, createCategory);
+router.put('/categories/:id', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateCategoryId, validateCategory, updateCategory);
+router.delete('/categories/:id', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateCategoryId, deleteCategory);
+
+// Merchandising collections. rules, when given, fills the collection from
+// the product listing filters after its hand-picked products.
+const validateCollection = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Collection name is required'),
+    body('slug')
+        .optional()
+        .trim()
+        .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+        .withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Description must be at most 1000 characters'),
+    body('product_limit')
+        .optional()
+        .isInt({ min: 1, max: 48 })
+        .toInt()
+        .withMessage('Product limit must be between 1 and 48'),
+    body('starts_at')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Start must be a date and time'),
+    body('ends_at')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('End must be a date and time')
+        .custom((value, { req }) => !req.body.starts_at || new Date(value) > new Date(req.body.starts_at))
+        .withMessage('End must be after the start'),
+    body('home_position')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('Home page position must be a positive number'),
+    body('is_active')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('is_active must be true or false'),
+    body('rules')
+        .optional({ nullable: true })
+        .isObject()
+        .withMessage('Rules must be an object'),
+    body('rules.categories')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Rules can name at most 20 categories'),
+    body('rules.min_price')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .toFloat()
+        .withMessage('Minimum price must be a non-negative number'),
+    body('rules.max_price')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .toFloat()
+        .withMessage('Maximum price must be a non-negative number'),
+    body('rules.in_stock')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('in_stock must be true or false'),
+    body('rules.sort')
+        .optional()
+        .isIn(['newest', 'best_selling', 'rating', 'price_asc', 'price_desc', 'name'])
+        .withMessage('Sort must be one of newest, best_selling, rating, price_asc, price_desc, name'),
+    body('product_ids')
+        .optional()
+        .isArray({ max: 48 })
+        .withMessage('A collection can hand-pick at most 48 products'),
+    body('product_ids.*')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Product IDs must be text'),
+    handleValidationErrors
+];
+
+const validateCollectionProducts = [
+    param('id').isInt({ min: 1 }).withMessage('Valid collection ID is required'),
+    body('product_ids')
+        .isArray({ max: 48 })
+        .withMessage('Send product_ids, at most 48'),
+    body('product_ids.*')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Product IDs must be text'),
+    handleValidationErrors
+];
+
+const validateCollectionId = [
+    param('id').isInt({ min: 1 }).withMessage('Valid collection ID is required'),
+    handleValidationErrors
+];
+
+router.get('/collections', requirePermission(PERMISSIONS.PRODUCTS_VIEW), getAllCollections);
+router.post('/collections', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateCollection, createCollection);
+router.put('/collections/:id', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateCollectionId, validateCollection, updateCollection);
+router.put('/collections/:id/products', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateCollectionProducts, updateCollectionProducts);
+router.delete('/collections/:id', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateCollectionId, deleteCollection);
+
+// Review moderation
+const validateReviewQueue = [
+    query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Status must be pending, approved or rejected'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    handleValidationErrors
+];
+
+const validateReviewModeration = [
+    param('id').isInt({ min: 1 }).withMessage('Valid review ID is required'),
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    body('note').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Note must not exceed 500 characters'),
+    handleValidationErrors
+];
+
+router.get('/reviews', requirePermission(PERMISSIONS.REVIEWS_MODERATE), validateReviewQueue, getReviews);
+router.put('/reviews/:id/status', requirePermission(PERMISSIONS.REVIEWS_MODERATE), validateReviewModeration, moderateReview);
+
+// Media uploads (multipart, field "images") and product galleries
+const validateImageId = [
+    param('imageId').isInt({ min: 1 }).withMessage('Valid image ID is required'),
+    handleValidationErrors
+];
+
+router.post('/media', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), uploadImages, uploadMedia);
+router.post('/products/:id/images', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), uploadImages, addProductImages);
+router.put('/products/:id/images', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateProductImages, updateProductImages);
+router.delete('/products/:id/images/:imageId', requirePermission(PERMISSIONS.PRODUCTS_MANAGE), validateImageId, deleteProductImage);
 
 // Order management
-router.get('/orders', getAllOrders);
+router.get('/orders', requirePermission(PERMISSIONS.ORDERS_VIEW), getAllOrders);
 
 const validateOrderStatus = [
     body('status')
         .isIn(['Processing', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled'])
         .withMessage('Valid order status is required'),
+    body('cod_collected_amount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Collected amount must be a positive number'),
+    body('cod_collected_by')
+        .optional()
+        .isUUID()
+        .withMessage('Collector must be a valid user ID'),
     handleValidationErrors
 ];
 
-router.patch('/orders/:id/status', validateOrderStatus, updateOrderStatus);
+router.patch('/orders/:id/status', requirePermission(PERMISSIONS.ORDERS_UPDATE), validateOrderStatus, updateOrderStatus);
+
+const validateRefund = [
+    body('amount')
+        .optional()
+        .isFloat({ min: 1 })
+        .withMessage('Refund amount must be at least 1'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Reason must not exceed 100 characters'),
+    body('provider')
+        .optional()
+        .isString()
+        .withMessage('Provider must be a payment provider name'),
+    handleValidationErrors
+];
+
+router.post('/orders/:id/refunds', requirePermission(PERMISSIONS.ORDERS_REFUND), validateRefund, refundOrder);
 
 // Customer management
-router.get('/customers', getAllCustomers);
+router.get('/customers', requirePermission(PERMISSIONS.CUSTOMERS_VIEW), getAllCustomers);
+
+// Stock reservations held for unpaid orders
+router.get('/reservations', requirePermission(PERMISSIONS.RESERVATIONS_VIEW), getActiveReservations);
+
+// Cash-on-delivery settlement
+const validateCodReport = [
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    handleValidationErrors
+];
+
+const validateCodSettlement = [
+    body('riderId').isUUID().withMessage('Rider ID is required'),
+    body('until').optional().isISO8601().withMessage('Until must be a valid date'),
+    body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must not exceed 1000 characters'),
+    handleValidationErrors
+];
+
+router.get('/cod/report', requirePermission(PERMISSIONS.COD_VIEW), validateCodReport, getCodSettlementReport);
+router.get('/cod/settlements', requirePermission(PERMISSIONS.COD_VIEW), getCodSettlements);
+router.post('/cod/settlements', requirePermission(PERMISSIONS.COD_SETTLE), validateCodSettlement, settleCodCollections);
+
+// Security audit log
+const validateSecurityEventQuery = [
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    query('userId').optional().isUUID().withMessage('User ID must be valid'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    handleValidationErrors
+];
+
+router.get('/security-events', requirePermission(PERMISSIONS.SECURITY_VIEW), validateSecurityEventQuery, getSecurityEvents);
+
+// Audit trail of staff writes
+const validateAuditQuery = [
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    query('actorId').optional().isUUID().withMessage('Actor ID must be valid'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    handleValidationErrors
+];
+
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_VIEW), validateAuditQuery, getAuditLog);
+
+// Roles and permissions
+const validateRoleAssignment = [
+    param('id').isUUID().withMessage('User ID must be valid'),
+    body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    handleValidationErrors
+];
+
+router.get('/roles', requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), getRoles);
+router.patch('/users/:id/role', requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), validateRoleAssignment, assignUserRole);
+
+// Staff accounts
+const validateStaffInvite = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 255 })
+        .withMessage('Name must be between 2 and 255 characters'),
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('role').isIn(STAFF_ROLES).withMessage(`Role must be one of: ${STAFF_ROLES.join(', ')}`),
+    handleValidationErrors
+];
+
+const validateUserStatus = [
+    param('id').isUUID().withMessage('User ID must be valid'),
+    body('isActive').isBoolean().toBoolean().withMessage('isActive must be true or false'),
+    handleValidationErrors
+];
+
+const validateUserId = [
+    param('id').isUUID().withMessage('User ID must be valid'),
+    handleValidationErrors
+];
+
+router.get('/staff', requirePermission(PERMISSIONS.USERS_MANAGE), getStaff);
+router.post('/staff/invite', requirePermission(PERMISSIONS.USERS_MANAGE), validateStaffInvite, inviteStaff);
+router.patch('/users/:id/status', requirePermission(PERMISSIONS.USERS_MANAGE), validateUserStatus, setUserActive);
+router.post('/users/:id/password-reset', requirePermission(PERMISSIONS.USERS_MANAGE), validateUserId, forcePasswordReset);
 
 
 module.exports = router;
\ No newline at end of file
@@ -1,21 +1,95 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { STAFF_ROLES } = require('../config/permissions');
+const { param } = require('express-validator');
+const {
+    validateRegistration,
+    validateLogin,
+    validateTotpCode,
+    validateOtpRequest,
+    validateOtpVerification,
+    validatePhoneVerification,
+    validateRefreshToken,
+    validateEmailRequest,
+    validatePasswordReset,
+    validateEmailVerification,
+    handleValidationErrors
+} = require('../middleware/validation');
 const {
     register,
     login,
+    requestLoginOtp,
+    verifyLoginOtp,
+    refresh,
+    logout,
+    forgotPassword,
+    resetPassword,
+    acceptInvite,
+    verifyEmail,
+    resendVerification,
+    requestPhoneVerification,
+    verifyPhone,
     getProfile,
-    updateProfile
+    updateProfile,
+    getSessions,
+    revokeSession,
+    setupTotp,
+    enableTotp,
+    disableTotp
 } = require('../controllers/authController');
 
 const router = express.Router();
 
+// Each of these sends an email, so keep them from being used to spam inboxes
+const emailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5,
+    message: {
+        status: 'error',
+        message: 'Too many requests. Please try again later.'
+    }
+});
+
+// Short-term per-IP cap; otpService also enforces hourly limits per phone and per IP
+const otpLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    message: {
+        status: 'error',
+        message: 'Too many requests. Please try again later.'
+    }
+});
+
+const validateSessionId = [
+    param('id').isUUID().withMessage('Invalid session ID'),
+    handleValidationErrors
+];
+
 // Public routes
 router.post('/register', validateRegistration, register);
 router.post('/login', validateLogin, login);
+router.post('/otp/request', otpLimiter, validateOtpRequest, requestLoginOtp);
+router.post('/otp/verify', otpLimiter, validateOtpVerification, verifyLoginOtp);
+router.post('/refresh', validateRefreshToken, refresh);
+router.post('/forgot-password', emailLimiter, validateEmailRequest, forgotPassword);
+router.post('/reset-password', validatePasswordReset, resetPassword);
+router.post('/accept-invite', validatePasswordReset, acceptInvite);
+router.post('/verify-email', validateEmailVerification, verifyEmail);
+router.post('/resend-verification', emailLimiter, validateEmailRequest, resendVerification);
 
 // Protected routes
+router.post('/logout', authenticateToken, logout);
 router.get('/profile', authenticateToken, getProfile);
 router.put('/profile', authenticateToken, updateProfile);
+router.post('/phone/verification', authenticateToken, otpLimiter, requestPhoneVerification);
+router.post('/phone/verify', authenticateToken, otpLimiter, validatePhoneVerification, verifyPhone);
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions/:id', authenticateToken, validateSessionId, revokeSession);
+
+// Authenticator second factor for staff accounts
+router.post('/totp/setup', authenticateToken, requireRole(STAFF_ROLES), setupTotp);
+router.post('/totp/enable', authenticateToken, requireRole(STAFF_ROLES), validateTotpCode, enableTotp);
+router.post('/totp/disable', authenticateToken, requireRole(STAFF_ROLES), validateTotpCode, disableTotp);
 
 module.exports = router;
\ No newline at end of file
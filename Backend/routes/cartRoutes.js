@@ -18,6 +18,7 @@ router.use(authenticateToken);
 // Validation middleware
 const validateCartItem = [
     body('product_id').notEmpty().withMessage('Product ID is required'),
+    body('variant_id').optional({ nullable: true }).isInt({ min: 1 }).toInt().withMessage('Variant ID must be valid'),
     body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
     handleValidationErrors
 ];
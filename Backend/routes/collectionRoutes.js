@@ -0,0 +1,13 @@
+const express = require('express');
+const {
+    getCollections,
+    getCollectionBySlug
+} = require('../controllers/collectionController');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getCollections);
+router.get('/:slug', getCollectionBySlug);
+
+module.exports = router;
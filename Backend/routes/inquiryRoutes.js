@@ -1,5 +1,6 @@
 const express = require('express');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const { validateInquiry } = require('../middleware/validation');
 const {
     createInquiry,
@@ -13,9 +14,9 @@ const router = express.Router();
 // Public routes
 router.post('/', validateInquiry, createInquiry);
 
-// Admin only routes
-router.get('/', authenticateToken, requireRole(['admin']), getInquiries);
-router.get('/:id', authenticateToken, requireRole(['admin']), getInquiryById);
-router.patch('/:id', authenticateToken, requireRole(['admin']), updateInquiryStatus);
+// Staff routes
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.INQUIRIES_VIEW), getInquiries);
+router.get('/:id', authenticateToken, requirePermission(PERMISSIONS.INQUIRIES_VIEW), getInquiryById);
+router.patch('/:id', authenticateToken, requirePermission(PERMISSIONS.INQUIRIES_UPDATE), updateInquiryStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -1,36 +1,79 @@
 const express = require('express');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const { body } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
+const { verifyMpesaCallback } = require('../middleware/mpesaCallback');
+const { loadPaymentProvider, verifyProviderCallback } = require('../middleware/paymentProvider');
 const {
-    initiateMpesaPayment,
+    initiatePayment,
     checkPaymentStatus,
-    mpesaCallback,
+    providerCallback,
+    mpesaRefundResult,
+    mpesaRefundTimeout,
+    c2bValidation,
+    c2bConfirmation,
     getTransactionHistory,
     getTransactionByOrderId,
-    getAllTransactions
+    getAllTransactions,
+    getQuarantinedPayments,
+    resolveQuarantinedPayment,
+    getReconciliationRuns,
+    runReconciliation,
+    registerC2BUrls,
+    getC2BPayments,
+    resolveC2BPayment
 } = require('../controllers/paymentController');
 
 const router = express.Router();
 
-// Validation middleware for M-Pesa payment
-const validateMpesaPayment = [
+// Validation middleware for payment initiation
+const validatePayment = [
     body('orderId').notEmpty().withMessage('Order ID is required'),
-    body('phoneNumber').isMobilePhone().withMessage('Valid phone number is required'),
-    body('amount').isFloat({ min: 1 }).withMessage('Amount must be a positive number'),
+    body('phoneNumber')
+        .if((value, { req }) => req.paymentProvider.requiresPhoneNumber)
+        .isMobilePhone()
+        .withMessage('Valid phone number is required'),
     handleValidationErrors
 ];
 
+const validateQuarantineResolution = [
+    body('action').isIn(['approve', 'reject']).withMessage('Action must be approve or reject'),
+    body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must not exceed 1000 characters'),
+    handleValidationErrors
+];
+
+const validateC2BResolution = [
+    body('action').isIn(['match', 'dismiss']).withMessage('Action must be match or dismiss'),
+    body('orderId').if(body('action').equals('match')).notEmpty().withMessage('Order ID is required to match a payment'),
+    body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must not exceed 1000 characters'),
+    handleValidationErrors
+];
+
+router.param('provider', loadPaymentProvider);
+
 // Public routes
-router.post('/mpesa/callback', mpesaCallback); // M-Pesa callback endpoint (no auth required)
+router.post('/mpesa/refunds/result/:token', verifyMpesaCallback, mpesaRefundResult);
+router.post('/mpesa/refunds/timeout/:token', verifyMpesaCallback, mpesaRefundTimeout);
+router.post('/c2b/validation/:token', verifyMpesaCallback, c2bValidation);
+router.post('/c2b/confirmation/:token', verifyMpesaCallback, c2bConfirmation);
+
+router.post('/:provider/callback/:token?', verifyProviderCallback, providerCallback); // Each provider verifies its own callbacks (M-Pesa: IP allowlist + URL token)
 
 // Protected routes
-router.post('/mpesa/initiate', authenticateToken, validateMpesaPayment, initiateMpesaPayment);
-router.get('/mpesa/status/:checkoutRequestId', authenticateToken, checkPaymentStatus);
+router.post('/:provider/initiate', authenticateToken, validatePayment, initiatePayment);
+router.get('/:provider/status/:reference', authenticateToken, checkPaymentStatus);
 router.get('/transactions', authenticateToken, getTransactionHistory);
 router.get('/transactions/order/:orderId', authenticateToken, getTransactionByOrderId);
 
-// Admin routes
-router.get('/admin/transactions', authenticateToken, requireRole(['admin']), getAllTransactions);
+// Staff routes
+router.get('/admin/transactions', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_VIEW), getAllTransactions);
+router.get('/admin/quarantine', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_VIEW), getQuarantinedPayments);
+router.patch('/admin/quarantine/:id', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), validateQuarantineResolution, resolveQuarantinedPayment);
+router.get('/admin/reconciliation-runs', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_VIEW), getReconciliationRuns);
+router.post('/admin/reconcile', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), runReconciliation);
+router.post('/admin/c2b/register-urls', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), registerC2BUrls);
+router.get('/admin/c2b', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_VIEW), getC2BPayments);
+router.patch('/admin/c2b/:id', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), validateC2BResolution, resolveC2BPayment);
 
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,42 @@
 const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    validateProductList,
+    validateProductSearch,
+    validateSearchSuggestions,
+    validateReviewList,
+    validateReview,
+    validateReviewVote
+} = require('../middleware/validation');
 const {
     getAllProducts,
+    searchProducts,
+    getSearchSuggestions,
     getProductById,
     getFeaturedProducts,
     getCategories
 } = require('../controllers/productController');
+const {
+    getProductReviews,
+    submitReview,
+    voteReviewHelpful,
+    removeReviewHelpfulVote
+} = require('../controllers/reviewController');
 
 const router = express.Router();
 
 // Public routes
-router.get('/', getAllProducts);
+router.get('/', validateProductList, getAllProducts);
+router.get('/search', validateProductSearch, searchProducts);
+router.get('/search/suggestions', validateSearchSuggestions, getSearchSuggestions);
 router.get('/featured', getFeaturedProducts);
 router.get('/categories', getCategories);
 router.get('/:id', getProductById);
+router.get('/:id/reviews', validateReviewList, getProductReviews);
+
+// Customer routes: reviewing needs a Delivered order with the product
+router.post('/:id/reviews', authenticateToken, validateReview, submitReview);
+router.post('/:id/reviews/:reviewId/helpful', authenticateToken, validateReviewVote, voteReviewHelpful);
+router.delete('/:id/reviews/:reviewId/helpful', authenticateToken, validateReviewVote, removeReviewHelpfulVote);
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const { body } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
 const {
@@ -16,7 +17,7 @@ router.get('/:orderId', getOrderTracking);
 // Protected routes
 router.get('/user/:orderId', authenticateToken, getUserOrderTracking);
 
-// Admin only routes
+// Staff routes
 const validateTrackingUpdate = [
     body('status').notEmpty().withMessage('Status is required'),
     body('description').optional().trim(),
@@ -25,7 +26,7 @@ const validateTrackingUpdate = [
 
 router.post('/:orderId', 
     authenticateToken, 
-    requireRole(['admin']), 
+    requirePermission(PERMISSIONS.TRACKING_UPDATE),
     validateTrackingUpdate, 
     addTrackingUpdate
 );
@@ -0,0 +1,47 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const {
+    getWishlist,
+    addToWishlist,
+    updateWishlistItem,
+    removeFromWishlist,
+    moveToCart
+} = require('../controllers/wishlistController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validation middleware
+const notificationRules = [
+    body('notify_back_in_stock').optional().isBoolean().toBoolean().withMessage('notify_back_in_stock must be true or false'),
+    body('notify_price_drop').optional().isBoolean().toBoolean().withMessage('notify_price_drop must be true or false')
+];
+
+const validateWishlistItem = [
+    body('product_id').notEmpty().withMessage('Product ID is required'),
+    ...notificationRules,
+    handleValidationErrors
+];
+
+const validateWishlistUpdate = [
+    ...notificationRules,
+    handleValidationErrors
+];
+
+const validateMoveToCart = [
+    body('variant_id').optional({ nullable: true }).isInt({ min: 1 }).toInt().withMessage('Variant ID must be valid'),
+    body('quantity').optional().isInt({ min: 1 }).toInt().withMessage('Quantity must be a positive integer'),
+    handleValidationErrors
+];
+
+router.get('/', getWishlist);
+router.post('/', validateWishlistItem, addToWishlist);
+router.put('/:productId', validateWishlistUpdate, updateWishlistItem);
+router.delete('/:productId', removeFromWishlist);
+router.post('/:productId/move-to-cart', validateMoveToCart, moveToCart);
+
+module.exports = router;
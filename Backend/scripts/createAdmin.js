@@ -0,0 +1,94 @@
+// Creates the first admin account on a fresh database. Further staff are
+// invited from the admin dashboard.
+//
+//   npm run admin:create -- --email owner@example.com --name "Shop Owner"
+//
+// The password is read from ADMIN_PASSWORD or asked for interactively, so it
+// never has to appear in the shell history. Refuses to run once an admin
+// exists.
+
+require('dotenv').config();
+
+const readline = require('readline');
+const bcrypt = require('bcryptjs');
+const { supabase } = require('../config/supabase');
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return args;
+};
+
+const askPassword = () => new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+    // Don't echo what is typed
+    rl._writeToOutput = (text) => {
+        if (text.includes('Password')) rl.output.write(text);
+    };
+
+    rl.question('Password for the new admin: ', (answer) => {
+        rl.close();
+        process.stdout.write('\n');
+        resolve(answer);
+    });
+});
+
+const main = async () => {
+    const { email, name } = parseArgs(process.argv.slice(2));
+
+    if (!email || !name) {
+        console.error('Usage: npm run admin:create -- --email <email> --name <name>');
+        process.exit(1);
+    }
+
+    const { count, error: countError } = await supabase
+        .from('users')
+        .select('*', { count: 'exact', head: true })
+        .eq('role', 'admin');
+
+    if (countError) {
+        throw countError;
+    }
+
+    if (count > 0) {
+        console.error('❌ An admin already exists. Invite further staff from the admin dashboard.');
+        process.exit(1);
+    }
+
+    const password = process.env.ADMIN_PASSWORD || await askPassword();
+
+    if (!password || password.length < 8) {
+        console.error('❌ Password must be at least 8 characters');
+        process.exit(1);
+    }
+
+    const now = new Date().toISOString();
+
+    const { data: user, error } = await supabase
+        .from('users')
+        .insert([{
+            name,
+            email: email.toLowerCase(),
+            password: await bcrypt.hash(password, 12),
+            role: 'admin',
+            is_active: true,
+            email_verified_at: now,
+            created_at: now
+        }])
+        .select('id, email')
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    console.log(`✅ Admin ${user.email} created. Log in and set up an authenticator from the Security tab.`);
+};
+
+main().catch((error) => {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exit(1);
+});
@@ -5,6 +5,10 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { testConnection } = require('./config/supabase');
 const errorHandler = require('./middleware/errorHandler');
+const reservationService = require('./services/reservationService');
+const paymentReconciler = require('./services/paymentReconciler');
+const mediaStorage = require('./services/mediaStorage');
+const wishlistNotifier = require('./services/wishlistNotifier');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -15,10 +19,15 @@ const adminRoutes = require('./routes/adminRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const trackingRoutes = require('./routes/trackingRoutes');
 const inquiryRoutes = require('./routes/inquiryRoutes'); 
+const collectionRoutes = require('./routes/collectionRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Render's proxy; needed for the real client IP in rate limiting and the M-Pesa callback allowlist
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1'));
+
 // Manual CORS middleware - most reliable approach
 app.use((req, res, next) => {
     const origin = req.headers.origin;
@@ -31,6 +40,8 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    // Lets the admin dashboard name catalog exports
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
     
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -64,6 +75,15 @@ app.use(morgan('combined'));
 // Test Supabase connection
 testConnection();
 
+// Uploaded images, when they are kept on local disk (development)
+if (mediaStorage.driverName === 'local') {
+    app.use('/uploads', express.static(mediaStorage.localDir, {
+        maxAge: '365d',
+        immutable: true,
+        setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+    }));
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
@@ -73,6 +93,8 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/tracking', trackingRoutes);
 app.use('/api/inquiries', inquiryRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/wishlist', wishlistRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -98,10 +120,22 @@ app.use('*', (req, res) => {
     });
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Bidhaaline server running on port ${PORT}`);
-    console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`💳 M-Pesa Environment: ${process.env.MPESA_ENVIRONMENT || 'sandbox'}`);
-});
+// Tests load the app without listening or starting the background jobs
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Bidhaaline server running on port ${PORT}`);
+        console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`💳 M-Pesa Environment: ${process.env.MPESA_ENVIRONMENT || 'sandbox'}`);
+
+        // Release stock held by orders whose payment never arrived
+        reservationService.start();
+
+        // Settle M-Pesa payments whose callback never arrived
+        paymentReconciler.start();
+
+        // Email wishlist back-in-stock and price drop notices
+        wishlistNotifier.start();
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mailer = require('./mailer');
+const userTokenService = require('./userTokenService');
+
+// Account emails carrying a one-time link back to the storefront
+class AccountMailer {
+    constructor() {
+        this.appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    }
+
+    link(param, token) {
+        return `${this.appUrl}/?${param}=${encodeURIComponent(token)}`;
+    }
+
+    async sendVerificationEmail(user) {
+        const token = await userTokenService.issue(user.id, 'email_verification');
+        const url = this.link('verify_token', token);
+
+        await mailer.send({
+            to: user.email,
+            subject: 'Verify your Bidhaaline email address',
+            text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${url}\n\nIf you did not create a Bidhaaline account, ignore this email.`
+        });
+    }
+
+    async sendPasswordResetEmail(user) {
+        const token = await userTokenService.issue(user.id, 'password_reset');
+        const url = this.link('reset_token', token);
+
+        await mailer.send({
+            to: user.email,
+            subject: 'Reset your Bidhaaline password',
+            text: `Hi ${user.name},\n\nUse this link to choose a new password:\n${url}\n\nThe link expires soon and works once. If you did not ask for a reset, ignore this email.`
+        });
+    }
+
+    async sendStaffInviteEmail(user, invitedBy) {
+        const token = await userTokenService.issue(user.id, 'staff_invite');
+        const url = this.link('invite_token', token);
+
+        await mailer.send({
+            to: user.email,
+            subject: 'You have been invited to the Bidhaaline dashboard',
+            text: `Hi ${user.name},\n\n${invitedBy.name} has invited you to join the Bidhaaline team as ${user.role.replace(/_/g, ' ')}.\nChoose your password to set up your account:\n${url}\n\nThe link works once and expires in a few days.`
+        });
+    }
+}
+
+module.exports = new AccountMailer();
@@ -0,0 +1,86 @@
+const { supabase } = require('../config/supabase');
+
+// Fields that change on every write and would only add noise to the diff
+const IGNORED_FIELDS = ['updated_at'];
+const REDACTED_FIELDS = /password|secret|token/i;
+
+// Who changed what in the admin dashboard. Every staff write records the
+// actor, the entity it touched and a field-level before/after diff.
+class AuditLog {
+    // { field: { from, to } } for the fields that differ. A create has no
+    // "before" and a delete no "after", so every field shows up once. For an
+    // update only the fields loaded into "before" are compared, so callers
+    // can pass the full updated row as "after".
+    diff(before, after) {
+        const changes = {};
+        const fields = before && after
+            ? Object.keys(before)
+            : Object.keys(before || after || {});
+
+        for (const field of fields) {
+            if (IGNORED_FIELDS.includes(field)) continue;
+
+            const from = before ? before[field] ?? null : null;
+            const to = after ? after[field] ?? null : null;
+
+            if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+            changes[field] = REDACTED_FIELDS.test(field)
+                ? { from: from === null ? null : '[redacted]', to: to === null ? null : '[redacted]' }
+                : { from, to };
+        }
+
+        return changes;
+    }
+
+    // Never throws: the change has already happened, so a failure to record
+    // it is logged rather than reported to the user as a failed write
+    async record(req, { action, entityType, entityId, before = null, after = null, metadata = null }) {
+        const { error } = await supabase
+            .from('audit_logs')
+            .insert([{
+                actor_id: req.user?.id || null,
+                actor_email: req.user?.email || null,
+                actor_role: req.user?.role || null,
+                action,
+                entity_type: entityType,
+                entity_id: entityId ? String(entityId) : null,
+                changes: this.diff(before, after),
+                metadata,
+                ip_address: req.ip,
+                user_agent: req.get('user-agent') || null
+            }]);
+
+        if (error) {
+            console.error(`Supabase error recording audit entry ${action} ${entityType}/${entityId}:`, error);
+        }
+    }
+
+    async getEntries({ actorId, action, entityType, entityId, from, to, page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('audit_logs')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (actorId) query = query.eq('actor_id', actorId);
+        if (action) query = query.eq('action', action);
+        if (entityType) query = query.eq('entity_type', entityType);
+        if (entityId) query = query.eq('entity_id', entityId);
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lte('created_at', to);
+
+        const { data, count, error } = await query;
+
+        if (error) {
+            console.error('Supabase error fetching audit log:', error);
+            throw new Error('Failed to get audit log');
+        }
+
+        return { entries: data, total: count };
+    }
+}
+
+module.exports = new AuditLog();
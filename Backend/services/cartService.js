@@ -0,0 +1,83 @@
+const { supabase } = require('../config/supabase');
+const variantService = require('./variantService');
+
+// Adding to the cart, shared by the cart and "move to cart" from the wishlist
+class CartService {
+    // Adds quantity of the product (or one of its variants) to the user's
+    // cart, merging with a line already there. Returns { cartItem, created },
+    // or { error, statusCode } when the product or its stock won't allow it.
+    async addItem(userId, { productId, variantId, quantity }) {
+        const { data: product, error: productError } = await supabase
+            .from('products')
+            .select('id, name, price, stock')
+            .eq('id', productId)
+            .eq('is_active', true)
+            .single();
+
+        if (productError || !product) {
+            return { error: 'Product not found', statusCode: 404 };
+        }
+
+        // Products sold in several options are stocked per variant
+        let stock = product.stock;
+
+        if (variantId) {
+            const variant = await variantService.getVariant(productId, variantId);
+
+            if (!variant) {
+                return { error: 'Product option not found', statusCode: 404 };
+            }
+
+            stock = variant.stock;
+        } else if (await variantService.hasVariants(productId)) {
+            return { error: `Please choose an option for ${product.name}`, statusCode: 400 };
+        }
+
+        if (stock < quantity) {
+            return { error: 'Insufficient stock available', statusCode: 400 };
+        }
+
+        let existingQuery = supabase
+            .from('cart_items')
+            .select('id, quantity')
+            .eq('user_id', userId)
+            .eq('product_id', productId);
+
+        existingQuery = variantId
+            ? existingQuery.eq('variant_id', variantId)
+            : existingQuery.is('variant_id', null);
+
+        const { data: existingCartItem, error: cartError } = await existingQuery.single();
+
+        if (existingCartItem && !cartError) {
+            const newQuantity = existingCartItem.quantity + quantity;
+
+            if (newQuantity > stock) {
+                return { error: 'Cannot add more items than available stock', statusCode: 400 };
+            }
+
+            const { data: updatedItem, error: updateError } = await supabase
+                .from('cart_items')
+                .update({ quantity: newQuantity, updated_at: new Date().toISOString() })
+                .eq('id', existingCartItem.id)
+                .select()
+                .single();
+
+            if (updateError) throw updateError;
+
+            return { cartItem: updatedItem, created: false };
+        }
+
+        const { data: newItem, error: insertError } = await supabase
+            .from('cart_items')
+            .insert([{ user_id: userId, product_id: productId, variant_id: variantId || null, quantity }])
+            .select()
+            .single();
+
+        if (insertError) throw insertError;
+
+        return { cartItem: newItem, created: true };
+    }
+}
+
+module.exports = new CartService();
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const variantService = require('./variantService');
+const mediaService = require('./mediaService');
+
+// Product writes shared by the admin product endpoints and bulk imports.
+// Input is expected to have passed validateProduct and
+// variantService.validateDefinitions already, with the category resolved to
+// category_id (products.category follows it in the database).
+class CatalogService {
+    // The random suffix keeps products created in quick succession (an
+    // import) from colliding
+    generateProductId() {
+        return 'PRD' + Date.now().toString().slice(-6) + crypto.randomBytes(2).toString('hex').toUpperCase();
+    }
+
+    async getProductsBySku(skus) {
+        const products = [];
+
+        // Keep the filter within URL length limits
+        for (let i = 0; i < skus.length; i += 200) {
+            const { data, error } = await supabase
+                .from('products')
+                .select('*')
+                .in('sku', skus.slice(i, i + 200));
+
+            if (error) {
+                console.error('Supabase error fetching products by SKU:', error);
+                throw new Error('Failed to get products');
+            }
+
+            products.push(...data);
+        }
+
+        return products;
+    }
+
+    async createProduct({ sku, name, description, price, category_id, stock, image_url, is_active, options = [], variants, images }) {
+        const productId = this.generateProductId();
+
+        // With variants, price and stock start from the variants and are kept
+        // in sync by the database from then on
+        const { data: createdProduct, error } = await supabase
+            .from('products')
+            .insert([{
+                id: productId,
+                sku: sku || productId,
+                name,
+                description,
+                price: variants ? Math.min(...variants.map(variant => variant.price)) : price,
+                category_id,
+                stock: variants ? variants.reduce((sum, variant) => sum + parseInt(variant.stock), 0) : stock,
+                image_url,
+                is_active
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        // A plain image_url starts the gallery off with that one image
+        const gallery = images || (image_url ? [{ url: image_url }] : null);
+
+        try {
+            if (variants) {
+                await variantService.saveVariants(productId, options, variants);
+            }
+
+            if (gallery) {
+                await mediaService.saveGallery(productId, gallery);
+            }
+        } catch (saveError) {
+            // Nothing can reference the product yet, so don't leave it half made
+            await supabase.from('products').delete().eq('id', productId);
+            throw saveError;
+        }
+
+        return variants || gallery ? variantService.getProduct(productId) : createdProduct;
+    }
+
+    // Fields left undefined keep their current value. Returns null when the
+    // product has gone.
+    async updateProduct(existingProduct, { sku, name, description, price, category_id, stock, image_url, is_active, options = [], variants, images }) {
+        const { id } = existingProduct;
+
+        // Price and stock of a product with variants come from its variants
+        const hasVariants = variants ? variants.length > 0 : await variantService.hasVariants(id);
+
+        const { data: updatedProduct, error } = await supabase
+            .from('products')
+            .update({
+                sku,
+                name,
+                description,
+                price: hasVariants ? undefined : price,
+                category_id,
+                stock: hasVariants ? undefined : stock,
+                is_active,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error || !updatedProduct) {
+            // A SKU taken by another product is worth reporting as such
+            if (error?.code === '23505') throw error;
+            return null;
+        }
+
+        if (variants) {
+            await variantService.saveVariants(id, options, variants);
+        }
+
+        // image_url is the primary image of the gallery, so changing it on its
+        // own swaps out the primary image
+        const imagesChanged = !!images || (image_url !== undefined && image_url !== existingProduct.image_url);
+
+        if (images) {
+            await mediaService.saveGallery(id, images);
+        } else if (imagesChanged) {
+            await mediaService.setPrimaryUrl(id, image_url);
+        }
+
+        return variants || imagesChanged ? variantService.getProduct(id) : updatedProduct;
+    }
+
+    // Every product, retired ones included, with variants and gallery
+    async getAllProducts() {
+        const products = [];
+        const pageSize = 1000;
+
+        for (let offset = 0; ; offset += pageSize) {
+            const { data, error } = await supabase
+                .from('products')
+                .select(variantService.productSelect)
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) {
+                console.error('Supabase error exporting products:', error);
+                throw new Error('Failed to export products');
+            }
+
+            products.push(...data.map(product => variantService.shapeProduct(product)));
+
+            if (data.length < pageSize) {
+                return products;
+            }
+        }
+    }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,402 @@
+const { validationResult } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const csv = require('../utils/csv');
+const { validateProduct } = require('../middleware/validation');
+const catalogService = require('./catalogService');
+const categoryService = require('./categoryService');
+const variantService = require('./variantService');
+
+// Bulk catalog import and export, as JSON (the same shape the product
+// endpoints take, plus sku and is_active) or as CSV for spreadsheets.
+//
+// CSV has one row per product, or one row per variant for products with
+// variants: product columns are read from the product's first row and
+// price/stock are the variant's. variant_options reads "Size: 500g; Roast:
+// Dark". images lists the gallery URLs in order, separated by "|". Blank
+// cells leave the current value alone. Categories are exported by slug and
+// imported by ID, slug or name.
+const CSV_COLUMNS = [
+    'sku', 'name', 'description', 'category', 'price', 'stock', 'is_active',
+    'image_url', 'images', 'variant_sku', 'variant_options', 'variant_image_url'
+];
+
+const PRODUCT_FIELDS = [
+    'sku', 'name', 'description', 'category', 'category_id', 'price', 'stock', 'is_active',
+    'image_url', 'images', 'options', 'variants'
+];
+
+// Existing values an update starts from, so a file only needs the columns
+// being changed
+const EDITABLE_FIELDS = ['name', 'description', 'category_id', 'price', 'stock', 'is_active', 'image_url'];
+
+// validateProduct without the handler that answers the request
+const PRODUCT_RULES = validateProduct.slice(0, -1);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The category's slug, falling back on the name for products not yet in one
+const categorySlug = (product, categories) =>
+    categories.find(category => category.id === product.category_id)?.slug || product.category;
+
+class CatalogTransfer {
+    constructor() {
+        this.maxProducts = parseInt(process.env.CATALOG_IMPORT_MAX_PRODUCTS) || 2000;
+        this.csvColumns = CSV_COLUMNS;
+    }
+
+    // Export
+
+    toJson(products, categories) {
+        return products.map(product => ({
+            sku: product.sku,
+            name: product.name,
+            description: product.description,
+            category: categorySlug(product, categories),
+            price: Number(product.price),
+            stock: product.stock,
+            is_active: product.is_active,
+            image_url: product.image_url,
+            ...(product.images.length > 0 && {
+                images: product.images.map(image => ({
+                    ...(image.media_id && { media_id: image.media_id }),
+                    url: image.url,
+                    alt_text: image.alt_text,
+                    is_primary: image.is_primary
+                }))
+            }),
+            ...(product.variants.length > 0 && {
+                options: product.options,
+                variants: product.variants.map(variant => ({
+                    sku: variant.sku,
+                    options: variant.options,
+                    price: Number(variant.price),
+                    stock: variant.stock,
+                    image_url: variant.image_url
+                }))
+            })
+        }));
+    }
+
+    toCsv(products, categories) {
+        const rows = products.flatMap(product => {
+            const base = {
+                sku: product.sku,
+                name: product.name,
+                description: product.description,
+                category: categorySlug(product, categories),
+                is_active: product.is_active,
+                image_url: product.image_url,
+                images: product.images.map(image => image.url).join(' | ')
+            };
+
+            if (product.variants.length === 0) {
+                return [{ ...base, price: product.price, stock: product.stock }];
+            }
+
+            return product.variants.map(variant => ({
+                ...base,
+                price: variant.price,
+                stock: variant.stock,
+                variant_sku: variant.sku,
+                variant_options: product.options.map(option => `${option.name}: ${variant.options[option.name]}`).join('; '),
+                variant_image_url: variant.image_url
+            }));
+        });
+
+        return csv.stringify(CSV_COLUMNS, rows);
+    }
+
+    // Import
+
+    // Turns the request body into import items: { row, variantRows, product,
+    // errors }. row is the line a product starts on (CSV, counting the header
+    // as 1) or its position in the list (JSON).
+    parse(format, body) {
+        const result = format === 'csv' ? this.parseCsv(body) : this.parseJson(body);
+
+        if (result.error) {
+            return result;
+        }
+
+        if (result.items.length === 0) {
+            return { error: 'The file has no products in it' };
+        }
+
+        if (result.items.length > this.maxProducts) {
+            return { error: `Import at most ${this.maxProducts} products at a time` };
+        }
+
+        return result;
+    }
+
+    parseJson(body) {
+        const list = Array.isArray(body) ? body : body?.products;
+
+        if (!Array.isArray(list)) {
+            return { error: 'Send a JSON list of products, or { "products": [...] }' };
+        }
+
+        return {
+            items: list.map((entry, index) => ({
+                row: index + 1,
+                variantRows: [],
+                product: isObject(entry)
+                    ? Object.fromEntries(PRODUCT_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]]))
+                    : {},
+                errors: isObject(entry) ? [] : [{ row: index + 1, message: 'Each product must be an object' }]
+            }))
+        };
+    }
+
+    parseCsv(text) {
+        let parsed;
+
+        try {
+            parsed = csv.parseObjects(typeof text === 'string' ? text : '');
+        } catch (error) {
+            return { error: `The CSV could not be read: ${error.message}` };
+        }
+
+        const unknown = parsed.columns.filter(column => !CSV_COLUMNS.includes(column));
+
+        if (!parsed.columns.includes('sku')) {
+            return { error: 'The CSV needs a sku column' };
+        }
+
+        if (unknown.length > 0) {
+            return { error: `Unknown columns: ${unknown.join(', ')}. Expected ${CSV_COLUMNS.join(', ')}` };
+        }
+
+        // Rows of the same product (its variants) need not be next to each other
+        const groups = new Map();
+
+        parsed.rows.forEach((cells, index) => {
+            const row = index + 2;
+            const values = Object.fromEntries(Object.entries(cells).map(([column, value]) => [column, csv.unescapeFormula(value.trim())]));
+            const key = values.sku || `row ${row}`;
+
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ row, values });
+        });
+
+        return { items: [...groups.values()].map(rows => this.csvItem(rows)) };
+    }
+
+    csvItem(rows) {
+        const [first] = rows;
+        const product = {};
+        const errors = [];
+
+        for (const field of ['sku', 'name', 'description', 'category', 'is_active', 'image_url']) {
+            if (first.values[field]) product[field] = first.values[field];
+        }
+
+        if (first.values.images) {
+            product.images = first.values.images.split('|')
+                .map(url => url.trim())
+                .filter(Boolean)
+                .map(url => ({ url, is_primary: url === product.image_url }));
+        }
+
+        const variantRows = rows.filter(({ values }) => values.variant_sku);
+
+        if (variantRows.length === 0) {
+            if (rows.length > 1) {
+                errors.push({ row: rows[1].row, message: `SKU ${product.sku} is on more than one row; only products with variants take several rows` });
+            }
+
+            if (first.values.price) product.price = first.values.price;
+            if (first.values.stock) product.stock = first.values.stock;
+
+            return { row: first.row, variantRows: [], product, errors };
+        }
+
+        if (variantRows.length !== rows.length) {
+            const plain = rows.find(({ values }) => !values.variant_sku);
+            errors.push({ row: plain.row, message: `Every row of ${product.sku} needs a variant_sku, as it has variants` });
+        }
+
+        // Options are declared in the order their names and values first appear
+        const options = [];
+        const variants = variantRows.map(({ row, values }) => {
+            const chosen = {};
+
+            for (const part of values.variant_options.split(';').map(text => text.trim()).filter(Boolean)) {
+                const separator = part.indexOf(':');
+
+                if (separator === -1) {
+                    errors.push({ row, message: `variant_options must look like "Size: 500g; Colour: Red", not "${part}"` });
+                    continue;
+                }
+
+                const name = part.slice(0, separator).trim();
+                const value = part.slice(separator + 1).trim();
+                let option = options.find(candidate => candidate.name === name);
+
+                if (!option) {
+                    option = { name, values: [] };
+                    options.push(option);
+                }
+
+                if (!option.values.includes(value)) option.values.push(value);
+                chosen[name] = value;
+            }
+
+            return {
+                sku: values.variant_sku,
+                options: chosen,
+                price: values.price || undefined,
+                stock: values.stock || undefined,
+                image_url: values.variant_image_url || undefined
+            };
+        });
+
+        product.options = options;
+        product.variants = variants;
+
+        return { row: first.row, variantRows: variantRows.map(({ row }) => row), product, errors };
+    }
+
+    // Checks every item as the product endpoints would, against the catalog
+    // as it is now. Adds existing (the product a SKU matches), action
+    // ('create' or 'update'), body (the validated fields) and any errors.
+    async validate(items) {
+        for (const item of items) {
+            const { sku } = item.product;
+            item.product.sku = typeof sku === 'string' || typeof sku === 'number' ? String(sku).trim() : undefined;
+        }
+
+        const skus = [...new Set(items.map(item => item.product.sku).filter(Boolean))];
+        const existing = new Map((await catalogService.getProductsBySku(skus)).map(product => [product.sku, product]));
+        const categories = await categoryService.getAll({ includeInactive: true });
+        const seen = new Set();
+
+        for (const item of items) {
+            const { sku } = item.product;
+
+            item.existing = existing.get(sku) || null;
+            item.action = item.existing ? 'update' : 'create';
+
+            if (!sku) {
+                item.errors.push({ row: item.row, message: 'SKU is required' });
+            } else if (seen.has(sku)) {
+                item.errors.push({ row: item.row, message: `SKU ${sku} is listed more than once` });
+            }
+            seen.add(sku);
+
+            const current = item.existing
+                ? Object.fromEntries(EDITABLE_FIELDS.filter(field => item.existing[field] !== null).map(field => [field, item.existing[field]]))
+                : {};
+
+            // A category given in the file replaces the current one
+            if (item.product.category !== undefined || item.product.category_id !== undefined) {
+                delete current.category_id;
+            }
+
+            const req = { body: { ...current, ...item.product } };
+
+            for (const rule of PRODUCT_RULES) {
+                await rule.run(req);
+            }
+
+            item.body = req.body;
+
+            for (const error of validationResult(req).array({ onlyFirstError: true })) {
+                const variantIndex = /^variants\[(\d+)\]/.exec(error.path)?.[1];
+                const row = item.variantRows[variantIndex] || item.row;
+
+                if (!item.errors.some(existingError => existingError.row === row && existingError.message === error.msg)) {
+                    item.errors.push({ row, message: error.msg });
+                }
+            }
+
+            if (item.errors.length === 0) {
+                const { category, error: categoryError } = categoryService.match(categories, item.body.category_id ?? item.body.category);
+
+                if (categoryError) {
+                    item.errors.push({ row: item.row, message: categoryError });
+                } else {
+                    item.body.category_id = category.id;
+                }
+            }
+
+            if (item.errors.length === 0 && item.body.variants) {
+                const definitionError = variantService.validateDefinitions(item.body.options || [], item.body.variants);
+
+                if (definitionError) {
+                    item.errors.push({ row: item.row, message: definitionError });
+                }
+            }
+        }
+
+        await this.checkVariantSkus(items);
+
+        return items;
+    }
+
+    // A variant SKU may only appear once and must not belong to another product
+    async checkVariantSkus(items) {
+        const owners = new Map();
+
+        for (const item of items) {
+            (item.body?.variants || []).forEach((variant, index) => {
+                const row = item.variantRows[index] || item.row;
+
+                if (owners.has(variant.sku) && owners.get(variant.sku) !== item.product.sku) {
+                    item.errors.push({ row, message: `Variant SKU ${variant.sku} is also used by ${owners.get(variant.sku)}` });
+                }
+                owners.set(variant.sku, item.product.sku);
+            });
+        }
+
+        const skus = [...owners.keys()];
+
+        for (let i = 0; i < skus.length; i += 200) {
+            const { data, error } = await supabase
+                .from('product_variants')
+                .select('sku, products!product_variants_product_id_fkey ( sku )')
+                .in('sku', skus.slice(i, i + 200));
+
+            if (error) {
+                console.error('Supabase error checking variant SKUs:', error);
+                throw new Error('Failed to check variant SKUs');
+            }
+
+            for (const variant of data) {
+                const owner = variant.products?.sku;
+                const item = items.find(candidate => candidate.product.sku === owners.get(variant.sku));
+
+                if (owner && owner !== item.product.sku) {
+                    const index = item.body.variants.findIndex(candidate => candidate.sku === variant.sku);
+                    item.errors.push({
+                        row: item.variantRows[index] || item.row,
+                        message: `Variant SKU ${variant.sku} already belongs to product ${owner}`
+                    });
+                }
+            }
+        }
+    }
+
+    report(items, dryRun) {
+        const failed = items.filter(item => item.errors.length > 0);
+
+        return {
+            dryRun,
+            summary: {
+                products: items.length,
+                create: items.filter(item => item.action === 'create' && item.errors.length === 0).length,
+                update: items.filter(item => item.action === 'update' && item.errors.length === 0).length,
+                failed: failed.length
+            },
+            products: items.map(item => ({
+                row: item.row,
+                sku: item.product.sku || null,
+                name: item.body?.name || item.existing?.name || null,
+                action: item.action,
+                errors: item.errors
+            }))
+        };
+    }
+}
+
+module.exports = new CatalogTransfer();
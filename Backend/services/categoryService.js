@@ -0,0 +1,153 @@
+const { supabase } = require('../config/supabase');
+
+const CATEGORY_FIELDS = 'id, parent_id, name, slug, description, image_url, sort_order, is_active';
+
+// Folds case and spacing, so "Food" and "food " are the same name
+const foldName = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// The category tree. The table is small, so lookups load it whole and work
+// in memory.
+class CategoryService {
+    slugify(name) {
+        return foldName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'category';
+    }
+
+    async getAll({ includeInactive = false } = {}) {
+        let query = supabase
+            .from('categories')
+            .select(CATEGORY_FIELDS)
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
+
+        if (!includeInactive) {
+            query = query.eq('is_active', true);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Supabase error fetching categories:', error);
+            throw new Error('Failed to get categories');
+        }
+
+        return data;
+    }
+
+    // Nests the flat list under each parent's children, keeping the order.
+    // Categories whose parent isn't in the list (inactive) are left out.
+    buildTree(categories) {
+        const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+        const roots = [];
+
+        for (const node of nodes.values()) {
+            if (!node.parent_id) {
+                roots.push(node);
+            } else if (nodes.has(node.parent_id)) {
+                nodes.get(node.parent_id).children.push(node);
+            }
+        }
+
+        return roots;
+    }
+
+    // The category and everything below it
+    descendantIds(categories, id) {
+        const ids = [id];
+
+        for (let i = 0; i < ids.length; i++) {
+            ids.push(...categories.filter(category => category.parent_id === ids[i]).map(category => category.id));
+        }
+
+        return ids;
+    }
+
+    // Finds a category by ID, slug or name. A name shared by categories
+    // under different parents has to be given as a slug instead.
+    match(categories, value) {
+        if (value === undefined || value === null || String(value).trim() === '') {
+            return { error: 'Category is required' };
+        }
+
+        const text = String(value).trim();
+        const byId = /^\d+$/.test(text) && categories.find(category => category.id === parseInt(text));
+        const bySlug = categories.find(category => category.slug === text.toLowerCase());
+
+        if (byId || bySlug) {
+            return { category: byId || bySlug };
+        }
+
+        const byName = categories.filter(category => foldName(category.name) === foldName(text));
+
+        if (byName.length > 1) {
+            return { error: `More than one category is called ${text}; use its slug (${byName.map(category => category.slug).join(', ')})` };
+        }
+
+        if (byName.length === 0) {
+            return { error: `Unknown category: ${text}` };
+        }
+
+        return { category: byName[0] };
+    }
+
+    // Products name their category by category_id, or by slug or name in
+    // category (the older free-text field)
+    async resolveProductCategory({ category_id, category }) {
+        const categories = await this.getAll({ includeInactive: true });
+        return this.match(categories, category_id ?? category);
+    }
+
+    async getById(id) {
+        const { data } = await supabase
+            .from('categories')
+            .select(CATEGORY_FIELDS)
+            .eq('id', id)
+            .single();
+
+        return data || null;
+    }
+
+    // Returns an error message when the parent can't hold the category:
+    // it must exist and must not be the category itself or below it
+    async checkParent(categoryId, parentId) {
+        if (!parentId) {
+            return null;
+        }
+
+        const categories = await this.getAll({ includeInactive: true });
+
+        if (!categories.some(category => category.id === parentId)) {
+            return 'Parent category not found';
+        }
+
+        if (categoryId && this.descendantIds(categories, categoryId).includes(parentId)) {
+            return 'A category cannot be moved under itself or one of its subcategories';
+        }
+
+        return null;
+    }
+
+    // Why the category can't be deleted yet, or null
+    async checkDeletable(id) {
+        const [{ count: children, error: childError }, { count: products, error: productError }] = await Promise.all([
+            supabase.from('categories').select('*', { count: 'exact', head: true }).eq('parent_id', id),
+            supabase.from('products').select('*', { count: 'exact', head: true }).eq('category_id', id)
+        ]);
+
+        if (childError || productError) {
+            console.error('Supabase error checking category usage:', childError || productError);
+            throw new Error('Failed to check category');
+        }
+
+        if (children > 0) {
+            return `Move or delete its ${children} subcategories first`;
+        }
+
+        if (products > 0) {
+            return `${products} products are in this category; move them first or deactivate the category instead`;
+        }
+
+        return null;
+    }
+}
+
+module.exports = new CategoryService();
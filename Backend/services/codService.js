@@ -0,0 +1,127 @@
+const { supabase } = require('../config/supabase');
+
+class CodService {
+    // Only staff can collect cash; customers never deliver orders
+    async getCollector(userId) {
+        const { data, error } = await supabase
+            .from('users')
+            .select('id, name, role, is_active')
+            .eq('id', userId)
+            .single();
+
+        if (error || !data || data.role === 'customer' || !data.is_active) {
+            return null;
+        }
+
+        return data;
+    }
+
+    // Expected vs collected cash per rider for orders delivered in the period,
+    // plus what each rider still has to hand over
+    async getSettlementReport({ from, to }) {
+        let query = supabase
+            .from('orders')
+            .select('id, total_amount, cod_collected_amount, cod_collected_by, cod_collected_at, cod_settlement_id')
+            .eq('payment_method', 'cash')
+            .not('cod_collected_at', 'is', null);
+
+        if (from) query = query.gte('cod_collected_at', from);
+        if (to) query = query.lte('cod_collected_at', to);
+
+        const { data: orders, error } = await query;
+
+        if (error) {
+            console.error('Supabase error fetching cash collections:', error);
+            throw new Error('Failed to get settlement report');
+        }
+
+        const riders = new Map();
+
+        for (const order of orders) {
+            if (!riders.has(order.cod_collected_by)) {
+                riders.set(order.cod_collected_by, {
+                    rider_id: order.cod_collected_by,
+                    order_count: 0,
+                    expected_amount: 0,
+                    collected_amount: 0,
+                    unsettled_count: 0,
+                    unsettled_amount: 0
+                });
+            }
+
+            const rider = riders.get(order.cod_collected_by);
+            rider.order_count++;
+            rider.expected_amount += Number(order.total_amount);
+            rider.collected_amount += Number(order.cod_collected_amount);
+
+            if (!order.cod_settlement_id) {
+                rider.unsettled_count++;
+                rider.unsettled_amount += Number(order.cod_collected_amount);
+            }
+        }
+
+        const names = await this.getUserNames(Array.from(riders.keys()));
+
+        return Array.from(riders.values()).map(rider => ({
+            ...rider,
+            rider_name: names[rider.rider_id] || null,
+            variance: rider.collected_amount - rider.expected_amount
+        }));
+    }
+
+    async getUserNames(userIds) {
+        if (userIds.length === 0) return {};
+
+        const { data, error } = await supabase
+            .from('users')
+            .select('id, name')
+            .in('id', userIds);
+
+        if (error) {
+            console.error('Supabase error fetching rider names:', error);
+            throw new Error('Failed to get riders');
+        }
+
+        return Object.fromEntries(data.map(user => [user.id, user.name]));
+    }
+
+    async settle({ riderId, settledBy, note, until }) {
+        const { data, error } = await supabase
+            .rpc('settle_cod_collections', {
+                p_rider_id: riderId,
+                p_settled_by: settledBy,
+                p_note: note || null,
+                p_until: until || new Date().toISOString()
+            })
+            .single();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    async getSettlements({ riderId, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('cod_settlements')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (riderId) {
+            query = query.eq('rider_id', riderId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Supabase error fetching settlements:', error);
+            throw new Error('Failed to get settlements');
+        }
+
+        return data;
+    }
+}
+
+module.exports = new CodService();
@@ -0,0 +1,99 @@
+const { supabase } = require('../config/supabase');
+const searchService = require('./searchService');
+
+const COLLECTION_FIELDS = 'id, name, slug, description, rules, product_limit, starts_at, ends_at, home_position, is_active, created_at, updated_at';
+
+// Merchandising collections; see 023_collections.sql
+class CollectionService {
+    // Whether shoppers can see the collection at `now`
+    isLive(collection, now = new Date()) {
+        return collection.is_active
+            && (!collection.starts_at || new Date(collection.starts_at) <= now)
+            && (!collection.ends_at || new Date(collection.ends_at) > now);
+    }
+
+    async getAll() {
+        const { data, error } = await supabase
+            .from('collections')
+            .select(`${COLLECTION_FIELDS}, collection_products ( product_id, position )`)
+            .order('home_position', { ascending: true, nullsFirst: false })
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching collections:', error);
+            throw new Error('Failed to get collections');
+        }
+
+        return data.map(collection => this.shape(collection));
+    }
+
+    async getBySlug(slug) {
+        const { data } = await supabase
+            .from('collections')
+            .select(`${COLLECTION_FIELDS}, collection_products ( product_id, position )`)
+            .eq('slug', slug)
+            .single();
+
+        return data ? this.shape(data) : null;
+    }
+
+    async getById(id) {
+        const { data } = await supabase
+            .from('collections')
+            .select(`${COLLECTION_FIELDS}, collection_products ( product_id, position )`)
+            .eq('id', id)
+            .single();
+
+        return data ? this.shape(data) : null;
+    }
+
+    // The hand-picked product IDs, in order, as product_ids
+    shape({ collection_products: picks = [], ...collection }) {
+        return {
+            ...collection,
+            product_ids: [...picks].sort((a, b) => a.position - b.position).map(pick => pick.product_id)
+        };
+    }
+
+    // What shoppers see: the hand-picked products that are still for sale,
+    // then products matching the rules, up to product_limit
+    async getProducts(collection) {
+        const picked = (await searchService.getProducts(collection.product_ids))
+            .filter(product => product.is_active);
+        const room = collection.product_limit - picked.length;
+
+        if (!collection.rules || room <= 0) {
+            return picked.slice(0, collection.product_limit);
+        }
+
+        const { categories = [], min_price: minPrice, max_price: maxPrice, in_stock: inStock = false, sort } = collection.rules;
+
+        // Ask for enough to make up for any that were picked already
+        const { products: matched } = await searchService.search({
+            categories,
+            minPrice,
+            maxPrice,
+            inStock,
+            sort,
+            limit: Math.min(room + picked.length, 48),
+            facets: false
+        });
+
+        const pickedIds = new Set(picked.map(product => product.id));
+
+        return [...picked, ...matched.filter(product => !pickedIds.has(product.id))]
+            .slice(0, collection.product_limit);
+    }
+
+    async saveProducts(collectionId, productIds) {
+        const { error } = await supabase
+            .rpc('save_collection_products', {
+                p_collection_id: collectionId,
+                p_product_ids: productIds
+            });
+
+        if (error) throw error;
+    }
+}
+
+module.exports = new CollectionService();
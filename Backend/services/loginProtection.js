@@ -0,0 +1,228 @@
+const { supabase } = require('../config/supabase');
+
+// Failed password logins slow down and eventually lock the email out, and a
+// single IP failing across many accounts is throttled. Attempts and lockouts
+// are tracked by email whether or not an account exists, so responses don't
+// reveal which emails are registered.
+class LoginProtection {
+    constructor() {
+        this.windowMinutes = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+        this.maxFailures = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+        this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+        this.maxFailuresPerIp = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+        // Failures allowed before each further attempt has to wait
+        this.freeFailures = 2;
+    }
+
+    windowStart() {
+        return new Date(Date.now() - this.windowMinutes * 60 * 1000).toISOString();
+    }
+
+    // Failures since the last success within the window, newest first
+    async getRecentFailures(email) {
+        const { data, error } = await supabase
+            .from('login_attempts')
+            .select('succeeded, created_at')
+            .eq('email', email)
+            .gte('created_at', this.windowStart())
+            .order('created_at', { ascending: false })
+            .limit(this.maxFailures + 1);
+
+        if (error) {
+            console.error('Supabase error fetching login attempts:', error);
+            throw new Error('Failed to check login attempts');
+        }
+
+        const failures = [];
+        for (const attempt of data) {
+            if (attempt.succeeded) break;
+            failures.push(attempt);
+        }
+
+        return failures;
+    }
+
+    async countIpFailures(ipAddress) {
+        const { count, error } = await supabase
+            .from('login_attempts')
+            .select('*', { count: 'exact', head: true })
+            .eq('ip_address', ipAddress)
+            .eq('succeeded', false)
+            .gte('created_at', this.windowStart());
+
+        if (error) {
+            console.error('Supabase error counting IP failures:', error);
+            throw new Error('Failed to check login attempts');
+        }
+
+        return count;
+    }
+
+    // A lockout is the account_locked event logged when the email reached
+    // the failure limit; returns when the newest one ends, or null
+    async getLockedUntil(email) {
+        const { data, error } = await supabase
+            .from('security_events')
+            .select('details')
+            .eq('event_type', 'account_locked')
+            .eq('email', email)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            console.error('Supabase error fetching lockout:', error);
+            throw new Error('Failed to check login attempts');
+        }
+
+        const lockedUntil = data[0] && new Date(data[0].details.locked_until);
+
+        return lockedUntil > new Date() ? lockedUntil : null;
+    }
+
+    // Returns { retryAfterSeconds, message } when the attempt must be refused
+    // before the password is even checked, otherwise null
+    async check(email, ipAddress) {
+        const lockedUntil = await this.getLockedUntil(email);
+
+        if (lockedUntil) {
+            const seconds = Math.ceil((lockedUntil - Date.now()) / 1000);
+            return {
+                retryAfterSeconds: seconds,
+                message: `Account temporarily locked. Try again in ${Math.ceil(seconds / 60)} minutes.`
+            };
+        }
+
+        const ipFailures = await this.countIpFailures(ipAddress);
+
+        if (ipFailures >= this.maxFailuresPerIp) {
+            return {
+                retryAfterSeconds: this.windowMinutes * 60,
+                message: 'Too many failed login attempts from this network. Please try again later.'
+            };
+        }
+
+        // Progressive delay: 1s, 2s, 4s... after the free failures
+        const failures = await this.getRecentFailures(email);
+
+        if (failures.length > this.freeFailures) {
+            const delaySeconds = 2 ** (failures.length - this.freeFailures - 1);
+            const waited = (Date.now() - new Date(failures[0].created_at).getTime()) / 1000;
+
+            if (waited < delaySeconds) {
+                return {
+                    retryAfterSeconds: Math.ceil(delaySeconds - waited),
+                    message: 'Too many failed attempts. Please wait a moment before trying again.'
+                };
+            }
+        }
+
+        return null;
+    }
+
+    async recordAttempt(email, ipAddress, succeeded) {
+        const { error } = await supabase
+            .from('login_attempts')
+            .insert([{ email, ip_address: ipAddress, succeeded }]);
+
+        if (error) {
+            console.error('Supabase error recording login attempt:', error);
+        }
+    }
+
+    async recordFailure(email, req, user) {
+        await this.recordAttempt(email, req.ip, false);
+
+        const failures = await this.getRecentFailures(email);
+
+        if (failures.length >= this.maxFailures) {
+            const lockedUntil = new Date(Date.now() + this.lockoutMinutes * 60 * 1000).toISOString();
+
+            await this.logEvent('account_locked', req, {
+                user,
+                email,
+                details: { failures: failures.length, locked_until: lockedUntil }
+            });
+        }
+
+        // Log once, when the IP first crosses the threshold
+        if (await this.countIpFailures(req.ip) === this.maxFailuresPerIp) {
+            await this.logEvent('ip_throttled', req, { email, details: { failures: this.maxFailuresPerIp } });
+        }
+    }
+
+    async recordSuccess(email, req, user) {
+        const failures = await this.getRecentFailures(email);
+        const knownIp = await this.hasLoggedInFrom(email, req.ip);
+
+        await this.recordAttempt(email, req.ip, true);
+
+        if (failures.length >= this.freeFailures) {
+            await this.logEvent('login_after_failures', req, { user, details: { failures: failures.length } });
+        }
+
+        // Staff accounts are worth more to an attacker, so flag every new network
+        if (!knownIp && user.role !== 'customer') {
+            await this.logEvent('new_ip_login', req, { user });
+        }
+    }
+
+    async hasLoggedInFrom(email, ipAddress) {
+        const { count, error } = await supabase
+            .from('login_attempts')
+            .select('*', { count: 'exact', head: true })
+            .eq('email', email)
+            .eq('ip_address', ipAddress)
+            .eq('succeeded', true);
+
+        if (error) {
+            console.error('Supabase error checking login history:', error);
+            return true;
+        }
+
+        return count > 0;
+    }
+
+    async logEvent(eventType, req, { user = null, email = null, details = null } = {}) {
+        const { error } = await supabase
+            .from('security_events')
+            .insert([{
+                event_type: eventType,
+                user_id: user?.id || null,
+                email: user?.email || email,
+                ip_address: req.ip,
+                user_agent: req.get('user-agent') || null,
+                details
+            }]);
+
+        if (error) {
+            console.error('Supabase error recording security event:', error);
+        }
+    }
+
+    async getEvents({ eventType, email, userId, from, to, page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('security_events')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (eventType) query = query.eq('event_type', eventType);
+        if (email) query = query.eq('email', email);
+        if (userId) query = query.eq('user_id', userId);
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lte('created_at', to);
+
+        const { data, count, error } = await query;
+
+        if (error) {
+            console.error('Supabase error fetching security events:', error);
+            throw new Error('Failed to get security events');
+        }
+
+        return { events: data, total: count };
+    }
+}
+
+module.exports = new LoginProtection();
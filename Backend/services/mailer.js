@@ -0,0 +1,46 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Outgoing email. MAIL_TRANSPORT picks how messages leave the process:
+// 'console' logs them and 'file' writes them to MAIL_OUTBOX_DIR, so every
+// flow works offline. Real providers plug in through registerTransport.
+class Mailer {
+    constructor() {
+        this.from = process.env.MAIL_FROM || 'Bidhaaline <no-reply@bidhaaline.co.ke>';
+        this.transportName = process.env.MAIL_TRANSPORT || 'console';
+        this.outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+        this.transports = new Map();
+
+        this.registerTransport('console', async (message) => {
+            console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+        });
+
+        this.registerTransport('file', async (message) => {
+            await fs.mkdir(this.outboxDir, { recursive: true });
+            const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.]/g, '_')}.json`;
+            await fs.writeFile(path.join(this.outboxDir, fileName), JSON.stringify(message, null, 2));
+        });
+    }
+
+    // A transport is an async function receiving { from, to, subject, text, html }
+    registerTransport(name, send) {
+        this.transports.set(name, send);
+    }
+
+    async send({ to, subject, text, html }) {
+        const transport = this.transports.get(this.transportName);
+
+        if (!transport) {
+            throw new Error(`Unknown mail transport: ${this.transportName}`);
+        }
+
+        try {
+            await transport({ from: this.from, to, subject, text, html: html || null });
+        } catch (error) {
+            console.error('Mail delivery error:', error.message);
+            throw new Error('Failed to send email');
+        }
+    }
+}
+
+module.exports = new Mailer();
@@ -0,0 +1,197 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const mediaStorage = require('./mediaStorage');
+
+// Renditions stored for every upload, by longest edge in pixels. Originals
+// are not kept: re-encoding drops EXIF data such as the GPS position of
+// photos taken on a phone.
+const RENDITIONS = {
+    large: 1200,
+    medium: 600,
+    thumbnail: 200
+};
+
+// Formats accepted, as detected from the file contents
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+const IMAGE_FIELDS = 'id, product_id, media_id, url, medium_url, thumbnail_url, alt_text, position, is_primary';
+
+class MediaService {
+    constructor() {
+        this.maxPixels = parseInt(process.env.MEDIA_MAX_PIXELS) || 40000000;
+        this.quality = parseInt(process.env.MEDIA_WEBP_QUALITY) || 82;
+        this.acceptedFormats = ACCEPTED_FORMATS;
+    }
+
+    // The image's real format and size, or null when the bytes are not an
+    // image we accept (whatever the file name or declared type says)
+    async inspect(buffer) {
+        try {
+            const { format, width, height } = await sharp(buffer, { limitInputPixels: this.maxPixels }).metadata();
+
+            if (!ACCEPTED_FORMATS.includes(format) || !width || !height) {
+                return null;
+            }
+
+            return { format, width, height };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async upload(file, userId) {
+        const image = await this.inspect(file.buffer);
+
+        if (!image) {
+            return null;
+        }
+
+        const date = new Date();
+        const prefix = `products/${date.getUTCFullYear()}/${String(date.getUTCMonth() + 1).padStart(2, '0')}/${uuidv4()}`;
+        const storageKeys = {};
+        const urls = {};
+        let large;
+
+        try {
+            for (const [name, size] of Object.entries(RENDITIONS)) {
+                const { data, info } = await sharp(file.buffer, { limitInputPixels: this.maxPixels })
+                    .rotate()
+                    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                    .webp({ quality: this.quality })
+                    .toBuffer({ resolveWithObject: true });
+
+                const key = `${prefix}-${name}.webp`;
+                urls[name] = await mediaStorage.put(key, data, 'image/webp');
+                storageKeys[name] = key;
+
+                if (name === 'large') {
+                    large = { ...info, size: data.length };
+                }
+            }
+
+            const { data: asset, error } = await supabase
+                .from('media_assets')
+                .insert([{
+                    storage_driver: mediaStorage.driverName,
+                    storage_keys: storageKeys,
+                    url: urls.large,
+                    medium_url: urls.medium,
+                    thumbnail_url: urls.thumbnail,
+                    width: large.width,
+                    height: large.height,
+                    byte_size: large.size,
+                    original_name: file.originalname || null,
+                    original_type: `image/${image.format}`,
+                    uploaded_by: userId
+                }])
+                .select()
+                .single();
+
+            if (error) {
+                console.error('Supabase error saving media asset:', error);
+                throw new Error('Failed to save uploaded image');
+            }
+
+            return asset;
+        } catch (error) {
+            await Promise.all(Object.values(storageKeys).map(key => mediaStorage.remove(key)));
+            throw error;
+        }
+    }
+
+    // Assets by ID, or by URL for entries that only carry one
+    async getAssets(mediaIds, urls = []) {
+        const assets = [];
+
+        for (const [column, values] of [['id', mediaIds], ['url', urls]]) {
+            if (values.length === 0) continue;
+
+            const { data, error } = await supabase
+                .from('media_assets')
+                .select('id, url, medium_url, thumbnail_url')
+                .in(column, values);
+
+            if (error) {
+                console.error('Supabase error fetching media assets:', error);
+                throw new Error('Failed to get media');
+            }
+
+            assets.push(...data);
+        }
+
+        return assets;
+    }
+
+    async getGallery(productId) {
+        const { data, error } = await supabase
+            .from('product_images')
+            .select(IMAGE_FIELDS)
+            .eq('product_id', productId)
+            .order('position', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching product images:', error);
+            throw new Error('Failed to get product images');
+        }
+
+        return data;
+    }
+
+    // Replaces the gallery with `images`, in order. Each entry either names an
+    // uploaded media_id or an already hosted url; see save_product_images. A
+    // url of an upload (e.g. from a catalog export) is linked back to it, and
+    // an entry without alt_text keeps the alt text the image already had.
+    async saveGallery(productId, images) {
+        const mediaIds = [...new Set(images.filter(image => image.media_id).map(image => parseInt(image.media_id)))];
+        const urls = [...new Set(images.filter(image => !image.media_id).map(image => image.url))];
+        const assets = await this.getAssets(mediaIds, urls);
+        const current = await this.getGallery(productId);
+
+        const missing = mediaIds.find(id => !assets.some(asset => asset.id === id));
+        if (missing) {
+            const error = new Error(`Media ${missing} not found`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const { data, error } = await supabase
+            .rpc('save_product_images', {
+                p_product_id: productId,
+                p_images: images.map(image => {
+                    const asset = image.media_id
+                        ? assets.find(candidate => candidate.id === parseInt(image.media_id))
+                        : assets.find(candidate => candidate.url === image.url);
+
+                    const url = asset ? asset.url : image.url;
+                    const altText = image.alt_text === undefined
+                        ? current.find(existing => existing.url === url)?.alt_text
+                        : image.alt_text;
+
+                    return {
+                        media_id: asset ? asset.id : null,
+                        url,
+                        medium_url: asset ? asset.medium_url : image.medium_url || null,
+                        thumbnail_url: asset ? asset.thumbnail_url : image.thumbnail_url || null,
+                        alt_text: altText?.trim() || null,
+                        is_primary: !!image.is_primary
+                    };
+                })
+            });
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    // Makes `url` the primary image, for callers that only know about
+    // products.image_url. The old primary image is replaced, the rest stay.
+    async setPrimaryUrl(productId, url) {
+        const gallery = await this.getGallery(productId);
+        const rest = gallery.filter(image => !image.is_primary && image.url !== url);
+
+        return this.saveGallery(productId, [{ url, is_primary: true }, ...rest]);
+    }
+}
+
+module.exports = new MediaService();
@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { supabase } = require('../config/supabase');
+
+// Where uploaded media lives. STORAGE_DRIVER picks the backend: 'local'
+// writes under MEDIA_LOCAL_DIR and is served by the API itself (for
+// development), 'supabase' uses a public Supabase Storage bucket. Other
+// backends plug in through registerDriver.
+class MediaStorage {
+    constructor() {
+        this.driverName = process.env.STORAGE_DRIVER || 'local';
+        this.localDir = process.env.MEDIA_LOCAL_DIR || path.join(__dirname, '..', 'uploads');
+        this.localPublicUrl = (process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/uploads`).replace(/\/+$/, '');
+        this.bucket = process.env.SUPABASE_STORAGE_BUCKET || 'product-images';
+        this.drivers = new Map();
+
+        this.registerDriver('local', {
+            put: async (key, buffer) => {
+                const filePath = this.localPath(key);
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.writeFile(filePath, buffer);
+                return `${this.localPublicUrl}/${key}`;
+            },
+            remove: async (key) => {
+                await fs.rm(this.localPath(key), { force: true });
+            }
+        });
+
+        this.registerDriver('supabase', {
+            put: async (key, buffer, contentType) => {
+                const { error } = await supabase.storage
+                    .from(this.bucket)
+                    .upload(key, buffer, { contentType, cacheControl: '31536000', upsert: false });
+
+                if (error) throw error;
+
+                return supabase.storage.from(this.bucket).getPublicUrl(key).data.publicUrl;
+            },
+            remove: async (key) => {
+                const { error } = await supabase.storage.from(this.bucket).remove([key]);
+                if (error) throw error;
+            }
+        });
+    }
+
+    // Keys are generated by the server, but never let one escape the directory
+    localPath(key) {
+        const filePath = path.resolve(this.localDir, key);
+
+        if (!filePath.startsWith(path.resolve(this.localDir) + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+
+        return filePath;
+    }
+
+    // A driver is { put(key, buffer, contentType) -> public URL, remove(key) }
+    registerDriver(name, driver) {
+        this.drivers.set(name, driver);
+    }
+
+    getDriver() {
+        const driver = this.drivers.get(this.driverName);
+
+        if (!driver) {
+            throw new Error(`Unknown storage driver: ${this.driverName}`);
+        }
+
+        return driver;
+    }
+
+    async put(key, buffer, contentType) {
+        try {
+            return await this.getDriver().put(key, buffer, contentType);
+        } catch (error) {
+            console.error('Media storage error:', error.message);
+            throw new Error('Failed to store file');
+        }
+    }
+
+    // Best effort: an orphaned file is harmless, a failed request is not
+    async remove(key) {
+        try {
+            await this.getDriver().remove(key);
+        } catch (error) {
+            console.error(`Media storage error removing ${key}:`, error.message);
+        }
+    }
+}
+
+module.exports = new MediaStorage();
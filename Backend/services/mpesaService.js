@@ -1,5 +1,19 @@
 const axios = require('axios');
 const { supabase } = require('../config/supabase');
+const orderPaymentService = require('./orderPaymentService');
+const PaymentError = require('./paymentProviders/PaymentError');
+const { formatPhoneNumber } = require('../utils/phone');
+
+// Transactions a payment result may still be applied to
+const SETTLEABLE_STATUSES = ['pending', 'expired'];
+
+// Money M-Pesa actually took, including payments held in quarantine (e.g.
+// for an order cancelled before the payment arrived) that have to go back
+const REFUNDABLE_STATUSES = ['success', 'quarantined'];
+
+// C2B payments share the transaction ledger under this made-up checkout ID;
+// there is no STK push behind them to query
+const C2B_TRANSACTION_PREFIX = 'C2B-';
 
 class MpesaService {
     constructor() {
@@ -7,12 +21,21 @@ class MpesaService {
         this.consumerSecret = process.env.MPESA_CONSUMER_SECRET;
         this.businessShortCode = process.env.MPESA_BUSINESS_SHORTCODE;
         this.passkey = process.env.MPESA_PASSKEY;
+        // Buy Goods: BusinessShortCode is the store number and payments go to the till
+        this.tillNumber = process.env.MPESA_TILL_NUMBER;
+        this.c2bShortCode = process.env.MPESA_C2B_SHORTCODE || process.env.MPESA_BUSINESS_SHORTCODE;
+        this.c2bCallbackUrl = process.env.MPESA_C2B_CALLBACK_URL;
         this.callbackUrl = process.env.MPESA_CALLBACK_URL;
+        this.callbackToken = process.env.MPESA_CALLBACK_TOKEN;
+        this.refundCallbackUrl = process.env.MPESA_REFUND_CALLBACK_URL;
+        this.initiatorName = process.env.MPESA_INITIATOR_NAME;
+        this.securityCredential = process.env.MPESA_SECURITY_CREDENTIAL;
         this.environment = process.env.MPESA_ENVIRONMENT || 'sandbox';
 
-        this.baseUrl = this.environment === 'production'
+        // MPESA_BASE_URL points the service at another Daraja host, e.g. mock/darajaServer.js
+        this.baseUrl = process.env.MPESA_BASE_URL || (this.environment === 'production'
             ? 'https://api.safaricom.co.ke'
-            : 'https://sandbox.safaricom.co.ke';
+            : 'https://sandbox.safaricom.co.ke');
     }
 
     async getAccessToken() {
@@ -32,6 +55,11 @@ class MpesaService {
         }
     }
 
+    // Callback routes only accept requests carrying the shared secret as the last path segment
+    withCallbackToken(url) {
+        return `${url.replace(/\/+$/, '')}/${encodeURIComponent(this.callbackToken)}`;
+    }
+
     generatePassword() {
         const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, -3);
         const password = Buffer.from(`${this.businessShortCode}${this.passkey}${timestamp}`).toString('base64');
@@ -48,12 +76,12 @@ class MpesaService {
                 BusinessShortCode: this.businessShortCode,
                 Password: password,
                 Timestamp: timestamp,
-                TransactionType: 'CustomerPayBillOnline',
+                TransactionType: this.tillNumber ? 'CustomerBuyGoodsOnline' : 'CustomerPayBillOnline',
                 Amount: Math.round(amount),
                 PartyA: formattedPhone,
-                PartyB: this.businessShortCode,
+                PartyB: this.tillNumber || this.businessShortCode,
                 PhoneNumber: formattedPhone,
-                CallBackURL: this.callbackUrl,
+                CallBackURL: this.withCallbackToken(this.callbackUrl),
                 AccountReference: accountReference,
                 TransactionDesc: `Payment for order ${orderId}`
             };
@@ -165,33 +193,536 @@ class MpesaService {
                 });
             }
 
-            const status = resultCode === 0 ? 'success' : 'failed';
-
-            await this.updateTransaction(checkoutRequestId, {
-                mpesaReceiptNumber,
-                transactionDate,
+            const result = await this.applyPaymentResult(checkoutRequestId, {
                 resultCode,
                 resultDesc,
-                status
+                mpesaReceiptNumber,
+                transactionDate,
+                amount,
+                payload: callbackData
             });
 
-            if (status === 'success') {
-                await this.updateOrderPaymentStatus(checkoutRequestId);
+            return {
+                ...result,
+                merchantRequestId
+            };
+
+        } catch (error) {
+            console.error('M-Pesa Callback Error:', error);
+            throw new Error('Failed to process M-Pesa callback');
+        }
+    }
+
+    // Applies a final STK push result to a pending transaction and its order.
+    // Shared by the Daraja callback and the reconciliation job; amount is null
+    // when the result came from an STK query, which does not report it.
+    async applyPaymentResult(checkoutRequestId, { resultCode, resultDesc, mpesaReceiptNumber = null, transactionDate = null, amount = null, payload = null }) {
+        const transaction = await this.getTransactionByCheckoutRequestId(checkoutRequestId);
+
+        // Safaricom retries callbacks it thinks were not delivered; only the
+        // first result for a pending transaction is applied. Expired ones were
+        // given up on by the reconciler and still take a late result.
+        if (!SETTLEABLE_STATUSES.includes(transaction.status)) {
+            // A payment settled by STK query has no receipt until the callback
+            if (transaction.status === 'success' && !transaction.mpesa_receipt_number && mpesaReceiptNumber) {
+                await this.recordReceiptNumber(checkoutRequestId, mpesaReceiptNumber, transactionDate);
             }
 
             return {
-                success: status === 'success',
+                success: transaction.status === 'success',
+                duplicate: true,
+                status: transaction.status,
+                checkoutRequestId,
+                resultCode,
+                resultDesc,
+                mpesaReceiptNumber: transaction.mpesa_receipt_number || mpesaReceiptNumber
+            };
+        }
+
+        let status = Number(resultCode) === 0 ? 'success' : 'failed';
+
+        // STK push sends the rounded amount, so compare against that
+        const amountMatches = amount === null || Math.round(Number(transaction.amount)) === Number(amount);
+        if (status === 'success' && !amountMatches) {
+            status = 'quarantined';
+        }
+
+        const applied = await this.updateTransaction(checkoutRequestId, {
+            mpesaReceiptNumber,
+            transactionDate,
+            resultCode,
+            resultDesc,
+            status
+        });
+
+        if (!applied) {
+            return {
+                success: false,
+                duplicate: true,
+                status: 'pending',
                 checkoutRequestId,
-                merchantRequestId,
                 resultCode,
                 resultDesc,
                 mpesaReceiptNumber
             };
+        }
+
+        if (status === 'quarantined') {
+            await this.quarantinePayment({
+                transaction,
+                reason: 'amount_mismatch',
+                receivedAmount: amount,
+                mpesaReceiptNumber,
+                payload
+            });
+        } else if (status === 'success') {
+            const confirmed = await this.updateOrderPaymentStatus(checkoutRequestId, payload);
+            if (!confirmed) status = 'quarantined';
+        }
+
+        return {
+            success: status === 'success',
+            status,
+            checkoutRequestId,
+            resultCode,
+            resultDesc,
+            mpesaReceiptNumber
+        };
+    }
+
+    // Full refunds reverse the original STK payment; partial ones are paid
+    // back to the customer's phone through B2C since reversals cannot be split.
+    // A reversal needs the M-Pesa receipt, which payments settled by STK query
+    // don't have, so those are paid back through B2C too.
+    async initiateRefund({ transaction, paidAmount, amount, reason, requestedBy }) {
+        const method = Number(amount) >= Number(paidAmount) && transaction.mpesa_receipt_number
+            ? 'reversal'
+            : 'b2c';
+
+        // Rechecks the balance with the order locked; see 032_refund_balance_lock.sql
+        const { data: refund, error } = await supabase
+            .rpc('create_mpesa_refund', {
+                p_order_id: transaction.order_id,
+                p_checkout_request_id: transaction.checkout_request_id,
+                p_method: method,
+                p_amount: amount,
+                p_paid_amount: paidAmount,
+                p_reason: reason || null,
+                p_requested_by: requestedBy
+            })
+            .single();
+
+        if (error) {
+            if (error.code === 'P0001') throw new PaymentError(error.message);
+
+            console.error('Supabase error storing refund:', error);
+            throw new Error('Failed to store refund record');
+        }
+
+        try {
+            const accessToken = await this.getAccessToken();
+            const remarks = reason || `Refund for order ${transaction.order_id}`;
+
+            const endpoint = method === 'reversal'
+                ? '/mpesa/reversal/v1/request'
+                : '/mpesa/b2c/v1/paymentrequest';
+
+            const payload = method === 'reversal'
+                ? {
+                    Initiator: this.initiatorName,
+                    SecurityCredential: this.securityCredential,
+                    CommandID: 'TransactionReversal',
+                    TransactionID: transaction.mpesa_receipt_number,
+                    Amount: Math.round(amount),
+                    ReceiverParty: this.businessShortCode,
+                    RecieverIdentifierType: '11',
+                    ResultURL: this.withCallbackToken(`${this.refundCallbackUrl}/result`),
+                    QueueTimeOutURL: this.withCallbackToken(`${this.refundCallbackUrl}/timeout`),
+                    Remarks: remarks,
+                    Occasion: transaction.order_id
+                }
+                : {
+                    InitiatorName: this.initiatorName,
+                    SecurityCredential: this.securityCredential,
+                    CommandID: 'BusinessPayment',
+                    Amount: Math.round(amount),
+                    PartyA: this.businessShortCode,
+                    PartyB: transaction.phone_number,
+                    Remarks: remarks,
+                    QueueTimeOutURL: this.withCallbackToken(`${this.refundCallbackUrl}/timeout`),
+                    ResultURL: this.withCallbackToken(`${this.refundCallbackUrl}/result`),
+                    Occasion: transaction.order_id
+                };
+
+            const response = await axios.post(`${this.baseUrl}${endpoint}`, payload, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            const { data: updatedRefund, error: updateError } = await supabase
+                .from('mpesa_refunds')
+                .update({
+                    conversation_id: response.data.ConversationID,
+                    originator_conversation_id: response.data.OriginatorConversationID,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', refund.id)
+                .select()
+                .single();
+
+            if (updateError) throw updateError;
+
+            await orderPaymentService.addTrackingEntry(
+                transaction.order_id,
+                'Refund Initiated',
+                `A refund of KSh ${Number(amount).toLocaleString()} has been initiated to your M-Pesa.`
+            );
+
+            return updatedRefund;
+        } catch (apiError) {
+            console.error('M-Pesa Refund Error:', apiError.response?.data || apiError.message);
+
+            await supabase
+                .from('mpesa_refunds')
+                .update({
+                    status: 'failed',
+                    result_desc: apiError.response?.data?.errorMessage || apiError.message,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', refund.id);
+
+            throw new Error(apiError.response?.data?.errorMessage || 'Failed to initiate M-Pesa refund');
+        }
+    }
+
+    // Result and queue-timeout callbacks for reversal and B2C requests share this shape
+    async handleRefundResult(callbackData, { timedOut = false } = {}) {
+        const { Result } = callbackData;
+
+        if (!Result) {
+            console.warn('M-Pesa refund callback without a Result body');
+            return null;
+        }
+
+        const succeeded = !timedOut && Number(Result.ResultCode) === 0;
+
+        const { data: refunds, error } = await supabase
+            .from('mpesa_refunds')
+            .update({
+                status: succeeded ? 'success' : 'failed',
+                result_code: Result.ResultCode,
+                result_desc: timedOut ? 'Request timed out in the M-Pesa queue' : Result.ResultDesc,
+                mpesa_transaction_id: Result.TransactionID || null,
+                completed_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('originator_conversation_id', Result.OriginatorConversationID)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) {
+            console.error('Supabase error updating refund:', error);
+            throw new Error('Failed to update refund');
+        }
+
+        // Already settled by an earlier delivery of the same callback
+        if (refunds.length === 0) return null;
+
+        const refund = refunds[0];
+
+        await orderPaymentService.addTrackingEntry(
+            refund.order_id,
+            succeeded ? 'Refund Completed' : 'Refund Failed',
+            succeeded
+                ? `KSh ${Number(refund.amount).toLocaleString()} has been refunded to your M-Pesa.`
+                : 'Your refund could not be completed. Our team will contact you.'
+        );
+
+        return refund;
+    }
+
+    async getRefundsByOrderId(orderId) {
+        const { data, error } = await supabase
+            .from('mpesa_refunds')
+            .select('*')
+            .eq('order_id', orderId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error getting refunds by order:', error);
+            throw new Error('Failed to get refunds');
+        }
+
+        return data;
+    }
+
+    async getRefundableTransactionByOrderId(orderId) {
+        const { data, error } = await supabase
+            .from('mpesa_transactions')
+            .select('*')
+            .eq('order_id', orderId)
+            .in('status', REFUNDABLE_STATUSES)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            console.error('Error getting paid transaction by order:', error);
+            throw new Error('Failed to get transaction');
+        }
 
+        return data[0] || null;
+    }
+
+    // What the customer actually paid: a payment quarantined for the wrong
+    // amount records what arrived, otherwise it is the amount asked for
+    async getPaidAmount(transaction) {
+        const { data, error } = await supabase
+            .from('payment_quarantine')
+            .select('received_amount')
+            .eq('checkout_request_id', transaction.checkout_request_id)
+            .not('received_amount', 'is', null)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            console.error('Error getting quarantined payment amount:', error);
+            throw new Error('Failed to get transaction');
+        }
+
+        return data[0] ? Number(data[0].received_amount) : Number(transaction.amount);
+    }
+
+    // Daraja rejects C2B URLs containing words like "mpesa", so these live
+    // under MPESA_C2B_CALLBACK_URL (e.g. https://host/api/payments/c2b)
+    async registerC2BUrls() {
+        try {
+            const accessToken = await this.getAccessToken();
+
+            const response = await axios.post(
+                `${this.baseUrl}/mpesa/c2b/v1/registerurl`,
+                {
+                    ShortCode: this.c2bShortCode,
+                    ResponseType: 'Completed',
+                    ConfirmationURL: this.withCallbackToken(`${this.c2bCallbackUrl}/confirmation`),
+                    ValidationURL: this.withCallbackToken(`${this.c2bCallbackUrl}/validation`)
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            return response.data;
         } catch (error) {
-            console.error('M-Pesa Callback Error:', error);
-            throw new Error('Failed to process M-Pesa callback');
+            console.error('C2B Register URL Error:', error.response?.data || error.message);
+            throw new Error(error.response?.data?.errorMessage || 'Failed to register C2B URLs');
+        }
+    }
+
+    // Customers type the order ID as the account number, often with extra
+    // spaces, lowercase letters or our brand prefix
+    normalizeAccountReference(billRefNumber) {
+        return (billRefNumber || '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]/g, '')
+            .replace(/^BIDHAALINE/, '');
+    }
+
+    async handleC2BConfirmation(payload) {
+        const { data: payment, error } = await supabase
+            .from('mpesa_c2b_payments')
+            .insert([{
+                trans_id: payload.TransID,
+                transaction_type: payload.TransactionType,
+                trans_time: payload.TransTime,
+                amount: payload.TransAmount,
+                business_short_code: payload.BusinessShortCode,
+                bill_ref_number: payload.BillRefNumber,
+                invoice_number: payload.InvoiceNumber,
+                msisdn: payload.MSISDN,
+                payer_name: [payload.FirstName, payload.MiddleName, payload.LastName].filter(Boolean).join(' '),
+                status: 'unmatched',
+                payload
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            // Confirmation retried for a payment we already recorded
+            if (error.code === '23505') return null;
+
+            console.error('Supabase error storing C2B payment:', error);
+            throw new Error('Failed to store C2B payment');
+        }
+
+        return this.autoMatchC2BPayment(payment);
+    }
+
+    // Matches by account reference (the order ID), falling back to the
+    // transaction code the customer typed at checkout, and requires the amount
+    // to cover the order. Anything else waits for an admin.
+    async autoMatchC2BPayment(payment) {
+        const reference = this.normalizeAccountReference(payment.bill_ref_number);
+
+        let { data: orders, error } = await supabase
+            .from('orders')
+            .select('id, total_amount, status')
+            .eq('id', reference)
+            .limit(1);
+
+        if (!error && orders.length === 0) {
+            ({ data: orders, error } = await supabase
+                .from('orders')
+                .select('id, total_amount, status')
+                .eq('transaction_code', payment.trans_id)
+                .limit(1));
+        }
+
+        if (error) throw error;
+
+        const order = orders[0];
+
+        if (!order) {
+            return this.markC2BUnmatched(payment, 'no_matching_order');
+        }
+
+        if (Math.round(Number(payment.amount)) !== Math.round(Number(order.total_amount))) {
+            return this.markC2BUnmatched(payment, 'amount_mismatch', order.id);
         }
+
+        return this.matchC2BPayment(payment, order.id);
+    }
+
+    async matchC2BPayment(payment, orderId, matchedBy = null) {
+        const checkoutRequestId = `${C2B_TRANSACTION_PREFIX}${payment.trans_id}`;
+
+        // Recorded alongside STK payments so reporting and refunds see one
+        // ledger, and before the order is confirmed so a confirmed order always
+        // has its payment on record. A pending row left by an attempt that
+        // failed halfway is replaced.
+        await this.discardPendingTransaction(checkoutRequestId);
+        await this.storeTransaction({
+            orderId,
+            checkoutRequestId,
+            merchantRequestId: null,
+            phoneNumber: payment.msisdn,
+            amount: payment.amount,
+            status: 'pending',
+            mpesaReceiptNumber: payment.trans_id
+        });
+
+        const confirmed = await this.confirmOrderPayment(orderId);
+
+        if (!confirmed) {
+            await this.discardPendingTransaction(checkoutRequestId);
+            return this.markC2BUnmatched(payment, 'order_not_awaiting_payment', orderId);
+        }
+
+        await this.updateTransaction(checkoutRequestId, {
+            mpesaReceiptNumber: payment.trans_id,
+            resultCode: 0,
+            resultDesc: 'C2B payment matched to order',
+            status: 'success'
+        });
+
+        const { data, error } = await supabase
+            .from('mpesa_c2b_payments')
+            .update({
+                status: 'matched',
+                order_id: orderId,
+                unmatched_reason: null,
+                resolved_by: matchedBy,
+                resolved_at: new Date().toISOString()
+            })
+            .eq('id', payment.id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase error matching C2B payment:', error);
+            throw new Error('Failed to match C2B payment');
+        }
+
+        return data;
+    }
+
+    async markC2BUnmatched(payment, reason, orderId = null) {
+        const { data, error } = await supabase
+            .from('mpesa_c2b_payments')
+            .update({ status: 'unmatched', unmatched_reason: reason, order_id: orderId })
+            .eq('id', payment.id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating C2B payment:', error);
+            throw new Error('Failed to update C2B payment');
+        }
+
+        console.warn(`C2B payment ${payment.trans_id} queued for review: ${reason}`);
+        return data;
+    }
+
+    async getC2BPayments({ status, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('mpesa_c2b_payments')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Supabase error fetching C2B payments:', error);
+            throw new Error('Failed to get C2B payments');
+        }
+
+        return data;
+    }
+
+    async getC2BPayment(id) {
+        const { data, error } = await supabase
+            .from('mpesa_c2b_payments')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error) {
+            return null;
+        }
+
+        return data;
+    }
+
+    async dismissC2BPayment(id, { note, dismissedBy }) {
+        const { data, error } = await supabase
+            .from('mpesa_c2b_payments')
+            .update({
+                status: 'dismissed',
+                resolution_note: note,
+                resolved_by: dismissedBy,
+                resolved_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase error dismissing C2B payment:', error);
+            throw new Error('Failed to dismiss C2B payment');
+        }
+
+        return data;
     }
 
     async storeTransaction(data) {
@@ -202,7 +733,8 @@ class MpesaService {
                 merchant_request_id: data.merchantRequestId,
                 phone_number: data.phoneNumber,
                 amount: data.amount,
-                status: data.status
+                status: data.status,
+                mpesa_receipt_number: data.mpesaReceiptNumber || null
             }
         ]);
 
@@ -212,8 +744,23 @@ class MpesaService {
         }
     }
 
-    async updateTransaction(checkoutRequestId, updateData) {
+    async discardPendingTransaction(checkoutRequestId) {
         const { error } = await supabase
+            .from('mpesa_transactions')
+            .delete()
+            .eq('checkout_request_id', checkoutRequestId)
+            .eq('status', 'pending');
+
+        if (error) {
+            console.error('Supabase error discarding transaction:', error);
+            throw new Error('Failed to discard transaction');
+        }
+    }
+
+    // Moves a pending (or expired) transaction to its final state. Returns
+    // false when it had already been settled, i.e. a concurrent callback won.
+    async updateTransaction(checkoutRequestId, updateData) {
+        const { data, error } = await supabase
             .from('mpesa_transactions')
             .update({
                 mpesa_receipt_number: updateData.mpesaReceiptNumber,
@@ -223,18 +770,68 @@ class MpesaService {
                 status: updateData.status,
                 updated_at: new Date().toISOString()
             })
-            .eq('checkout_request_id', checkoutRequestId);
+            .eq('checkout_request_id', checkoutRequestId)
+            .in('status', SETTLEABLE_STATUSES)
+            .select('id');
 
         if (error) {
             console.error('Supabase error updating transaction:', error);
             throw new Error('Failed to update transaction');
         }
+
+        return data.length > 0;
+    }
+
+    async recordReceiptNumber(checkoutRequestId, mpesaReceiptNumber, transactionDate = null) {
+        const { error } = await supabase
+            .from('mpesa_transactions')
+            .update({
+                mpesa_receipt_number: mpesaReceiptNumber,
+                transaction_date: transactionDate,
+                updated_at: new Date().toISOString()
+            })
+            .eq('checkout_request_id', checkoutRequestId)
+            .is('mpesa_receipt_number', null);
+
+        if (error) {
+            console.error('Supabase error recording receipt number:', error);
+            throw new Error('Failed to update transaction');
+        }
     }
 
-    async updateOrderPaymentStatus(checkoutRequestId) {
+    // Counts a status query that brought no result. The last allowed attempt
+    // marks the transaction expired; returns true when that happened.
+    async recordReconcileAttempt(transaction, maxAttempts) {
+        const attempts = transaction.reconcile_attempts + 1;
+        const expire = attempts >= maxAttempts;
+
+        const { data, error } = await supabase
+            .from('mpesa_transactions')
+            .update({
+                reconcile_attempts: attempts,
+                last_reconciled_at: new Date().toISOString(),
+                ...(expire && {
+                    status: 'expired',
+                    result_desc: `No result from M-Pesa after ${attempts} status checks`
+                }),
+                updated_at: new Date().toISOString()
+            })
+            .eq('checkout_request_id', transaction.checkout_request_id)
+            .eq('status', 'pending')
+            .select('id');
+
+        if (error) {
+            console.error('Supabase error recording reconciliation attempt:', error);
+            throw new Error('Failed to update transaction');
+        }
+
+        return expire && data.length > 0;
+    }
+
+    async updateOrderPaymentStatus(checkoutRequestId, callbackData = null) {
         const { data: transaction, error } = await supabase
             .from('mpesa_transactions')
-            .select('order_id')
+            .select('*')
             .eq('checkout_request_id', checkoutRequestId)
             .single();
 
@@ -242,38 +839,138 @@ class MpesaService {
             throw new Error('Transaction not found for payment update');
         }
 
-        const orderId = transaction.order_id;
+        const confirmed = await this.confirmOrderPayment(transaction.order_id);
 
-        // Update order status
-        const { error: orderError } = await supabase
-            .from('orders')
-            .update({ status: 'Confirmed', updated_at: new Date().toISOString() })
-            .eq('id', orderId);
+        // Money arrived for an order that was already cancelled (e.g. its stock
+        // reservation expired); an admin has to refund or reinstate it
+        if (!confirmed) {
+            await this.quarantinePayment({
+                transaction,
+                reason: 'order_not_awaiting_payment',
+                receivedAmount: transaction.amount,
+                mpesaReceiptNumber: transaction.mpesa_receipt_number,
+                payload: callbackData
+            });
+        }
 
-        if (orderError) throw orderError;
+        return confirmed;
+    }
 
-        // Insert tracking log
-        const { error: trackingError } = await supabase
-            .from('order_tracking')
-            .insert([
-                {
-                    order_id: orderId,
-                    status: 'Payment Confirmed',
-                    description: 'Payment received via M-Pesa. Order confirmed and being prepared.'
-                }
-            ]);
+    async confirmOrderPayment(orderId) {
+        return orderPaymentService.confirmOrderPayment(orderId, 'M-Pesa');
+    }
+
+    async quarantinePayment({ transaction, reason, receivedAmount, mpesaReceiptNumber, payload }) {
+        const { error: transactionError } = await supabase
+            .from('mpesa_transactions')
+            .update({ status: 'quarantined', updated_at: new Date().toISOString() })
+            .eq('checkout_request_id', transaction.checkout_request_id);
+
+        if (transactionError) {
+            console.error('Supabase error quarantining transaction:', transactionError);
+            throw new Error('Failed to quarantine transaction');
+        }
+
+        const { error } = await supabase.from('payment_quarantine').insert([
+            {
+                checkout_request_id: transaction.checkout_request_id,
+                order_id: transaction.order_id,
+                reason,
+                expected_amount: transaction.amount,
+                received_amount: receivedAmount,
+                mpesa_receipt_number: mpesaReceiptNumber,
+                payload
+            }
+        ]);
+
+        if (error) {
+            console.error('Supabase error storing quarantined payment:', error);
+            throw new Error('Failed to quarantine payment');
+        }
 
-        if (trackingError) throw trackingError;
+        console.warn(`M-Pesa payment ${transaction.checkout_request_id} quarantined: ${reason}`);
     }
 
-    formatPhoneNumber(phoneNumber) {
-        const cleaned = phoneNumber.replace(/\D/g, '');
+    async getQuarantinedPayments({ status = 'open', page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('payment_quarantine')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Supabase error fetching quarantined payments:', error);
+            throw new Error('Failed to get quarantined payments');
+        }
+
+        return data;
+    }
+
+    async getQuarantinedPayment(id) {
+        const { data, error } = await supabase
+            .from('payment_quarantine')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error) {
+            return null;
+        }
+
+        return data;
+    }
+
+    // Approving accepts the payment as received and confirms the order.
+    // Returns false if the order can no longer be confirmed.
+    async approveQuarantinedPayment(entry) {
+        const confirmed = await this.confirmOrderPayment(entry.order_id);
+        if (!confirmed) return false;
+
+        const { error } = await supabase
+            .from('mpesa_transactions')
+            .update({ status: 'success', updated_at: new Date().toISOString() })
+            .eq('checkout_request_id', entry.checkout_request_id);
+
+        if (error) {
+            console.error('Supabase error approving transaction:', error);
+            throw new Error('Failed to approve transaction');
+        }
+
+        return true;
+    }
+
+    async resolveQuarantinedPayment(id, { status, note, resolvedBy }) {
+        const { data, error } = await supabase
+            .from('payment_quarantine')
+            .update({
+                status,
+                resolution_note: note,
+                resolved_by: resolvedBy,
+                resolved_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .eq('status', 'open')
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase error resolving quarantined payment:', error);
+            throw new Error('Failed to resolve quarantined payment');
+        }
 
-        if (cleaned.startsWith('254')) return cleaned;
-        if (cleaned.startsWith('0')) return '254' + cleaned.substring(1);
-        if (cleaned.length === 9) return '254' + cleaned;
+        return data;
+    }
 
-        throw new Error('Invalid phone number format');
+    formatPhoneNumber(phoneNumber) {
+        return formatPhoneNumber(phoneNumber);
     }
 
     async getTransactionByOrderId(orderId) {
@@ -290,6 +987,31 @@ class MpesaService {
             throw new Error('Failed to get transaction');
         }
 
+        const refunds = await this.getRefundsByOrderId(orderId);
+
+        return { ...data, refunds };
+    }
+
+    // Least recently checked first, so transactions Daraja keeps not answering
+    // can't crowd newer ones out of the batch
+    async getStalePendingTransactions(olderThanMinutes, limit = 50) {
+        const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000).toISOString();
+
+        const { data, error } = await supabase
+            .from('mpesa_transactions')
+            .select('*')
+            .eq('status', 'pending')
+            .not('checkout_request_id', 'like', `${C2B_TRANSACTION_PREFIX}*`)
+            .lt('created_at', cutoff)
+            .order('last_reconciled_at', { ascending: true, nullsFirst: true })
+            .order('created_at', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error getting pending transactions:', error);
+            throw new Error('Failed to get pending transactions');
+        }
+
         return data;
     }
 
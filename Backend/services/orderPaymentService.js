@@ -0,0 +1,64 @@
+const { supabase } = require('../config/supabase');
+const reservationService = require('./reservationService');
+
+// Order-side effects of a completed payment, shared by every payment provider
+class OrderPaymentService {
+    // Returns false when the order is no longer awaiting payment
+    async confirmOrderPayment(orderId, methodLabel) {
+        const { data: confirmedOrders, error: orderError } = await supabase
+            .from('orders')
+            .update({ status: 'Confirmed', updated_at: new Date().toISOString() })
+            .eq('id', orderId)
+            .eq('status', 'Processing')
+            .select('id');
+
+        if (orderError) throw orderError;
+
+        if (confirmedOrders.length === 0) {
+            console.warn(`Payment received for order ${orderId} which is no longer awaiting payment`);
+            return false;
+        }
+
+        await reservationService.markConverted(orderId);
+
+        // Insert tracking log
+        const { error: trackingError } = await supabase
+            .from('order_tracking')
+            .insert([
+                {
+                    order_id: orderId,
+                    status: 'Payment Confirmed',
+                    description: `Payment received via ${methodLabel}. Order confirmed and being prepared.`
+                }
+            ]);
+
+        if (trackingError) throw trackingError;
+
+        return true;
+    }
+
+    async addTrackingEntry(orderId, status, description) {
+        const { error } = await supabase
+            .from('order_tracking')
+            .insert([{ order_id: orderId, status, description }]);
+
+        if (error) {
+            console.error('Error adding tracking entry:', error);
+        }
+    }
+
+    // Refunds still in flight count against the balance so the same money
+    // can't be refunded twice
+    getRefundableBalance(paidAmount, refunds) {
+        const alreadyRefunded = refunds
+            .filter(refund => refund.status !== 'failed')
+            .reduce((sum, refund) => sum + Number(refund.amount), 0);
+
+        return {
+            alreadyRefunded,
+            refundable: Number(paidAmount) - alreadyRefunded
+        };
+    }
+}
+
+module.exports = new OrderPaymentService();
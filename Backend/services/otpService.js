@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const smsGateway = require('./smsGateway');
+
+class OtpService {
+    constructor() {
+        this.ttlMinutes = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+        this.maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+        this.resendIntervalSeconds = parseInt(process.env.OTP_RESEND_INTERVAL_SECONDS) || 60;
+        this.maxPerHour = parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+        this.maxPerIpPerHour = parseInt(process.env.OTP_MAX_PER_IP_PER_HOUR) || 20;
+    }
+
+    hashCode(phone, code) {
+        return crypto
+            .createHmac('sha256', process.env.JWT_SECRET)
+            .update(`${phone}:${code}`)
+            .digest('hex');
+    }
+
+    // Returns the account that has verified this number, or null. A number
+    // belongs to at most one account (034_verified_phone_numbers.sql).
+    async findUserByPhone(phone) {
+        const { data, error } = await supabase
+            .from('users')
+            .select('id')
+            .eq('phone_normalized', phone)
+            .limit(1);
+
+        if (error) {
+            console.error('Supabase error finding user by phone:', error);
+            throw new Error('Failed to look up account');
+        }
+
+        return data[0] || null;
+    }
+
+    // Requests made in the last hour, newest first, from phone_otp_requests
+    async getRecentRequests(column, value, limit) {
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+        const { data, error } = await supabase
+            .from('phone_otp_requests')
+            .select('created_at')
+            .eq(column, value)
+            .gte('created_at', hourAgo)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('Supabase error checking OTP rate limit:', error);
+            throw new Error('Failed to send code');
+        }
+
+        return data;
+    }
+
+    // Seconds until the oldest of a full hour's worth of requests drops out
+    secondsUntilHourlySlot(recent) {
+        const oldest = new Date(recent[recent.length - 1].created_at).getTime();
+        return Math.max(1, Math.ceil((oldest + 60 * 60 * 1000 - Date.now()) / 1000));
+    }
+
+    // Returns { retryAfterSeconds } when the phone or the client IP has asked
+    // for codes too often, otherwise records the request and returns {}
+    async throttle(phone, ipAddress) {
+        const recent = await this.getRecentRequests('phone', phone, this.maxPerHour);
+
+        if (recent.length > 0) {
+            const sinceLast = (Date.now() - new Date(recent[0].created_at).getTime()) / 1000;
+
+            if (sinceLast < this.resendIntervalSeconds) {
+                return { retryAfterSeconds: Math.ceil(this.resendIntervalSeconds - sinceLast) };
+            }
+
+            if (recent.length >= this.maxPerHour) {
+                return { retryAfterSeconds: this.secondsUntilHourlySlot(recent) };
+            }
+        }
+
+        if (ipAddress) {
+            const fromIp = await this.getRecentRequests('ip_address', ipAddress, this.maxPerIpPerHour);
+
+            if (fromIp.length >= this.maxPerIpPerHour) {
+                return { retryAfterSeconds: this.secondsUntilHourlySlot(fromIp) };
+            }
+        }
+
+        const { error } = await supabase
+            .from('phone_otp_requests')
+            .insert([{ phone, ip_address: ipAddress }]);
+
+        if (error) {
+            console.error('Supabase error recording OTP request:', error);
+            throw new Error('Failed to send code');
+        }
+
+        return {};
+    }
+
+    async sendCode({ phone, userId, purpose, ipAddress, description }) {
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+        const { error } = await supabase
+            .from('phone_otps')
+            .insert([{
+                phone,
+                user_id: userId,
+                purpose,
+                code_hash: this.hashCode(phone, code),
+                expires_at: new Date(Date.now() + this.ttlMinutes * 60 * 1000).toISOString(),
+                ip_address: ipAddress
+            }]);
+
+        if (error) {
+            console.error('Supabase error storing OTP:', error);
+            throw new Error('Failed to send code');
+        }
+
+        await smsGateway.send({
+            to: phone,
+            text: `Your Bidhaaline ${description} is ${code}. It expires in ${this.ttlMinutes} minutes. Do not share it.`
+        });
+    }
+
+    // Sends a login code if an account has verified the number. Every request
+    // counts against the limits whether or not an account uses the number,
+    // so the responses don't tell callers which numbers are registered.
+    async requestCode(phone, ipAddress) {
+        const throttled = await this.throttle(phone, ipAddress);
+
+        if (throttled.retryAfterSeconds) {
+            return throttled;
+        }
+
+        const user = await this.findUserByPhone(phone);
+
+        if (user) {
+            await this.sendCode({ phone, userId: user.id, purpose: 'login', ipAddress, description: 'login code' });
+        }
+
+        return {};
+    }
+
+    // Sends a code proving the customer receives SMS on their profile number
+    async requestVerificationCode(userId, phone, ipAddress) {
+        const throttled = await this.throttle(phone, ipAddress);
+
+        if (throttled.retryAfterSeconds) {
+            return throttled;
+        }
+
+        await this.sendCode({ phone, userId, purpose: 'phone_verification', ipAddress, description: 'verification code' });
+
+        return {};
+    }
+
+    // Returns { result, userId }; see verify_phone_otp for the results
+    async verifyCode(phone, code, { purpose = 'login', userId = null } = {}) {
+        const { data, error } = await supabase
+            .rpc('verify_phone_otp', {
+                p_phone: phone,
+                p_code_hash: this.hashCode(phone, code),
+                p_max_attempts: this.maxAttempts,
+                p_purpose: purpose,
+                p_user_id: userId
+            })
+            .single();
+
+        if (error) {
+            console.error('Supabase error verifying OTP:', error);
+            throw new Error('Failed to verify code');
+        }
+
+        return { result: data.result, userId: data.user_id };
+    }
+
+    // Makes a number the one OTP login uses for the account
+    async claimPhoneNumber(userId, phone) {
+        const { error } = await supabase.rpc('claim_phone_number', {
+            p_user_id: userId,
+            p_phone: phone
+        });
+
+        if (error) {
+            console.error('Supabase error claiming phone number:', error);
+            throw new Error('Failed to verify phone number');
+        }
+    }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,11 @@
+// Errors a provider raises for problems the caller can fix; errorHandler
+// turns statusCode into the HTTP status.
+class PaymentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = PaymentError;
@@ -0,0 +1,237 @@
+const axios = require('axios');
+const orderPaymentService = require('../orderPaymentService');
+const { tokensMatch } = require('../../middleware/mpesaCallback');
+const transactionStore = require('./transactionStore');
+const PaymentError = require('./PaymentError');
+
+// Hosted card checkout through a Flutterwave-compatible gateway. The customer
+// pays on the gateway's page; we learn the outcome from the webhook or when
+// the frontend polls the status after being redirected back.
+class CardProvider {
+    constructor() {
+        this.name = 'card';
+        this.label = 'Card';
+        this.requiresPhoneNumber = false;
+        this.baseUrl = process.env.CARD_PROVIDER_BASE_URL || 'https://api.flutterwave.com';
+        this.secretKey = process.env.CARD_PROVIDER_SECRET_KEY;
+        this.webhookHash = process.env.CARD_PROVIDER_WEBHOOK_HASH;
+        this.redirectUrl = process.env.CARD_PROVIDER_REDIRECT_URL;
+        this.currency = process.env.CARD_PROVIDER_CURRENCY || 'KES';
+    }
+
+    request(method, path, data) {
+        return axios({
+            method,
+            url: `${this.baseUrl}${path}`,
+            data,
+            headers: {
+                Authorization: `Bearer ${this.secretKey}`,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    async initiate({ order, user }) {
+        const reference = `${order.id}-${Date.now()}`;
+        const transaction = await transactionStore.create({
+            provider: this.name,
+            reference,
+            orderId: order.id,
+            amount: order.total_amount,
+            currency: this.currency
+        });
+
+        try {
+            const response = await this.request('post', '/v3/payments', {
+                tx_ref: reference,
+                amount: order.total_amount,
+                currency: this.currency,
+                redirect_url: this.redirectUrl,
+                payment_options: 'card',
+                customer: {
+                    email: user.email,
+                    name: user.name,
+                    phonenumber: order.customer_phone
+                },
+                customizations: {
+                    title: 'Bidhaaline',
+                    description: `Payment for order ${order.id}`
+                },
+                meta: {
+                    order_id: order.id
+                }
+            });
+
+            return {
+                reference: transaction.reference,
+                redirectUrl: response.data.data.link,
+                message: 'Continue to the secure card checkout to complete your payment.'
+            };
+        } catch (error) {
+            console.error('Card checkout error:', error.response?.data || error.message);
+            throw new Error(error.response?.data?.message || 'Failed to initiate card payment');
+        }
+    }
+
+    async getStatus(reference) {
+        let transaction = await transactionStore.getByReference(this.name, reference);
+
+        if (!transaction) {
+            throw new PaymentError('Payment not found', 404);
+        }
+
+        let providerStatus = null;
+        if (transaction.status === 'pending') {
+            try {
+                const response = await this.request('get', `/v3/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`);
+                providerStatus = response.data.data;
+                transaction = await this.applyVerifiedCharge(transaction, providerStatus);
+            } catch (error) {
+                // The gateway has no record of the charge until the customer submits the card form
+                console.error('Card status check error:', error.response?.data || error.message);
+            }
+        }
+
+        return {
+            reference,
+            orderId: transaction.order_id,
+            status: transaction.status,
+            providerStatus,
+            transaction
+        };
+    }
+
+    verifyCallback(req) {
+        if (!this.webhookHash) {
+            console.error('❌ CARD_PROVIDER_WEBHOOK_HASH is not configured; rejecting card webhook');
+            return false;
+        }
+
+        return tokensMatch(req.get('verif-hash'), this.webhookHash);
+    }
+
+    // The webhook body only tells us which charge or refund to look at; the
+    // outcome is always read back from the gateway. Errors propagate so the
+    // gateway retries.
+    async handleCallback(req) {
+        const { event, data } = req.body;
+
+        if (!data?.id) {
+            return { status: 'ignored' };
+        }
+
+        if (event === 'refund.completed') {
+            return this.handleRefundCallback(data.id);
+        }
+
+        if (event !== 'charge.completed') {
+            return { status: 'ignored' };
+        }
+
+        const response = await this.request('get', `/v3/transactions/${encodeURIComponent(data.id)}/verify`);
+        const charge = response.data.data;
+        const transaction = await transactionStore.getByReference(this.name, charge.tx_ref);
+
+        if (!transaction) {
+            console.warn(`Card webhook for unknown reference ${charge.tx_ref}`);
+            return { status: 'ignored' };
+        }
+
+        await this.applyVerifiedCharge(transaction, charge);
+
+        return { status: 'success' };
+    }
+
+    async applyVerifiedCharge(transaction, charge) {
+        if (!['successful', 'failed'].includes(charge.status)) {
+            return transaction;
+        }
+
+        const succeeded = charge.status === 'successful' && charge.currency === transaction.currency;
+
+        return transactionStore.applyResult(transaction, {
+            succeeded,
+            amount: charge.amount,
+            providerTransactionId: String(charge.id),
+            raw: charge,
+            methodLabel: this.label
+        });
+    }
+
+    async handleRefundCallback(refundId) {
+        const response = await this.request('get', `/v3/refunds/${encodeURIComponent(refundId)}`);
+        const result = response.data.data;
+
+        if (!['completed', 'failed'].includes(result.status)) {
+            return { status: 'ignored' };
+        }
+
+        const succeeded = result.status === 'completed';
+        const refund = await transactionStore.settleRefund(this.name, String(result.id), {
+            succeeded,
+            raw: result
+        });
+
+        // Already settled by an earlier delivery of the same webhook
+        if (!refund) {
+            return { status: 'success' };
+        }
+
+        await orderPaymentService.addTrackingEntry(
+            refund.order_id,
+            succeeded ? 'Refund Completed' : 'Refund Failed',
+            succeeded
+                ? `KSh ${Number(refund.amount).toLocaleString()} has been refunded to your card.`
+                : 'Your refund could not be completed. Our team will contact you.'
+        );
+
+        return { status: 'success' };
+    }
+
+    approveQuarantined(entry) {
+        return transactionStore.approveQuarantined(entry, this.label);
+    }
+
+    async refund({ order, amount, reason, requestedBy }) {
+        const { transaction, paidAmount, refundAmount } = await transactionStore.prepareRefund(this.name, order.id, amount);
+
+        const pending = await transactionStore.createRefund({
+            provider: this.name,
+            transaction,
+            paidAmount,
+            amount: refundAmount,
+            reason,
+            requestedBy
+        });
+
+        let response;
+        try {
+            response = await this.request('post', `/v3/transactions/${encodeURIComponent(transaction.provider_transaction_id)}/refund`, {
+                amount: refundAmount
+            });
+        } catch (error) {
+            console.error('Card refund error:', error.response?.data || error.message);
+            await transactionStore.updateRefund(pending.id, { status: 'failed', raw: error.response?.data || null });
+            throw new Error(error.response?.data?.message || 'Failed to initiate card refund');
+        }
+
+        const result = response.data.data;
+        const status = result.status === 'completed' ? 'success' : 'pending';
+
+        const refund = await transactionStore.updateRefund(pending.id, {
+            status,
+            providerRefundId: result.id ? String(result.id) : null,
+            raw: result
+        });
+
+        await orderPaymentService.addTrackingEntry(
+            order.id,
+            status === 'success' ? 'Refund Completed' : 'Refund Initiated',
+            `A refund of KSh ${refundAmount.toLocaleString()} has been ${status === 'success' ? 'sent' : 'initiated'} to your card.`
+        );
+
+        return refund;
+    }
+}
+
+module.exports = new CardProvider();
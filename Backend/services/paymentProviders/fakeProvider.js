@@ -0,0 +1,101 @@
+const orderPaymentService = require('../orderPaymentService');
+const { tokensMatch } = require('../../middleware/mpesaCallback');
+const transactionStore = require('./transactionStore');
+const PaymentError = require('./PaymentError');
+
+// In-process provider for development and automated checkout tests. Payments
+// stay pending until the result is posted to /api/payments/fake/callback:
+//
+//   curl -X POST -H 'x-fake-signature: <PAYMENT_FAKE_PROVIDER_SECRET>' \
+//        -d '{"reference": "FAKE-...", "status": "success"}' ...
+//
+// Only registered when PAYMENT_FAKE_PROVIDER_ENABLED is 'true'.
+class FakeProvider {
+    constructor() {
+        this.name = 'fake';
+        this.label = 'Test Payment';
+        this.requiresPhoneNumber = false;
+        this.secret = process.env.PAYMENT_FAKE_PROVIDER_SECRET || 'fake-secret';
+    }
+
+    async initiate({ order }) {
+        const transaction = await transactionStore.create({
+            provider: this.name,
+            reference: `FAKE-${order.id}-${Date.now()}`,
+            orderId: order.id,
+            amount: order.total_amount
+        });
+
+        return {
+            reference: transaction.reference,
+            message: 'Test payment created. Post the result to the fake provider callback.'
+        };
+    }
+
+    async getStatus(reference) {
+        const transaction = await transactionStore.getByReference(this.name, reference);
+
+        if (!transaction) {
+            throw new PaymentError('Payment not found', 404);
+        }
+
+        return {
+            reference,
+            orderId: transaction.order_id,
+            status: transaction.status,
+            providerStatus: null,
+            transaction
+        };
+    }
+
+    verifyCallback(req) {
+        return tokensMatch(req.get('x-fake-signature'), this.secret);
+    }
+
+    async handleCallback(req) {
+        const { reference, status, amount } = req.body;
+        const transaction = await transactionStore.getByReference(this.name, reference);
+
+        if (!transaction) {
+            throw new PaymentError('Payment not found', 404);
+        }
+
+        const updated = await transactionStore.applyResult(transaction, {
+            succeeded: status === 'success',
+            amount: amount !== undefined ? Number(amount) : Number(transaction.amount),
+            providerTransactionId: reference,
+            raw: req.body,
+            methodLabel: this.label
+        });
+
+        return { status: updated.status };
+    }
+
+    approveQuarantined(entry) {
+        return transactionStore.approveQuarantined(entry, this.label);
+    }
+
+    async refund({ order, amount, reason, requestedBy }) {
+        const { transaction, paidAmount, refundAmount } = await transactionStore.prepareRefund(this.name, order.id, amount);
+
+        const refund = await transactionStore.createRefund({
+            provider: this.name,
+            transaction,
+            paidAmount,
+            amount: refundAmount,
+            reason,
+            requestedBy,
+            status: 'success'
+        });
+
+        await orderPaymentService.addTrackingEntry(
+            order.id,
+            'Refund Completed',
+            `A refund of KSh ${refundAmount.toLocaleString()} has been issued.`
+        );
+
+        return refund;
+    }
+}
+
+module.exports = new FakeProvider();
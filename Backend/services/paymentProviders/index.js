@@ -0,0 +1,42 @@
+const mpesaProvider = require('./mpesaProvider');
+const cardProvider = require('./cardProvider');
+const fakeProvider = require('./fakeProvider');
+const PaymentError = require('./PaymentError');
+
+/*
+ * Every payment provider exposes the same surface, addressed as
+ * /api/payments/:provider/... by paymentRoutes:
+ *
+ *   name, label           route segment and the name shown to customers
+ *   requiresPhoneNumber   whether initiate needs the customer's phone number
+ *   initiate({ order, user, phoneNumber })
+ *       -> { reference, message, redirectUrl?, data? }
+ *   getStatus(reference)
+ *       -> { reference, orderId, status, providerStatus, transaction }
+ *       status is one of pending, success, failed, quarantined
+ *   verifyCallback(req) -> boolean, checked before handleCallback
+ *   handleCallback(req) -> acknowledgement body sent back to the provider
+ *   approveQuarantined(entry) -> boolean, accepts a payment_quarantine entry
+ *       and confirms its order; false if the order can't be confirmed
+ *   refund({ order, amount, reason, requestedBy }) -> refund record
+ *
+ * Problems the caller can fix are raised as PaymentError.
+ */
+const providers = new Map([
+    [mpesaProvider.name, mpesaProvider],
+    [cardProvider.name, cardProvider]
+]);
+
+if (process.env.PAYMENT_FAKE_PROVIDER_ENABLED === 'true') {
+    providers.set(fakeProvider.name, fakeProvider);
+}
+
+const getProvider = (name) => providers.get(name) || null;
+
+const listProviders = () => Array.from(providers.values());
+
+module.exports = {
+    getProvider,
+    listProviders,
+    PaymentError
+};
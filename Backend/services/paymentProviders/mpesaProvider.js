@@ -0,0 +1,119 @@
+const { supabase } = require('../../config/supabase');
+const mpesaService = require('../mpesaService');
+const orderPaymentService = require('../orderPaymentService');
+const { isTrustedMpesaCallback } = require('../../middleware/mpesaCallback');
+const PaymentError = require('./PaymentError');
+
+// Lipa Na M-Pesa Online (STK push). The Daraja specifics stay in mpesaService;
+// this adapts them to the provider interface.
+class MpesaProvider {
+    constructor() {
+        this.name = 'mpesa';
+        this.label = 'M-Pesa';
+        this.requiresPhoneNumber = true;
+    }
+
+    async initiate({ order, phoneNumber }) {
+        const result = await mpesaService.initiateSTKPush(
+            phoneNumber,
+            order.total_amount,
+            order.id,
+            `Bidhaaline-${order.id}`
+        );
+
+        const { error: updateError } = await supabase
+            .from('orders')
+            .update({ mpesa_checkout_request_id: result.checkoutRequestId })
+            .eq('id', order.id);
+
+        if (updateError) throw updateError;
+
+        return {
+            reference: result.checkoutRequestId,
+            message: 'Payment request sent to your phone. Please enter your M-Pesa PIN to complete the payment.',
+            data: {
+                checkoutRequestId: result.checkoutRequestId,
+                merchantRequestId: result.merchantRequestId,
+                customerMessage: result.customerMessage
+            }
+        };
+    }
+
+    async getStatus(reference) {
+        const transaction = await mpesaService.getTransactionByCheckoutRequestId(reference)
+            .catch(() => null);
+
+        if (!transaction) {
+            throw new PaymentError('Payment not found', 404);
+        }
+
+        // Daraja answers the query with an error until the customer acts, so a
+        // failed query just means there is nothing new to report
+        let providerStatus = null;
+        if (transaction.status === 'pending') {
+            providerStatus = await mpesaService.querySTKPushStatus(reference).catch(() => null);
+        }
+
+        return {
+            reference,
+            orderId: transaction.order_id,
+            status: transaction.status,
+            providerStatus,
+            transaction
+        };
+    }
+
+    verifyCallback(req) {
+        return isTrustedMpesaCallback(req);
+    }
+
+    // Safaricom retries anything but a success acknowledgement, and a retry
+    // cannot fix a callback we failed to process, so always acknowledge
+    async handleCallback(req) {
+        try {
+            await mpesaService.handleCallback(req.body);
+        } catch (error) {
+            console.error('M-Pesa Callback Error:', error);
+        }
+
+        return {
+            ResultCode: 0,
+            ResultDesc: 'Success'
+        };
+    }
+
+    approveQuarantined(entry) {
+        return mpesaService.approveQuarantinedPayment(entry);
+    }
+
+    async refund({ order, amount, reason, requestedBy }) {
+        const transaction = await mpesaService.getRefundableTransactionByOrderId(order.id);
+
+        if (!transaction) {
+            throw new PaymentError('Order has no completed M-Pesa payment to refund');
+        }
+
+        const paidAmount = await mpesaService.getPaidAmount(transaction);
+        const refunds = await mpesaService.getRefundsByOrderId(order.id);
+        const { refundable } = orderPaymentService.getRefundableBalance(paidAmount, refunds);
+        const refundAmount = amount !== undefined ? Number(amount) : refundable;
+
+        if (refundable <= 0) {
+            throw new PaymentError('Order has already been fully refunded');
+        }
+
+        if (refundAmount > refundable) {
+            throw new PaymentError(`Refund amount exceeds the refundable balance of KSh ${refundable.toLocaleString()}`);
+        }
+
+        return mpesaService.initiateRefund({
+            transaction,
+            paidAmount,
+            amount: refundAmount,
+            reason,
+            requestedBy
+        });
+    }
+}
+
+module.exports = new MpesaProvider();
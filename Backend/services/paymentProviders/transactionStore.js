@@ -0,0 +1,287 @@
+const { supabase } = require('../../config/supabase');
+const orderPaymentService = require('../orderPaymentService');
+const PaymentError = require('./PaymentError');
+
+// Money the provider actually took, including payments held in quarantine
+// (e.g. short payments, or ones for orders that were already cancelled)
+const REFUNDABLE_STATUSES = ['success', 'quarantined'];
+
+// Persistence for providers without a ledger of their own (everything except
+// M-Pesa, which keeps mpesa_transactions and mpesa_refunds).
+class TransactionStore {
+    async create({ provider, reference, orderId, amount, currency = 'KES' }) {
+        const { data, error } = await supabase
+            .from('payment_transactions')
+            .insert([{
+                provider,
+                reference,
+                order_id: orderId,
+                amount,
+                currency,
+                status: 'pending'
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase error storing payment transaction:', error);
+            throw new Error('Failed to store transaction record');
+        }
+
+        return data;
+    }
+
+    async getByReference(provider, reference) {
+        const { data, error } = await supabase
+            .from('payment_transactions')
+            .select('*')
+            .eq('provider', provider)
+            .eq('reference', reference)
+            .single();
+
+        if (error) {
+            return null;
+        }
+
+        return data;
+    }
+
+    async getRefundableByOrderId(provider, orderId) {
+        const { data, error } = await supabase
+            .from('payment_transactions')
+            .select('*')
+            .eq('provider', provider)
+            .eq('order_id', orderId)
+            .in('status', REFUNDABLE_STATUSES)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            console.error('Error getting paid transaction by order:', error);
+            throw new Error('Failed to get transaction');
+        }
+
+        return data[0] || null;
+    }
+
+    // Moves a pending transaction to its final state and confirms the order.
+    // Only the first result for a transaction is applied, so webhook retries
+    // and status polls can race safely. Returns the transaction as stored.
+    async applyResult(transaction, { succeeded, amount, providerTransactionId = null, raw = null, methodLabel }) {
+        let status = succeeded ? 'success' : 'failed';
+
+        if (succeeded && Number(amount) < Number(transaction.amount)) {
+            status = 'quarantined';
+        }
+
+        const { data: updated, error } = await supabase
+            .from('payment_transactions')
+            .update({
+                status,
+                paid_amount: succeeded ? amount : null,
+                provider_transaction_id: providerTransactionId,
+                raw_response: raw,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', transaction.id)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) {
+            console.error('Supabase error updating payment transaction:', error);
+            throw new Error('Failed to update transaction');
+        }
+
+        if (updated.length === 0) {
+            return this.getByReference(transaction.provider, transaction.reference);
+        }
+
+        if (status === 'quarantined') {
+            return this.quarantine(updated[0], { reason: 'amount_mismatch', receivedAmount: amount, payload: raw });
+        }
+
+        if (status === 'success') {
+            const confirmed = await orderPaymentService.confirmOrderPayment(transaction.order_id, methodLabel);
+
+            // Money arrived for an order that was already cancelled (e.g. its
+            // stock reservation expired); an admin has to refund or reinstate it
+            if (!confirmed) {
+                return this.quarantine(updated[0], { reason: 'order_not_awaiting_payment', receivedAmount: amount, payload: raw });
+            }
+        }
+
+        return updated[0];
+    }
+
+    // Holds a payment for an admin to approve or refund, in the same queue as
+    // quarantined M-Pesa payments
+    async quarantine(transaction, { reason, receivedAmount, payload }) {
+        const { data, error: transactionError } = await supabase
+            .from('payment_transactions')
+            .update({ status: 'quarantined', updated_at: new Date().toISOString() })
+            .eq('id', transaction.id)
+            .select()
+            .single();
+
+        if (transactionError) {
+            console.error('Supabase error quarantining payment transaction:', transactionError);
+            throw new Error('Failed to quarantine transaction');
+        }
+
+        const { error } = await supabase.from('payment_quarantine').insert([
+            {
+                provider: transaction.provider,
+                transaction_reference: transaction.reference,
+                order_id: transaction.order_id,
+                reason,
+                expected_amount: transaction.amount,
+                received_amount: receivedAmount,
+                payload
+            }
+        ]);
+
+        if (error) {
+            console.error('Supabase error storing quarantined payment:', error);
+            throw new Error('Failed to quarantine payment');
+        }
+
+        console.warn(`${transaction.provider} payment ${transaction.reference} quarantined: ${reason}`);
+
+        return data;
+    }
+
+    // Approving accepts the payment as received and confirms the order.
+    // Returns false if the order can no longer be confirmed.
+    async approveQuarantined(entry, methodLabel) {
+        const confirmed = await orderPaymentService.confirmOrderPayment(entry.order_id, methodLabel);
+        if (!confirmed) return false;
+
+        const { error } = await supabase
+            .from('payment_transactions')
+            .update({ status: 'success', updated_at: new Date().toISOString() })
+            .eq('provider', entry.provider)
+            .eq('reference', entry.transaction_reference);
+
+        if (error) {
+            console.error('Supabase error approving payment transaction:', error);
+            throw new Error('Failed to approve transaction');
+        }
+
+        return true;
+    }
+
+    async getRefundsByOrderId(provider, orderId) {
+        const { data, error } = await supabase
+            .from('payment_refunds')
+            .select('*')
+            .eq('provider', provider)
+            .eq('order_id', orderId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error getting refunds by order:', error);
+            throw new Error('Failed to get refunds');
+        }
+
+        return data;
+    }
+
+    // Finds the paid transaction for an order and checks the requested amount
+    // against what has not been refunded yet
+    async prepareRefund(provider, orderId, amount) {
+        const transaction = await this.getRefundableByOrderId(provider, orderId);
+
+        if (!transaction) {
+            throw new PaymentError('Order has no completed payment to refund');
+        }
+
+        const paidAmount = Number(transaction.paid_amount || transaction.amount);
+        const refunds = await this.getRefundsByOrderId(provider, orderId);
+        const { refundable } = orderPaymentService.getRefundableBalance(paidAmount, refunds);
+        const refundAmount = amount !== undefined ? Number(amount) : refundable;
+
+        if (refundable <= 0) {
+            throw new PaymentError('Order has already been fully refunded');
+        }
+
+        if (refundAmount > refundable) {
+            throw new PaymentError(`Refund amount exceeds the refundable balance of KSh ${refundable.toLocaleString()}`);
+        }
+
+        return { transaction, paidAmount, refundAmount };
+    }
+
+    // Records the refund before the provider pays it out. The balance is
+    // checked again with the order locked, so concurrent requests can't
+    // refund more than was paid (032_refund_balance_lock.sql).
+    async createRefund({ provider, transaction, paidAmount, amount, reason, requestedBy, status = 'pending' }) {
+        const { data, error } = await supabase
+            .rpc('create_payment_refund', {
+                p_provider: provider,
+                p_order_id: transaction.order_id,
+                p_transaction_reference: transaction.reference,
+                p_amount: amount,
+                p_paid_amount: paidAmount,
+                p_reason: reason || null,
+                p_requested_by: requestedBy,
+                p_status: status
+            })
+            .single();
+
+        if (error) {
+            if (error.code === 'P0001') throw new PaymentError(error.message);
+
+            console.error('Supabase error storing refund:', error);
+            throw new Error('Failed to store refund record');
+        }
+
+        return data;
+    }
+
+    // Records what the provider made of a refund created as pending
+    async updateRefund(id, { status, providerRefundId = null, raw = null }) {
+        const { data, error } = await supabase
+            .from('payment_refunds')
+            .update({
+                status,
+                provider_refund_id: providerRefundId,
+                raw_response: raw,
+                completed_at: status === 'pending' ? null : new Date().toISOString()
+            })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating refund:', error);
+            throw new Error('Failed to update refund');
+        }
+
+        return data;
+    }
+
+    // Moves a pending refund to its final state. Returns null when it had
+    // already been settled, so repeated webhooks are applied once.
+    async settleRefund(provider, providerRefundId, { succeeded, raw = null }) {
+        const { data, error } = await supabase
+            .from('payment_refunds')
+            .update({
+                status: succeeded ? 'success' : 'failed',
+                raw_response: raw,
+                completed_at: new Date().toISOString()
+            })
+            .eq('provider', provider)
+            .eq('provider_refund_id', providerRefundId)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) {
+            console.error('Supabase error updating refund:', error);
+            throw new Error('Failed to update refund');
+        }
+
+        return data[0] || null;
+    }
+}
+
+module.exports = new TransactionStore();
@@ -0,0 +1,180 @@
+const { supabase } = require('../config/supabase');
+const mpesaService = require('./mpesaService');
+
+// Periodically asks Daraja about STK pushes whose callback never arrived and
+// applies the result exactly like the callback would have.
+class PaymentReconciler {
+    constructor() {
+        this.intervalMs = (parseInt(process.env.MPESA_RECONCILE_INTERVAL_MINUTES) || 5) * 60 * 1000;
+        this.staleAfterMinutes = parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES) || 3;
+        this.batchSize = parseInt(process.env.MPESA_RECONCILE_BATCH_SIZE) || 50;
+        // Status queries without a result before a transaction is given up on
+        this.maxAttempts = parseInt(process.env.MPESA_RECONCILE_MAX_ATTEMPTS) || 6;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.run().catch(error => {
+                console.error('Payment reconciliation error:', error.message);
+            });
+        }, this.intervalMs);
+
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async run({ trigger = 'scheduled', triggeredBy = null } = {}) {
+        // A slow Daraja can make a run outlast the interval; never overlap
+        if (this.running) return null;
+        this.running = true;
+
+        const summary = {
+            checked: 0,
+            confirmed: 0,
+            failed: 0,
+            quarantined: 0,
+            still_pending: 0,
+            expired: 0,
+            errors: 0
+        };
+        const details = [];
+        let runId = null;
+
+        try {
+            runId = await this.startRun(trigger, triggeredBy);
+
+            const transactions = await mpesaService.getStalePendingTransactions(this.staleAfterMinutes, this.batchSize);
+
+            for (const transaction of transactions) {
+                summary.checked++;
+                const outcome = await this.reconcileTransaction(transaction);
+                summary[outcome.outcome]++;
+                details.push(outcome);
+            }
+
+            return await this.finishRun(runId, 'completed', summary, details);
+        } catch (error) {
+            if (runId) {
+                await this.finishRun(runId, 'failed', summary, details, error.message);
+            }
+            throw error;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async reconcileTransaction(transaction) {
+        const base = {
+            checkout_request_id: transaction.checkout_request_id,
+            order_id: transaction.order_id
+        };
+
+        let status;
+        try {
+            status = await mpesaService.querySTKPushStatus(transaction.checkout_request_id);
+        } catch (error) {
+            // Daraja answers the query with an error while the customer has not acted yet
+            return this.noResult(base, transaction, error.message);
+        }
+
+        if (status.ResultCode === undefined || status.ResultCode === null) {
+            return this.noResult(base, transaction, status.ResponseDescription);
+        }
+
+        try {
+            const result = await mpesaService.applyPaymentResult(transaction.checkout_request_id, {
+                resultCode: Number(status.ResultCode),
+                resultDesc: status.ResultDesc,
+                payload: status
+            });
+
+            const outcomes = {
+                success: 'confirmed',
+                failed: 'failed',
+                quarantined: 'quarantined'
+            };
+
+            return {
+                ...base,
+                outcome: result.duplicate ? 'still_pending' : outcomes[result.status],
+                detail: status.ResultDesc
+            };
+        } catch (error) {
+            console.error(`Failed to reconcile ${transaction.checkout_request_id}:`, error.message);
+            return { ...base, outcome: 'errors', detail: error.message };
+        }
+    }
+
+    async noResult(base, transaction, detail) {
+        try {
+            const expired = await mpesaService.recordReconcileAttempt(transaction, this.maxAttempts);
+            return { ...base, outcome: expired ? 'expired' : 'still_pending', detail };
+        } catch (error) {
+            return { ...base, outcome: 'errors', detail: error.message };
+        }
+    }
+
+    async startRun(trigger, triggeredBy) {
+        const { data, error } = await supabase
+            .from('payment_reconciliation_runs')
+            .insert([{ trigger, triggered_by: triggeredBy, status: 'running' }])
+            .select('id')
+            .single();
+
+        if (error) {
+            console.error('Supabase error recording reconciliation run:', error);
+            throw new Error('Failed to record reconciliation run');
+        }
+
+        return data.id;
+    }
+
+    async finishRun(runId, status, summary, details, errorMessage = null) {
+        const { data, error } = await supabase
+            .from('payment_reconciliation_runs')
+            .update({
+                status,
+                ...summary,
+                details,
+                error_message: errorMessage,
+                finished_at: new Date().toISOString()
+            })
+            .eq('id', runId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase error finishing reconciliation run:', error);
+            throw new Error('Failed to record reconciliation run');
+        }
+
+        return data;
+    }
+
+    async getRuns({ page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        const { data, error } = await supabase
+            .from('payment_reconciliation_runs')
+            .select('*')
+            .order('started_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (error) {
+            console.error('Supabase error fetching reconciliation runs:', error);
+            throw new Error('Failed to get reconciliation runs');
+        }
+
+        return data;
+    }
+}
+
+module.exports = new PaymentReconciler();
@@ -0,0 +1,91 @@
+const { supabase } = require('../config/supabase');
+
+class ReservationService {
+    constructor() {
+        this.holdMinutes = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 15;
+        this.sweepIntervalMs = (parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60) * 1000;
+        this.timer = null;
+    }
+
+    // Only orders that wait on an asynchronous payment hold their stock for a limited time
+    getHoldMinutes(paymentMethod) {
+        return ['mpesa', 'card'].includes(paymentMethod) ? this.holdMinutes : null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.releaseExpired().catch(error => {
+                console.error('Reservation sweep error:', error.message);
+            });
+        }, this.sweepIntervalMs);
+
+        // Don't keep the process alive just for the sweeper
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async releaseExpired() {
+        const { data: orderIds, error } = await supabase.rpc('release_expired_reservations');
+
+        if (error) {
+            console.error('Supabase error releasing reservations:', error);
+            throw new Error('Failed to release expired reservations');
+        }
+
+        if (orderIds && orderIds.length > 0) {
+            console.log(`⏱️  Released stock for unpaid orders: ${orderIds.join(', ')}`);
+        }
+
+        return orderIds || [];
+    }
+
+    async markConverted(orderId) {
+        const { error } = await supabase
+            .from('stock_reservations')
+            .update({ status: 'converted' })
+            .eq('order_id', orderId)
+            .eq('status', 'active');
+
+        if (error) {
+            console.error('Supabase error converting reservation:', error);
+            throw new Error('Failed to convert stock reservation');
+        }
+    }
+
+    async getActiveReservations({ page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        const { data, error } = await supabase
+            .from('stock_reservations')
+            .select(`
+                *,
+                orders (
+                    customer_name,
+                    customer_phone,
+                    total_amount,
+                    status
+                ),
+                products (
+                    name
+                )
+            `)
+            .eq('status', 'active')
+            .order('expires_at', { ascending: true })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (error) {
+            console.error('Supabase error fetching reservations:', error);
+            throw new Error('Failed to get stock reservations');
+        }
+
+        return data;
+    }
+}
+
+module.exports = new ReservationService();
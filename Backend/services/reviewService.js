@@ -0,0 +1,170 @@
+const { supabase } = require('../config/supabase');
+
+const REVIEW_ORDER = {
+    newest: [['created_at', false]],
+    helpful: [['helpful_count', false], ['created_at', false]],
+    rating_high: [['rating', false], ['created_at', false]],
+    rating_low: [['rating', true], ['created_at', false]]
+};
+
+// Product reviews; see 024_product_reviews.sql. Customers only ever see
+// approved reviews.
+class ReviewService {
+    // Reviewers are shown by first name and last initial
+    reviewerName(name) {
+        const [first, ...rest] = (name || '').trim().split(/\s+/);
+        const last = rest.pop();
+
+        return [first || 'Customer', last ? `${last[0].toUpperCase()}.` : ''].filter(Boolean).join(' ');
+    }
+
+    shape({ users: reviewer, user_id, status, moderation_note, moderated_by, moderated_at, ...review }) {
+        return {
+            ...review,
+            reviewer: this.reviewerName(reviewer?.name)
+        };
+    }
+
+    async getForProduct(productId, { sort = 'newest', page = 1, limit = 10 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('product_reviews')
+            .select('*, users!product_reviews_user_id_fkey ( name )', { count: 'exact' })
+            .eq('product_id', productId)
+            .eq('status', 'approved');
+
+        for (const [column, ascending] of REVIEW_ORDER[sort] || REVIEW_ORDER.newest) {
+            query = query.order(column, { ascending });
+        }
+
+        const { data, count, error } = await query.range(offset, offset + parseInt(limit) - 1);
+
+        if (error) {
+            console.error('Supabase error fetching reviews:', error);
+            throw new Error('Failed to get reviews');
+        }
+
+        return { reviews: data.map(review => this.shape(review)), total: count };
+    }
+
+    // Average, count and how many approved reviews gave each star rating
+    async getSummary(productId) {
+        const { data, error } = await supabase
+            .from('product_reviews')
+            .select('rating')
+            .eq('product_id', productId)
+            .eq('status', 'approved');
+
+        if (error) {
+            console.error('Supabase error fetching review summary:', error);
+            throw new Error('Failed to get reviews');
+        }
+
+        const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+        data.forEach(review => { distribution[review.rating] += 1; });
+
+        const total = data.reduce((sum, review) => sum + review.rating, 0);
+
+        return {
+            average: data.length > 0 ? Math.round((total / data.length) * 100) / 100 : null,
+            count: data.length,
+            distribution
+        };
+    }
+
+    // Throws the database error as is: P0001 when the customer hasn't
+    // received the product
+    async submit(productId, userId, { rating, title, body }) {
+        const { data, error } = await supabase
+            .rpc('submit_product_review', {
+                p_product_id: productId,
+                p_user_id: userId,
+                p_rating: rating,
+                p_title: title || null,
+                p_body: body
+            });
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    async getById(id) {
+        const { data } = await supabase
+            .from('product_reviews')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        return data || null;
+    }
+
+    // The moderation queue, oldest first so reviews are handled in turn
+    async getQueue({ status = 'pending', productId, page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('product_reviews')
+            .select('*, users!product_reviews_user_id_fkey ( name, email ), products ( name )', { count: 'exact' })
+            .eq('status', status)
+            .order('created_at', { ascending: true })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (productId) query = query.eq('product_id', productId);
+
+        const { data, count, error } = await query;
+
+        if (error) {
+            console.error('Supabase error fetching review queue:', error);
+            throw new Error('Failed to get reviews');
+        }
+
+        return { reviews: data, total: count };
+    }
+
+    async moderate(id, { status, note, moderatorId }) {
+        const { data, error } = await supabase
+            .from('product_reviews')
+            .update({
+                status,
+                moderation_note: note || null,
+                moderated_by: moderatorId,
+                moderated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase error moderating review:', error);
+            throw new Error('Failed to moderate review');
+        }
+
+        return data;
+    }
+
+    // Votes are one per customer; a repeat vote is a unique violation
+    async addHelpfulVote(reviewId, userId) {
+        const { error } = await supabase
+            .from('review_helpful_votes')
+            .insert([{ review_id: reviewId, user_id: userId }]);
+
+        if (error) throw error;
+    }
+
+    async removeHelpfulVote(reviewId, userId) {
+        const { error } = await supabase
+            .from('review_helpful_votes')
+            .delete()
+            .eq('review_id', reviewId)
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Supabase error removing helpful vote:', error);
+            throw new Error('Failed to remove vote');
+        }
+    }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,178 @@
+const { supabase } = require('../config/supabase');
+const variantService = require('./variantService');
+const categoryService = require('./categoryService');
+
+// Storefront product search. Matching and ranking happen in the
+// search_products function (021_product_search.sql); this resolves the
+// category filter and turns its facet counts into something to show.
+class SearchService {
+    constructor() {
+        // Upper bounds of the price bands, in KSh
+        this.priceBands = (process.env.SEARCH_PRICE_BANDS || '500,1000,2500,5000')
+            .split(',')
+            .map(bound => parseFloat(bound))
+            .filter(bound => bound > 0)
+            .sort((a, b) => a - b);
+        this.suggestionLimit = parseInt(process.env.SEARCH_SUGGESTION_LIMIT) || 6;
+    }
+
+    // Returns { products, total, nextCursor, facets }. Categories are given
+    // by ID, slug or name and include their subcategories; ones that don't
+    // exist match nothing. The sort defaults to relevance for a query and
+    // newest first otherwise. A cursor (a previous result's nextCursor)
+    // continues from where that page ended and takes the place of page.
+    async search({ query = '', categories: wanted = [], minPrice, maxPrice, inStock = false, sort, cursor, page = 1, limit = 12, facets = true }) {
+        const categories = await categoryService.getAll();
+        let categoryIds = null;
+
+        if (wanted.length > 0) {
+            categoryIds = [...new Set(wanted.flatMap(value => {
+                const { category } = categoryService.match(categories, value);
+                return category ? categoryService.descendantIds(categories, category.id) : [];
+            }))];
+        }
+
+        const order = sort && (sort !== 'relevance' || query) ? sort : (query ? 'relevance' : 'newest');
+
+        const result = await this.run({
+            p_query: query,
+            p_category_ids: categoryIds,
+            p_min_price: minPrice ?? null,
+            p_max_price: maxPrice ?? null,
+            p_in_stock: inStock,
+            p_sort: order,
+            p_after: cursor ? this.decodeCursor(cursor, order) : null,
+            p_limit: limit,
+            p_offset: (page - 1) * limit,
+            p_facets: facets
+        });
+
+        return {
+            products: await this.getProducts(result.ids),
+            total: result.total,
+            nextCursor: result.next ? this.encodeCursor(result.next, order) : null,
+            facets: facets
+                ? {
+                    categories: this.categoryFacets(categories, result.categories),
+                    price_bands: this.priceBandFacets(result.price_bands)
+                }
+                : null
+        };
+    }
+
+    // Cursors are the last row's sort key, tied to the sort they were made for
+    encodeCursor(key, sort) {
+        return Buffer.from(JSON.stringify({ sort, ...key })).toString('base64url');
+    }
+
+    decodeCursor(cursor, sort) {
+        let key;
+
+        try {
+            key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            key = null;
+        }
+
+        const valid = key
+            && key.sort === sort
+            && typeof key.number === 'string' && /^-?\d+(\.\d+)?$/.test(key.number)
+            && typeof key.text === 'string'
+            && typeof key.id === 'string';
+
+        if (!valid) {
+            const error = new Error('Invalid cursor; start again from the first page');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        return { number: key.number, text: key.text, id: key.id };
+    }
+
+    // Best few matches by name, for search-as-you-type
+    async suggest(query) {
+        const { ids } = await this.run({ p_query: query, p_limit: this.suggestionLimit, p_facets: false });
+
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const { data, error } = await supabase
+            .from('products')
+            .select('id, name, category, price, image_url')
+            .in('id', ids);
+
+        if (error) {
+            console.error('Supabase error fetching suggestions:', error);
+            throw new Error('Failed to get suggestions');
+        }
+
+        return ids.map(id => data.find(product => product.id === id)).filter(Boolean);
+    }
+
+    async run(params) {
+        const { data, error } = await supabase
+            .rpc('search_products', { p_price_bands: this.priceBands, ...params });
+
+        if (error) {
+            console.error('Supabase error searching products:', error);
+            throw new Error('Failed to search products');
+        }
+
+        return data;
+    }
+
+    // Full products in the order search_products ranked them
+    async getProducts(ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const { data, error } = await supabase
+            .from('products')
+            .select(variantService.productSelect)
+            .in('id', ids);
+
+        if (error) {
+            console.error('Supabase error fetching search results:', error);
+            throw new Error('Failed to search products');
+        }
+
+        return ids
+            .map(id => data.find(product => product.id === id))
+            .filter(Boolean)
+            .map(product => variantService.shapeProduct(product));
+    }
+
+    // Counts per category, each including its subcategories. Categories with
+    // no matches are left out.
+    categoryFacets(categories, counts) {
+        const countOf = new Map(counts.map(row => [row.category_id, row.count]));
+
+        return categories
+            .map(category => ({
+                id: category.id,
+                parent_id: category.parent_id,
+                name: category.name,
+                slug: category.slug,
+                count: categoryService.descendantIds(categories, category.id)
+                    .reduce((sum, id) => sum + (countOf.get(id) || 0), 0)
+            }))
+            .filter(category => category.count > 0);
+    }
+
+    // Every band, empty ones included, as { min, max, count }. A band holds
+    // prices from min up to but not including max; max is null for the top
+    // band.
+    priceBandFacets(counts) {
+        const countOf = new Map(counts.map(row => [row.band, row.count]));
+
+        return [0, ...this.priceBands].map((min, band) => ({
+            min,
+            max: this.priceBands[band] ?? null,
+            count: countOf.get(band) || 0
+        }));
+    }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,36 @@
+// Outgoing SMS. SMS_TRANSPORT picks the gateway; the default 'console'
+// transport just logs messages so OTP login works without a provider.
+// Real gateways plug in through registerTransport.
+class SmsGateway {
+    constructor() {
+        this.transportName = process.env.SMS_TRANSPORT || 'console';
+        this.senderId = process.env.SMS_SENDER_ID || 'BIDHAALINE';
+        this.transports = new Map();
+
+        this.registerTransport('console', async (message) => {
+            console.log(`📱 SMS to ${message.to}: ${message.text}`);
+        });
+    }
+
+    // A transport is an async function receiving { from, to, text }
+    registerTransport(name, send) {
+        this.transports.set(name, send);
+    }
+
+    async send({ to, text }) {
+        const transport = this.transports.get(this.transportName);
+
+        if (!transport) {
+            throw new Error(`Unknown SMS transport: ${this.transportName}`);
+        }
+
+        try {
+            await transport({ from: this.senderId, to, text });
+        } catch (error) {
+            console.error('SMS delivery error:', error.message);
+            throw new Error('Failed to send SMS');
+        }
+    }
+}
+
+module.exports = new SmsGateway();
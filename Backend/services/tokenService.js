@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabase } = require('../config/supabase');
+
+class TokenService {
+    constructor() {
+        this.accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+        this.refreshTokenTtlMs = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+    }
+
+    hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    generateAccessToken(user, sessionId) {
+        return jwt.sign(
+            { id: user.id, email: user.email, role: user.role, sid: sessionId },
+            process.env.JWT_SECRET,
+            { expiresIn: this.accessTokenExpiresIn }
+        );
+    }
+
+    async issueRefreshToken(sessionId) {
+        const token = crypto.randomBytes(48).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.refreshTokenTtlMs).toISOString();
+
+        const { error } = await supabase
+            .from('refresh_tokens')
+            .insert([{ session_id: sessionId, token_hash: this.hash(token), expires_at: expiresAt }]);
+
+        if (error) {
+            console.error('Supabase error storing refresh token:', error);
+            throw new Error('Failed to create session');
+        }
+
+        return { token, expiresAt };
+    }
+
+    // Starts a new session and returns its first token pair
+    async createSession(user, req) {
+        const { data: session, error } = await supabase
+            .from('auth_sessions')
+            .insert([{
+                user_id: user.id,
+                user_agent: req.get('user-agent') || null,
+                ip_address: req.ip,
+                expires_at: new Date(Date.now() + this.refreshTokenTtlMs).toISOString()
+            }])
+            .select('id')
+            .single();
+
+        if (error) {
+            console.error('Supabase error creating session:', error);
+            throw new Error('Failed to create session');
+        }
+
+        const { token: refreshToken } = await this.issueRefreshToken(session.id);
+
+        return {
+            token: this.generateAccessToken(user, session.id),
+            refreshToken
+        };
+    }
+
+    // Exchanges a refresh token for a new pair. Returns null when the token is
+    // unknown, expired or its session is gone; a token that was already
+    // rotated also revokes its session, since someone else holds a copy.
+    async rotate(refreshToken, req) {
+        const tokenHash = this.hash(refreshToken);
+
+        const { data: rotated, error } = await supabase
+            .from('refresh_tokens')
+            .update({ rotated_at: new Date().toISOString() })
+            .eq('token_hash', tokenHash)
+            .is('rotated_at', null)
+            .select('session_id, expires_at');
+
+        if (error) {
+            console.error('Supabase error rotating refresh token:', error);
+            throw new Error('Failed to refresh session');
+        }
+
+        if (rotated.length === 0) {
+            const { data: reused } = await supabase
+                .from('refresh_tokens')
+                .select('session_id')
+                .eq('token_hash', tokenHash)
+                .single();
+
+            if (reused) {
+                console.warn(`Refresh token reuse detected; revoking session ${reused.session_id}`);
+                await this.revokeSession(reused.session_id, 'token_reuse');
+            }
+
+            return null;
+        }
+
+        const { session_id: sessionId, expires_at: expiresAt } = rotated[0];
+
+        if (new Date(expiresAt) < new Date()) {
+            return null;
+        }
+
+        const { data: session, error: sessionError } = await supabase
+            .from('auth_sessions')
+            .select('id, revoked_at, users (id, email, role, is_active)')
+            .eq('id', sessionId)
+            .single();
+
+        if (sessionError || !session || session.revoked_at || !session.users?.is_active) {
+            return null;
+        }
+
+        const { token: newRefreshToken, expiresAt: newExpiresAt } = await this.issueRefreshToken(sessionId);
+
+        await supabase
+            .from('auth_sessions')
+            .update({
+                last_used_at: new Date().toISOString(),
+                expires_at: newExpiresAt,
+                ip_address: req.ip,
+                user_agent: req.get('user-agent') || null
+            })
+            .eq('id', sessionId);
+
+        return {
+            token: this.generateAccessToken(session.users, sessionId),
+            refreshToken: newRefreshToken
+        };
+    }
+
+    async isSessionActive(sessionId) {
+        const { data, error } = await supabase
+            .from('auth_sessions')
+            .select('revoked_at, expires_at')
+            .eq('id', sessionId)
+            .single();
+
+        if (error || !data) return false;
+
+        return !data.revoked_at && new Date(data.expires_at) > new Date();
+    }
+
+    async revokeSession(sessionId, reason, userId = null) {
+        let query = supabase
+            .from('auth_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('id', sessionId)
+            .is('revoked_at', null);
+
+        if (userId) {
+            query = query.eq('user_id', userId);
+        }
+
+        const { data, error } = await query.select('id');
+
+        if (error) {
+            console.error('Supabase error revoking session:', error);
+            throw new Error('Failed to revoke session');
+        }
+
+        return data.length > 0;
+    }
+
+    async revokeAllSessions(userId, reason) {
+        const { error } = await supabase
+            .from('auth_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+
+        if (error) {
+            console.error('Supabase error revoking sessions:', error);
+            throw new Error('Failed to revoke sessions');
+        }
+    }
+
+    async getActiveSessions(userId) {
+        const { data, error } = await supabase
+            .from('auth_sessions')
+            .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('last_used_at', { ascending: false });
+
+        if (error) {
+            console.error('Supabase error fetching sessions:', error);
+            throw new Error('Failed to get sessions');
+        }
+
+        return data;
+    }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,80 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+
+const TOKEN_TTL = {
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60,
+    staff_invite: (parseInt(process.env.STAFF_INVITE_TTL_HOURS) || 72) * 60
+};
+
+// Signed, expiring, single-use tokens sent to users by email
+class UserTokenService {
+    // Issuing a token retires any unused one for the same purpose, so only the
+    // newest link works
+    async issue(userId, purpose) {
+        const ttlMinutes = TOKEN_TTL[purpose];
+        const jti = uuidv4();
+        const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString();
+
+        const { error: retireError } = await supabase
+            .from('user_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('purpose', purpose)
+            .is('used_at', null);
+
+        if (retireError) {
+            console.error('Supabase error retiring user tokens:', retireError);
+            throw new Error('Failed to issue token');
+        }
+
+        const { error } = await supabase
+            .from('user_tokens')
+            .insert([{ jti, user_id: userId, purpose, expires_at: expiresAt }]);
+
+        if (error) {
+            console.error('Supabase error storing user token:', error);
+            throw new Error('Failed to issue token');
+        }
+
+        return jwt.sign(
+            { sub: userId, purpose },
+            process.env.JWT_SECRET,
+            { jwtid: jti, expiresIn: ttlMinutes * 60 }
+        );
+    }
+
+    // Returns the user id the token was issued to, or null if it is invalid,
+    // expired, meant for something else or already used
+    async consume(token, purpose) {
+        let payload;
+        try {
+            payload = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (error) {
+            return null;
+        }
+
+        if (payload.purpose !== purpose || !payload.jti) {
+            return null;
+        }
+
+        const { data, error } = await supabase
+            .from('user_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('jti', payload.jti)
+            .eq('user_id', payload.sub)
+            .eq('purpose', purpose)
+            .is('used_at', null)
+            .select('user_id');
+
+        if (error) {
+            console.error('Supabase error consuming user token:', error);
+            throw new Error('Failed to verify token');
+        }
+
+        return data.length > 0 ? data[0].user_id : null;
+    }
+}
+
+module.exports = new UserTokenService();
@@ -0,0 +1,165 @@
+const { supabase } = require('../config/supabase');
+
+// Columns embedded alongside products so listings can show a variant picker.
+// The foreign key is named because cart and order lines also link products
+// to variants.
+const VARIANT_SELECT = `
+    product_options ( name, option_values, position ),
+    product_variants!product_variants_product_id_fkey ( id, sku, options, price, stock, image_url, position, is_active )
+`;
+
+// The image gallery travels with every product read as well
+const IMAGE_SELECT = 'product_images ( id, media_id, url, medium_url, thumbnail_url, alt_text, position, is_primary )';
+
+class VariantService {
+    constructor() {
+        this.productSelect = `*, ${VARIANT_SELECT}, ${IMAGE_SELECT}`;
+    }
+
+    // Turns the embedded rows into { options: [{ name, values }], variants,
+    // images } with retired variants dropped and the gallery in order
+    shapeProduct(product) {
+        const { product_options: options = [], product_variants: variants = [], product_images: images = [], ...rest } = product;
+
+        return {
+            ...rest,
+            images: (images || []).sort((a, b) => a.position - b.position),
+            options: (options || [])
+                .sort((a, b) => a.position - b.position)
+                .map(option => ({ name: option.name, values: option.option_values })),
+            variants: (variants || [])
+                .filter(variant => variant.is_active)
+                .sort((a, b) => a.position - b.position)
+                .map(({ is_active, position, ...variant }) => ({
+                    ...variant,
+                    label: this.formatLabel(options, variant)
+                }))
+        };
+    }
+
+    // "500g / Dark roast", following the order the options were declared in
+    formatLabel(options, variant) {
+        return [...(options || [])]
+            .sort((a, b) => a.position - b.position)
+            .map(option => variant.options?.[option.name])
+            .filter(Boolean)
+            .join(' / ');
+    }
+
+    // Returns an error message when the definitions don't fit together,
+    // otherwise null. Every variant has to pick one declared value for each
+    // option, and no two variants may share a SKU or a combination.
+    validateDefinitions(options = [], variants = []) {
+        const names = options.map(option => option.name.trim());
+
+        if (new Set(names).size !== names.length) {
+            return 'Option names must be unique';
+        }
+
+        if (variants.length > 0 && options.length === 0) {
+            return 'Declare at least one option (e.g. Size) for the variants to choose from';
+        }
+
+        const skus = new Set();
+        const combinations = new Set();
+
+        for (const variant of variants) {
+            if (skus.has(variant.sku)) {
+                return `SKU ${variant.sku} is listed more than once`;
+            }
+            skus.add(variant.sku);
+
+            const chosen = variant.options || {};
+
+            for (const option of options) {
+                const value = chosen[option.name];
+
+                if (!option.values.includes(value)) {
+                    return `Variant ${variant.sku} needs a ${option.name} of ${option.values.join(', ')}`;
+                }
+            }
+
+            const unknown = Object.keys(chosen).find(name => !names.includes(name));
+            if (unknown) {
+                return `Variant ${variant.sku} uses undeclared option ${unknown}`;
+            }
+
+            const combination = JSON.stringify(names.map(name => chosen[name]));
+            if (combinations.has(combination)) {
+                return `More than one variant has the options of ${variant.sku}`;
+            }
+            combinations.add(combination);
+        }
+
+        return null;
+    }
+
+    // Replaces the product's options and variants; see save_product_variants
+    async saveVariants(productId, options = [], variants = []) {
+        const { data, error } = await supabase
+            .rpc('save_product_variants', {
+                p_product_id: productId,
+                p_options: options.map(option => ({ name: option.name.trim(), values: option.values })),
+                p_variants: variants.map(variant => ({
+                    sku: variant.sku.trim(),
+                    options: variant.options || {},
+                    price: variant.price,
+                    stock: parseInt(variant.stock),
+                    image_url: variant.image_url || null
+                }))
+            });
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    async getProduct(productId) {
+        const { data, error } = await supabase
+            .from('products')
+            .select(this.productSelect)
+            .eq('id', productId)
+            .single();
+
+        if (error) {
+            console.error('Supabase error fetching product with variants:', error);
+            throw new Error('Failed to get product');
+        }
+
+        return this.shapeProduct(data);
+    }
+
+    async hasVariants(productId) {
+        const { count, error } = await supabase
+            .from('product_variants')
+            .select('*', { count: 'exact', head: true })
+            .eq('product_id', productId)
+            .eq('is_active', true);
+
+        if (error) {
+            console.error('Supabase error checking product variants:', error);
+            throw new Error('Failed to check product options');
+        }
+
+        return count > 0;
+    }
+
+    // The active variant, only if it belongs to the product
+    async getVariant(productId, variantId) {
+        const { data, error } = await supabase
+            .from('product_variants')
+            .select('id, product_id, sku, options, price, stock, image_url')
+            .eq('id', variantId)
+            .eq('product_id', productId)
+            .eq('is_active', true)
+            .single();
+
+        if (error || !data) {
+            return null;
+        }
+
+        return data;
+    }
+}
+
+module.exports = new VariantService();
@@ -0,0 +1,163 @@
+const { supabase } = require('../config/supabase');
+const mailer = require('./mailer');
+
+// Emails the back-in-stock and price drop notices that product changes queue
+// in wishlist_notifications (025_wishlists.sql). A notice that no longer
+// holds when it is sent (sold out again, price back up) is skipped; one that
+// fails to send is retried on later runs, behind fresh notices, and marked
+// failed after maxAttempts tries.
+class WishlistNotifier {
+    constructor() {
+        this.intervalMs = (parseInt(process.env.WISHLIST_NOTIFY_INTERVAL_MINUTES) || 10) * 60 * 1000;
+        this.batchSize = parseInt(process.env.WISHLIST_NOTIFY_BATCH_SIZE) || 100;
+        this.maxAttempts = parseInt(process.env.WISHLIST_NOTIFY_MAX_ATTEMPTS) || 5;
+        this.appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.run().catch(error => {
+                console.error('Wishlist notification error:', error.message);
+            });
+        }, this.intervalMs);
+
+        // Don't keep the process alive just for the notifier
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async run() {
+        if (this.running) return null;
+        this.running = true;
+
+        const summary = { sent: 0, skipped: 0, errors: 0, failed: 0 };
+
+        try {
+            const { data: notifications, error } = await supabase
+                .from('wishlist_notifications')
+                .select(`
+                    id, kind, old_price, new_price, attempts,
+                    wishlist_items!inner (
+                        notify_back_in_stock, notify_price_drop,
+                        users!inner ( name, email, is_active ),
+                        products!inner ( id, name, price, stock, is_active )
+                    )
+                `)
+                .eq('status', 'pending')
+                .order('attempts', { ascending: true })
+                .order('created_at', { ascending: true })
+                .limit(this.batchSize);
+
+            if (error) {
+                console.error('Supabase error fetching wishlist notifications:', error);
+                throw new Error('Failed to get wishlist notifications');
+            }
+
+            for (const notification of notifications) {
+                try {
+                    if (this.stillHolds(notification)) {
+                        await this.send(notification);
+                        await this.markProcessed(notification.id, 'sent');
+                        summary.sent++;
+                    } else {
+                        await this.markProcessed(notification.id, 'skipped');
+                        summary.skipped++;
+                    }
+                } catch (error) {
+                    console.error(`Wishlist notification ${notification.id} failed:`, error.message);
+                    summary.errors++;
+
+                    if (await this.recordFailedAttempt(notification, error)) {
+                        summary.failed++;
+                    }
+                }
+            }
+
+            if (summary.sent + summary.skipped + summary.errors > 0) {
+                console.log(`💌 Wishlist notifications: ${summary.sent} sent, ${summary.skipped} skipped, ${summary.errors} failed (${summary.failed} given up)`);
+            }
+
+            return summary;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    stillHolds({ kind, new_price, wishlist_items: item }) {
+        const { users: user, products: product } = item;
+
+        if (!user.is_active || !product.is_active) return false;
+
+        if (kind === 'back_in_stock') {
+            return item.notify_back_in_stock && product.stock > 0;
+        }
+
+        return item.notify_price_drop && Number(product.price) <= Number(new_price);
+    }
+
+    async send({ kind, old_price, wishlist_items: { users: user, products: product } }) {
+        const url = `${this.appUrl}/?product=${encodeURIComponent(product.id)}`;
+        const price = `KSh ${Number(product.price).toLocaleString()}`;
+
+        if (kind === 'back_in_stock') {
+            await mailer.send({
+                to: user.email,
+                subject: `${product.name} is back in stock`,
+                text: `Hi ${user.name},\n\n${product.name} from your Bidhaaline wishlist is back in stock at ${price}.\n${url}\n\nYou are getting this because you asked to hear when it returned. Turn it off from your wishlist.`
+            });
+            return;
+        }
+
+        await mailer.send({
+            to: user.email,
+            subject: `Price drop: ${product.name} is now ${price}`,
+            text: `Hi ${user.name},\n\n${product.name} from your Bidhaaline wishlist has dropped from KSh ${Number(old_price).toLocaleString()} to ${price}.\n${url}\n\nYou are getting this because you asked to hear about price drops. Turn it off from your wishlist.`
+        });
+    }
+
+    async markProcessed(id, status) {
+        const { error } = await supabase
+            .from('wishlist_notifications')
+            .update({ status, processed_at: new Date().toISOString() })
+            .eq('id', id);
+
+        if (error) {
+            console.error('Supabase error updating wishlist notification:', error);
+            throw new Error('Failed to update wishlist notification');
+        }
+    }
+
+    // Counts a failed send and gives up on the notice after maxAttempts.
+    // Returns true when it was marked failed. Errors are only logged so one
+    // bad notice doesn't stop the rest of the batch.
+    async recordFailedAttempt(notification, sendError) {
+        const attempts = notification.attempts + 1;
+        const givenUp = attempts >= this.maxAttempts;
+
+        const { error } = await supabase
+            .from('wishlist_notifications')
+            .update({
+                attempts,
+                last_error: sendError.message,
+                ...(givenUp && { status: 'failed', processed_at: new Date().toISOString() })
+            })
+            .eq('id', notification.id);
+
+        if (error) {
+            console.error('Supabase error recording wishlist notification attempt:', error);
+            return false;
+        }
+
+        return givenUp;
+    }
+}
+
+module.exports = new WishlistNotifier();
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend } = require('./support/backend');
+
+let backend;
+let customer;
+let admin;
+
+const placeOrder = async (productId, quantity) => {
+    const { status, body } = await backend.api('/api/orders', {
+        method: 'POST',
+        token: customer.token,
+        body: {
+            items: [{ product_id: productId, quantity }],
+            payment_method: 'mpesa',
+            customer_phone: '0712345678'
+        }
+    });
+    assert.equal(status, 201);
+
+    return body.data.order.id;
+};
+
+const setOrderStatus = (orderId, status) => backend.api(`/api/admin/orders/${orderId}/status`, {
+    method: 'PATCH',
+    token: admin.token,
+    body: { status }
+});
+
+const stockOf = async (productId) => {
+    const { rows: [product] } = await backend.db.query('SELECT stock FROM products WHERE id = $1', [productId]);
+    return product.stock;
+};
+
+before(async () => {
+    backend = await startBackend();
+    customer = await backend.createCustomer();
+    admin = await backend.createCustomer({ role: 'admin' });
+});
+
+after(async () => {
+    await backend?.stop();
+});
+
+test('staff cancelling a paid order puts its stock back', async () => {
+    await backend.createProduct({ id: 'ADMIN-CANCEL', stock: 4 });
+    const orderId = await placeOrder('ADMIN-CANCEL', 3);
+    await backend.db.query("UPDATE orders SET status = 'Confirmed' WHERE id = $1", [orderId]);
+
+    const { status, body } = await setOrderStatus(orderId, 'Cancelled');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.order.status, 'Cancelled');
+    assert.equal(await stockOf('ADMIN-CANCEL'), 4);
+
+    const { rows: tracking } = await backend.db.query(
+        'SELECT status FROM order_tracking WHERE order_id = $1 ORDER BY id',
+        [orderId]
+    );
+    assert.deepEqual(tracking.map(entry => entry.status), ['Order Placed', 'Order Cancelled']);
+
+    const again = await setOrderStatus(orderId, 'Cancelled');
+    assert.equal(again.status, 400);
+    assert.equal(await stockOf('ADMIN-CANCEL'), 4);
+});
+
+test('shipped orders cannot be cancelled from the status update', async () => {
+    await backend.createProduct({ id: 'ADMIN-SHIPPED', stock: 4 });
+    const orderId = await placeOrder('ADMIN-SHIPPED', 1);
+    await backend.db.query("UPDATE orders SET status = 'Shipped' WHERE id = $1", [orderId]);
+
+    const { status, body } = await setOrderStatus(orderId, 'Cancelled');
+
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Shipped orders cannot be cancelled');
+    assert.equal(await stockOf('ADMIN-SHIPPED'), 3);
+});
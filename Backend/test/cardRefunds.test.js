@@ -0,0 +1,278 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { startBackend, listen, close } = require('./support/backend');
+
+const WEBHOOK_HASH = 'test-webhook-hash';
+
+let gateway;
+let backend;
+let customer;
+let admin;
+
+// Just enough of the card gateway for charge webhooks and refunds. Refunds
+// are accepted as pending and completed later, as the real gateway does for
+// most card schemes.
+const charges = new Map();
+const refunds = new Map();
+
+const startGateway = () => {
+    const server = http.createServer((req, res) => {
+        const reply = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'success', data }));
+        };
+
+        const chargeLookup = req.url.match(/^\/v3\/transactions\/([^/]+)\/verify$/);
+        if (req.method === 'GET' && chargeLookup && charges.has(chargeLookup[1])) {
+            return reply(200, charges.get(chargeLookup[1]));
+        }
+
+        const refundRequest = req.url.match(/^\/v3\/transactions\/([^/]+)\/refund$/);
+        if (req.method === 'POST' && refundRequest) {
+            const refund = { id: 9000 + refunds.size, status: 'pending' };
+            refunds.set(String(refund.id), refund);
+            return reply(200, refund);
+        }
+
+        const refundLookup = req.url.match(/^\/v3\/refunds\/([^/]+)$/);
+        if (req.method === 'GET' && refundLookup && refunds.has(refundLookup[1])) {
+            return reply(200, refunds.get(refundLookup[1]));
+        }
+
+        reply(404, null);
+    });
+
+    return listen(server).then(url => ({ server, url }));
+};
+
+const paidCardOrder = async (productId) => {
+    await backend.createProduct({ id: productId, price: 1000, stock: 5 });
+
+    const placed = await backend.api('/api/orders', {
+        method: 'POST',
+        token: customer.token,
+        body: {
+            items: [{ product_id: productId, quantity: 1 }],
+            payment_method: 'mpesa',
+            customer_phone: '0711000030'
+        }
+    });
+    assert.equal(placed.status, 201);
+
+    const order = placed.body.data.order;
+    await backend.db.query("UPDATE orders SET status = 'Confirmed', payment_method = 'card' WHERE id = $1", [order.id]);
+    await backend.db.query(
+        `INSERT INTO payment_transactions (provider, reference, order_id, amount, paid_amount, status, provider_transaction_id)
+         VALUES ('card', $1, $2, $3, $3, 'success', $4)`,
+        [`${order.id}-1`, order.id, order.total_amount, `CHG-${productId}`]
+    );
+
+    return order;
+};
+
+// A card order whose checkout has started but not been paid yet
+const awaitingCardPayment = async (productId) => {
+    await backend.createProduct({ id: productId, price: 1000, stock: 5 });
+
+    const placed = await backend.api('/api/orders', {
+        method: 'POST',
+        token: customer.token,
+        body: {
+            items: [{ product_id: productId, quantity: 1 }],
+            payment_method: 'card',
+            customer_phone: '0711000030'
+        }
+    });
+    assert.equal(placed.status, 201);
+
+    const order = placed.body.data.order;
+    const reference = `${order.id}-1`;
+    await backend.db.query(
+        `INSERT INTO payment_transactions (provider, reference, order_id, amount, status)
+         VALUES ('card', $1, $2, $3, 'pending')`,
+        [reference, order.id, order.total_amount]
+    );
+
+    return { order, reference };
+};
+
+const chargeWebhook = (charge) => {
+    charges.set(String(charge.id), { status: 'successful', currency: 'KES', ...charge });
+
+    return fetch(`${backend.baseUrl}/api/payments/card/callback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'verif-hash': WEBHOOK_HASH },
+        body: JSON.stringify({ event: 'charge.completed', data: { id: charge.id } })
+    });
+};
+
+const openQuarantine = async () => {
+    const { status, body } = await backend.api('/api/payments/admin/quarantine', { token: admin.token });
+    assert.equal(status, 200);
+    return body.data.payments;
+};
+
+const refundWebhook = (refundId) => fetch(`${backend.baseUrl}/api/payments/card/callback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'verif-hash': WEBHOOK_HASH },
+    body: JSON.stringify({ event: 'refund.completed', data: { id: refundId } })
+});
+
+const storedRefund = async (orderId) => {
+    const { rows: [refund] } = await backend.db.query('SELECT * FROM payment_refunds WHERE order_id = $1', [orderId]);
+    return refund;
+};
+
+before(async () => {
+    gateway = await startGateway();
+    backend = await startBackend({
+        CARD_PROVIDER_BASE_URL: gateway.url,
+        CARD_PROVIDER_SECRET_KEY: 'test-secret',
+        CARD_PROVIDER_WEBHOOK_HASH: WEBHOOK_HASH
+    });
+    customer = await backend.createCustomer();
+    admin = await backend.createCustomer({ role: 'admin' });
+});
+
+after(async () => {
+    await backend?.stop();
+    if (gateway) await close(gateway.server);
+});
+
+test('a card refund the gateway completes later is settled by its webhook', async () => {
+    const order = await paidCardOrder('CARD-REFUND');
+
+    const requested = await backend.api(`/api/admin/orders/${order.id}/refunds`, {
+        method: 'POST',
+        token: admin.token,
+        body: { reason: 'Damaged in transit' }
+    });
+    assert.equal(requested.status, 202);
+
+    const pending = await storedRefund(order.id);
+    assert.equal(pending.status, 'pending');
+
+    refunds.get(pending.provider_refund_id).status = 'completed';
+
+    for (let delivery = 0; delivery < 2; delivery++) {
+        const webhook = await refundWebhook(pending.provider_refund_id);
+        assert.equal(webhook.status, 200);
+    }
+
+    const settled = await storedRefund(order.id);
+    assert.equal(settled.status, 'success');
+    assert.ok(settled.completed_at);
+
+    const { rows: tracking } = await backend.db.query(
+        "SELECT status FROM order_tracking WHERE order_id = $1 AND status LIKE 'Refund%' ORDER BY id",
+        [order.id]
+    );
+    assert.deepEqual(tracking.map(entry => entry.status), ['Refund Initiated', 'Refund Completed']);
+});
+
+test('a failed card refund stops counting against the refundable balance', async () => {
+    const order = await paidCardOrder('CARD-REFUND-FAILED');
+
+    await backend.api(`/api/admin/orders/${order.id}/refunds`, { method: 'POST', token: admin.token, body: {} });
+    const pending = await storedRefund(order.id);
+
+    refunds.get(pending.provider_refund_id).status = 'failed';
+    assert.equal((await refundWebhook(pending.provider_refund_id)).status, 200);
+    assert.equal((await storedRefund(order.id)).status, 'failed');
+
+    const retried = await backend.api(`/api/admin/orders/${order.id}/refunds`, { method: 'POST', token: admin.token, body: {} });
+    assert.equal(retried.status, 202);
+});
+
+test('concurrent refund requests never refund more than was paid', async () => {
+    const order = await paidCardOrder('CARD-REFUND-RACE');
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () =>
+        backend.api(`/api/admin/orders/${order.id}/refunds`, { method: 'POST', token: admin.token, body: {} })
+    ));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [202, 400, 400, 400, 400]);
+
+    const { rows } = await backend.db.query('SELECT amount FROM payment_refunds WHERE order_id = $1', [order.id]);
+    assert.deepEqual(rows.map(refund => Number(refund.amount)), [1160]);
+});
+
+test('a short card payment is queued for review and can be refunded', async () => {
+    const { order, reference } = await awaitingCardPayment('CARD-SHORT');
+
+    const webhook = await chargeWebhook({ id: 7001, tx_ref: reference, amount: 500 });
+    assert.equal(webhook.status, 200);
+
+    const entry = (await openQuarantine()).find(payment => payment.order_id === order.id);
+    assert.ok(entry);
+    assert.equal(entry.provider, 'card');
+    assert.equal(entry.transaction_reference, reference);
+    assert.equal(entry.reason, 'amount_mismatch');
+    assert.equal(Number(entry.received_amount), 500);
+
+    const tooMuch = await backend.api(`/api/admin/orders/${order.id}/refunds`, {
+        method: 'POST',
+        token: admin.token,
+        body: { amount: 600 }
+    });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.message, 'Refund amount exceeds the refundable balance of KSh 500');
+
+    const refunded = await backend.api(`/api/admin/orders/${order.id}/refunds`, { method: 'POST', token: admin.token, body: {} });
+    assert.equal(refunded.status, 202);
+    assert.equal(Number((await storedRefund(order.id)).amount), 500);
+});
+
+test('a card payment for an order no longer awaiting payment is queued for review', async () => {
+    const { order, reference } = await awaitingCardPayment('CARD-LATE');
+    await backend.db.query("UPDATE orders SET status = 'Cancelled' WHERE id = $1", [order.id]);
+
+    const webhook = await chargeWebhook({ id: 7002, tx_ref: reference, amount: Number(order.total_amount) });
+    assert.equal(webhook.status, 200);
+
+    const entry = (await openQuarantine()).find(payment => payment.order_id === order.id);
+    assert.ok(entry);
+    assert.equal(entry.reason, 'order_not_awaiting_payment');
+
+    const approved = await backend.api(`/api/payments/admin/quarantine/${entry.id}`, {
+        method: 'PATCH',
+        token: admin.token,
+        body: { action: 'approve' }
+    });
+    assert.equal(approved.status, 400);
+
+    const refunded = await backend.api(`/api/admin/orders/${order.id}/refunds`, { method: 'POST', token: admin.token, body: {} });
+    assert.equal(refunded.status, 202);
+    assert.equal(Number((await storedRefund(order.id)).amount), Number(order.total_amount));
+
+    const rejected = await backend.api(`/api/payments/admin/quarantine/${entry.id}`, {
+        method: 'PATCH',
+        token: admin.token,
+        body: { action: 'reject', note: 'Refunded to card' }
+    });
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.data.payment.status, 'rejected');
+});
+
+test('approving a short card payment confirms its order', async () => {
+    const { order, reference } = await awaitingCardPayment('CARD-APPROVE');
+
+    await chargeWebhook({ id: 7003, tx_ref: reference, amount: 1000 });
+    const entry = (await openQuarantine()).find(payment => payment.order_id === order.id);
+
+    const approved = await backend.api(`/api/payments/admin/quarantine/${entry.id}`, {
+        method: 'PATCH',
+        token: admin.token,
+        body: { action: 'approve', note: 'Customer paid the balance in store' }
+    });
+    assert.equal(approved.status, 200);
+
+    const { rows: [stored] } = await backend.db.query(
+        `SELECT o.status AS order_status, t.status AS payment_status
+           FROM orders o JOIN payment_transactions t ON t.order_id = o.id
+          WHERE o.id = $1`,
+        [order.id]
+    );
+    assert.deepEqual(stored, { order_status: 'Confirmed', payment_status: 'success' });
+});
@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend } = require('./support/backend');
+
+let backend;
+let customer;
+
+const login = async (email, password) => {
+    const response = await fetch(`${backend.baseUrl}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+    });
+
+    return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+    backend = await startBackend({ LOGIN_MAX_FAILURES: '3' });
+    customer = await backend.createCustomer();
+});
+
+after(async () => {
+    await backend?.stop();
+});
+
+test('registered and unknown emails are locked out alike', async () => {
+    for (const email of [customer.email, 'nobody@example.com']) {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const failed = await login(email, 'wrong-password');
+            assert.equal(failed.status, 401);
+            assert.equal(failed.body.message, 'Invalid email or password');
+        }
+
+        const locked = await login(email, 'wrong-password');
+        assert.equal(locked.status, 429);
+        assert.match(locked.body.message, /^Account temporarily locked/);
+    }
+
+    const { rows: lockouts } = await backend.db.query(
+        "SELECT email, user_id FROM security_events WHERE event_type = 'account_locked' ORDER BY id"
+    );
+    assert.deepEqual(lockouts, [
+        { email: customer.email, user_id: customer.id },
+        { email: 'nobody@example.com', user_id: null }
+    ]);
+});
@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend, waitFor, close } = require('./support/backend');
+const { startDaraja, mpesaEnv, mpesaCheckout } = require('./support/daraja');
+
+let daraja;
+let backend;
+let customer;
+let admin;
+
+const checkout = (productId, phoneNumber) => mpesaCheckout(backend, customer, { productId, phoneNumber });
+
+const settledTransaction = (checkoutRequestId) => waitFor(async () => {
+    const { rows: [transaction] } = await backend.db.query(
+        "SELECT * FROM mpesa_transactions WHERE checkout_request_id = $1 AND status <> 'pending'",
+        [checkoutRequestId]
+    );
+    return transaction;
+});
+
+const placeOrder = async (productId) => {
+    const { status, body } = await backend.api('/api/orders', {
+        method: 'POST',
+        token: customer.token,
+        body: {
+            items: [{ product_id: productId, quantity: 1 }],
+            payment_method: 'mpesa',
+            customer_phone: '0711000020'
+        }
+    });
+    assert.equal(status, 201);
+
+    return body.data.order;
+};
+
+const c2bPaymentFor = (orderId) => waitFor(async () => {
+    const { rows: [payment] } = await backend.db.query(
+        "SELECT * FROM mpesa_c2b_payments WHERE bill_ref_number = $1 AND (status = 'matched' OR unmatched_reason IS NOT NULL)",
+        [orderId]
+    );
+    return payment;
+});
+
+before(async () => {
+    daraja = await startDaraja();
+    backend = await startBackend(({ baseUrl }) => mpesaEnv(daraja.url, baseUrl));
+    customer = await backend.createCustomer();
+    admin = await backend.createCustomer({ role: 'admin' });
+});
+
+after(async () => {
+    await backend?.stop();
+    if (daraja) await close(daraja.server);
+});
+
+test('a successful STK push callback confirms the order', async () => {
+    await backend.createProduct({ id: 'STK-PAID', price: 1000, stock: 5 });
+
+    const { orderId, checkoutRequestId } = await checkout('STK-PAID', '254711000001');
+    const transaction = await settledTransaction(checkoutRequestId);
+
+    assert.equal(transaction.status, 'success');
+    assert.equal(transaction.result_code, 0);
+    assert.match(transaction.mpesa_receipt_number, /^Q/);
+
+    // The tracking entry is the last thing the callback writes
+    await waitFor(async () => {
+        const { rows } = await backend.db.query(
+            "SELECT 1 FROM order_tracking WHERE order_id = $1 AND status = 'Payment Confirmed'",
+            [orderId]
+        );
+        return rows.length > 0;
+    });
+
+    const { rows: [order] } = await backend.db.query('SELECT status FROM orders WHERE id = $1', [orderId]);
+    assert.equal(order.status, 'Confirmed');
+
+    const { rows: reservations } = await backend.db.query(
+        'SELECT status FROM stock_reservations WHERE order_id = $1',
+        [orderId]
+    );
+    assert.deepEqual(reservations.map(reservation => reservation.status), ['converted']);
+
+    const { rows: tracking } = await backend.db.query(
+        'SELECT status FROM order_tracking WHERE order_id = $1 ORDER BY id',
+        [orderId]
+    );
+    assert.deepEqual(tracking.map(entry => entry.status), ['Order Placed', 'Payment Confirmed']);
+});
+
+test('a cancelled STK push leaves the order awaiting payment', async () => {
+    await backend.createProduct({ id: 'STK-CANCELLED', price: 500, stock: 5 });
+    await daraja.setScenario('user_cancelled', '254711000002');
+
+    const { orderId, checkoutRequestId } = await checkout('STK-CANCELLED', '254711000002');
+    const transaction = await settledTransaction(checkoutRequestId);
+
+    assert.equal(transaction.status, 'failed');
+    assert.equal(transaction.result_code, 1032);
+    assert.equal(transaction.mpesa_receipt_number, null);
+
+    const { rows: [order] } = await backend.db.query('SELECT status FROM orders WHERE id = $1', [orderId]);
+    assert.equal(order.status, 'Processing');
+});
+
+test('callbacks without the shared token are rejected', async () => {
+    const response = await fetch(`${backend.baseUrl}/api/payments/mpesa/callback/wrong-token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ Body: { stkCallback: { CheckoutRequestID: 'ws_CO_forged', ResultCode: 0 } } })
+    });
+
+    assert.equal(response.status, 403);
+});
+
+test('a paybill payment naming the order confirms it and is recorded on the ledger', async () => {
+    const registered = await backend.api('/api/payments/admin/c2b/register-urls', {
+        method: 'POST',
+        token: admin.token
+    });
+    assert.equal(registered.status, 200);
+
+    await backend.createProduct({ id: 'C2B-PAID', price: 1000, stock: 5 });
+    const order = await placeOrder('C2B-PAID');
+
+    await daraja.simulateC2B({ amount: 1160, msisdn: '254711000020', billRefNumber: order.id });
+    const payment = await c2bPaymentFor(order.id);
+
+    assert.equal(payment.status, 'matched');
+    assert.equal(payment.order_id, order.id);
+
+    const { rows: [confirmed] } = await backend.db.query('SELECT status FROM orders WHERE id = $1', [order.id]);
+    assert.equal(confirmed.status, 'Confirmed');
+
+    const { rows: ledger } = await backend.db.query(
+        'SELECT status, mpesa_receipt_number FROM mpesa_transactions WHERE order_id = $1',
+        [order.id]
+    );
+    assert.deepEqual(ledger, [{ status: 'success', mpesa_receipt_number: payment.trans_id }]);
+});
+
+test('a paybill payment for an order no longer awaiting payment waits for review off the ledger', async () => {
+    await backend.createProduct({ id: 'C2B-LATE', price: 1000, stock: 5 });
+    const order = await placeOrder('C2B-LATE');
+
+    const cancelled = await backend.api(`/api/orders/${order.id}/cancel`, { method: 'PATCH', token: customer.token });
+    assert.equal(cancelled.status, 200);
+
+    await daraja.simulateC2B({ amount: 1160, msisdn: '254711000020', billRefNumber: order.id });
+    const payment = await c2bPaymentFor(order.id);
+
+    assert.equal(payment.status, 'unmatched');
+    assert.equal(payment.unmatched_reason, 'order_not_awaiting_payment');
+
+    const { rows: ledger } = await backend.db.query('SELECT 1 FROM mpesa_transactions WHERE order_id = $1', [order.id]);
+    assert.equal(ledger.length, 0);
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend, waitFor, close } = require('./support/backend');
+const { startDaraja, mpesaEnv, mpesaCheckout, sendStkCallback } = require('./support/daraja');
+
+let daraja;
+let backend;
+let customer;
+let admin;
+
+before(async () => {
+    daraja = await startDaraja();
+    backend = await startBackend(({ baseUrl }) => mpesaEnv(daraja.url, baseUrl));
+    customer = await backend.createCustomer();
+    admin = await backend.createCustomer({ role: 'admin' });
+});
+
+after(async () => {
+    await backend?.stop();
+    if (daraja) await close(daraja.server);
+});
+
+test('a payment for an order cancelled before it arrived can be refunded', async () => {
+    await backend.createProduct({ id: 'PAID-TOO-LATE', price: 1000, stock: 5 });
+    await daraja.setScenario('no_callback', '254711000020');
+
+    const { orderId, checkoutRequestId } = await mpesaCheckout(backend, customer, {
+        productId: 'PAID-TOO-LATE',
+        phoneNumber: '254711000020'
+    });
+
+    await waitFor(async () => {
+        const { stkRequests } = await daraja.getRequests();
+        return stkRequests.find(request => request.checkoutRequestId === checkoutRequestId)?.completed;
+    });
+
+    const cancelled = await backend.api(`/api/orders/${orderId}/cancel`, { method: 'PATCH', token: customer.token });
+    assert.equal(cancelled.status, 200);
+
+    const callback = await sendStkCallback(backend, {
+        checkoutRequestId,
+        amount: 1160,
+        receipt: 'QLATE00002',
+        phoneNumber: '254711000020'
+    });
+    assert.equal(callback.status, 200);
+
+    const { rows: [quarantined] } = await backend.db.query(
+        'SELECT id, reason FROM payment_quarantine WHERE checkout_request_id = $1',
+        [checkoutRequestId]
+    );
+    assert.equal(quarantined.reason, 'order_not_awaiting_payment');
+
+    const approved = await backend.api(`/api/payments/admin/quarantine/${quarantined.id}`, {
+        method: 'PATCH',
+        token: admin.token,
+        body: { action: 'approve' }
+    });
+    assert.equal(approved.status, 400);
+
+    const refund = await backend.api(`/api/admin/orders/${orderId}/refunds`, {
+        method: 'POST',
+        token: admin.token,
+        body: { reason: 'Order was cancelled before payment arrived' }
+    });
+    assert.equal(refund.status, 202);
+    assert.equal(refund.body.data.refund.method, 'reversal');
+    assert.equal(Number(refund.body.data.refund.amount), 1160);
+
+    const { requests } = await daraja.getRequests();
+    const reversals = requests.filter(request => request.type === 'reversal');
+    assert.deepEqual(reversals.map(request => request.body.TransactionID), ['QLATE00002']);
+});
+
+test('concurrent partial refunds stop at the amount paid', async () => {
+    await backend.createProduct({ id: 'SPLIT-REFUND', price: 1000, stock: 5 });
+
+    const { orderId, checkoutRequestId } = await mpesaCheckout(backend, customer, {
+        productId: 'SPLIT-REFUND',
+        phoneNumber: '254711000021'
+    });
+    await waitFor(async () => {
+        const { rows: [confirmed] } = await backend.db.query(
+            "SELECT 1 FROM mpesa_transactions WHERE checkout_request_id = $1 AND status = 'success'",
+            [checkoutRequestId]
+        );
+        return confirmed;
+    });
+
+    const responses = await Promise.all(Array.from({ length: 4 }, () =>
+        backend.api(`/api/admin/orders/${orderId}/refunds`, {
+            method: 'POST',
+            token: admin.token,
+            body: { amount: 500, reason: 'Partly out of stock' }
+        })
+    ));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [202, 202, 400, 400]);
+    for (const rejected of responses.filter(response => response.status === 400)) {
+        assert.equal(rejected.body.message, 'Refund amount exceeds the refundable balance of KSh 160');
+    }
+
+    const { rows: [refunded] } = await backend.db.query(
+        "SELECT SUM(amount)::int AS total FROM mpesa_refunds WHERE order_id = $1 AND status <> 'failed'",
+        [orderId]
+    );
+    assert.equal(refunded.total, 1000);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend } = require('./support/backend');
+
+let backend;
+let customer;
+
+const orderBody = (items) => ({
+    items,
+    payment_method: 'mpesa',
+    customer_phone: '0712345678'
+});
+
+before(async () => {
+    backend = await startBackend();
+    customer = await backend.createCustomer();
+});
+
+after(async () => {
+    await backend?.stop();
+});
+
+test('concurrent orders never sell more than the stock on hand', async () => {
+    await backend.createProduct({ id: 'OVERSELL', stock: 5 });
+
+    const responses = await Promise.all(Array.from({ length: 12 }, () =>
+        backend.api('/api/orders', {
+            method: 'POST',
+            token: customer.token,
+            body: orderBody([{ product_id: 'OVERSELL', quantity: 1 }])
+        })
+    ));
+
+    const placed = responses.filter(response => response.status === 201);
+    const rejected = responses.filter(response => response.status !== 201);
+
+    assert.equal(placed.length, 5);
+    for (const response of rejected) {
+        assert.equal(response.status, 400);
+        assert.match(response.body.message, /Insufficient stock/);
+    }
+
+    const { rows: [product] } = await backend.db.query("SELECT stock FROM products WHERE id = 'OVERSELL'");
+    const { rows: [sold] } = await backend.db.query(
+        "SELECT COALESCE(SUM(quantity), 0)::int AS quantity FROM order_items WHERE product_id = 'OVERSELL'"
+    );
+
+    assert.equal(product.stock, 0);
+    assert.equal(sold.quantity, 5);
+});
+
+test('orders listing the same products in opposite order do not deadlock', async () => {
+    await backend.createProduct({ id: 'LOCK-A', stock: 100 });
+    await backend.createProduct({ id: 'LOCK-B', stock: 100 });
+
+    const forward = [{ product_id: 'LOCK-A', quantity: 1 }, { product_id: 'LOCK-B', quantity: 1 }];
+    const backward = [{ product_id: 'LOCK-B', quantity: 1 }, { product_id: 'LOCK-A', quantity: 1 }];
+
+    const responses = await Promise.all(Array.from({ length: 20 }, (_, i) =>
+        backend.api('/api/orders', {
+            method: 'POST',
+            token: customer.token,
+            body: orderBody(i % 2 === 0 ? forward : backward)
+        })
+    ));
+
+    assert.deepEqual(responses.map(response => response.status), Array(20).fill(201));
+
+    const { rows } = await backend.db.query(
+        "SELECT id, stock FROM products WHERE id IN ('LOCK-A', 'LOCK-B') ORDER BY id"
+    );
+
+    assert.deepEqual(rows, [{ id: 'LOCK-A', stock: 80 }, { id: 'LOCK-B', stock: 80 }]);
+});
+
+test('concurrent cancellations put the stock back once', async () => {
+    await backend.createProduct({ id: 'CANCEL', stock: 3 });
+
+    const { status, body } = await backend.api('/api/orders', {
+        method: 'POST',
+        token: customer.token,
+        body: orderBody([{ product_id: 'CANCEL', quantity: 2 }])
+    });
+    assert.equal(status, 201);
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () =>
+        backend.api(`/api/orders/${body.data.order.id}/cancel`, {
+            method: 'PATCH',
+            token: customer.token
+        })
+    ));
+
+    assert.equal(responses.filter(response => response.status === 200).length, 1);
+
+    const { rows: [product] } = await backend.db.query("SELECT stock FROM products WHERE id = 'CANCEL'");
+    assert.equal(product.stock, 3);
+});
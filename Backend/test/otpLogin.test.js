@@ -0,0 +1,160 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend } = require('./support/backend');
+
+let backend;
+const messages = [];
+
+// The app trusts one proxy hop, so the forwarded address is the client IP
+const post = async (path, { body = {}, token, ipAddress }) => {
+    const response = await fetch(`${backend.baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Forwarded-For': ipAddress,
+            ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: JSON.stringify(body)
+    });
+
+    return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+};
+
+const requestCode = (phone, ipAddress) => post('/api/auth/otp/request', { body: { phone }, ipAddress });
+
+const lastCodeSentTo = (phone) => {
+    const message = messages.filter(sms => sms.to === phone).pop();
+    return message?.text.match(/\d{6}/)[0];
+};
+
+// Lets a test ask for another code for the same number straight away
+const clearThrottle = (phone) => backend.db.query('DELETE FROM phone_otp_requests WHERE phone = $1', [phone]);
+
+before(async () => {
+    backend = await startBackend({ OTP_MAX_PER_IP_PER_HOUR: '3', SMS_TRANSPORT: 'capture' });
+    require('../services/smsGateway').registerTransport('capture', async (message) => {
+        messages.push(message);
+    });
+
+    const customer = await backend.createCustomer({ phone: '0711000040' });
+    await backend.db.query(
+        "UPDATE users SET phone_normalized = '254711000040', phone_verified_at = NOW() WHERE id = $1",
+        [customer.id]
+    );
+});
+
+after(async () => {
+    await backend?.stop();
+});
+
+test('registered and unknown numbers are throttled alike', async () => {
+    for (const phone of ['0711000040', '0711000041']) {
+        const first = await requestCode(phone, '10.0.0.1');
+        assert.equal(first.status, 200);
+
+        const resend = await requestCode(phone, '10.0.0.2');
+        assert.equal(resend.status, 429);
+        assert.ok(Number(resend.retryAfter) > 0);
+    }
+
+    const { rows: codes } = await backend.db.query("SELECT phone FROM phone_otps");
+    assert.deepEqual(codes, [{ phone: '254711000040' }]);
+});
+
+test('one client cannot request codes for many numbers', async () => {
+    for (const phone of ['0711000050', '0711000051', '0711000052']) {
+        assert.equal((await requestCode(phone, '10.0.0.3')).status, 200);
+    }
+
+    const capped = await requestCode('0711000053', '10.0.0.3');
+    assert.equal(capped.status, 429);
+    assert.ok(Number(capped.retryAfter) > 3500);
+
+    assert.equal((await requestCode('0711000053', '10.0.0.4')).status, 200);
+});
+
+test('a number is only used for OTP login once its owner has verified it', async () => {
+    const owner = await backend.createCustomer({ phone: '0711000060' });
+
+    // Typing the number into another profile neither claims it nor blocks the owner
+    const squatter = await backend.createCustomer({ phone: '0711000099' });
+    const updated = await backend.api('/api/auth/profile', {
+        method: 'PUT',
+        token: squatter.token,
+        body: { phone: '0711000060' }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.user.phone_verified_at, null);
+
+    assert.equal((await requestCode('0711000060', '10.0.1.1')).status, 200);
+    assert.equal(lastCodeSentTo('254711000060'), undefined);
+    await clearThrottle('254711000060');
+
+    const sent = await post('/api/auth/phone/verification', { token: owner.token, ipAddress: '10.0.1.2' });
+    assert.equal(sent.status, 200);
+
+    // A verification code is not a login code
+    const loginWithIt = await post('/api/auth/otp/verify', {
+        body: { phone: '0711000060', code: lastCodeSentTo('254711000060') },
+        ipAddress: '10.0.1.2'
+    });
+    assert.equal(loginWithIt.status, 401);
+
+    const verified = await post('/api/auth/phone/verify', {
+        body: { code: lastCodeSentTo('254711000060') },
+        token: owner.token,
+        ipAddress: '10.0.1.2'
+    });
+    assert.equal(verified.status, 200);
+
+    await clearThrottle('254711000060');
+    assert.equal((await requestCode('0711000060', '10.0.1.3')).status, 200);
+
+    const loggedIn = await post('/api/auth/otp/verify', {
+        body: { phone: '0711000060', code: lastCodeSentTo('254711000060') },
+        ipAddress: '10.0.1.3'
+    });
+    assert.equal(loggedIn.status, 200);
+    assert.equal(loggedIn.body.data.user.id, owner.id);
+});
+
+test('a code sent to one account cannot verify the number for another', async () => {
+    const first = await backend.createCustomer({ phone: '0711000070' });
+    const second = await backend.createCustomer({ phone: '0711000070' });
+
+    assert.equal((await post('/api/auth/phone/verification', { token: first.token, ipAddress: '10.0.2.1' })).status, 200);
+
+    const stolen = await post('/api/auth/phone/verify', {
+        body: { code: lastCodeSentTo('254711000070') },
+        token: second.token,
+        ipAddress: '10.0.2.2'
+    });
+    assert.equal(stolen.status, 400);
+
+    const { rows } = await backend.db.query(
+        "SELECT id FROM users WHERE phone_normalized = '254711000070'"
+    );
+    assert.deepEqual(rows, []);
+});
+
+test('verifying a number moves it from the account that verified it before', async () => {
+    const previous = await backend.createCustomer({ phone: '0711000080' });
+    await backend.db.query(
+        "UPDATE users SET phone_normalized = '254711000080', phone_verified_at = NOW() WHERE id = $1",
+        [previous.id]
+    );
+    const current = await backend.createCustomer({ phone: '0711000080' });
+
+    assert.equal((await post('/api/auth/phone/verification', { token: current.token, ipAddress: '10.0.3.1' })).status, 200);
+    const verified = await post('/api/auth/phone/verify', {
+        body: { code: lastCodeSentTo('254711000080') },
+        token: current.token,
+        ipAddress: '10.0.3.1'
+    });
+    assert.equal(verified.status, 200);
+
+    const { rows } = await backend.db.query(
+        "SELECT id FROM users WHERE phone_normalized = '254711000080'"
+    );
+    assert.deepEqual(rows, [{ id: current.id }]);
+});
@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend, waitFor, close } = require('./support/backend');
+const { startDaraja, mpesaEnv, mpesaCheckout, sendStkCallback } = require('./support/daraja');
+
+let daraja;
+let backend;
+let customer;
+let admin;
+let paymentReconciler;
+
+// The reconciler only looks at transactions a few minutes old
+const backdate = (checkoutRequestId) => backend.db.query(
+    "UPDATE mpesa_transactions SET created_at = NOW() - INTERVAL '1 hour' WHERE checkout_request_id = $1",
+    [checkoutRequestId]
+);
+
+const reconcile = async (checkoutRequestId) => {
+    const run = await paymentReconciler.run();
+    return run.details.find(detail => detail.checkout_request_id === checkoutRequestId) || null;
+};
+
+const transactionOf = async (checkoutRequestId) => {
+    const { rows: [transaction] } = await backend.db.query(
+        'SELECT * FROM mpesa_transactions WHERE checkout_request_id = $1',
+        [checkoutRequestId]
+    );
+    return transaction;
+};
+
+before(async () => {
+    daraja = await startDaraja();
+    backend = await startBackend(({ baseUrl }) => ({
+        ...mpesaEnv(daraja.url, baseUrl),
+        MPESA_RECONCILE_MAX_ATTEMPTS: '2'
+    }));
+    customer = await backend.createCustomer();
+    admin = await backend.createCustomer({ role: 'admin' });
+
+    // Loaded after startBackend so it reads the environment above
+    paymentReconciler = require('../services/paymentReconciler');
+});
+
+after(async () => {
+    await backend?.stop();
+    if (daraja) await close(daraja.server);
+});
+
+test('a payment whose callback was lost is confirmed by the reconciler and refunded through B2C', async () => {
+    await backend.createProduct({ id: 'RECONCILED', price: 1000, stock: 5 });
+    await daraja.setScenario('no_callback', '254711000010');
+
+    const { orderId, checkoutRequestId } = await mpesaCheckout(backend, customer, {
+        productId: 'RECONCILED',
+        phoneNumber: '254711000010'
+    });
+
+    await waitFor(async () => {
+        const { stkRequests } = await daraja.getRequests();
+        return stkRequests.find(request => request.checkoutRequestId === checkoutRequestId)?.completed;
+    });
+    await backdate(checkoutRequestId);
+
+    assert.equal((await reconcile(checkoutRequestId)).outcome, 'confirmed');
+
+    // An STK query does not report the receipt, so there is nothing to reverse
+    const transaction = await transactionOf(checkoutRequestId);
+    assert.equal(transaction.status, 'success');
+    assert.equal(transaction.mpesa_receipt_number, null);
+
+    const refund = await backend.api(`/api/admin/orders/${orderId}/refunds`, {
+        method: 'POST',
+        token: admin.token,
+        body: { reason: 'Out of stock' }
+    });
+    assert.equal(refund.status, 202);
+
+    const { rows: [stored] } = await backend.db.query('SELECT method, amount FROM mpesa_refunds WHERE order_id = $1', [orderId]);
+    assert.equal(stored.method, 'b2c');
+    assert.equal(Number(stored.amount), 1160);
+
+    const { requests } = await daraja.getRequests();
+    assert.equal(requests.filter(request => request.type === 'reversal').length, 0);
+    assert.equal(requests.filter(request => request.type === 'b2c').length, 1);
+});
+
+test('a transaction Daraja never answers for expires after the attempt limit and still takes a late callback', async () => {
+    await backend.createProduct({ id: 'UNANSWERED', price: 1000, stock: 5 });
+
+    const placed = await backend.api('/api/orders', {
+        method: 'POST',
+        token: customer.token,
+        body: {
+            items: [{ product_id: 'UNANSWERED', quantity: 1 }],
+            payment_method: 'mpesa',
+            customer_phone: '0711000011'
+        }
+    });
+    const order = placed.body.data.order;
+    const checkoutRequestId = 'ws_CO_NEVER_ANSWERED';
+
+    // Unknown to the mock, so every status query fails
+    await backend.db.query(
+        `INSERT INTO mpesa_transactions (order_id, checkout_request_id, phone_number, amount, status, created_at)
+         VALUES ($1, $2, '254711000011', $3, 'pending', NOW() - INTERVAL '1 hour')`,
+        [order.id, checkoutRequestId, order.total_amount]
+    );
+
+    assert.equal((await reconcile(checkoutRequestId)).outcome, 'still_pending');
+    assert.equal((await transactionOf(checkoutRequestId)).reconcile_attempts, 1);
+
+    assert.equal((await reconcile(checkoutRequestId)).outcome, 'expired');
+    assert.equal((await transactionOf(checkoutRequestId)).status, 'expired');
+
+    assert.equal(await reconcile(checkoutRequestId), null);
+
+    const callback = await sendStkCallback(backend, {
+        checkoutRequestId,
+        amount: Math.round(Number(order.total_amount)),
+        receipt: 'QLATE00001',
+        phoneNumber: '254711000011'
+    });
+    assert.equal(callback.status, 200);
+
+    const transaction = await transactionOf(checkoutRequestId);
+    assert.equal(transaction.status, 'success');
+    assert.equal(transaction.mpesa_receipt_number, 'QLATE00001');
+
+    const { rows: [confirmed] } = await backend.db.query('SELECT status FROM orders WHERE id = $1', [order.id]);
+    assert.equal(confirmed.status, 'Confirmed');
+});
@@ -0,0 +1,121 @@
+const assert = require('node:assert/strict');
+const { createDarajaServer } = require('../../mock/darajaServer');
+
+const CALLBACK_TOKEN = 'test-callback-token';
+const silentLogger = { log: () => {}, error: () => {} };
+
+// Runs mock/darajaServer.js on a free port with callbacks sent almost at once
+const startDaraja = async () => {
+    const server = createDarajaServer({ callbackDelayMs: 50, logger: silentLogger }).listen(0, '127.0.0.1');
+    const url = await new Promise(resolve => {
+        server.once('listening', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+
+    const control = async (method, path, body) => {
+        const response = await fetch(`${url}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        assert.ok(response.ok, `${method} ${path} answered ${response.status}`);
+        return response.status === 204 ? null : response.json();
+    };
+
+    // A customer paying the paybill from their phone. The confirmation
+    // reaches the backend shortly after this resolves
+    const simulateC2B = async ({ amount, msisdn, billRefNumber }) => {
+        const { access_token: token } = await fetch(`${url}/oauth/v1/generate?grant_type=client_credentials`, {
+            headers: { Authorization: `Basic ${Buffer.from('test-key:test-secret').toString('base64')}` }
+        }).then(response => response.json());
+
+        const response = await fetch(`${url}/mpesa/c2b/v1/simulate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify({
+                ShortCode: '174379',
+                CommandID: 'CustomerPayBillOnline',
+                Amount: amount,
+                Msisdn: msisdn,
+                BillRefNumber: billRefNumber
+            })
+        });
+        assert.equal(response.status, 200);
+    };
+
+    return {
+        server,
+        url,
+        setScenario: (scenario, phoneNumber) => control('PUT', '/__mock/scenario', { scenario, phoneNumber }),
+        getRequests: () => control('GET', '/__mock/requests'),
+        simulateC2B
+    };
+};
+
+// The M-Pesa settings that point the backend at the mock
+const mpesaEnv = (darajaUrl, baseUrl) => ({
+    MPESA_BASE_URL: darajaUrl,
+    MPESA_CONSUMER_KEY: 'test-key',
+    MPESA_CONSUMER_SECRET: 'test-secret',
+    MPESA_BUSINESS_SHORTCODE: '174379',
+    MPESA_PASSKEY: 'test-passkey',
+    MPESA_INITIATOR_NAME: 'testapi',
+    MPESA_SECURITY_CREDENTIAL: 'test-credential',
+    MPESA_CALLBACK_URL: `${baseUrl}/api/payments/mpesa/callback`,
+    MPESA_REFUND_CALLBACK_URL: `${baseUrl}/api/payments/mpesa/refunds`,
+    MPESA_C2B_CALLBACK_URL: `${baseUrl}/api/payments/c2b`,
+    MPESA_CALLBACK_TOKEN: CALLBACK_TOKEN,
+    MPESA_CALLBACK_ALLOWED_IPS: '127.0.0.1'
+});
+
+// Checkout as the storefront does it: place the order, then ask for an STK push
+const mpesaCheckout = async (backend, customer, { productId, phoneNumber }) => {
+    const placed = await backend.api('/api/orders', {
+        method: 'POST',
+        token: customer.token,
+        body: {
+            items: [{ product_id: productId, quantity: 1 }],
+            payment_method: 'mpesa',
+            customer_phone: phoneNumber
+        }
+    });
+    assert.equal(placed.status, 201);
+
+    const orderId = placed.body.data.order.id;
+
+    const initiated = await backend.api('/api/payments/mpesa/initiate', {
+        method: 'POST',
+        token: customer.token,
+        body: { orderId, phoneNumber }
+    });
+    assert.equal(initiated.status, 200);
+
+    return { orderId, checkoutRequestId: initiated.body.data.reference };
+};
+
+// A successful STK callback as Daraja would send it, for pushes the mock was
+// told not to answer
+const sendStkCallback = (backend, { checkoutRequestId, amount, receipt, phoneNumber }) =>
+    fetch(`${backend.baseUrl}/api/payments/mpesa/callback/${CALLBACK_TOKEN}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            Body: {
+                stkCallback: {
+                    MerchantRequestID: `MR-${receipt}`,
+                    CheckoutRequestID: checkoutRequestId,
+                    ResultCode: 0,
+                    ResultDesc: 'The service request is processed successfully.',
+                    CallbackMetadata: {
+                        Item: [
+                            { Name: 'Amount', Value: amount },
+                            { Name: 'MpesaReceiptNumber', Value: receipt },
+                            { Name: 'TransactionDate', Value: 20261019101500 },
+                            { Name: 'PhoneNumber', Value: Number(phoneNumber) }
+                        ]
+                    }
+                }
+            }
+        })
+    });
+
+module.exports = { startDaraja, mpesaEnv, mpesaCheckout, sendStkCallback, CALLBACK_TOKEN };
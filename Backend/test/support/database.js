@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'database', 'migrations');
+const SCHEMA_FILE = path.join(__dirname, 'schema.sql');
+
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+// Starts a throwaway PostgreSQL cluster with the base schema and every
+// migration applied, in the order `npm run db:migrate` applies them
+const startDatabase = async () => {
+    const { default: EmbeddedPostgres } = await import('embedded-postgres');
+
+    const port = await freePort();
+    const databaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bidhaaline-test-db-'));
+
+    const cluster = new EmbeddedPostgres({
+        databaseDir,
+        port,
+        user: 'postgres',
+        password: 'postgres',
+        persistent: false,
+        createPostgresUser: true,
+        onLog: () => {}
+    });
+
+    await cluster.initialise();
+    await cluster.start();
+
+    const pool = new Pool({
+        host: '127.0.0.1',
+        port,
+        user: 'postgres',
+        password: 'postgres',
+        database: 'postgres',
+        max: 20
+    });
+
+    try {
+        await pool.query(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+
+        const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+
+        for (const file of migrations) {
+            try {
+                await pool.query(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+            } catch (error) {
+                error.message = `${file}: ${error.message}`;
+                throw error;
+            }
+        }
+    } catch (error) {
+        await pool.end();
+        await cluster.stop();
+        throw error;
+    }
+
+    return {
+        pool,
+        query: (text, params) => pool.query(text, params),
+        stop: async () => {
+            await pool.end();
+            await cluster.stop();
+        }
+    };
+};
+
+module.exports = { startDatabase, freePort };
@@ -0,0 +1,283 @@
+const http = require('http');
+
+// Just enough of PostgREST for supabase-js to run the backend against a
+// local database: plain column selects, the common filters, order, limit and
+// offset, single-object responses, exact counts, insert/update/delete with
+// return=representation, and RPC. Embedded resources and or() filters are
+// not supported and fail loudly so a test never passes on a half-answer.
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/i;
+const OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'columns', 'on_conflict']);
+
+class RestError extends Error {
+    constructor(status, message, code = 'PGRST100') {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const ident = (name) => {
+    if (!IDENTIFIER.test(name)) {
+        throw new RestError(400, `Unsupported identifier "${name}" in the test REST server`);
+    }
+    return `"${name}"`;
+};
+
+const parseSelect = (select = '*') => {
+    const columns = select.split(',').map(column => column.trim()).filter(Boolean);
+
+    if (columns.length === 0 || columns.includes('*')) return '*';
+
+    return columns.map(column => {
+        const [alias, name] = column.includes(':') ? column.split(':') : [column, column];
+        return name === alias ? ident(name) : `${ident(name)} AS ${ident(alias)}`;
+    }).join(', ');
+};
+
+const parseFilters = (searchParams, params) => {
+    const clauses = [];
+
+    for (const [column, expression] of searchParams) {
+        if (RESERVED_PARAMS.has(column)) continue;
+
+        const negated = expression.startsWith('not.');
+        const [operator, ...rest] = (negated ? expression.slice(4) : expression).split('.');
+        const value = rest.join('.');
+        let clause;
+
+        if (OPERATORS[operator]) {
+            params.push(operator.endsWith('like') ? value.replace(/\*/g, '%') : value);
+            clause = `${ident(column)} ${OPERATORS[operator]} $${params.length}`;
+        } else if (operator === 'is') {
+            const literal = { null: 'NULL', true: 'TRUE', false: 'FALSE' }[value];
+            if (!literal) throw new RestError(400, `Unsupported is.${value} filter`);
+            clause = `${ident(column)} IS ${literal}`;
+        } else if (operator === 'in') {
+            const list = value.replace(/^\(|\)$/g, '');
+            params.push(list === '' ? [] : list.split(',').map(item => item.replace(/^"|"$/g, '')));
+            clause = `${ident(column)} = ANY ($${params.length})`;
+        } else {
+            throw new RestError(400, `Unsupported filter "${column}=${expression}" in the test REST server`);
+        }
+
+        clauses.push(negated ? `NOT (${clause})` : clause);
+    }
+
+    return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+};
+
+const parseOrder = (order) => {
+    if (!order) return '';
+
+    return ' ORDER BY ' + order.split(',').map(term => {
+        const [column, ...modifiers] = term.split('.');
+        const parts = [ident(column)];
+        if (modifiers.includes('desc')) parts.push('DESC');
+        if (modifiers.includes('nullsfirst')) parts.push('NULLS FIRST');
+        if (modifiers.includes('nullslast')) parts.push('NULLS LAST');
+        return parts.join(' ');
+    }).join(', ');
+};
+
+const parsePaging = (searchParams) => {
+    let sql = '';
+    const limit = searchParams.get('limit');
+    const offset = searchParams.get('offset');
+    if (limit !== null) sql += ` LIMIT ${parseInt(limit, 10)}`;
+    if (offset !== null) sql += ` OFFSET ${parseInt(offset, 10)}`;
+    return sql;
+};
+
+const prefers = (req, preference) => (req.headers.prefer || '').split(',').map(p => p.trim()).includes(preference);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        try {
+            resolve(text ? JSON.parse(text) : null);
+        } catch (error) {
+            reject(new RestError(400, 'Request body is not valid JSON'));
+        }
+    });
+    req.on('error', reject);
+});
+
+// Postgres only allows data-modifying CTEs at the top level, so writes pass
+// theirs separately
+const asJsonArray = (sql, cte = '') => `${cte} SELECT COALESCE(json_agg(t), '[]'::json) AS rows FROM (${sql}) t`;
+
+const handleTable = async (pool, req, table, searchParams) => {
+    const params = [];
+    const where = parseFilters(searchParams, params);
+    const columns = parseSelect(searchParams.get('select') || undefined);
+    const returning = prefers(req, 'return=representation');
+    let cte = '';
+    let sql;
+
+    switch (req.method) {
+        case 'GET':
+        case 'HEAD':
+            sql = `SELECT ${columns} FROM ${ident(table)}${where}${parseOrder(searchParams.get('order'))}${parsePaging(searchParams)}`;
+            break;
+        case 'POST': {
+            const body = await readBody(req);
+            const rows = Array.isArray(body) ? body : [body];
+            const keys = [...new Set(rows.flatMap(row => Object.keys(row)))].map(ident);
+            params.push(JSON.stringify(rows));
+            cte = `WITH written AS (
+                INSERT INTO ${ident(table)} (${keys.join(', ')})
+                SELECT ${keys.join(', ')} FROM json_populate_recordset(NULL::${ident(table)}, $${params.length}::json)
+                RETURNING *
+            )`;
+            sql = `SELECT ${columns} FROM written`;
+            break;
+        }
+        case 'PATCH': {
+            const body = await readBody(req);
+            const keys = Object.keys(body).map(ident);
+            params.push(JSON.stringify(body));
+            cte = `WITH written AS (
+                UPDATE ${ident(table)} SET (${keys.join(', ')}) = (
+                    SELECT ${keys.join(', ')} FROM json_populate_record(NULL::${ident(table)}, $${params.length}::json)
+                )${where}
+                RETURNING *
+            )`;
+            sql = `SELECT ${columns} FROM written`;
+            break;
+        }
+        case 'DELETE':
+            cte = `WITH written AS (
+                DELETE FROM ${ident(table)}${where} RETURNING *
+            )`;
+            sql = `SELECT ${columns} FROM written`;
+            break;
+        default:
+            throw new RestError(405, `Method ${req.method} not supported`);
+    }
+
+    const { rows: [{ rows }] } = await pool.query(asJsonArray(sql, cte), params);
+
+    let total = null;
+    if (prefers(req, 'count=exact')) {
+        const countParams = [];
+        const countWhere = parseFilters(searchParams, countParams);
+        const { rows: [{ count }] } = await pool.query(
+            `SELECT COUNT(*)::int AS count FROM ${ident(table)}${countWhere}`,
+            countParams
+        );
+        total = count;
+    }
+
+    const offset = parseInt(searchParams.get('offset') || '0', 10);
+    const range = rows.length > 0 ? `${offset}-${offset + rows.length - 1}` : '*';
+
+    return {
+        rows: req.method === 'GET' || req.method === 'HEAD' || returning ? rows : null,
+        contentRange: `${range}/${total === null ? '*' : total}`
+    };
+};
+
+const handleRpc = async (pool, req, name) => {
+    const args = (await readBody(req)) || {};
+
+    const { rows: [fn] } = await pool.query(
+        `SELECT p.proretset AS returns_set,
+                t.typtype = 'c' AS returns_row,
+                t.typname = 'void' AS returns_void,
+                COALESCE((
+                    SELECT json_object_agg(a.name, format_type(a.type, NULL))
+                    FROM unnest(p.proargnames, p.proargtypes::oid[]) AS a(name, type)
+                ), '{}'::json) AS arg_types
+         FROM pg_proc p
+         JOIN pg_type t ON t.oid = p.prorettype
+         WHERE p.proname = $1
+         LIMIT 1`,
+        [name]
+    );
+
+    if (!fn) {
+        throw new RestError(404, `Could not find the function ${name}`, 'PGRST202');
+    }
+
+    const params = [];
+    const named = Object.entries(args).map(([arg, value]) => {
+        const type = fn.arg_types[arg];
+        if (!type) throw new RestError(404, `Function ${name} has no argument ${arg}`, 'PGRST202');
+
+        const isJson = type === 'json' || type === 'jsonb';
+        params.push(isJson || (value !== null && typeof value === 'object' && !Array.isArray(value))
+            ? JSON.stringify(value)
+            : value);
+        return `${ident(arg)} => $${params.length}::${type}`;
+    });
+
+    const call = `${ident(name)}(${named.join(', ')})`;
+
+    if (fn.returns_set || fn.returns_row) {
+        const { rows: [{ rows }] } = await pool.query(asJsonArray(`SELECT * FROM ${call}`), params);
+        return { rows: fn.returns_set ? rows : rows[0], contentRange: null };
+    }
+
+    const { rows: [{ value }] } = await pool.query(`SELECT to_json(${call}) AS value`, params);
+    return { rows: fn.returns_void ? null : value, contentRange: null };
+};
+
+const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const createRestServer = (pool) => http.createServer(async (req, res) => {
+    try {
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(/^\/rest\/v1\/(rpc\/)?([^/]+)$/);
+
+        if (!match) {
+            throw new RestError(404, `No route for ${url.pathname}`);
+        }
+
+        const result = match[1]
+            ? await handleRpc(pool, req, match[2])
+            : await handleTable(pool, req, match[2], url.searchParams);
+
+        const headers = result.contentRange ? { 'Content-Range': result.contentRange } : {};
+        let body = result.rows;
+
+        if ((req.headers.accept || '').includes('application/vnd.pgrst.object+json') && Array.isArray(body)) {
+            if (body.length !== 1) {
+                return send(res, 406, {
+                    code: 'PGRST116',
+                    message: 'JSON object requested, multiple (or no) rows returned',
+                    details: `The result contains ${body.length} rows`,
+                    hint: null
+                });
+            }
+            body = body[0];
+        }
+
+        if (req.method === 'HEAD' || body === null) {
+            return send(res, result.contentRange ? 200 : 204, undefined, headers);
+        }
+
+        send(res, req.method === 'POST' && !match[1] ? 201 : 200, body, headers);
+    } catch (error) {
+        if (error instanceof RestError) {
+            return send(res, error.status, { code: error.code, message: error.message, details: null, hint: null });
+        }
+
+        // Database errors reach supabase-js the way PostgREST reports them
+        const status = /^23/.test(error.code) ? 409 : error.code === 'P0001' ? 400 : 500;
+        send(res, status, {
+            code: error.code || null,
+            message: error.message,
+            details: error.detail || null,
+            hint: error.hint || null
+        });
+    }
+});
+
+module.exports = { createRestServer };
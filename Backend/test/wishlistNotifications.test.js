@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBackend } = require('./support/backend');
+
+let backend;
+let customer;
+let wishlistNotifier;
+
+const setStock = (productId, stock) => backend.db.query('UPDATE products SET stock = $1 WHERE id = $2', [stock, productId]);
+
+const notificationsFor = async (itemId) => {
+    const { rows } = await backend.db.query(
+        'SELECT * FROM wishlist_notifications WHERE wishlist_item_id = $1 ORDER BY id',
+        [itemId]
+    );
+    return rows;
+};
+
+const saveToWishlist = async (productId) => {
+    await backend.createProduct({ id: productId, price: 500, stock: 0 });
+
+    const { rows: [item] } = await backend.db.query(
+        `INSERT INTO wishlist_items (user_id, product_id, notify_back_in_stock, reference_price)
+         VALUES ($1, $2, TRUE, 500) RETURNING id`,
+        [customer.id, productId]
+    );
+    return item.id;
+};
+
+before(async () => {
+    backend = await startBackend({ WISHLIST_NOTIFY_MAX_ATTEMPTS: '2' });
+    customer = await backend.createCustomer();
+
+    // Loaded after startBackend so it reads the environment above
+    wishlistNotifier = require('../services/wishlistNotifier');
+});
+
+after(async () => {
+    await backend?.stop();
+});
+
+test('stock flapping around zero queues one back-in-stock notice a day', async () => {
+    const itemId = await saveToWishlist('WISHLIST-FLAP');
+
+    await setStock('WISHLIST-FLAP', 3);
+    await setStock('WISHLIST-FLAP', 0);
+    await setStock('WISHLIST-FLAP', 2);
+    assert.equal((await notificationsFor(itemId)).length, 1);
+
+    await backend.db.query(
+        "UPDATE wishlist_notifications SET status = 'sent', processed_at = NOW() WHERE wishlist_item_id = $1",
+        [itemId]
+    );
+    await setStock('WISHLIST-FLAP', 0);
+    await setStock('WISHLIST-FLAP', 1);
+    assert.equal((await notificationsFor(itemId)).length, 1);
+
+    await backend.db.query(
+        "UPDATE wishlist_notifications SET processed_at = NOW() - INTERVAL '2 days' WHERE wishlist_item_id = $1",
+        [itemId]
+    );
+    await setStock('WISHLIST-FLAP', 0);
+    await setStock('WISHLIST-FLAP', 1);
+    assert.deepEqual((await notificationsFor(itemId)).map(notice => notice.status), ['sent', 'pending']);
+});
+
+test('a notice that keeps failing to send is given up after the attempt limit', async () => {
+    const itemId = await saveToWishlist('WISHLIST-BOUNCE');
+    await setStock('WISHLIST-BOUNCE', 1);
+
+    const sendError = new Error('Mailbox unavailable');
+
+    let [notice] = await notificationsFor(itemId);
+    assert.equal(await wishlistNotifier.recordFailedAttempt(notice, sendError), false);
+
+    [notice] = await notificationsFor(itemId);
+    assert.equal(notice.status, 'pending');
+    assert.equal(notice.attempts, 1);
+
+    assert.equal(await wishlistNotifier.recordFailedAttempt(notice, sendError), true);
+
+    [notice] = await notificationsFor(itemId);
+    assert.equal(notice.status, 'failed');
+    assert.equal(notice.attempts, 2);
+    assert.equal(notice.last_error, 'Mailbox unavailable');
+    assert.ok(notice.processed_at);
+});
@@ -0,0 +1,94 @@
+// RFC 4180 CSV: comma separated, fields quoted with " when they contain a
+// comma, quote or line break, quotes doubled inside quoted fields
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Returns the rows as arrays of strings. Handles CRLF line endings, line
+// breaks inside quoted fields and the byte order mark Excel writes.
+const parse = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Header row plus one object per row, keyed by the trimmed header names
+const parseObjects = (text) => {
+    const [header = [], ...rows] = parse(text);
+    const columns = header.map(name => name.trim());
+
+    return {
+        columns,
+        rows: rows.map(cells => Object.fromEntries(columns.map((name, index) => [name, cells[index] ?? ''])))
+    };
+};
+
+// Text that could be read as a formula is prefixed with ' (and
+// unescapeFormula takes it off again on the way back in)
+const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const unescapeFormula = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+const stringify = (columns, rows) => [
+    columns.map(formatCell).join(','),
+    ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+    parse,
+    parseObjects,
+    stringify,
+    unescapeFormula
+};
@@ -0,0 +1,27 @@
+// Kenyan numbers in the 2547XXXXXXXX form Daraja expects, which is also how
+// accounts are matched by phone
+const formatPhoneNumber = (phoneNumber) => {
+    const cleaned = phoneNumber.replace(/\D/g, '');
+
+    if (cleaned.startsWith('254')) return cleaned;
+    if (cleaned.startsWith('0')) return '254' + cleaned.substring(1);
+    if (cleaned.length === 9) return '254' + cleaned;
+
+    throw new Error('Invalid phone number format');
+};
+
+// Like formatPhoneNumber, but null instead of an error for unusable input
+const normalizePhoneNumber = (phoneNumber) => {
+    if (!phoneNumber) return null;
+
+    try {
+        return formatPhoneNumber(phoneNumber);
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    formatPhoneNumber,
+    normalizePhoneNumber
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, compatible with Google
+// Authenticator and similar apps (SHA-1, 6 digits, 30 second steps)
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.replace(/=+$/, '').toUpperCase();
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Returns the matching time step, allowing one step of clock drift either
+// way, or null. Callers store the step to refuse replays of the same code.
+const verifyCode = (secret, code, { afterStep = null } = {}) => {
+    const now = currentStep();
+
+    for (const step of [now - 1, now, now + 1]) {
+        if (afterStep !== null && step <= afterStep) continue;
+
+        const expected = Buffer.from(generateCode(secret, step));
+        const provided = Buffer.from(String(code));
+
+        if (expected.length === provided.length && crypto.timingSafeEqual(expected, provided)) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+const buildOtpAuthUrl = (secret, accountName, issuer = 'Bidhaaline') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpAuthUrl
+};
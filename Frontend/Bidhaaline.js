@@ -76,26 +76,55 @@ const API_CONFIG = {
         AUTH: {
             LOGIN: '/auth/login',
             REGISTER: '/auth/register',
-            PROFILE: '/auth/profile'
+            OTP_REQUEST: '/auth/otp/request',
+            OTP_VERIFY: '/auth/otp/verify',
+            REFRESH: '/auth/refresh',
+            FORGOT_PASSWORD: '/auth/forgot-password',
+            RESET_PASSWORD: '/auth/reset-password',
+            ACCEPT_INVITE: '/auth/accept-invite',
+            VERIFY_EMAIL: '/auth/verify-email',
+            RESEND_VERIFICATION: '/auth/resend-verification',
+            LOGOUT: '/auth/logout',
+            PROFILE: '/auth/profile',
+            PHONE_VERIFICATION: '/auth/phone/verification',
+            PHONE_VERIFY: '/auth/phone/verify',
+            SESSIONS: '/auth/sessions',
+            TOTP_SETUP: '/auth/totp/setup',
+            TOTP_ENABLE: '/auth/totp/enable',
+            TOTP_DISABLE: '/auth/totp/disable',
+            SESSION_BY_ID: '/auth/sessions/:id'
         },
         PRODUCTS: {
             ALL: '/products',
             BY_ID: '/products/:id',
             FEATURED: '/products/featured',
-            CATEGORIES: '/products/categories'
+            CATEGORIES: '/products/categories',
+            SEARCH: '/products/search',
+            SEARCH_SUGGESTIONS: '/products/search/suggestions',
+            REVIEWS: '/products/:id/reviews',
+            REVIEW_HELPFUL: '/products/:id/reviews/:reviewId/helpful'
+        },
+        COLLECTIONS: {
+            ALL: '/collections',
+            BY_SLUG: '/collections/:slug'
         },
         CART: {
             BASE: '/cart',
             ITEM: '/cart/:id'
         },
+        WISHLIST: {
+            BASE: '/wishlist',
+            ITEM: '/wishlist/:productId',
+            MOVE_TO_CART: '/wishlist/:productId/move-to-cart'
+        },
         ORDERS: {
             BASE: '/orders',
             BY_ID: '/orders/:id',
             CANCEL: '/orders/:id/cancel'
         },
         PAYMENTS: {
-            MPESA_INITIATE: '/payments/mpesa/initiate',
-            MPESA_STATUS: '/payments/mpesa/status/:checkoutRequestId',
+            INITIATE: '/payments/:provider/initiate',
+            STATUS: '/payments/:provider/status/:reference',
             TRANSACTIONS: '/payments/transactions',
             TRANSACTION_BY_ORDER: '/payments/transactions/order/:orderId'
         },
@@ -110,9 +139,32 @@ const API_CONFIG = {
             DASHBOARD: '/admin/dashboard',
             PRODUCTS: '/admin/products',
             PRODUCT_BY_ID: '/admin/products/:id',
+            PRODUCT_IMPORT: '/admin/products/import',
+            PRODUCT_EXPORT: '/admin/products/export',
+            PRODUCT_IMAGES: '/admin/products/:id/images',
+            PRODUCT_IMAGE: '/admin/products/:id/images/:imageId',
+            CATEGORIES: '/admin/categories',
+            CATEGORY_BY_ID: '/admin/categories/:id',
+            COLLECTIONS: '/admin/collections',
+            COLLECTION_BY_ID: '/admin/collections/:id',
+            COLLECTION_PRODUCTS: '/admin/collections/:id/products',
+            REVIEWS: '/admin/reviews',
+            REVIEW_STATUS: '/admin/reviews/:id/status',
+            MEDIA: '/admin/media',
             ORDERS: '/admin/orders',
             ORDER_STATUS: '/admin/orders/:id/status',
-            CUSTOMERS: '/admin/customers'
+            ORDER_REFUNDS: '/admin/orders/:id/refunds',
+            CUSTOMERS: '/admin/customers',
+            COD_REPORT: '/admin/cod/report',
+            COD_SETTLEMENTS: '/admin/cod/settlements',
+            SECURITY_EVENTS: '/admin/security-events',
+            ROLES: '/admin/roles',
+            USER_ROLE: '/admin/users/:id/role',
+            USER_STATUS: '/admin/users/:id/status',
+            USER_PASSWORD_RESET: '/admin/users/:id/password-reset',
+            STAFF: '/admin/staff',
+            STAFF_INVITE: '/admin/staff/invite',
+            AUDIT: '/admin/audit'
         }
     }
 };
@@ -122,6 +174,8 @@ class ApiClient {
     constructor() {
         this.baseURL = API_CONFIG.BASE_URL;
         this.token = localStorage.getItem('authToken');
+        this.refreshToken = localStorage.getItem('refreshToken');
+        this.refreshPromise = null;
     }
 
     setToken(token) {
@@ -133,10 +187,48 @@ class ApiClient {
         }
     }
 
+    setRefreshToken(refreshToken) {
+        this.refreshToken = refreshToken;
+        if (refreshToken) {
+            localStorage.setItem('refreshToken', refreshToken);
+        } else {
+            localStorage.removeItem('refreshToken');
+        }
+    }
+
+    // Refresh tokens are single use, so concurrent requests share one refresh
+    async refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.baseURL}${API_CONFIG.ENDPOINTS.AUTH.REFRESH}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            })
+                .then(async response => {
+                    const data = await response.json();
+                    if (!response.ok) return false;
+
+                    this.setToken(data.data.token);
+                    this.setRefreshToken(data.data.refreshToken);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
+    // Pass no content type for FormData bodies: the browser sets the
+    // multipart boundary itself
     getHeaders(contentType = 'application/json') {
-        const headers = {
-            'Content-Type': contentType
-        };
+        const headers = {};
+
+        if (contentType) {
+            headers['Content-Type'] = contentType;
+        }
 
         if (this.token) {
             headers['Authorization'] = `Bearer ${this.token}`;
@@ -145,19 +237,38 @@ class ApiClient {
         return headers;
     }
 
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, retried = false) {
         const url = `${this.baseURL}${endpoint}`;
+        const { contentType, raw, ...fetchOptions } = options;
         const config = {
-            headers: this.getHeaders(),
-            ...options
+            headers: this.getHeaders(contentType),
+            ...fetchOptions
         };
 
         try {
             const response = await fetch(url, config);
+
+            // Short-lived access token expired: get a new one and replay the request once
+            if (response.status === 401 && this.refreshToken && !retried && endpoint !== API_CONFIG.ENDPOINTS.AUTH.LOGIN) {
+                if (await this.refreshAccessToken()) {
+                    return this.request(endpoint, options, true);
+                }
+                this.setToken(null);
+                this.setRefreshToken(null);
+                localStorage.removeItem('currentUser');
+            }
+
+            // File downloads hand back the response itself
+            if (raw && response.ok) {
+                return response;
+            }
+
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.message || `HTTP error! status: ${response.status}`);
+                const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+                error.data = data;
+                throw error;
             }
 
             return data;
@@ -200,6 +311,14 @@ class ApiClient {
         return this.request(endpoint, { method: 'DELETE' });
     }
 
+    async upload(endpoint, formData) {
+        return this.request(endpoint, {
+            method: 'POST',
+            contentType: null,
+            body: formData
+        });
+    }
+
     replaceParams(endpoint, params) {
         let url = endpoint;
         Object.keys(params).forEach(key => {
@@ -215,15 +334,17 @@ const apiClient = new ApiClient();
 // API Services
 const apiServices = {
     auth: {
-        async login(email, password) {
+        async login(email, password, totpCode) {
             try {
                 const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.LOGIN, {
                     email,
-                    password
+                    password,
+                    ...(totpCode && { totpCode })
                 });
 
                 if (response.status === 'success') {
                     apiClient.setToken(response.data.token);
+                    apiClient.setRefreshToken(response.data.refreshToken);
                     localStorage.setItem('currentUser', JSON.stringify(response.data.user));
                     return response.data;
                 }
@@ -232,7 +353,9 @@ const apiServices = {
                 if (error.message.includes('Backend not available')) {
                     return this.localLogin(email, password);
                 }
-                throw new Error(error.message || 'Login failed');
+                const loginError = new Error(error.message || 'Login failed');
+                loginError.totpRequired = Boolean(error.data?.totpRequired);
+                throw loginError;
             }
         },
 
@@ -240,8 +363,14 @@ const apiServices = {
             try {
                 const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.REGISTER, userData);
 
+                // No session until the email is verified, when the store requires it
+                if (response.status === 'success' && !response.data.token) {
+                    return { ...response.data, verificationRequired: true, message: response.message };
+                }
+
                 if (response.status === 'success') {
                     apiClient.setToken(response.data.token);
+                    apiClient.setRefreshToken(response.data.refreshToken);
                     localStorage.setItem('currentUser', JSON.stringify(response.data.user));
                     return response.data;
                 }
@@ -280,12 +409,146 @@ const apiServices = {
             }
         },
 
-        logout() {
+        async logout() {
+            try {
+                if (apiClient.token) {
+                    await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.LOGOUT, {});
+                }
+            } catch (error) {
+                // The session is dropped locally either way
+                console.error('Logout error:', error);
+            }
+
             apiClient.setToken(null);
+            apiClient.setRefreshToken(null);
             localStorage.removeItem('currentUser');
             localStorage.removeItem('authToken');
         },
 
+        async requestLoginOtp(phone) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.OTP_REQUEST, { phone });
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to send login code');
+        },
+
+        async verifyLoginOtp(phone, code) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.OTP_VERIFY, { phone, code });
+            if (response.status === 'success') {
+                apiClient.setToken(response.data.token);
+                apiClient.setRefreshToken(response.data.refreshToken);
+                localStorage.setItem('currentUser', JSON.stringify(response.data.user));
+                return response.data;
+            }
+            throw new Error(response.message || 'Failed to verify login code');
+        },
+
+        async forgotPassword(email) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.FORGOT_PASSWORD, { email });
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to request password reset');
+        },
+
+        async resetPassword(token, password) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.RESET_PASSWORD, { token, password });
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to reset password');
+        },
+
+        async acceptInvite(token, password) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.ACCEPT_INVITE, { token, password });
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to set up account');
+        },
+
+        async verifyEmail(token) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.VERIFY_EMAIL, { token });
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to verify email');
+        },
+
+        async resendVerification(email) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.RESEND_VERIFICATION, { email });
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to resend verification email');
+        },
+
+        async requestPhoneVerification() {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.PHONE_VERIFICATION, {});
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to send verification code');
+        },
+
+        async verifyPhone(code) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.PHONE_VERIFY, { code });
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to verify phone number');
+        },
+
+        async setupTotp() {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.TOTP_SETUP, {});
+            if (response.status === 'success') {
+                return response.data;
+            }
+            throw new Error(response.message || 'Failed to start authenticator setup');
+        },
+
+        async enableTotp(code) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.TOTP_ENABLE, { code });
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to enable authenticator');
+        },
+
+        async disableTotp(code) {
+            const response = await apiClient.post(API_CONFIG.ENDPOINTS.AUTH.TOTP_DISABLE, { code });
+            if (response.status === 'success') {
+                return response.message;
+            }
+            throw new Error(response.message || 'Failed to disable authenticator');
+        },
+
+        async getSessions() {
+            try {
+                const response = await apiClient.get(API_CONFIG.ENDPOINTS.AUTH.SESSIONS);
+                if (response.status === 'success') {
+                    return response.data.sessions;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to load sessions');
+            }
+        },
+
+        async revokeSession(sessionId) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.AUTH.SESSION_BY_ID, { id: sessionId });
+                const response = await apiClient.delete(endpoint);
+                if (response.status === 'success') {
+                    return true;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to revoke session');
+            }
+        },
+
         getCurrentUser() {
             const userStr = localStorage.getItem('currentUser');
             return userStr ? JSON.parse(userStr) : null;
@@ -297,7 +560,7 @@ const apiServices = {
 
         isAdmin() {
             const user = this.getCurrentUser();
-            return user && user.role === 'admin';
+            return isStaffRole(user?.role);
         },
 
         // Local fallback methods
@@ -334,6 +597,9 @@ const apiServices = {
 
                 if (filters.category) queryParams.append('category', filters.category);
                 if (filters.search) queryParams.append('search', filters.search);
+                if (filters.sort) queryParams.append('sort', filters.sort);
+                if (filters.inStock) queryParams.append('in_stock', 'true');
+                if (filters.cursor) queryParams.append('cursor', filters.cursor);
                 if (filters.page) queryParams.append('page', filters.page);
                 if (filters.limit) queryParams.append('limit', filters.limit);
 
@@ -352,6 +618,50 @@ const apiServices = {
             }
         },
 
+        // Ranked search; returns products, facets and pagination
+        async search(filters = {}) {
+            try {
+                const queryParams = new URLSearchParams();
+
+                if (filters.q) queryParams.append('q', filters.q);
+                if (filters.category) queryParams.append('category', filters.category);
+                if (filters.minPrice !== undefined) queryParams.append('min_price', filters.minPrice);
+                if (filters.maxPrice !== undefined) queryParams.append('max_price', filters.maxPrice);
+                if (filters.sort) queryParams.append('sort', filters.sort);
+                if (filters.inStock) queryParams.append('in_stock', 'true');
+                if (filters.cursor) queryParams.append('cursor', filters.cursor);
+                if (filters.page) queryParams.append('page', filters.page);
+                if (filters.limit) queryParams.append('limit', filters.limit);
+
+                const endpoint = `${API_CONFIG.ENDPOINTS.PRODUCTS.SEARCH}?${queryParams.toString()}`;
+                const response = await apiClient.get(endpoint);
+
+                if (response.status === 'success') {
+                    return response.data;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                if (error.message.includes('Backend not available')) {
+                    return { ...this.getLocalProducts({ search: filters.q, category: filters.category }), facets: null };
+                }
+                throw new Error(error.message || 'Failed to search products');
+            }
+        },
+
+        async getSearchSuggestions(q) {
+            try {
+                const endpoint = `${API_CONFIG.ENDPOINTS.PRODUCTS.SEARCH_SUGGESTIONS}?q=${encodeURIComponent(q)}`;
+                const response = await apiClient.get(endpoint);
+
+                if (response.status === 'success') {
+                    return response.data.suggestions;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                return [];
+            }
+        },
+
         async getProductById(productId) {
             try {
                 const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.PRODUCTS.BY_ID, { id: productId });
@@ -398,12 +708,58 @@ const apiServices = {
             }
         },
 
+        async getReviews(productId, { sort, page } = {}) {
+            try {
+                const queryParams = new URLSearchParams();
+                if (sort) queryParams.append('sort', sort);
+                if (page) queryParams.append('page', page);
+
+                const endpoint = `${apiClient.replaceParams(API_CONFIG.ENDPOINTS.PRODUCTS.REVIEWS, { id: productId })}?${queryParams.toString()}`;
+                const response = await apiClient.get(endpoint);
+
+                if (response.status === 'success') {
+                    return response.data;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch reviews');
+            }
+        },
+
+        async submitReview(productId, reviewData) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.PRODUCTS.REVIEWS, { id: productId });
+                const response = await apiClient.post(endpoint, reviewData);
+
+                if (response.status === 'success') {
+                    return response;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to submit review');
+            }
+        },
+
+        async markReviewHelpful(productId, reviewId) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.PRODUCTS.REVIEW_HELPFUL, { id: productId, reviewId });
+                const response = await apiClient.post(endpoint, {});
+
+                if (response.status === 'success') {
+                    return response.data.review;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to record vote');
+            }
+        },
+
         // Local fallback methods
         getLocalProducts(filters = {}) {
             let filteredProducts = [...localProducts];
 
             if (filters.category) {
-                filteredProducts = filteredProducts.filter(p => p.category === filters.category);
+                filteredProducts = filteredProducts.filter(p => p.category.toLowerCase() === filters.category.toLowerCase());
             }
 
             if (filters.search) {
@@ -435,11 +791,117 @@ const apiServices = {
         }
     },
 
+    collections: {
+        // Live collections placed on the home page, in order. Without the
+        // backend there are none and the home page falls back on featured
+        // products.
+        async getHomeCollections() {
+            try {
+                const response = await apiClient.get(`${API_CONFIG.ENDPOINTS.COLLECTIONS.ALL}?home=true`);
+
+                if (response.status === 'success') {
+                    return response.data.collections;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                if (error.message.includes('Backend not available')) {
+                    return [];
+                }
+                throw new Error(error.message || 'Failed to fetch collections');
+            }
+        },
+
+        async getCollection(slug) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.COLLECTIONS.BY_SLUG, { slug });
+                const response = await apiClient.get(endpoint);
+
+                if (response.status === 'success') {
+                    return response.data.collection;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch collection');
+            }
+        }
+    },
+
+    wishlist: {
+        async getWishlist() {
+            try {
+                const response = await apiClient.get(API_CONFIG.ENDPOINTS.WISHLIST.BASE);
+
+                if (response.status === 'success') {
+                    return response.data.wishlistItems;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch wishlist');
+            }
+        },
+
+        async addToWishlist(productId) {
+            try {
+                const response = await apiClient.post(API_CONFIG.ENDPOINTS.WISHLIST.BASE, { product_id: productId });
+
+                if (response.status === 'success') {
+                    return response.data.wishlistItem;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to save to wishlist');
+            }
+        },
+
+        async updateAlerts(productId, alerts) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.WISHLIST.ITEM, { productId });
+                const response = await apiClient.put(endpoint, alerts);
+
+                if (response.status === 'success') {
+                    return response.data.wishlistItem;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to update wishlist alerts');
+            }
+        },
+
+        async removeFromWishlist(productId) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.WISHLIST.ITEM, { productId });
+                const response = await apiClient.delete(endpoint);
+
+                if (response.status === 'success') {
+                    return response;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to remove from wishlist');
+            }
+        },
+
+        async moveToCart(productId) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.WISHLIST.MOVE_TO_CART, { productId });
+                const response = await apiClient.post(endpoint, {});
+
+                if (response.status === 'success') {
+                    return response.data.cartItem;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to move item to cart');
+            }
+        }
+    },
+
     cart: {
-        async addToCart(productId, quantity = 1) {
+        async addToCart(productId, quantity = 1, variantId = null) {
             try {
                 const response = await apiClient.post(API_CONFIG.ENDPOINTS.CART.BASE, {
                     product_id: productId,
+                    variant_id: variantId,
                     quantity: quantity
                 });
 
@@ -631,10 +1093,10 @@ const apiServices = {
             }
         },
 
-        async updateOrderStatus(orderId, status) {
+        async updateOrderStatus(orderId, status, details = {}) {
             try {
                 const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.ORDER_STATUS, { id: orderId });
-                const response = await apiClient.patch(endpoint, { status });
+                const response = await apiClient.patch(endpoint, { status, ...details });
 
                 if (response.status === 'success') {
                     return response.data.order;
@@ -704,12 +1166,12 @@ const apiServices = {
     },
 
     payments: {
-        async initiateMpesaPayment(orderId, phoneNumber, amount) {
+        async initiatePayment(provider, orderId, phoneNumber) {
             try {
-                const response = await apiClient.post(API_CONFIG.ENDPOINTS.PAYMENTS.MPESA_INITIATE, {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.PAYMENTS.INITIATE, { provider });
+                const response = await apiClient.post(endpoint, {
                     orderId,
-                    phoneNumber,
-                    amount
+                    phoneNumber
                 });
 
                 if (response.status === 'success') {
@@ -717,15 +1179,15 @@ const apiServices = {
                 }
                 throw new Error(response.message);
             } catch (error) {
-                throw new Error(error.message || 'Failed to initiate M-Pesa payment');
+                throw new Error(error.message || 'Failed to initiate payment');
             }
         },
 
-        async checkPaymentStatus(checkoutRequestId) {
+        async checkPaymentStatus(provider, reference) {
             try {
                 const endpoint = apiClient.replaceParams(
-                    API_CONFIG.ENDPOINTS.PAYMENTS.MPESA_STATUS,
-                    { checkoutRequestId }
+                    API_CONFIG.ENDPOINTS.PAYMENTS.STATUS,
+                    { provider, reference }
                 );
                 const response = await apiClient.get(endpoint);
 
@@ -738,18 +1200,16 @@ const apiServices = {
             }
         },
 
-        async pollPaymentStatus(checkoutRequestId, maxAttempts = 30, interval = 2000) {
+        async pollPaymentStatus(provider, reference, maxAttempts = 30, interval = 2000) {
             return new Promise((resolve, reject) => {
                 let attempts = 0;
 
                 const poll = async () => {
                     try {
                         attempts++;
-                        const result = await this.checkPaymentStatus(checkoutRequestId);
+                        const result = await this.checkPaymentStatus(provider, reference);
 
-                        if (result.localTransaction &&
-                            (result.localTransaction.status === 'success' ||
-                                result.localTransaction.status === 'failed')) {
+                        if (result.status !== 'pending') {
                             resolve(result);
                             return;
                         }
@@ -992,870 +1452,2631 @@ const apiServices = {
             }
         },
 
-        async getAllCustomers() {
+        async refundOrder(orderId, refundData) {
             try {
-                const response = await apiClient.get(API_CONFIG.ENDPOINTS.ADMIN.CUSTOMERS);
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.ORDER_REFUNDS, { id: orderId });
+                const response = await apiClient.post(endpoint, refundData);
 
                 if (response.status === 'success') {
-                    return response.data.customers;
+                    return response.data.refund;
                 }
                 throw new Error(response.message);
             } catch (error) {
-                if (error.message.includes('Backend not available')) {
-                    return this.getLocalCustomers();
+                throw new Error(error.message || 'Failed to initiate refund');
+            }
+        },
+
+        async getRoles() {
+            try {
+                const response = await apiClient.get(API_CONFIG.ENDPOINTS.ADMIN.ROLES);
+
+                if (response.status === 'success') {
+                    return response.data.roles;
                 }
-                throw new Error(error.message || 'Failed to fetch customers');
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch roles');
             }
         },
 
-        getLocalDashboardStats() {
-            const totalRevenue = orders.reduce((sum, order) =>
-                order.status !== 'Cancelled' ? sum + order.total_amount : sum, 0
-            );
-            const pendingOrdersCount = orders.filter(order => order.status === 'Processing').length;
+        async assignUserRole(userId, role) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.USER_ROLE, { id: userId });
+                const response = await apiClient.patch(endpoint, { role });
 
-            return {
-                stats: {
-                    totalProducts: localProducts.length,
-                    totalOrders: orders.length,
-                    totalRevenue: totalRevenue,
-                    pendingOrders: pendingOrdersCount
-                },
-                recentOrders: orders.slice(-5).reverse()
-            };
+                if (response.status === 'success') {
+                    return response;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to change role');
+            }
         },
 
-        getLocalCustomers() {
-            // Generate mock customer data from orders
-            const customerMap = new Map();
-            
-            orders.forEach(order => {
-                if (order.customer_email) {
-                    if (!customerMap.has(order.customer_email)) {
-                        customerMap.set(order.customer_email, {
-                            id: `cust-${order.customer_email.split('@')[0]}`,
-                            name: order.customer_name,
-                            email: order.customer_email,
-                            phone: order.customer_phone,
-                            total_orders: 0,
-                            total_spent: 0,
-                            created_at: order.created_at
-                        });
-                    }
-                    
-                    const customer = customerMap.get(order.customer_email);
-                    customer.total_orders += 1;
-                    if (order.status !== 'Cancelled') {
-                        customer.total_spent += order.total_amount;
-                    }
+        // Every category, inactive ones included, as a tree
+        async getCategories() {
+            try {
+                const response = await apiClient.get(API_CONFIG.ENDPOINTS.ADMIN.CATEGORIES);
+
+                if (response.status === 'success') {
+                    return response.data.categories;
                 }
-            });
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch categories');
+            }
+        },
+
+        async createCategory(categoryData) {
+            try {
+                const response = await apiClient.post(API_CONFIG.ENDPOINTS.ADMIN.CATEGORIES, categoryData);
+
+                if (response.status === 'success') {
+                    return response.data.category;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to create category');
+            }
+        },
+
+        async updateCategory(categoryId, categoryData) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.CATEGORY_BY_ID, { id: categoryId });
+                const response = await apiClient.put(endpoint, categoryData);
+
+                if (response.status === 'success') {
+                    return response.data.category;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to update category');
+            }
+        },
+
+        async deleteCategory(categoryId) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.CATEGORY_BY_ID, { id: categoryId });
+                const response = await apiClient.delete(endpoint);
+
+                if (response.status === 'success') {
+                    return response;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to delete category');
+            }
+        },
+
+        async getCollections() {
+            try {
+                const response = await apiClient.get(API_CONFIG.ENDPOINTS.ADMIN.COLLECTIONS);
+
+                if (response.status === 'success') {
+                    return response.data.collections;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch collections');
+            }
+        },
+
+        async createCollection(collectionData) {
+            try {
+                const response = await apiClient.post(API_CONFIG.ENDPOINTS.ADMIN.COLLECTIONS, collectionData);
+
+                if (response.status === 'success') {
+                    return response.data.collection;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to create collection');
+            }
+        },
+
+        async updateCollection(collectionId, collectionData) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.COLLECTION_BY_ID, { id: collectionId });
+                const response = await apiClient.put(endpoint, collectionData);
+
+                if (response.status === 'success') {
+                    return response.data.collection;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to update collection');
+            }
+        },
+
+        async updateCollectionProducts(collectionId, productIds) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.COLLECTION_PRODUCTS, { id: collectionId });
+                const response = await apiClient.put(endpoint, { product_ids: productIds });
+
+                if (response.status === 'success') {
+                    return response.data.collection;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to update collection products');
+            }
+        },
+
+        async deleteCollection(collectionId) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.COLLECTION_BY_ID, { id: collectionId });
+                const response = await apiClient.delete(endpoint);
+
+                if (response.status === 'success') {
+                    return response;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to delete collection');
+            }
+        },
+
+        async getReviews(status = 'pending') {
+            try {
+                const response = await apiClient.get(`${API_CONFIG.ENDPOINTS.ADMIN.REVIEWS}?status=${status}`);
+
+                if (response.status === 'success') {
+                    return response.data.reviews;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch reviews');
+            }
+        },
+
+        async moderateReview(reviewId, status, note) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.REVIEW_STATUS, { id: reviewId });
+                const response = await apiClient.put(endpoint, { status, note });
+
+                if (response.status === 'success') {
+                    return response.data.review;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to moderate review');
+            }
+        },
+
+        async getStaff() {
+            try {
+                const response = await apiClient.get(API_CONFIG.ENDPOINTS.ADMIN.STAFF);
+
+                if (response.status === 'success') {
+                    return response.data.staff;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch staff');
+            }
+        },
+
+        // The report lists each product with its errors; with dryRun nothing is saved
+        async importProducts(fileText, format, dryRun) {
+            try {
+                const response = await apiClient.request(`${API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMPORT}?dryRun=${dryRun}`, {
+                    method: 'POST',
+                    contentType: format === 'csv' ? 'text/csv' : 'application/json',
+                    body: fileText
+                });
+
+                if (response.status === 'success') {
+                    return response;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                // A file with errors comes back with its report
+                if (error.data?.data?.products) {
+                    return error.data;
+                }
+                throw new Error(error.message || 'Failed to import products');
+            }
+        },
+
+        async exportProducts(format) {
+            try {
+                const response = await apiClient.request(`${API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_EXPORT}?format=${format}`, {
+                    method: 'GET',
+                    raw: true
+                });
+
+                if (!response.ok) {
+                    throw new Error(response.message);
+                }
+
+                const fileName = /filename="?([^";]+)"?/.exec(response.headers.get('Content-Disposition') || '')?.[1]
+                    || `products.${format}`;
+
+                return { blob: await response.blob(), fileName };
+            } catch (error) {
+                throw new Error(error.message || 'Failed to export products');
+            }
+        },
+
+        async uploadProductImages(productId, files) {
+            try {
+                const formData = new FormData();
+                Array.from(files).forEach(file => formData.append('images', file));
+
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGES, { id: productId });
+                const response = await apiClient.upload(endpoint, formData);
+
+                if (response.status === 'success') {
+                    return response.data.product;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to upload images');
+            }
+        },
+
+        async updateProductImages(productId, images) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGES, { id: productId });
+                const response = await apiClient.put(endpoint, { images });
+
+                if (response.status === 'success') {
+                    return response.data.product;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to update product images');
+            }
+        },
+
+        async deleteProductImage(productId, imageId) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.PRODUCT_IMAGE, { id: productId, imageId });
+                const response = await apiClient.delete(endpoint);
+
+                if (response.status === 'success') {
+                    return response.data.product;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to remove image');
+            }
+        },
+
+        async inviteStaff(inviteData) {
+            try {
+                const response = await apiClient.post(API_CONFIG.ENDPOINTS.ADMIN.STAFF_INVITE, inviteData);
+
+                if (response.status === 'success') {
+                    return response;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to send invitation');
+            }
+        },
+
+        async setUserActive(userId, isActive) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.USER_STATUS, { id: userId });
+                const response = await apiClient.patch(endpoint, { isActive });
+
+                if (response.status === 'success') {
+                    return response;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to update account');
+            }
+        },
+
+        async forcePasswordReset(userId) {
+            try {
+                const endpoint = apiClient.replaceParams(API_CONFIG.ENDPOINTS.ADMIN.USER_PASSWORD_RESET, { id: userId });
+                const response = await apiClient.post(endpoint, {});
+
+                if (response.status === 'success') {
+                    return response;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to reset password');
+            }
+        },
+
+        async getAllCustomers() {
+            try {
+                const response = await apiClient.get(API_CONFIG.ENDPOINTS.ADMIN.CUSTOMERS);
+
+                if (response.status === 'success') {
+                    return response.data.customers;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                if (error.message.includes('Backend not available')) {
+                    return this.getLocalCustomers();
+                }
+                throw new Error(error.message || 'Failed to fetch customers');
+            }
+        },
+
+        async getCodSettlementReport(from, to) {
+            try {
+                const queryParams = new URLSearchParams();
+                if (from) queryParams.append('from', from);
+                if (to) queryParams.append('to', to);
+
+                const response = await apiClient.get(`${API_CONFIG.ENDPOINTS.ADMIN.COD_REPORT}?${queryParams}`);
+
+                if (response.status === 'success') {
+                    return response.data.riders;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch settlement report');
+            }
+        },
+
+        async settleCodCollections(riderId, note) {
+            try {
+                const response = await apiClient.post(API_CONFIG.ENDPOINTS.ADMIN.COD_SETTLEMENTS, { riderId, note });
+
+                if (response.status === 'success') {
+                    return response.data.settlement;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to settle cash collections');
+            }
+        },
+
+        async getAuditLog(filters = {}) {
+            try {
+                const queryParams = new URLSearchParams();
+                Object.entries(filters).forEach(([key, value]) => {
+                    if (value) queryParams.append(key, value);
+                });
+
+                const response = await apiClient.get(`${API_CONFIG.ENDPOINTS.ADMIN.AUDIT}?${queryParams}`);
+
+                if (response.status === 'success') {
+                    return response.data.entries;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch audit log');
+            }
+        },
+
+        async getSecurityEvents(type) {
+            try {
+                const queryParams = new URLSearchParams();
+                if (type) queryParams.append('type', type);
+
+                const response = await apiClient.get(`${API_CONFIG.ENDPOINTS.ADMIN.SECURITY_EVENTS}?${queryParams}`);
+
+                if (response.status === 'success') {
+                    return response.data.events;
+                }
+                throw new Error(response.message);
+            } catch (error) {
+                throw new Error(error.message || 'Failed to fetch security events');
+            }
+        },
+
+        getLocalDashboardStats() {
+            const totalRevenue = orders.reduce((sum, order) =>
+                order.status !== 'Cancelled' ? sum + order.total_amount : sum, 0
+            );
+            const pendingOrdersCount = orders.filter(order => order.status === 'Processing').length;
+
+            return {
+                stats: {
+                    totalProducts: localProducts.length,
+                    totalOrders: orders.length,
+                    totalRevenue: totalRevenue,
+                    pendingOrders: pendingOrdersCount
+                },
+                recentOrders: orders.slice(-5).reverse()
+            };
+        },
+
+        getLocalCustomers() {
+            // Generate mock customer data from orders
+            const customerMap = new Map();
+            
+            orders.forEach(order => {
+                if (order.customer_email) {
+                    if (!customerMap.has(order.customer_email)) {
+                        customerMap.set(order.customer_email, {
+                            id: `cust-${order.customer_email.split('@')[0]}`,
+                            name: order.customer_name,
+                            email: order.customer_email,
+                            phone: order.customer_phone,
+                            total_orders: 0,
+                            total_spent: 0,
+                            created_at: order.created_at
+                        });
+                    }
+                    
+                    const customer = customerMap.get(order.customer_email);
+                    customer.total_orders += 1;
+                    if (order.status !== 'Cancelled') {
+                        customer.total_spent += order.total_amount;
+                    }
+                }
+            });
+
+            return Array.from(customerMap.values());
+        }
+    }
+};
+
+// Utility Functions
+function formatPrice(price) {
+    return `KSh ${price.toLocaleString()}`;
+}
+
+// For text written by customers that goes into innerHTML templates
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function generateOrderId() {
+    return 'ORD' + Date.now().toString().slice(-6);
+}
+
+function generateProductId() {
+    return 'PRD' + Date.now().toString().slice(-6);
+}
+
+function getStockStatus(stock) {
+    if (stock === 0) return 'out-of-stock';
+    if (stock <= 5) return 'low-stock';
+    return 'in-stock';
+}
+
+function getStockStatusText(stock) {
+    if (stock === 0) return 'Out of Stock';
+    if (stock <= 5) return 'Low Stock';
+    return 'In Stock';
+}
+
+// Page Navigation Functions
+function showPage(pageName) {
+    // Hide all pages
+    document.querySelectorAll('.page').forEach(page => {
+        page.classList.remove('active');
+    });
+    
+    if (pageName.startsWith('admin')) {
+        const adminPage = document.getElementById('adminPage');
+        if (adminPage) {
+            adminPage.classList.add('active');
+            currentPage = 'admin';
+        }
+
+        applyStaffPermissions();
+
+        switch (pageName) {
+            case 'admin':
+                showAdminTab('overview');
+                break;
+            case 'adminProducts':
+                showAdminTab('products');
+                break;
+            case 'adminOrders':
+                showAdminTab('orders');
+                break;
+            case 'adminCustomers':
+                showAdminTab('customers');
+                break;
+            case 'adminTracking':
+                showAdminTab('tracking');
+                break;
+        }
+        return;
+    }
+    
+    // Handle normal user pages
+    const targetPage = document.getElementById(pageName + 'Page');
+    if (targetPage) {
+        targetPage.classList.add('active');
+        currentPage = pageName;
+    }
+
+    // Initialize page-specific content
+    switch (pageName) {
+        case 'home':
+            renderFeaturedProducts();
+            break;
+        case 'dashboard':
+            renderDashboard();
+            break;
+    }
+}
+
+function showLoginForm(type) {
+    currentLoginType = type;
+    showPage('login');
+
+    // Update login form based on type
+    const subtitle = document.getElementById('loginSubtitle');
+    const loginCard = document.querySelector('.login-card');
+    const registerLink = document.getElementById('registerLink');
+
+    if (type === 'admin') {
+        subtitle.textContent = 'Admin Access';
+        loginCard.style.borderTop = '4px solid #7c3aed';
+        registerLink.style.display = 'none';
+    } else {
+        subtitle.textContent = 'Welcome Back';
+        loginCard.style.borderTop = '4px solid #2563eb';
+        registerLink.style.display = 'block';
+    }
+}
+
+function toggleRegister() {
+    const loginForm = document.getElementById('loginForm');
+    const registerForm = document.getElementById('registerForm');
+
+    loginForm.classList.toggle('hidden');
+    registerForm.classList.toggle('hidden');
+}
+
+// Authentication Functions
+async function login(email, password, totpCode) {
+    try {
+        const userData = await apiServices.auth.login(email, password, totpCode);
+        currentUser = userData.user;
+        isLoggedIn = true;
+        userRole = currentUser.role;
+
+        if (isStaffRole(currentUser.role)) {
+            showPage('admin');
+        } else {
+            showPage('dashboard');
+        }
+
+        showNotification('Login successful!', 'success');
+        return true;
+    } catch (error) {
+        // Accounts with an authenticator app need a second step
+        if (error.totpRequired) {
+            if (totpCode) showNotification(error.message, 'error');
+            const code = prompt('Enter the 6-digit code from your authenticator app:');
+            if (code) return login(email, password, code.trim());
+            return false;
+        }
+        showNotification(error.message, 'error');
+        return false;
+    }
+}
+
+async function loginWithPhone() {
+    try {
+        const phone = prompt('Enter your M-Pesa phone number:');
+        if (!phone) return false;
+
+        const message = await apiServices.auth.requestLoginOtp(phone);
+        showNotification(message, 'success');
+
+        const code = prompt('Enter the 6-digit code sent to your phone:');
+        if (!code) return false;
+
+        const userData = await apiServices.auth.verifyLoginOtp(phone, code.trim());
+        currentUser = userData.user;
+        isLoggedIn = true;
+        userRole = currentUser.role;
+
+        showPage(isStaffRole(currentUser.role) ? 'admin' : 'dashboard');
+        showNotification('Login successful!', 'success');
+        return true;
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return false;
+    }
+}
+
+async function register(userData) {
+    try {
+        const result = await apiServices.auth.register(userData);
+
+        if (result.verificationRequired) {
+            showNotification(result.message, 'success');
+            return true;
+        }
+
+        currentUser = result.user;
+        isLoggedIn = true;
+        userRole = currentUser.role;
+        showNotification('Registration successful!', 'success');
+        return true;
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return false;
+    }
+}
+
+async function forgotPassword() {
+    try {
+        const email = prompt('Enter the email address for your account:', document.getElementById('loginEmail')?.value || '');
+        if (!email) return;
+
+        const message = await apiServices.auth.forgotPassword(email);
+        showNotification(message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function resendVerification() {
+    try {
+        const email = prompt('Enter the email address you registered with:', document.getElementById('loginEmail')?.value || '');
+        if (!email) return;
+
+        const message = await apiServices.auth.resendVerification(email);
+        showNotification(message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// Password reset and verification emails link back here with a token in the query string
+async function handleAccountEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const resetToken = params.get('reset_token');
+    const verifyToken = params.get('verify_token');
+    const inviteToken = params.get('invite_token');
+    if (!resetToken && !verifyToken && !inviteToken) return;
+
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    try {
+        if (verifyToken) {
+            const message = await apiServices.auth.verifyEmail(verifyToken);
+            showNotification(message, 'success');
+            return;
+        }
+
+        const password = prompt('Choose a new password (at least 6 characters):');
+        if (!password) return;
+        if (password !== prompt('Confirm your new password:')) {
+            showNotification('Passwords do not match', 'error');
+            return;
+        }
+
+        const message = inviteToken
+            ? await apiServices.auth.acceptInvite(inviteToken, password)
+            : await apiServices.auth.resetPassword(resetToken, password);
+        showNotification(message, 'success');
+        showPage('login');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function logout() {
+    await apiServices.auth.logout();
+    currentUser = null;
+    currentLoginType = null;
+    cart = [];
+    isLoggedIn = false;
+    userRole = 'customer';
+    wishlistIds = new Set();
+    showPage('home');
+    updateCartDisplay();
+    showNotification('Logged out successfully!', 'info');
+}
+
+// Product Functions
+function renderProductCard(product) {
+    return `
+    <div class="product-card fade-in">
+        <div class="product-id">${product.id}</div>
+        <div class="stock-status ${getStockStatus(product.stock)}">${getStockStatusText(product.stock)}</div>
+        ${renderWishlistToggle(product.id)}
+        <img src="${productCardImage(product)}" alt="${product.name}" class="product-image" style="cursor: pointer;"
+             onclick="showProductDetails('${product.id}')" onerror="this.src='https://images.pexels.com/photos/3394650/pexels-photo-3394650.jpeg?auto=compress&cs=tinysrgb&w=300'">
+        <div class="product-info">
+            <h4 class="product-name">${product.name}</h4>
+            ${renderProductRating(product)}
+            <p class="product-price">${product.variants?.length ? 'From ' : ''}${formatPrice(product.price)}</p>
+            <p class="product-stock">Stock: ${product.stock} items</p>
+            ${renderVariantPicker(product)}
+            <button onclick="addToCart('${product.id}', this)" class="add-to-cart-btn" ${product.stock === 0 ? 'disabled' : ''}>
+                ${product.stock === 0 ? 'Out of Stock' : 'Add to Cart'}
+            </button>
+        </div>
+    </div>
+    `;
+}
+
+function renderStars(rating) {
+    const filled = Math.round(rating || 0);
+    return `<span class="stars" aria-label="${rating} out of 5">${'&#9733;'.repeat(filled)}${'&#9734;'.repeat(5 - filled)}</span>`;
+}
+
+function renderProductRating(product) {
+    if (!product.review_count) return '';
+
+    return `<p class="product-rating">${renderStars(product.rating_average)} ${product.rating_average} (${product.review_count})</p>`;
+}
+
+// The home page shows each collection placed on it, or the featured
+// products when none are
+async function renderFeaturedProducts() {
+    try {
+        const container = document.getElementById('homeCollections');
+        if (!container) return;
+
+        let collections = await apiServices.collections.getHomeCollections();
+        if (collections.length === 0) {
+            collections = [{ name: 'Featured Products', products: await apiServices.products.getFeaturedProducts() }];
+        }
+
+        container.innerHTML = collections.map(collection => `
+            <section class="products-section">
+                <div class="container">
+                    <h3 class="section-title">${collection.name}</h3>
+                    ${collection.description ? `<p class="section-subtitle">${collection.description}</p>` : ''}
+                    <div class="products-grid">${collection.products.map(renderProductCard).join('')}</div>
+                </div>
+            </section>
+        `).join('');
+    } catch (error) {
+        showNotification('Failed to load featured products', 'error');
+    }
+}
+
+// Price band picked from the search facets, as { min, max }
+let selectedPriceBand = null;
+
+// Where "Load more" carries on from, or null when everything is shown
+let productsCursor = null;
+
+// With append, adds the next page under the products already shown
+async function renderAllProducts(append = false) {
+    try {
+        const searchTerm = document.getElementById('productSearch')?.value.trim() || '';
+        const category = document.getElementById('categoryFilter')?.value || '';
+
+        // Bands hold prices up to but not including max
+        const data = await apiServices.products.search({
+            q: searchTerm,
+            category: category,
+            minPrice: selectedPriceBand?.min || undefined,
+            maxPrice: selectedPriceBand?.max ? selectedPriceBand.max - 0.01 : undefined,
+            sort: document.getElementById('productSort')?.value || undefined,
+            inStock: document.getElementById('inStockOnly')?.checked,
+            cursor: append ? productsCursor : undefined,
+            limit: 12
+        });
+
+        productsCursor = data.pagination?.nextCursor || null;
+        document.getElementById('loadMoreProducts')?.classList.toggle('hidden', !productsCursor);
+
+        if (!append) {
+            renderSearchFacets(data.facets, category);
+        }
+
+        const container = document.getElementById('allProducts');
+        if (!container) return;
+
+        if (data.products.length === 0 && !append) {
+            container.innerHTML = `<div class="empty-state">No products found${searchTerm ? ` for "${searchTerm}"` : ''}.</div>`;
+            return;
+        }
+
+        const cards = data.products.map(renderProductCard).join('');
+
+        if (append) {
+            container.insertAdjacentHTML('beforeend', cards);
+        } else {
+            container.innerHTML = cards;
+        }
+    } catch (error) {
+        showNotification('Failed to load products', 'error');
+    }
+}
+
+function loadMoreProducts() {
+    renderAllProducts(true);
+}
+
+// Category and price band counts for the current search; picking one
+// narrows the results
+function renderSearchFacets(facets, selectedCategory) {
+    const container = document.getElementById('productFacets');
+    if (!container) return;
+
+    if (!facets) {
+        container.innerHTML = '';
+        return;
+    }
+
+    // Top-level categories, or the picked category and its subcategories
+    const selected = facets.categories.find(category => category.slug === selectedCategory);
+    const categories = facets.categories.filter(category => selected
+        ? category.id === selected.id || category.parent_id === selected.id
+        : !category.parent_id);
+
+    container.innerHTML = `
+        <div class="facet-group">
+            ${selectedCategory ? `<button class="facet-chip" onclick="selectCategoryFacet('')">All categories</button>` : ''}
+            ${categories.map(category => `
+                <button class="facet-chip ${category.slug === selectedCategory ? 'active' : ''}" onclick="selectCategoryFacet('${category.slug}')">
+                    ${category.name} (${category.count})
+                </button>
+            `).join('')}
+        </div>
+        <div class="facet-group">
+            ${facets.price_bands.map(band => `
+                <button class="facet-chip ${selectedPriceBand?.min === band.min ? 'active' : ''}" ${band.count === 0 ? 'disabled' : ''}
+                        onclick="selectPriceFacet(${band.min}, ${band.max})">
+                    ${band.max ? `${formatPrice(band.min)} - ${formatPrice(band.max)}` : `${formatPrice(band.min)}+`} (${band.count})
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function selectCategoryFacet(slug) {
+    document.getElementById('categoryFilter').value = slug;
+    renderAllProducts();
+}
+
+function selectPriceFacet(min, max) {
+    selectedPriceBand = selectedPriceBand?.min === min ? null : { min, max };
+    renderAllProducts();
+}
+
+// Search as you type: results and suggestions wait for a pause in typing
+let searchTimer = null;
+
+function filterProducts() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+        renderAllProducts();
+        renderSearchSuggestions();
+    }, 250);
+}
+
+async function renderSearchSuggestions() {
+    const container = document.getElementById('searchSuggestions');
+    if (!container) return;
+
+    const searchTerm = document.getElementById('productSearch')?.value.trim() || '';
+    const suggestions = searchTerm.length >= 2 ? await apiServices.products.getSearchSuggestions(searchTerm) : [];
+
+    container.innerHTML = suggestions.map(product => `
+        <div class="search-suggestion" onmousedown="showProductDetails('${product.id}')">
+            <span>${product.name}</span>
+            <span class="search-suggestion-meta">${product.category || ''} &middot; ${formatPrice(product.price)}</span>
+        </div>
+    `).join('');
+    container.classList.toggle('hidden', suggestions.length === 0);
+}
+
+function hideSearchSuggestions() {
+    document.getElementById('searchSuggestions')?.classList.add('hidden');
+}
+
+// Products sold in several options (size, colour...) get a picker on their card
+function renderVariantPicker(product) {
+    if (!product.variants?.length) return '';
+
+    return `
+        <select class="variant-picker" onchange="selectVariant(this)"
+                style="width: 100%; padding: 0.5rem; margin-bottom: 0.5rem; border: 1px solid #d1d5db; border-radius: 0.375rem;">
+            <option value="">Choose ${product.options.map(option => option.name).join(' / ')}</option>
+            ${product.variants.map(variant => `
+                <option value="${variant.id}" data-price="${variant.price}" data-stock="${variant.stock}" ${variant.stock === 0 ? 'disabled' : ''}>
+                    ${variant.label}${variant.stock === 0 ? ' (out of stock)' : ''}
+                </option>
+            `).join('')}
+        </select>
+    `;
+}
+
+function selectVariant(select) {
+    const option = select.selectedOptions[0];
+    if (!option?.value) return;
+
+    const card = select.closest('.product-card, .product-details');
+    card.querySelector('.product-price').textContent = formatPrice(Number(option.dataset.price));
+    card.querySelector('.product-stock').textContent = `Stock: ${option.dataset.stock} items`;
+}
+
+// Cards use the medium rendition of the primary image when there is one
+function productCardImage(product) {
+    const primary = product.images?.find(image => image.is_primary);
+    return primary?.medium_url || product.image_url || product.image;
+}
+
+// Product page: the gallery with its thumbnails, then the details
+async function showProductDetails(productId) {
+    try {
+        const product = await apiServices.products.getProductById(productId);
+        if (!product) {
+            showNotification('Product not found', 'error');
+            return;
+        }
+
+        const images = product.images?.length
+            ? product.images
+            : [{ url: product.image_url || product.image, alt_text: product.name }];
+
+        document.getElementById('productDetailsContent').innerHTML = `
+            <div class="product-details">
+                <img id="productGalleryMain" src="${images[0].url}" alt="${images[0].alt_text || product.name}"
+                     style="width: 100%; max-height: 360px; object-fit: contain; border-radius: 0.5rem; background: #f9fafb;"
+                     onerror="this.src='https://images.pexels.com/photos/3394650/pexels-photo-3394650.jpeg?auto=compress&cs=tinysrgb&w=300'">
+                ${images.length > 1 ? `
+                    <div style="display: flex; gap: 0.5rem; margin: 0.75rem 0; overflow-x: auto;">
+                        ${images.map((image, index) => `
+                            <img src="${image.thumbnail_url || image.url}" alt="${image.alt_text || product.name}"
+                                 class="gallery-thumbnail" data-url="${image.url}" data-alt="${image.alt_text || product.name}"
+                                 onclick="showGalleryImage(this)"
+                                 style="width: 64px; height: 64px; object-fit: cover; border-radius: 0.375rem; cursor: pointer; border: 2px solid ${index === 0 ? '#059669' : 'transparent'};">
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <h4 style="margin: 1rem 0 0.25rem; font-weight: 600;">${product.name}</h4>
+                ${renderProductRating(product)}
+                ${product.description ? `<p style="color: #6b7280;">${product.description}</p>` : ''}
+                <p class="product-price">${product.variants?.length ? 'From ' : ''}${formatPrice(product.price)}</p>
+                <p class="product-stock">Stock: ${product.stock} items</p>
+                ${renderVariantPicker(product)}
+                <button onclick="addToCart('${product.id}', this)" class="add-to-cart-btn" ${product.stock === 0 ? 'disabled' : ''}>
+                    ${product.stock === 0 ? 'Out of Stock' : 'Add to Cart'}
+                </button>
+                <div class="product-reviews">
+                    <h4 style="margin: 1.5rem 0 0.5rem; font-weight: 600;">Reviews</h4>
+                    <div id="reviewSummary"></div>
+                    <div class="review-toolbar">
+                        <select id="reviewSort" onchange="sortProductReviews(this.value)">
+                            <option value="newest">Newest</option>
+                            <option value="helpful">Most helpful</option>
+                            <option value="rating_high">Highest rated</option>
+                            <option value="rating_low">Lowest rated</option>
+                        </select>
+                        ${isLoggedIn ? `<button onclick="toggleReviewForm()" class="link-btn">Write a review</button>` : ''}
+                    </div>
+                    <form id="reviewForm" class="review-form hidden" onsubmit="submitReview(event)">
+                        <select id="reviewRating" required>
+                            <option value="">Your rating</option>
+                            ${[5, 4, 3, 2, 1].map(stars => `<option value="${stars}">${stars} star${stars === 1 ? '' : 's'}</option>`).join('')}
+                        </select>
+                        <input type="text" id="reviewTitle" placeholder="Title (optional)" maxlength="120">
+                        <textarea id="reviewBody" placeholder="What did you think of it?" minlength="10" maxlength="2000" required></textarea>
+                        <button type="submit" class="submit-btn">Submit Review</button>
+                    </form>
+                    <div id="reviewList"></div>
+                    <button id="loadMoreReviews" class="link-btn hidden" onclick="loadMoreReviews()">More reviews</button>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('productDetailsModal').classList.remove('hidden');
+        reviewState = { productId: product.id, sort: 'newest', page: 1 };
+        loadProductReviews();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function showGalleryImage(thumbnail) {
+    const main = document.getElementById('productGalleryMain');
+    main.src = thumbnail.dataset.url;
+    main.alt = thumbnail.dataset.alt;
+
+    document.querySelectorAll('.gallery-thumbnail').forEach(image => {
+        image.style.borderColor = image === thumbnail ? '#059669' : 'transparent';
+    });
+}
+
+// Reviews of the product open in the details modal
+let reviewState = { productId: null, sort: 'newest', page: 1 };
+
+function renderReviewSummary(summary) {
+    if (!summary.count) {
+        return '<p style="color: #6b7280;">No reviews yet.</p>';
+    }
+
+    return `
+        <p style="margin: 0 0 0.5rem;">${renderStars(summary.average)} ${summary.average} out of 5 from ${summary.count} review${summary.count === 1 ? '' : 's'}</p>
+        ${[5, 4, 3, 2, 1].map(stars => `
+            <div class="review-bar">
+                <span>${stars} &#9733;</span>
+                <div class="review-bar-track"><div class="review-bar-fill" style="width: ${(summary.distribution[stars] / summary.count) * 100}%;"></div></div>
+                <span>${summary.distribution[stars]}</span>
+            </div>
+        `).join('')}
+    `;
+}
+
+function renderReview(review) {
+    return `
+        <div class="review">
+            <p style="margin: 0;">${renderStars(review.rating)} <strong>${escapeHtml(review.title)}</strong></p>
+            <p style="margin: 0.25rem 0; color: #6b7280; font-size: 0.875rem;">${escapeHtml(review.reviewer)} &middot; Verified buyer &middot; ${new Date(review.created_at).toLocaleDateString()}</p>
+            <p style="margin: 0.5rem 0;">${escapeHtml(review.body)}</p>
+            <button onclick="markReviewHelpful(${review.id}, this)" class="link-btn">Helpful (${review.helpful_count})</button>
+        </div>
+    `;
+}
+
+async function loadProductReviews(append = false) {
+    try {
+        const { summary, reviews, pagination } = await apiServices.products.getReviews(reviewState.productId, {
+            sort: reviewState.sort,
+            page: reviewState.page
+        });
+
+        document.getElementById('reviewSummary').innerHTML = renderReviewSummary(summary);
+
+        const list = document.getElementById('reviewList');
+        list.innerHTML = (append ? list.innerHTML : '') + reviews.map(renderReview).join('');
+
+        document.getElementById('loadMoreReviews').classList.toggle('hidden', !pagination.hasNextPage);
+    } catch (error) {
+        console.error('Failed to load reviews:', error);
+    }
+}
+
+function sortProductReviews(sort) {
+    reviewState = { ...reviewState, sort, page: 1 };
+    loadProductReviews();
+}
+
+function loadMoreReviews() {
+    reviewState.page += 1;
+    loadProductReviews(true);
+}
+
+function toggleReviewForm() {
+    document.getElementById('reviewForm').classList.toggle('hidden');
+}
+
+async function submitReview(event) {
+    event.preventDefault();
+
+    try {
+        const response = await apiServices.products.submitReview(reviewState.productId, {
+            rating: parseInt(document.getElementById('reviewRating').value),
+            title: document.getElementById('reviewTitle').value.trim() || null,
+            body: document.getElementById('reviewBody').value.trim()
+        });
+
+        event.target.reset();
+        event.target.classList.add('hidden');
+        showNotification(response.message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function markReviewHelpful(reviewId, button) {
+    if (!isLoggedIn) {
+        showNotification('Please login to vote on reviews', 'warning');
+        return;
+    }
+
+    try {
+        const review = await apiServices.products.markReviewHelpful(reviewState.productId, reviewId);
+        button.textContent = `Helpful (${review.helpful_count})`;
+        button.disabled = true;
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function hideProductDetailsModal() {
+    document.getElementById('productDetailsModal').classList.add('hidden');
+}
+
+// Cart Functions
+async function addToCart(productId, button) {
+    try {
+        if (!isLoggedIn) {
+            showNotification('Please login to add items to cart', 'warning');
+            return;
+        }
+
+        const picker = button?.closest('.product-card, .product-details')?.querySelector('.variant-picker');
+        if (picker && !picker.value) {
+            showNotification('Please choose an option first', 'warning');
+            return;
+        }
+
+        await apiServices.cart.addToCart(productId, 1, picker ? Number(picker.value) : null);
+        await updateCartDisplay();
+        showNotification('Product added to cart!', 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function updateCartDisplay() {
+    try {
+        if (!isLoggedIn) {
+            const cartCount = document.getElementById('cartCount');
+            if (cartCount) {
+                cartCount.textContent = '0';
+                cartCount.style.display = 'none';
+            }
+            return;
+        }
+
+        const cartData = await apiServices.cart.getCart();
+        const cartCount = document.getElementById('cartCount');
+
+        if (cartCount) {
+            cartCount.textContent = cartData.summary.itemCount;
+            cartCount.style.display = cartData.summary.itemCount > 0 ? 'flex' : 'none';
+        }
+
+        // Update global cart variable for compatibility
+        cart = cartData.cartItems.map(item => ({
+            id: item.product_id,
+            name: item.name,
+            price: item.price,
+            image: item.image_url,
+            quantity: item.quantity,
+            cartItemId: item.id
+        }));
+
+    } catch (error) {
+        console.error('Failed to update cart display:', error);
+    }
+}
+
+function toggleCart() {
+    const cartSidebar = document.getElementById('cartSidebar');
+    if (cartSidebar) {
+        cartSidebar.classList.toggle('open');
+        if (cartSidebar.classList.contains('open')) {
+            renderCartItems();
+        }
+    }
+}
+
+async function renderCartItems() {
+    try {
+        if (!isLoggedIn) {
+            const container = document.getElementById('cartItems');
+            if (container) {
+                container.innerHTML = '<div class="empty-state">Please login to view cart</div>';
+            }
+            return;
+        }
+
+        const cartData = await apiServices.cart.getCart();
+        const container = document.getElementById('cartItems');
+        const footer = document.getElementById('cartFooter');
+
+        if (!container) return;
+
+        if (cartData.cartItems.length === 0) {
+            container.innerHTML = '<div class="empty-state">Your cart is empty</div>';
+            footer.style.display = 'none';
+            return;
+        }
+
+        footer.style.display = 'block';
+
+        container.innerHTML = cartData.cartItems.map(item => `
+            <div class="cart-item">
+                <img src="${item.image_url}" alt="${item.name}" class="cart-item-image">
+                <div class="cart-item-info">
+                    <h4 class="cart-item-name">${item.name}</h4>
+                    ${item.variant_label ? `<p class="cart-item-variant" style="margin: 0; color: #6b7280; font-size: 0.875rem;">${item.variant_label}</p>` : ''}
+                    <p class="cart-item-price">${formatPrice(item.price)}</p>
+                    <div class="quantity-controls">
+                        <button onclick="updateCartQuantity('${item.id}', ${item.quantity - 1})" class="quantity-btn">-</button>
+                        <span>${item.quantity}</span>
+                        <button onclick="updateCartQuantity('${item.id}', ${item.quantity + 1})" class="quantity-btn">+</button>
+                    </div>
+                </div>
+                <button onclick="removeFromCart('${item.id}')" class="remove-btn">✕</button>
+            </div>
+        `).join('');
+
+        // Update totals
+        document.getElementById('subtotal').textContent = formatPrice(cartData.summary.subtotal);
+        document.getElementById('tax').textContent = formatPrice(cartData.summary.tax);
+        document.getElementById('total').textContent = formatPrice(cartData.summary.total);
+        document.getElementById('paymentAmount').textContent = formatPrice(cartData.summary.total);
+
+    } catch (error) {
+        showNotification('Failed to load cart items', 'error');
+    }
+}
+
+async function updateCartQuantity(cartItemId, quantity) {
+    try {
+        if (quantity <= 0) {
+            await removeFromCart(cartItemId);
+            return;
+        }
+
+        await apiServices.cart.updateCartItem(cartItemId, quantity);
+        await updateCartDisplay();
+        await renderCartItems();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function removeFromCart(cartItemId) {
+    try {
+        await apiServices.cart.removeFromCart(cartItemId);
+        await updateCartDisplay();
+        await renderCartItems();
+        showNotification('Item removed from cart', 'info');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// Payment Functions
+function showPaymentModal() {
+    if (cart.length === 0) {
+        showNotification('Your cart is empty!', 'error');
+        return;
+    }
+
+    currentOrderId = generateOrderId();
+    document.getElementById('paymentModal').classList.remove('hidden');
+
+    // Pre-fill customer phone if available
+    if (currentUser && currentUser.phone) {
+        document.getElementById('customerPhone').value = currentUser.phone;
+    }
+}
+
+function hidePaymentModal() {
+    document.getElementById('paymentModal').classList.add('hidden');
+}
+
+function selectPaymentMethod(method) {
+    selectedPaymentMethod = method;
+
+    // Update UI
+    document.querySelectorAll('.payment-method').forEach(el => {
+        el.classList.remove('selected');
+    });
+    event.currentTarget.classList.add('selected');
+}
+
+async function confirmPayment() {
+    try {
+        const customerPhone = document.getElementById('customerPhone')?.value;
+        if (!customerPhone) {
+            showNotification('Please enter your phone number!', 'error');
+            return;
+        }
+
+        // Get current cart
+        const cartData = await apiServices.cart.getCart();
+        if (cartData.cartItems.length === 0) {
+            showNotification('Your cart is empty!', 'error');
+            return;
+        }
+
+        const orderData = {
+            items: cartData.cartItems.map(item => ({
+                product_id: item.product_id,
+                variant_id: item.variant_id || null,
+                quantity: item.quantity
+            })),
+            payment_method: selectedPaymentMethod,
+            payment_account: selectedPaymentMethod === 'mpesa' ? '0740204981' : '',
+            transaction_code: document.getElementById('transactionCode')?.value || '',
+            customer_phone: customerPhone,
+            shipping_address: currentUser?.address || '',
+            notes: ''
+        };
+
+        const order = await apiServices.orders.createOrder(orderData);
 
-            return Array.from(customerMap.values());
+        // If M-Pesa payment, initiate STK push
+        if (selectedPaymentMethod === 'mpesa') {
+            try {
+                const paymentResult = await apiServices.payments.initiatePayment('mpesa', order.id, customerPhone);
+
+                showNotification('M-Pesa payment request sent to your phone. Please enter your PIN to complete payment.');
+
+                // Poll for payment status
+                apiServices.payments.pollPaymentStatus('mpesa', paymentResult.reference)
+                    .then(result => {
+                        if (result.status === 'success') {
+                            showNotification('Payment successful! Your order has been confirmed.', 'success');
+                        } else {
+                            showNotification('Payment failed. Please try again.', 'error');
+                        }
+                    })
+                    .catch(error => {
+                        showNotification('Payment status check failed. Please contact support.', 'error');
+                    });
+
+            } catch (paymentError) {
+                showNotification('Failed to initiate M-Pesa payment: ' + paymentError.message, 'error');
+            }
+        }
+
+        // Card payments are completed on the gateway's hosted checkout page
+        if (selectedPaymentMethod === 'card') {
+            try {
+                const paymentResult = await apiServices.payments.initiatePayment('card', order.id);
+                window.location.href = paymentResult.redirectUrl;
+                return;
+            } catch (paymentError) {
+                showNotification('Failed to initiate card payment: ' + paymentError.message, 'error');
+            }
         }
+
+        await updateCartDisplay();
+        hidePaymentModal();
+        toggleCart();
+
+        showNotification(`Order placed successfully! Order ID: ${order.id}`, 'success');
+        await renderOrders();
+
+    } catch (error) {
+        showNotification(error.message, 'error');
     }
-};
+}
 
-// Utility Functions
-function formatPrice(price) {
-    return `KSh ${price.toLocaleString()}`;
+// Order Functions
+async function renderOrders() {
+    try {
+        if (!isLoggedIn) return;
+
+        const orders = await apiServices.orders.getUserOrders();
+        const container = document.getElementById('ordersList');
+        if (!container) return;
+
+        if (orders.length === 0) {
+            container.innerHTML = '<div class="empty-state">No orders yet.</div>';
+            return;
+        }
+
+        container.innerHTML = orders.map(order => `
+            <div class="order-card">
+                <div class="order-header">
+                    <span class="order-id" onclick="showOrderDetails('${order.id}')">#${order.id}</span>
+                    <span class="order-date">${new Date(order.created_at).toLocaleDateString()}</span>
+                </div>
+                <div class="order-status">Status: <span class="status-badge status-${order.status.toLowerCase()}">${order.status}</span></div>
+                <div class="order-total">Total: ${formatPrice(order.total_amount)}</div>
+                <div class="order-items">
+                    <strong>Items:</strong>
+                    <ul>
+                        ${order.items.map(item => `
+                            <li>${item.product_name}${item.variant_label ? ` (${item.variant_label})` : ''} x ${item.quantity} - ${formatPrice(item.total_price)}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+                <div class="order-actions">
+                    ${order.status === 'Processing' ? `
+                        <button onclick="cancelOrder('${order.id}')" class="cancel-order-btn">Cancel Order</button>
+                    ` : ''}
+                    <button onclick="trackOrderDetails('${order.id}')" class="track-order-btn">Track Order</button>
+                    <button onclick="showOrderDetails('${order.id}')" class="view-details-btn">View Details</button>
+                </div>
+            </div>
+        `).join('');
+
+    } catch (error) {
+        showNotification('Failed to load orders', 'error');
+    }
 }
 
-function generateOrderId() {
-    return 'ORD' + Date.now().toString().slice(-6);
+async function cancelOrder(orderId) {
+    try {
+        if (confirm('Are you sure you want to cancel this order?')) {
+            await apiServices.orders.cancelOrder(orderId);
+            showNotification('Order cancelled successfully!', 'success');
+            await renderOrders();
+            await renderAllProducts(); // Refresh products to show updated stock
+        }
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
 }
 
-function generateProductId() {
-    return 'PRD' + Date.now().toString().slice(-6);
+// Tracking Functions
+async function trackOrderById() {
+    try {
+        const orderId = document.getElementById('trackingOrderId').value.trim();
+        if (!orderId) {
+            showNotification('Please enter an order ID!', 'error');
+            return;
+        }
+
+        const trackingData = await apiServices.tracking.getOrderTracking(orderId);
+        displayOrderTracking(trackingData);
+
+    } catch (error) {
+        document.getElementById('trackingResult').innerHTML = `
+            <div class="empty-state">Order not found. Please check the order ID and try again.</div>
+        `;
+    }
 }
 
-function getStockStatus(stock) {
-    if (stock === 0) return 'out-of-stock';
-    if (stock <= 5) return 'low-stock';
-    return 'in-stock';
+async function trackOrderDetails(orderId) {
+    try {
+        const trackingData = await apiServices.tracking.getUserOrderTracking(orderId);
+        displayOrderTracking(trackingData);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
 }
 
-function getStockStatusText(stock) {
-    if (stock === 0) return 'Out of Stock';
-    if (stock <= 5) return 'Low Stock';
-    return 'In Stock';
+function displayOrderTracking(trackingData) {
+    const container = document.getElementById('trackingResult');
+    if (!container) return;
+
+    const order = trackingData.order;
+    const trackingHistory = trackingData.trackingHistory;
+
+    container.innerHTML = `
+        <div class="tracking-info">
+            <h4>Order #${order.id}</h4>
+            <p>Status: <span class="status-badge status-${order.status.toLowerCase()}">${order.status}</span></p>
+            <p>Total: ${formatPrice(order.total_amount)}</p>
+            <p>Date: ${new Date(order.created_at).toLocaleDateString()}</p>
+        </div>
+        
+        <div class="tracking-timeline">
+            ${trackingHistory.map(track => `
+                <div class="tracking-step completed">
+                    <div class="tracking-info">
+                        <div class="tracking-status">${track.status}</div>
+                        <div class="tracking-date">${new Date(track.created_at).toLocaleDateString()}</div>
+                        <div class="tracking-description">${track.description}</div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+        
+        <div style="margin-top: 2rem; padding: 1rem; background: #f8fafc; border-radius: 0.5rem;">
+            <p><strong>Need help?</strong> Contact us at 0740204981 or email info@bidhaaline.com</p>
+        </div>
+    `;
 }
 
-// Page Navigation Functions
-function showPage(pageName) {
-    // Hide all pages
-    document.querySelectorAll('.page').forEach(page => {
-        page.classList.remove('active');
+// Dashboard Functions
+async function renderDashboard() {
+    if (!currentUser || currentUser.role !== 'customer') return;
+
+    document.getElementById('welcomeUser').textContent = `Welcome, ${currentUser.name}`;
+    await loadWishlistIds();
+    renderAllProducts();
+    renderOrders();
+    updateCartDisplay();
+
+    // Pre-fill profile form
+    if (currentUser) {
+        document.getElementById('profileName').value = currentUser.name || '';
+        document.getElementById('profileEmail').value = currentUser.email || '';
+        document.getElementById('profilePhone').value = currentUser.phone || '';
+        document.getElementById('profileAddress').value = currentUser.address || '';
+    }
+}
+
+function showDashboardTab(tabName) {
+    // Update sidebar buttons
+    document.querySelectorAll('.sidebar-btn').forEach(btn => {
+        btn.classList.remove('active');
     });
-    
-    if (pageName.startsWith('admin')) {
-        const adminPage = document.getElementById('adminPage');
-        if (adminPage) {
-            adminPage.classList.add('active');
-            currentPage = 'admin';
-        }
+    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
 
-        switch (pageName) {
-            case 'admin':
-                showAdminTab('overview');
-                break;
-            case 'adminProducts':
-                showAdminTab('products');
-                break;
-            case 'adminOrders':
-                showAdminTab('orders');
-                break;
-            case 'adminCustomers':
-                showAdminTab('customers');
-                break;
-            case 'adminTracking':
-                showAdminTab('tracking');
-                break;
-        }
-        return;
+    // Update tab content
+    document.querySelectorAll('.tab-content').forEach(tab => {
+        tab.classList.remove('active');
+    });
+    document.getElementById(tabName + 'Tab').classList.add('active');
+
+    // Load tab-specific content
+    if (tabName === 'products') {
+        renderAllProducts();
+    } else if (tabName === 'orders') {
+        renderOrders();
+    } else if (tabName === 'tracking') {
+        document.getElementById('trackingResult').innerHTML = '';
+        document.getElementById('trackingOrderId').value = '';
+    } else if (tabName === 'sessions') {
+        renderSessions();
+    } else if (tabName === 'wishlist') {
+        renderWishlist();
     }
-    
-    // Handle normal user pages
-    const targetPage = document.getElementById(pageName + 'Page');
-    if (targetPage) {
-        targetPage.classList.add('active');
-        currentPage = pageName;
+}
+
+// Wishlist: the hearts on product cards and the Wishlist tab
+let wishlistIds = new Set();
+
+async function loadWishlistIds() {
+    try {
+        const items = await apiServices.wishlist.getWishlist();
+        wishlistIds = new Set(items.map(item => item.product_id));
+        return items;
+    } catch (error) {
+        console.error('Failed to load wishlist:', error);
+        return [];
+    }
+}
+
+function renderWishlistToggle(productId) {
+    const saved = wishlistIds.has(productId);
+
+    return `
+        <button onclick="toggleWishlist('${productId}', this)" class="wishlist-toggle ${saved ? 'active' : ''}"
+                title="${saved ? 'Remove from wishlist' : 'Save to wishlist'}">${saved ? '&#9829;' : '&#9825;'}</button>
+    `;
+}
+
+async function toggleWishlist(productId, button) {
+    if (!isLoggedIn) {
+        showNotification('Please login to save items to your wishlist', 'warning');
+        return;
     }
 
-    // Initialize page-specific content
-    switch (pageName) {
-        case 'home':
-            renderFeaturedProducts();
-            break;
-        case 'dashboard':
-            renderDashboard();
-            break;
+    try {
+        if (wishlistIds.has(productId)) {
+            await apiServices.wishlist.removeFromWishlist(productId);
+            wishlistIds.delete(productId);
+            showNotification('Removed from your wishlist', 'info');
+        } else {
+            await apiServices.wishlist.addToWishlist(productId);
+            wishlistIds.add(productId);
+            showNotification('Saved to your wishlist', 'success');
+        }
+
+        if (button) button.outerHTML = renderWishlistToggle(productId);
+    } catch (error) {
+        showNotification(error.message, 'error');
     }
 }
 
-function showLoginForm(type) {
-    currentLoginType = type;
-    showPage('login');
+async function renderWishlist() {
+    const container = document.getElementById('wishlistList');
+    if (!container) return;
 
-    // Update login form based on type
-    const subtitle = document.getElementById('loginSubtitle');
-    const loginCard = document.querySelector('.login-card');
-    const registerLink = document.getElementById('registerLink');
+    const items = await loadWishlistIds();
 
-    if (type === 'admin') {
-        subtitle.textContent = 'Admin Access';
-        loginCard.style.borderTop = '4px solid #7c3aed';
-        registerLink.style.display = 'none';
-    } else {
-        subtitle.textContent = 'Welcome Back';
-        loginCard.style.borderTop = '4px solid #2563eb';
-        registerLink.style.display = 'block';
+    if (items.length === 0) {
+        container.innerHTML = '<div class="empty-state">Your wishlist is empty. Tap the heart on a product to save it for later.</div>';
+        return;
     }
+
+    container.innerHTML = items.map(item => `
+        <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+            <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 1rem;">
+                <div style="display: flex; gap: 1rem;">
+                    <img src="${item.image_url}" alt="${item.name}" style="width: 64px; height: 64px; object-fit: cover; border-radius: 0.375rem; cursor: pointer;"
+                         onclick="showProductDetails('${item.product_id}')">
+                    <div>
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${item.name}</h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">${formatPrice(item.price)} &middot; ${getStockStatusText(item.stock)}</p>
+                        <label class="wishlist-alert">
+                            <input type="checkbox" ${item.notify_back_in_stock ? 'checked' : ''}
+                                   onchange="updateWishlistAlert('${item.product_id}', 'notify_back_in_stock', this.checked)"> Email me when back in stock
+                        </label>
+                        <label class="wishlist-alert">
+                            <input type="checkbox" ${item.notify_price_drop ? 'checked' : ''}
+                                   onchange="updateWishlistAlert('${item.product_id}', 'notify_price_drop', this.checked)"> Email me if the price drops
+                        </label>
+                    </div>
+                </div>
+                <div style="text-align: right;">
+                    <button onclick="moveWishlistItemToCart('${item.product_id}', ${item.has_options})" class="link-btn" ${item.stock === 0 ? 'disabled' : ''}>Move to cart</button>
+                    <button onclick="removeWishlistItem('${item.product_id}')" class="link-btn">Remove</button>
+                </div>
+            </div>
+        </div>
+    `).join('');
 }
 
-function toggleRegister() {
-    const loginForm = document.getElementById('loginForm');
-    const registerForm = document.getElementById('registerForm');
+async function updateWishlistAlert(productId, alert, enabled) {
+    try {
+        await apiServices.wishlist.updateAlerts(productId, { [alert]: enabled });
+        showNotification(enabled ? 'We will email you' : 'Alert turned off', 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+        renderWishlist();
+    }
+}
 
-    loginForm.classList.toggle('hidden');
-    registerForm.classList.toggle('hidden');
+// Products with options go to the product page to choose one first
+async function moveWishlistItemToCart(productId, hasOptions) {
+    if (hasOptions) {
+        showProductDetails(productId);
+        return;
+    }
+
+    try {
+        await apiServices.wishlist.moveToCart(productId);
+        await updateCartDisplay();
+        showNotification('Moved to your cart', 'success');
+        renderWishlist();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
 }
 
-// Authentication Functions
-async function login(email, password) {
+async function removeWishlistItem(productId) {
     try {
-        const userData = await apiServices.auth.login(email, password);
-        currentUser = userData.user;
-        isLoggedIn = true;
-        userRole = currentUser.role;
+        await apiServices.wishlist.removeFromWishlist(productId);
+        showNotification('Removed from your wishlist', 'info');
+        renderWishlist();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
 
-        if (currentUser.role === 'admin') {
-            showPage('admin');
-        } else {
-            showPage('dashboard');
+async function renderSessions() {
+    try {
+        const sessions = await apiServices.auth.getSessions();
+        const container = document.getElementById('sessionsList');
+        if (!container) return;
+
+        if (sessions.length === 0) {
+            container.innerHTML = '<div class="empty-state">No active sessions.</div>';
+            return;
         }
 
-        showNotification('Login successful!', 'success');
-        return true;
+        container.innerHTML = sessions.map(session => `
+            <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; align-items: start; gap: 1rem;">
+                    <div>
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">
+                            ${session.user_agent || 'Unknown device'} ${session.current ? '(this device)' : ''}
+                        </h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;"><strong>IP:</strong> ${session.ip_address || 'N/A'}</p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>Last active:</strong> ${new Date(session.last_used_at).toLocaleString()}
+                        </p>
+                    </div>
+                    ${session.current ? '' : `
+                        <button onclick="revokeSession('${session.id}')"
+                                style="padding: 0.5rem 1rem; background: #dc2626; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
+                            Sign out
+                        </button>
+                    `}
+                </div>
+            </div>
+        `).join('');
     } catch (error) {
         showNotification(error.message, 'error');
-        return false;
     }
 }
 
-async function register(userData) {
+async function revokeSession(sessionId) {
     try {
-        const result = await apiServices.auth.register(userData);
-        currentUser = result.user;
-        isLoggedIn = true;
-        userRole = currentUser.role;
-        showNotification('Registration successful!', 'success');
-        return true;
+        await apiServices.auth.revokeSession(sessionId);
+        showNotification('Device signed out', 'success');
+        renderSessions();
     } catch (error) {
         showNotification(error.message, 'error');
-        return false;
     }
 }
 
-function logout() {
-    apiServices.auth.logout();
-    currentUser = null;
-    currentLoginType = null;
-    cart = [];
-    isLoggedIn = false;
-    userRole = 'customer';
-    showPage('home');
-    updateCartDisplay();
-    showNotification('Logged out successfully!', 'info');
+// Admin Functions
+async function renderAdminDashboard() {
+    try {
+        const stats = await apiServices.admin.getDashboardStats();
+
+        document.getElementById('totalProducts').textContent = stats.stats.totalProducts;
+        document.getElementById('totalOrders').textContent = stats.stats.totalOrders;
+        document.getElementById('totalRevenue').textContent = formatPrice(stats.stats.totalRevenue);
+        document.getElementById('pendingOrders').textContent = stats.stats.pendingOrders;
+
+        // Render recent orders
+        const container = document.getElementById('recentOrdersList');
+        if (container && stats.recentOrders) {
+            container.innerHTML = stats.recentOrders.map(order => `
+                <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.75rem 0; border-bottom: 1px solid #e5e7eb;">
+                    <div>
+                        <span style="font-weight: 600;">#${order.id}</span>
+                        <span style="margin-left: 1rem; color: #6b7280;">${order.customer_name}</span>
+                    </div>
+                    <div style="text-align: right;">
+                        <span class="status-badge status-${order.status.toLowerCase()}">${order.status}</span>
+                        <span style="display: block; margin-top: 0.25rem; font-weight: 600;">${formatPrice(order.total_amount)}</span>
+                    </div>
+                </div>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Failed to load admin dashboard:', error);
+        showNotification('Failed to load dashboard data', 'error');
+    }
 }
 
-// Product Functions
-async function renderFeaturedProducts() {
+async function renderAdminProducts() {
     try {
-        const products = await apiServices.products.getFeaturedProducts();
-        const container = document.getElementById('featuredProducts');
+        const products = await apiServices.admin.getAllProducts();
+        const container = document.getElementById('adminProductsList');
         if (!container) return;
 
         container.innerHTML = products.map(product => `
-            <div class="product-card fade-in">
-                <div class="product-id">${product.id}</div>
-                <div class="stock-status ${getStockStatus(product.stock)}">${getStockStatusText(product.stock)}</div>
-                <img src="${product.image_url || product.image}" alt="${product.name}" class="product-image" onerror="this.src='https://images.pexels.com/photos/3394650/pexels-photo-3394650.jpeg?auto=compress&cs=tinysrgb&w=300'">
-                <div class="product-info">
-                    <h4 class="product-name">${product.name}</h4>
-                    <p class="product-price">${formatPrice(product.price)}</p>
-                    <p class="product-stock">Stock: ${product.stock} items</p>
-                    <button onclick="addToCart('${product.id}')" class="add-to-cart-btn" ${product.stock === 0 ? 'disabled' : ''}>
-                        ${product.stock === 0 ? 'Out of Stock' : 'Add to Cart'}
-                    </button>
+            <div class="admin-product-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+                <div style="display: flex; gap: 1rem; align-items: flex-start;">
+                    <img src="${productCardImage(product)}" alt="${product.name}" 
+                         style="width: 80px; height: 80px; object-fit: cover; border-radius: 0.375rem;" 
+                         onerror="this.src='https://images.pexels.com/photos/3394650/pexels-photo-3394650.jpeg?auto=compress&cs=tinysrgb&w=300'">
+                    <div style="flex: 1;">
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${product.name}</h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">ID: ${product.id}${product.sku ? ` · SKU: ${product.sku}` : ''}</p>
+                        <p style="margin: 0.25rem 0; font-weight: 600; color: #059669;">${formatPrice(product.price)}</p>
+                        <p style="margin: 0.25rem 0; color: ${product.stock <= 5 ? '#dc2626' : '#059669'};">
+                            Stock: ${product.stock} items
+                        </p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">Category: ${product.category}</p>
+                        ${product.variants?.length ? `
+                            <p style="margin: 0.25rem 0; color: #6b7280;">
+                                Variants: ${product.variants.map(variant => `${variant.label} (${variant.stock})`).join(', ')}
+                            </p>
+                        ` : ''}
+                    </div>
+                    <div style="display: flex; flex-direction: column; gap: 0.5rem;">
+                        <button onclick="editProduct('${product.id}')" 
+                                style="padding: 0.5rem 1rem; background: #3b82f6; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
+                            Edit
+                        </button>
+                        <button onclick="editProductVariants('${product.id}')" 
+                                style="padding: 0.5rem 1rem; background: #6b7280; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
+                            Variants
+                        </button>
+                        <button onclick="manageProductImages('${product.id}')" 
+                                style="padding: 0.5rem 1rem; background: #6b7280; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
+                            Images (${product.images?.length || 0})
+                        </button>
+                        <button onclick="deleteProduct('${product.id}')" 
+                                style="padding: 0.5rem 1rem; background: #dc2626; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
+                            Delete
+                        </button>
+                    </div>
                 </div>
             </div>
         `).join('');
     } catch (error) {
-        showNotification('Failed to load featured products', 'error');
+        console.error('Failed to load admin products:', error);
+        showNotification('Failed to load products', 'error');
     }
 }
 
-async function renderAllProducts() {
+async function renderAdminOrders() {
     try {
-        const searchTerm = document.getElementById('productSearch')?.value || '';
-        const category = document.getElementById('categoryFilter')?.value || '';
+        const orders = await apiServices.orders.getAllOrders();
+        const container = document.getElementById('adminOrdersList');
+        if (!container) return;
 
-        const data = await apiServices.products.getAllProducts({
-            search: searchTerm,
-            category: category,
-            page: 1,
-            limit: 12
-        });
+        if (orders.length === 0) {
+            container.innerHTML = '<div class="empty-state">No orders found.</div>';
+            return;
+        }
 
-        const container = document.getElementById('allProducts');
-        if (!container) return;
+        container.innerHTML = orders.map(order => `
+            <div class="admin-order-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 1rem;">
+                    <div>
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">Order #${order.id}</h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            ${new Date(order.created_at).toLocaleDateString()} at ${new Date(order.created_at).toLocaleTimeString()}
+                        </p>
+                    </div>
+                    <span class="status-badge status-${order.status.toLowerCase()}">${order.status}</span>
+                </div>
+                
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1rem;">
+                    <div>
+                        <p style="margin: 0.25rem 0;"><strong>Customer:</strong> ${order.customer_name}</p>
+                        <p style="margin: 0.25rem 0;"><strong>Email:</strong> ${order.customer_email}</p>
+                        <p style="margin: 0.25rem 0;"><strong>Phone:</strong> ${order.customer_phone}</p>
+                    </div>
+                    <div>
+                        <p style="margin: 0.25rem 0;"><strong>Payment:</strong> ${order.payment_method?.toUpperCase()}</p>
+                        <p style="margin: 0.25rem 0;"><strong>Total:</strong> ${formatPrice(order.total_amount)}</p>
+                    </div>
+                </div>
 
-        container.innerHTML = data.products.map(product => `
-            <div class="product-card fade-in">
-                <div class="product-id">${product.id}</div>
-                <div class="stock-status ${getStockStatus(product.stock)}">${getStockStatusText(product.stock)}</div>
-                <img src="${product.image_url || product.image}" alt="${product.name}" class="product-image" onerror="this.src='https://images.pexels.com/photos/3394650/pexels-photo-3394650.jpeg?auto=compress&cs=tinysrgb&w=300'">
-                <div class="product-info">
-                    <h4 class="product-name">${product.name}</h4>
-                    <p class="product-price">${formatPrice(product.price)}</p>
-                    <p class="product-stock">Stock: ${product.stock} items</p>
-                    <button onclick="addToCart('${product.id}')" class="add-to-cart-btn" ${product.stock === 0 ? 'disabled' : ''}>
-                        ${product.stock === 0 ? 'Out of Stock' : 'Add to Cart'}
+                <div style="margin-bottom: 1rem;">
+                    <strong>Items:</strong>
+                    <ul style="margin: 0.5rem 0; padding-left: 1.5rem;">
+                        ${order.items.map(item => `
+                            <li>${item.product_name}${item.variant_label ? ` (${item.variant_label})` : ''} x ${item.quantity} - ${formatPrice(item.total_price)}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <button onclick="showOrderDetails('${order.id}')" 
+                            style="padding: 0.5rem 1rem; background: #6b7280; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
+                        View Details
+                    </button>
+                    <select onchange="updateOrderStatus('${order.id}', this.value, '${order.payment_method}', ${order.total_amount})" 
+                            style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 0.375rem;">
+                        <option value="">Change Status</option>
+                        <option value="Processing" ${order.status === 'Processing' ? 'selected' : ''}>Processing</option>
+                        <option value="Shipped" ${order.status === 'Shipped' ? 'selected' : ''}>Shipped</option>
+                        <option value="Delivered" ${order.status === 'Delivered' ? 'selected' : ''}>Delivered</option>
+                        <option value="Cancelled" ${order.status === 'Cancelled' ? 'selected' : ''}>Cancelled</option>
+                    </select>
+                    <button onclick="trackOrderDetails('${order.id}')" 
+                            style="padding: 0.5rem 1rem; background: #059669; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
+                        Track Order
                     </button>
+                    ${['mpesa', 'card'].includes(order.payment_method) && order.status !== 'Processing' ? `
+                        <button onclick="refundOrder('${order.id}')" 
+                                style="padding: 0.5rem 1rem; background: #dc2626; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
+                            Refund
+                        </button>
+                    ` : ''}
+                    ${hasPermission('audit.view') ? `
+                        <button onclick="showEntityHistory('order', '${order.id}')" class="link-btn">History</button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load admin orders:', error);
+        showNotification('Failed to load orders', 'error');
+    }
+}
+
+async function renderAdminCustomers() {
+    try {
+        const customers = await apiServices.admin.getAllCustomers();
+        const container = document.getElementById('customersList');
+        if (!container) return;
+
+        if (customers.length === 0) {
+            container.innerHTML = '<div class="empty-state">No customers found.</div>';
+            return;
+        }
+
+        container.innerHTML = customers.map(customer => `
+            <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; align-items: flex-start;">
+                    <div>
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${customer.name}</h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>Email:</strong> ${customer.email}
+                        </p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>Phone:</strong> ${customer.phone || 'N/A'}
+                        </p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>Joined:</strong> ${new Date(customer.created_at).toLocaleDateString()}
+                        </p>
+                    </div>
+                    <div style="text-align: right;">
+                        <p style="margin: 0.25rem 0; font-weight: 600; color: #059669;">
+                            ${customer.total_orders} Orders
+                        </p>
+                        <p style="margin: 0.25rem 0; font-weight: 600; color: #059669;">
+                            ${formatPrice(customer.total_spent)} Spent
+                        </p>
+                        ${hasPermission('users.manage_roles') ? `
+                            <button onclick="changeUserRole('${customer.id}', '${customer.name}')" class="link-btn">Change Role</button>
+                        ` : ''}
+                        ${hasPermission('users.manage') ? `
+                            <button onclick="toggleUserActive('${customer.id}', '${customer.name}', ${!customer.is_active})" class="link-btn">
+                                ${customer.is_active ? 'Deactivate' : 'Reactivate'}
+                            </button>
+                        ` : ''}
+                    </div>
                 </div>
             </div>
         `).join('');
     } catch (error) {
-        showNotification('Failed to load products', 'error');
+        console.error('Failed to load customers:', error);
+        showNotification('Failed to load customers', 'error');
     }
 }
 
-function filterProducts() {
-    renderAllProducts();
+// Category tree, flattened in display order with each category's depth
+function flattenCategories(categories, depth = 0) {
+    return categories.flatMap(category => [
+        { ...category, depth },
+        ...flattenCategories(category.children, depth + 1)
+    ]);
 }
 
-// Cart Functions
-async function addToCart(productId) {
-    try {
-        if (!isLoggedIn) {
-            showNotification('Please login to add items to cart', 'warning');
-            return;
-        }
+// Fills the category selects from the category tree, subcategories indented
+// under their parent. Filters go by slug, the product form by ID. Without
+// the backend the options in the page stay as they are.
+async function loadCategories() {
+    let categories;
 
-        await apiServices.cart.addToCart(productId, 1);
-        await updateCartDisplay();
-        showNotification('Product added to cart!', 'success');
+    try {
+        categories = flattenCategories(await apiServices.products.getCategories());
     } catch (error) {
-        showNotification(error.message, 'error');
+        console.error('Failed to load categories:', error);
+        return;
     }
-}
-
-async function updateCartDisplay() {
-    try {
-        if (!isLoggedIn) {
-            const cartCount = document.getElementById('cartCount');
-            if (cartCount) {
-                cartCount.textContent = '0';
-                cartCount.style.display = 'none';
-            }
-            return;
-        }
-
-        const cartData = await apiServices.cart.getCart();
-        const cartCount = document.getElementById('cartCount');
-
-        if (cartCount) {
-            cartCount.textContent = cartData.summary.itemCount;
-            cartCount.style.display = cartData.summary.itemCount > 0 ? 'flex' : 'none';
-        }
 
-        // Update global cart variable for compatibility
-        cart = cartData.cartItems.map(item => ({
-            id: item.product_id,
-            name: item.name,
-            price: item.price,
-            image: item.image_url,
-            quantity: item.quantity,
-            cartItemId: item.id
-        }));
+    [['categoryFilter', 'slug'], ['adminCategoryFilter', 'slug'], ['productCategory', 'id']].forEach(([selectId, key]) => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
 
-    } catch (error) {
-        console.error('Failed to update cart display:', error);
-    }
+        const selected = select.value;
+        select.innerHTML = select.options[0].outerHTML + categories.map(category => `
+            <option value="${category[key]}">${'&nbsp;&nbsp;&nbsp;'.repeat(category.depth)}${category.name}</option>
+        `).join('');
+        select.value = selected;
+    });
 }
 
-function toggleCart() {
-    const cartSidebar = document.getElementById('cartSidebar');
-    if (cartSidebar) {
-        cartSidebar.classList.toggle('open');
-        if (cartSidebar.classList.contains('open')) {
-            renderCartItems();
-        }
-    }
-}
+let adminCategories = [];
 
-async function renderCartItems() {
+async function renderCategories() {
     try {
-        if (!isLoggedIn) {
-            const container = document.getElementById('cartItems');
-            if (container) {
-                container.innerHTML = '<div class="empty-state">Please login to view cart</div>';
-            }
-            return;
-        }
-
-        const cartData = await apiServices.cart.getCart();
-        const container = document.getElementById('cartItems');
-        const footer = document.getElementById('cartFooter');
-
+        adminCategories = flattenCategories(await apiServices.admin.getCategories());
+        const container = document.getElementById('categoryList');
         if (!container) return;
 
-        if (cartData.cartItems.length === 0) {
-            container.innerHTML = '<div class="empty-state">Your cart is empty</div>';
-            footer.style.display = 'none';
+        if (adminCategories.length === 0) {
+            container.innerHTML = '<div class="empty-state">No categories yet.</div>';
             return;
         }
 
-        footer.style.display = 'block';
-
-        container.innerHTML = cartData.cartItems.map(item => `
-            <div class="cart-item">
-                <img src="${item.image_url}" alt="${item.name}" class="cart-item-image">
-                <div class="cart-item-info">
-                    <h4 class="cart-item-name">${item.name}</h4>
-                    <p class="cart-item-price">${formatPrice(item.price)}</p>
-                    <div class="quantity-controls">
-                        <button onclick="updateCartQuantity('${item.id}', ${item.quantity - 1})" class="quantity-btn">-</button>
-                        <span>${item.quantity}</span>
-                        <button onclick="updateCartQuantity('${item.id}', ${item.quantity + 1})" class="quantity-btn">+</button>
+        container.innerHTML = adminCategories.map(category => `
+            <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem; margin-left: ${category.depth * 2}rem;">
+                <div style="display: flex; justify-content: space-between; align-items: flex-start;">
+                    <div>
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${category.name}</h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;"><strong>Slug:</strong> ${category.slug}</p>
+                        ${category.description ? `<p style="margin: 0.25rem 0; color: #6b7280;">${category.description}</p>` : ''}
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>Sort order:</strong> ${category.sort_order}
+                            ${category.is_active ? '' : ' &middot; Hidden from the shop'}
+                        </p>
+                    </div>
+                    <div style="text-align: right;">
+                        <button onclick="editCategory(${category.id})" class="link-btn">Edit</button>
+                        <button onclick="addCategory(${category.id})" class="link-btn">Add Subcategory</button>
+                        <button onclick="deleteCategory(${category.id})" class="link-btn">Delete</button>
                     </div>
                 </div>
-                <button onclick="removeFromCart('${item.id}')" class="remove-btn">✕</button>
             </div>
         `).join('');
+    } catch (error) {
+        console.error('Failed to load categories:', error);
+        showNotification(error.message, 'error');
+    }
+}
 
-        // Update totals
-        document.getElementById('subtotal').textContent = formatPrice(cartData.summary.subtotal);
-        document.getElementById('tax').textContent = formatPrice(cartData.summary.tax);
-        document.getElementById('total').textContent = formatPrice(cartData.summary.total);
-        document.getElementById('paymentAmount').textContent = formatPrice(cartData.summary.total);
+async function addCategory(parentId = null) {
+    try {
+        const parent = adminCategories.find(category => category.id === parentId);
+        const name = prompt(parent ? `Subcategory of ${parent.name}:` : 'Category name:');
+        if (!name) return;
+
+        const description = prompt('Description (optional):');
 
+        await apiServices.admin.createCategory({ name, parent_id: parentId, description: description || null });
+        showNotification('Category added successfully!', 'success');
+        renderCategories();
+        loadCategories();
     } catch (error) {
-        showNotification('Failed to load cart items', 'error');
+        showNotification(error.message, 'error');
     }
 }
 
-async function updateCartQuantity(cartItemId, quantity) {
+// The parent is entered by slug; leaving it blank makes a top-level category
+async function editCategory(categoryId) {
     try {
-        if (quantity <= 0) {
-            await removeFromCart(cartItemId);
+        const category = adminCategories.find(candidate => candidate.id === categoryId);
+        if (!category) return;
+
+        const name = prompt('Category name:', category.name);
+        if (!name) return;
+
+        const slug = prompt('Slug:', category.slug);
+        if (!slug) return;
+
+        const currentParent = adminCategories.find(candidate => candidate.id === category.parent_id);
+        const parentSlug = prompt('Parent category slug (blank for top level):', currentParent ? currentParent.slug : '');
+        if (parentSlug === null) return;
+
+        const parent = adminCategories.find(candidate => candidate.slug === parentSlug.trim());
+        if (parentSlug.trim() && !parent) {
+            showNotification(`No category has the slug ${parentSlug.trim()}`, 'error');
             return;
         }
 
-        await apiServices.cart.updateCartItem(cartItemId, quantity);
-        await updateCartDisplay();
-        await renderCartItems();
+        const description = prompt('Description:', category.description || '');
+        if (description === null) return;
+
+        const sortOrder = prompt('Sort order:', category.sort_order);
+        if (sortOrder === null || isNaN(sortOrder)) return;
+
+        const isActive = confirm(`Show ${name} in the shop? Cancel hides it and its subcategories.`);
+
+        await apiServices.admin.updateCategory(categoryId, {
+            name,
+            slug: slug.trim(),
+            parent_id: parent ? parent.id : null,
+            description: description || null,
+            image_url: category.image_url,
+            sort_order: parseInt(sortOrder),
+            is_active: isActive
+        });
+        showNotification('Category updated successfully!', 'success');
+        renderCategories();
+        loadCategories();
     } catch (error) {
         showNotification(error.message, 'error');
     }
 }
 
-async function removeFromCart(cartItemId) {
+async function deleteCategory(categoryId) {
+    const category = adminCategories.find(candidate => candidate.id === categoryId);
+    if (!category || !confirm(`Delete the category ${category.name}?`)) return;
+
     try {
-        await apiServices.cart.removeFromCart(cartItemId);
-        await updateCartDisplay();
-        await renderCartItems();
-        showNotification('Item removed from cart', 'info');
+        await apiServices.admin.deleteCategory(categoryId);
+        showNotification('Category deleted successfully!', 'success');
+        renderCategories();
+        loadCategories();
     } catch (error) {
         showNotification(error.message, 'error');
     }
 }
 
-// Payment Functions
-function showPaymentModal() {
-    if (cart.length === 0) {
-        showNotification('Your cart is empty!', 'error');
-        return;
-    }
+let adminCollections = [];
+let collectionCategories = [];
 
-    currentOrderId = generateOrderId();
-    document.getElementById('paymentModal').classList.remove('hidden');
+// Rules are edited as text: "category=coffee,tea; max_price=1000; in_stock; sort=best_selling"
+function formatCollectionRules(rules) {
+    if (!rules) return '';
 
-    // Pre-fill customer phone if available
-    if (currentUser && currentUser.phone) {
-        document.getElementById('customerPhone').value = currentUser.phone;
-    }
-}
+    const slugOf = (id) => collectionCategories.find(category => category.id === id)?.slug || id;
 
-function hidePaymentModal() {
-    document.getElementById('paymentModal').classList.add('hidden');
+    return [
+        rules.categories?.length ? `category=${rules.categories.map(slugOf).join(',')}` : '',
+        rules.min_price !== undefined ? `min_price=${rules.min_price}` : '',
+        rules.max_price !== undefined ? `max_price=${rules.max_price}` : '',
+        rules.in_stock ? 'in_stock' : '',
+        rules.sort ? `sort=${rules.sort}` : ''
+    ].filter(Boolean).join('; ') || 'all products';
 }
 
-function selectPaymentMethod(method) {
-    selectedPaymentMethod = method;
-
-    // Update UI
-    document.querySelectorAll('.payment-method').forEach(el => {
-        el.classList.remove('selected');
-    });
-    event.currentTarget.classList.add('selected');
-}
+function parseCollectionRules(text) {
+    if (!text.trim()) return null;
 
-async function confirmPayment() {
-    try {
-        const customerPhone = document.getElementById('customerPhone')?.value;
-        if (!customerPhone) {
-            showNotification('Please enter your phone number!', 'error');
-            return;
-        }
+    const rules = {};
 
-        // Get current cart
-        const cartData = await apiServices.cart.getCart();
-        if (cartData.cartItems.length === 0) {
-            showNotification('Your cart is empty!', 'error');
-            return;
-        }
+    text.split(';').map(part => part.trim()).filter(part => part && part !== 'all products').forEach(part => {
+        const [key, value = ''] = part.split('=').map(piece => piece.trim());
 
-        const orderData = {
-            items: cartData.cartItems.map(item => ({
-                product_id: item.product_id,
-                quantity: item.quantity
-            })),
-            payment_method: selectedPaymentMethod,
-            payment_account: selectedPaymentMethod === 'mpesa' ? '0740204981' : '',
-            transaction_code: document.getElementById('transactionCode')?.value || '',
-            customer_phone: customerPhone,
-            shipping_address: currentUser?.address || '',
-            notes: ''
-        };
+        if (key === 'category') rules.categories = value.split(',').map(slug => slug.trim()).filter(Boolean);
+        else if (key === 'min_price' || key === 'max_price') rules[key] = parseFloat(value);
+        else if (key === 'in_stock') rules.in_stock = true;
+        else if (key === 'sort') rules.sort = value;
+        else throw new Error(`Unknown rule: ${key}`);
+    });
 
-        const order = await apiServices.orders.createOrder(orderData);
+    return rules;
+}
 
-        // If M-Pesa payment, initiate STK push
-        if (selectedPaymentMethod === 'mpesa') {
-            try {
-                const paymentResult = await apiServices.payments.initiateMpesaPayment(
-                    order.id,
-                    customerPhone,
-                    cartData.summary.total
-                );
+// A date and time entered as "2026-12-01 08:00", or null when left blank
+function parseCollectionDate(text) {
+    if (!text.trim()) return null;
 
-                showNotification('M-Pesa payment request sent to your phone. Please enter your PIN to complete payment.');
+    const date = new Date(text.trim().replace(' ', 'T'));
+    if (isNaN(date)) throw new Error(`Not a date and time: ${text}`);
 
-                // Poll for payment status
-                apiServices.payments.pollPaymentStatus(paymentResult.checkoutRequestId)
-                    .then(result => {
-                        if (result.localTransaction.status === 'success') {
-                            showNotification('Payment successful! Your order has been confirmed.', 'success');
-                        } else {
-                            showNotification('Payment failed. Please try again.', 'error');
-                        }
-                    })
-                    .catch(error => {
-                        showNotification('Payment status check failed. Please contact support.', 'error');
-                    });
+    return date.toISOString();
+}
 
-            } catch (paymentError) {
-                showNotification('Failed to initiate M-Pesa payment: ' + paymentError.message, 'error');
-            }
-        }
+function formatCollectionDate(value) {
+    if (!value) return '';
 
-        await updateCartDisplay();
-        hidePaymentModal();
-        toggleCart();
+    const date = new Date(value);
+    const pad = (number) => String(number).padStart(2, '0');
 
-        showNotification(`Order placed successfully! Order ID: ${order.id}`, 'success');
-        await renderOrders();
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
 
-    } catch (error) {
-        showNotification(error.message, 'error');
-    }
+function collectionStatus(collection) {
+    if (collection.is_live) return 'Live';
+    if (!collection.is_active) return 'Inactive';
+    if (collection.starts_at && new Date(collection.starts_at) > new Date()) return 'Scheduled';
+    return 'Ended';
 }
 
-// Order Functions
-async function renderOrders() {
+async function renderCollections() {
     try {
-        if (!isLoggedIn) return;
-
-        const orders = await apiServices.orders.getUserOrders();
-        const container = document.getElementById('ordersList');
+        [adminCollections, collectionCategories] = await Promise.all([
+            apiServices.admin.getCollections(),
+            apiServices.admin.getCategories().then(flattenCategories)
+        ]);
+        const container = document.getElementById('collectionList');
         if (!container) return;
 
-        if (orders.length === 0) {
-            container.innerHTML = '<div class="empty-state">No orders yet.</div>';
+        if (adminCollections.length === 0) {
+            container.innerHTML = '<div class="empty-state">No collections yet.</div>';
             return;
         }
 
-        container.innerHTML = orders.map(order => `
-            <div class="order-card">
-                <div class="order-header">
-                    <span class="order-id" onclick="showOrderDetails('${order.id}')">#${order.id}</span>
-                    <span class="order-date">${new Date(order.created_at).toLocaleDateString()}</span>
-                </div>
-                <div class="order-status">Status: <span class="status-badge status-${order.status.toLowerCase()}">${order.status}</span></div>
-                <div class="order-total">Total: ${formatPrice(order.total_amount)}</div>
-                <div class="order-items">
-                    <strong>Items:</strong>
-                    <ul>
-                        ${order.items.map(item => `
-                            <li>${item.product_name} x ${item.quantity} - ${formatPrice(item.total_price)}</li>
-                        `).join('')}
-                    </ul>
-                </div>
-                <div class="order-actions">
-                    ${order.status === 'Processing' ? `
-                        <button onclick="cancelOrder('${order.id}')" class="cancel-order-btn">Cancel Order</button>
-                    ` : ''}
-                    <button onclick="trackOrderDetails('${order.id}')" class="track-order-btn">Track Order</button>
-                    <button onclick="showOrderDetails('${order.id}')" class="view-details-btn">View Details</button>
+        container.innerHTML = adminCollections.map(collection => `
+            <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; align-items: flex-start;">
+                    <div>
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${collection.name} <span style="color: #6b7280; font-weight: 400;">(${collectionStatus(collection)})</span></h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;"><strong>Slug:</strong> ${collection.slug}</p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>Runs:</strong> ${formatCollectionDate(collection.starts_at) || 'now'} to ${formatCollectionDate(collection.ends_at) || 'no end'}
+                        </p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>Hand-picked:</strong> ${collection.product_ids.length ? collection.product_ids.join(', ') : 'none'}
+                        </p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;"><strong>Rules:</strong> ${formatCollectionRules(collection.rules) || 'none'}</p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>Shows:</strong> up to ${collection.product_limit} products
+                            ${collection.home_position ? ` &middot; home page position ${collection.home_position}` : ''}
+                        </p>
+                    </div>
+                    <div style="text-align: right;">
+                        <button onclick="editCollection(${collection.id})" class="link-btn">Edit</button>
+                        <button onclick="editCollectionProducts(${collection.id})" class="link-btn">Products</button>
+                        <button onclick="deleteCollection(${collection.id})" class="link-btn">Delete</button>
+                    </div>
                 </div>
             </div>
         `).join('');
-
     } catch (error) {
-        showNotification('Failed to load orders', 'error');
+        console.error('Failed to load collections:', error);
+        showNotification(error.message, 'error');
     }
 }
 
-async function cancelOrder(orderId) {
+// New collections start hidden so they can be filled before going live
+async function addCollection() {
     try {
-        if (confirm('Are you sure you want to cancel this order?')) {
-            await apiServices.orders.cancelOrder(orderId);
-            showNotification('Order cancelled successfully!', 'success');
-            await renderOrders();
-            await renderAllProducts(); // Refresh products to show updated stock
-        }
+        const name = prompt('Collection name:');
+        if (!name) return;
+
+        const description = prompt('Description (optional):');
+
+        const collection = await apiServices.admin.createCollection({ name, description: description || null, is_active: false });
+        showNotification(`${collection.name} added. Add products and activate it when ready.`, 'success');
+        await renderCollections();
+        editCollectionProducts(collection.id);
     } catch (error) {
         showNotification(error.message, 'error');
     }
 }
 
-// Tracking Functions
-async function trackOrderById() {
+async function editCollection(collectionId) {
     try {
-        const orderId = document.getElementById('trackingOrderId').value.trim();
-        if (!orderId) {
-            showNotification('Please enter an order ID!', 'error');
-            return;
-        }
+        const collection = adminCollections.find(candidate => candidate.id === collectionId);
+        if (!collection) return;
 
-        const trackingData = await apiServices.tracking.getOrderTracking(orderId);
-        displayOrderTracking(trackingData);
+        const name = prompt('Collection name:', collection.name);
+        if (!name) return;
 
-    } catch (error) {
-        document.getElementById('trackingResult').innerHTML = `
-            <div class="empty-state">Order not found. Please check the order ID and try again.</div>
-        `;
-    }
-}
+        const slug = prompt('Slug:', collection.slug);
+        if (!slug) return;
 
-async function trackOrderDetails(orderId) {
-    try {
-        const trackingData = await apiServices.tracking.getUserOrderTracking(orderId);
-        displayOrderTracking(trackingData);
-    } catch (error) {
-        showNotification(error.message, 'error');
-    }
-}
+        const description = prompt('Description:', collection.description || '');
+        if (description === null) return;
 
-function displayOrderTracking(trackingData) {
-    const container = document.getElementById('trackingResult');
-    if (!container) return;
+        const startsAt = prompt('Starts (e.g. 2026-12-01 08:00, blank for now):', formatCollectionDate(collection.starts_at));
+        if (startsAt === null) return;
 
-    const order = trackingData.order;
-    const trackingHistory = trackingData.trackingHistory;
+        const endsAt = prompt('Ends (blank for no end):', formatCollectionDate(collection.ends_at));
+        if (endsAt === null) return;
 
-    container.innerHTML = `
-        <div class="tracking-info">
-            <h4>Order #${order.id}</h4>
-            <p>Status: <span class="status-badge status-${order.status.toLowerCase()}">${order.status}</span></p>
-            <p>Total: ${formatPrice(order.total_amount)}</p>
-            <p>Date: ${new Date(order.created_at).toLocaleDateString()}</p>
-        </div>
-        
-        <div class="tracking-timeline">
-            ${trackingHistory.map(track => `
-                <div class="tracking-step completed">
-                    <div class="tracking-info">
-                        <div class="tracking-status">${track.status}</div>
-                        <div class="tracking-date">${new Date(track.created_at).toLocaleDateString()}</div>
-                        <div class="tracking-description">${track.description}</div>
-                    </div>
-                </div>
-            `).join('')}
-        </div>
-        
-        <div style="margin-top: 2rem; padding: 1rem; background: #f8fafc; border-radius: 0.5rem;">
-            <p><strong>Need help?</strong> Contact us at 0740204981 or email info@bidhaaline.com</p>
-        </div>
-    `;
-}
+        const rules = prompt('Rules, e.g. "category=coffee,tea; max_price=1000; in_stock; sort=best_selling" (blank for hand-picked only):', formatCollectionRules(collection.rules));
+        if (rules === null) return;
 
-// Dashboard Functions
-function renderDashboard() {
-    if (!currentUser || currentUser.role !== 'customer') return;
+        const productLimit = prompt('Show at most this many products:', collection.product_limit);
+        if (!productLimit || isNaN(productLimit)) return;
 
-    document.getElementById('welcomeUser').textContent = `Welcome, ${currentUser.name}`;
-    renderAllProducts();
-    renderOrders();
-    updateCartDisplay();
+        const homePosition = prompt('Home page position (blank to keep it off the home page):', collection.home_position || '');
+        if (homePosition === null || isNaN(homePosition)) return;
 
-    // Pre-fill profile form
-    if (currentUser) {
-        document.getElementById('profileName').value = currentUser.name || '';
-        document.getElementById('profileEmail').value = currentUser.email || '';
-        document.getElementById('profilePhone').value = currentUser.phone || '';
-        document.getElementById('profileAddress').value = currentUser.address || '';
+        const isActive = confirm(`Activate ${name}? Cancel keeps it hidden whatever its dates.`);
+
+        await apiServices.admin.updateCollection(collectionId, {
+            name,
+            slug: slug.trim(),
+            description: description || null,
+            starts_at: parseCollectionDate(startsAt),
+            ends_at: parseCollectionDate(endsAt),
+            rules: parseCollectionRules(rules),
+            product_limit: parseInt(productLimit),
+            home_position: homePosition.trim() ? parseInt(homePosition) : null,
+            is_active: isActive
+        });
+        showNotification('Collection updated successfully!', 'success');
+        renderCollections();
+    } catch (error) {
+        showNotification(error.message, 'error');
     }
 }
 
-function showDashboardTab(tabName) {
-    // Update sidebar buttons
-    document.querySelectorAll('.sidebar-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
-    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+// Hand-picked products are entered as product IDs, in the order to show them
+async function editCollectionProducts(collectionId) {
+    try {
+        const collection = adminCollections.find(candidate => candidate.id === collectionId);
+        if (!collection) return;
 
-    // Update tab content
-    document.querySelectorAll('.tab-content').forEach(tab => {
-        tab.classList.remove('active');
-    });
-    document.getElementById(tabName + 'Tab').classList.add('active');
+        const productIds = prompt(`Product IDs for ${collection.name}, in order, separated by commas:`, collection.product_ids.join(', '));
+        if (productIds === null) return;
 
-    // Load tab-specific content
-    if (tabName === 'products') {
-        renderAllProducts();
-    } else if (tabName === 'orders') {
-        renderOrders();
-    } else if (tabName === 'tracking') {
-        document.getElementById('trackingResult').innerHTML = '';
-        document.getElementById('trackingOrderId').value = '';
+        await apiServices.admin.updateCollectionProducts(collectionId, productIds.split(',').map(id => id.trim()).filter(Boolean));
+        showNotification('Collection products updated successfully!', 'success');
+        renderCollections();
+    } catch (error) {
+        showNotification(error.message, 'error');
     }
 }
 
-// Admin Functions
-async function renderAdminDashboard() {
-    try {
-        const stats = await apiServices.admin.getDashboardStats();
-
-        document.getElementById('totalProducts').textContent = stats.stats.totalProducts;
-        document.getElementById('totalOrders').textContent = stats.stats.totalOrders;
-        document.getElementById('totalRevenue').textContent = formatPrice(stats.stats.totalRevenue);
-        document.getElementById('pendingOrders').textContent = stats.stats.pendingOrders;
+async function deleteCollection(collectionId) {
+    const collection = adminCollections.find(candidate => candidate.id === collectionId);
+    if (!collection || !confirm(`Delete the collection ${collection.name}? Its products stay in the catalog.`)) return;
 
-        // Render recent orders
-        const container = document.getElementById('recentOrdersList');
-        if (container && stats.recentOrders) {
-            container.innerHTML = stats.recentOrders.map(order => `
-                <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.75rem 0; border-bottom: 1px solid #e5e7eb;">
-                    <div>
-                        <span style="font-weight: 600;">#${order.id}</span>
-                        <span style="margin-left: 1rem; color: #6b7280;">${order.customer_name}</span>
-                    </div>
-                    <div style="text-align: right;">
-                        <span class="status-badge status-${order.status.toLowerCase()}">${order.status}</span>
-                        <span style="display: block; margin-top: 0.25rem; font-weight: 600;">${formatPrice(order.total_amount)}</span>
-                    </div>
-                </div>
-            `).join('');
-        }
+    try {
+        await apiServices.admin.deleteCollection(collectionId);
+        showNotification('Collection deleted successfully!', 'success');
+        renderCollections();
     } catch (error) {
-        console.error('Failed to load admin dashboard:', error);
-        showNotification('Failed to load dashboard data', 'error');
+        showNotification(error.message, 'error');
     }
 }
 
-async function renderAdminProducts() {
+// Review moderation: pending reviews first, oldest at the top
+async function renderReviewQueue() {
     try {
-        const products = await apiServices.admin.getAllProducts();
-        const container = document.getElementById('adminProductsList');
+        const status = document.getElementById('reviewStatusFilter')?.value || 'pending';
+        const reviews = await apiServices.admin.getReviews(status);
+        const container = document.getElementById('reviewQueue');
         if (!container) return;
 
-        container.innerHTML = products.map(product => `
-            <div class="admin-product-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
-                <div style="display: flex; gap: 1rem; align-items: flex-start;">
-                    <img src="${product.image_url || product.image}" alt="${product.name}" 
-                         style="width: 80px; height: 80px; object-fit: cover; border-radius: 0.375rem;" 
-                         onerror="this.src='https://images.pexels.com/photos/3394650/pexels-photo-3394650.jpeg?auto=compress&cs=tinysrgb&w=300'">
-                    <div style="flex: 1;">
-                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${product.name}</h4>
-                        <p style="margin: 0.25rem 0; color: #6b7280;">ID: ${product.id}</p>
-                        <p style="margin: 0.25rem 0; font-weight: 600; color: #059669;">${formatPrice(product.price)}</p>
-                        <p style="margin: 0.25rem 0; color: ${product.stock <= 5 ? '#dc2626' : '#059669'};">
-                            Stock: ${product.stock} items
+        if (reviews.length === 0) {
+            container.innerHTML = `<div class="empty-state">No ${status} reviews.</div>`;
+            return;
+        }
+
+        container.innerHTML = reviews.map(review => `
+            <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; align-items: flex-start;">
+                    <div>
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${renderStars(review.rating)} ${escapeHtml(review.title)}</h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>Product:</strong> ${escapeHtml(review.products?.name || review.product_id)} (${escapeHtml(review.product_id)})
                         </p>
-                        <p style="margin: 0.25rem 0; color: #6b7280;">Category: ${product.category}</p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            <strong>By:</strong> ${escapeHtml(review.users?.name || 'Unknown')} (${escapeHtml(review.users?.email)}) on ${new Date(review.created_at).toLocaleDateString()}
+                        </p>
+                        <p style="margin: 0.5rem 0; color: #1f2937;">${escapeHtml(review.body)}</p>
+                        ${review.moderation_note ? `<p style="margin: 0.25rem 0; color: #6b7280;"><strong>Note:</strong> ${escapeHtml(review.moderation_note)}</p>` : ''}
                     </div>
-                    <div style="display: flex; flex-direction: column; gap: 0.5rem;">
-                        <button onclick="editProduct('${product.id}')" 
-                                style="padding: 0.5rem 1rem; background: #3b82f6; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
-                            Edit
-                        </button>
-                        <button onclick="deleteProduct('${product.id}')" 
-                                style="padding: 0.5rem 1rem; background: #dc2626; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
-                            Delete
-                        </button>
+                    <div style="text-align: right;">
+                        ${review.status !== 'approved' ? `<button onclick="moderateReview(${review.id}, 'approved')" class="link-btn">Approve</button>` : ''}
+                        ${review.status !== 'rejected' ? `<button onclick="moderateReview(${review.id}, 'rejected')" class="link-btn">Reject</button>` : ''}
                     </div>
                 </div>
             </div>
         `).join('');
     } catch (error) {
-        console.error('Failed to load admin products:', error);
-        showNotification('Failed to load products', 'error');
+        console.error('Failed to load reviews:', error);
+        showNotification(error.message, 'error');
     }
 }
 
-async function renderAdminOrders() {
+async function moderateReview(reviewId, status) {
+    const note = status === 'rejected' ? prompt('Reason for rejecting (optional, staff only):') : null;
+    if (note === null && status === 'rejected') return;
+
     try {
-        const orders = await apiServices.orders.getAllOrders();
-        const container = document.getElementById('adminOrdersList');
+        await apiServices.admin.moderateReview(reviewId, status, note || null);
+        showNotification(`Review ${status}`, 'success');
+        renderReviewQueue();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function renderStaff() {
+    try {
+        const staff = await apiServices.admin.getStaff();
+        const container = document.getElementById('staffList');
         if (!container) return;
 
-        if (orders.length === 0) {
-            container.innerHTML = '<div class="empty-state">No orders found.</div>';
+        if (staff.length === 0) {
+            container.innerHTML = '<div class="empty-state">No staff accounts yet.</div>';
             return;
         }
 
-        container.innerHTML = orders.map(order => `
-            <div class="admin-order-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
-                <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 1rem;">
+        container.innerHTML = staff.map(member => `
+            <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; align-items: flex-start;">
                     <div>
-                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">Order #${order.id}</h4>
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${member.name}</h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;"><strong>Email:</strong> ${member.email}</p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;"><strong>Role:</strong> ${member.role.replace(/_/g, ' ')}</p>
                         <p style="margin: 0.25rem 0; color: #6b7280;">
-                            ${new Date(order.created_at).toLocaleDateString()} at ${new Date(order.created_at).toLocaleTimeString()}
+                            <strong>Last login:</strong> ${member.last_login_at ? new Date(member.last_login_at).toLocaleString() : 'Never'}
+                        </p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;">
+                            ${member.invitation_pending ? 'Invitation pending' : ''}
+                            ${member.is_active ? '' : 'Deactivated'}
+                            ${member.totp_enabled_at ? 'Authenticator on' : ''}
                         </p>
                     </div>
-                    <span class="status-badge status-${order.status.toLowerCase()}">${order.status}</span>
-                </div>
-                
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1rem;">
-                    <div>
-                        <p style="margin: 0.25rem 0;"><strong>Customer:</strong> ${order.customer_name}</p>
-                        <p style="margin: 0.25rem 0;"><strong>Email:</strong> ${order.customer_email}</p>
-                        <p style="margin: 0.25rem 0;"><strong>Phone:</strong> ${order.customer_phone}</p>
-                    </div>
-                    <div>
-                        <p style="margin: 0.25rem 0;"><strong>Payment:</strong> ${order.payment_method?.toUpperCase()}</p>
-                        <p style="margin: 0.25rem 0;"><strong>Total:</strong> ${formatPrice(order.total_amount)}</p>
+                    <div style="text-align: right;">
+                        <button onclick="changeUserRole('${member.id}', '${member.name}')" class="link-btn">Change Role</button>
+                        <button onclick="toggleUserActive('${member.id}', '${member.name}', ${!member.is_active})" class="link-btn">
+                            ${member.is_active ? 'Deactivate' : 'Reactivate'}
+                        </button>
+                        <button onclick="forceUserPasswordReset('${member.id}', '${member.name}')" class="link-btn">Force Password Reset</button>
                     </div>
                 </div>
-
-                <div style="margin-bottom: 1rem;">
-                    <strong>Items:</strong>
-                    <ul style="margin: 0.5rem 0; padding-left: 1.5rem;">
-                        ${order.items.map(item => `
-                            <li>${item.product_name} x ${item.quantity} - ${formatPrice(item.total_price)}</li>
-                        `).join('')}
-                    </ul>
-                </div>
-
-                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
-                    <button onclick="showOrderDetails('${order.id}')" 
-                            style="padding: 0.5rem 1rem; background: #6b7280; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
-                        View Details
-                    </button>
-                    <select onchange="updateOrderStatus('${order.id}', this.value)" 
-                            style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 0.375rem;">
-                        <option value="">Change Status</option>
-                        <option value="Processing" ${order.status === 'Processing' ? 'selected' : ''}>Processing</option>
-                        <option value="Shipped" ${order.status === 'Shipped' ? 'selected' : ''}>Shipped</option>
-                        <option value="Delivered" ${order.status === 'Delivered' ? 'selected' : ''}>Delivered</option>
-                        <option value="Cancelled" ${order.status === 'Cancelled' ? 'selected' : ''}>Cancelled</option>
-                    </select>
-                    <button onclick="trackOrderDetails('${order.id}')" 
-                            style="padding: 0.5rem 1rem; background: #059669; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
-                        Track Order
-                    </button>
-                </div>
             </div>
         `).join('');
     } catch (error) {
-        console.error('Failed to load admin orders:', error);
-        showNotification('Failed to load orders', 'error');
+        console.error('Failed to load staff:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function inviteStaffMember() {
+    try {
+        const name = prompt('Full name:');
+        if (!name) return;
+        const email = prompt('Email address:');
+        if (!email) return;
+        const role = prompt('Role (catalog_manager, fulfilment, support, finance, admin):');
+        if (!role) return;
+
+        const response = await apiServices.admin.inviteStaff({ name, email, role: role.trim() });
+        showNotification(response.message, 'success');
+        renderStaff();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function toggleUserActive(userId, userName, isActive) {
+    if (!isActive && !confirm(`Deactivate ${userName}? They will be signed out everywhere.`)) return;
+
+    try {
+        const response = await apiServices.admin.setUserActive(userId, isActive);
+        showNotification(response.message, 'success');
+        refreshAdminUserLists();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function forceUserPasswordReset(userId, userName) {
+    if (!confirm(`Sign ${userName} out everywhere and email them a password reset link?`)) return;
+
+    try {
+        const response = await apiServices.admin.forcePasswordReset(userId);
+        showNotification(response.message, 'success');
+        renderStaff();
+    } catch (error) {
+        showNotification(error.message, 'error');
     }
 }
 
-async function renderAdminCustomers() {
+function refreshAdminUserLists() {
+    if (document.getElementById('staffTab')?.classList.contains('active')) {
+        renderStaff();
+    } else {
+        renderAdminCustomers();
+    }
+}
+
+async function changeUserRole(userId, userName) {
     try {
-        const customers = await apiServices.admin.getAllCustomers();
-        const container = document.getElementById('customersList');
+        const roles = await apiServices.admin.getRoles();
+        const roleNames = roles.map(role => role.name);
+        const role = prompt(`New role for ${userName} (${roleNames.join(', ')}):`);
+        if (!role) return;
+
+        if (!roleNames.includes(role.trim())) {
+            showNotification('Unknown role', 'error');
+            return;
+        }
+
+        const response = await apiServices.admin.assignUserRole(userId, role.trim());
+        showNotification(response.message, 'success');
+        refreshAdminUserLists();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function renderCodSettlement() {
+    try {
+        const from = document.getElementById('codReportFrom')?.value;
+        const to = document.getElementById('codReportTo')?.value;
+        const riders = await apiServices.admin.getCodSettlementReport(from, to);
+        const container = document.getElementById('codReport');
         if (!container) return;
 
-        if (customers.length === 0) {
-            container.innerHTML = '<div class="empty-state">No customers found.</div>';
+        if (riders.length === 0) {
+            container.innerHTML = '<div class="empty-state">No cash collections in this period.</div>';
             return;
         }
 
-        container.innerHTML = customers.map(customer => `
+        container.innerHTML = riders.map(rider => `
             <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
-                <div style="display: flex; justify-content: space-between; align-items: flex-start;">
+                <div style="display: flex; justify-content: space-between; align-items: start; flex-wrap: wrap; gap: 1rem;">
                     <div>
-                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${customer.name}</h4>
-                        <p style="margin: 0.25rem 0; color: #6b7280;">
-                            <strong>Email:</strong> ${customer.email}
-                        </p>
-                        <p style="margin: 0.25rem 0; color: #6b7280;">
-                            <strong>Phone:</strong> ${customer.phone || 'N/A'}
-                        </p>
-                        <p style="margin: 0.25rem 0; color: #6b7280;">
-                            <strong>Joined:</strong> ${new Date(customer.created_at).toLocaleDateString()}
+                        <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${rider.rider_name || rider.rider_id}</h4>
+                        <p style="margin: 0.25rem 0; color: #6b7280;"><strong>Orders:</strong> ${rider.order_count}</p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;"><strong>Expected:</strong> ${formatPrice(rider.expected_amount)}</p>
+                        <p style="margin: 0.25rem 0; color: #6b7280;"><strong>Collected:</strong> ${formatPrice(rider.collected_amount)}</p>
+                        <p style="margin: 0.25rem 0; font-weight: 600; color: ${rider.variance < 0 ? '#dc2626' : '#059669'};">
+                            Variance: ${formatPrice(rider.variance)}
                         </p>
                     </div>
                     <div style="text-align: right;">
-                        <p style="margin: 0.25rem 0; font-weight: 600; color: #059669;">
-                            ${customer.total_orders} Orders
-                        </p>
-                        <p style="margin: 0.25rem 0; font-weight: 600; color: #059669;">
-                            ${formatPrice(customer.total_spent)} Spent
+                        <p style="margin: 0.25rem 0; font-weight: 600; color: #f59e0b;">
+                            ${formatPrice(rider.unsettled_amount)} to hand over (${rider.unsettled_count} orders)
                         </p>
+                        ${rider.unsettled_count > 0 ? `
+                            <button onclick="settleCodCollections('${rider.rider_id}')"
+                                    style="padding: 0.5rem 1rem; background: #059669; color: white; border: none; border-radius: 0.375rem; cursor: pointer;">
+                                Settle
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
             </div>
         `).join('');
     } catch (error) {
-        console.error('Failed to load customers:', error);
-        showNotification('Failed to load customers', 'error');
+        console.error('Failed to load settlement report:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function settleCodCollections(riderId) {
+    try {
+        const note = prompt('Settlement note (optional):');
+        if (note === null) return;
+
+        const settlement = await apiServices.admin.settleCodCollections(riderId, note);
+        showNotification(`Settled ${formatPrice(settlement.collected_amount)} from ${settlement.order_count} orders`, 'success');
+        renderCodSettlement();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined) return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+async function renderAuditLog() {
+    try {
+        const entries = await apiServices.admin.getAuditLog({
+            entityType: document.getElementById('auditEntityType')?.value,
+            entityId: document.getElementById('auditEntityId')?.value.trim()
+        });
+        const container = document.getElementById('auditLogList');
+        if (!container) return;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="empty-state">No audit entries.</div>';
+            return;
+        }
+
+        container.innerHTML = entries.map(entry => `
+            <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+                <h4 style="margin: 0; font-weight: 600; color: #1f2937;">
+                    ${entry.action} — ${entry.entity_type}${entry.entity_id ? ` ${entry.entity_id}` : ''}
+                </h4>
+                <p style="margin: 0.25rem 0; color: #6b7280;">
+                    <strong>By:</strong> ${entry.actor_email || 'System'} (${(entry.actor_role || 'n/a').replace(/_/g, ' ')}) from ${entry.ip_address || 'N/A'}
+                </p>
+                <p style="margin: 0.25rem 0; color: #6b7280;">
+                    <strong>When:</strong> ${new Date(entry.created_at).toLocaleString()}
+                </p>
+                ${Object.entries(entry.changes || {}).map(([field, change]) => `
+                    <p style="margin: 0.25rem 0; color: #374151; font-size: 0.875rem;">
+                        <strong>${field}:</strong> ${formatAuditValue(change.from)} → ${formatAuditValue(change.to)}
+                    </p>
+                `).join('')}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load audit log:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+function showEntityHistory(entityType, entityId) {
+    showAdminTab('audit');
+    document.getElementById('auditEntityType').value = entityType;
+    document.getElementById('auditEntityId').value = entityId;
+    renderAuditLog();
+}
+
+async function renderSecurityEvents() {
+    try {
+        const type = document.getElementById('securityEventFilter')?.value;
+        const events = await apiServices.admin.getSecurityEvents(type);
+        const container = document.getElementById('securityEventsList');
+        if (!container) return;
+
+        if (events.length === 0) {
+            container.innerHTML = '<div class="empty-state">No security events.</div>';
+            return;
+        }
+
+        container.innerHTML = events.map(event => `
+            <div class="customer-card" style="border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem;">
+                <h4 style="margin: 0; font-weight: 600; color: #1f2937;">${event.event_type.replace(/_/g, ' ')}</h4>
+                <p style="margin: 0.25rem 0; color: #6b7280;"><strong>Account:</strong> ${event.email || 'N/A'}</p>
+                <p style="margin: 0.25rem 0; color: #6b7280;"><strong>IP:</strong> ${event.ip_address || 'N/A'}</p>
+                <p style="margin: 0.25rem 0; color: #6b7280;">
+                    <strong>When:</strong> ${new Date(event.created_at).toLocaleString()}
+                </p>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load security events:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// Proves the customer receives SMS on their saved number so it can be used
+// for OTP login
+async function verifyPhoneNumber() {
+    try {
+        await apiServices.auth.requestPhoneVerification();
+        const code = prompt('Enter the 6-digit code we sent to your phone:');
+        if (!code) return;
+
+        const message = await apiServices.auth.verifyPhone(code.trim());
+        currentUser = await apiServices.auth.getProfile();
+        showNotification(message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function setupAuthenticator() {
+    try {
+        const { secret, otpauthUrl } = await apiServices.auth.setupTotp();
+        const code = prompt(`Add this key to your authenticator app:\n\n${secret}\n\n(${otpauthUrl})\n\nThen enter the 6-digit code it shows:`);
+        if (!code) return;
+
+        const message = await apiServices.auth.enableTotp(code.trim());
+        showNotification(message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function disableAuthenticator() {
+    try {
+        const code = prompt('Enter a code from your authenticator app to turn it off:');
+        if (!code) return;
+
+        const message = await apiServices.auth.disableTotp(code.trim());
+        showNotification(message, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
     }
 }
 
@@ -1904,6 +4125,24 @@ async function renderAdminTracking() {
     `;
 }
 
+// Staff roles share the admin page; each sees only the tabs their
+// permissions cover (the API enforces the same rules)
+function isStaffRole(role) {
+  return !!role && role !== 'customer';
+}
+
+function hasPermission(permission) {
+  if (!currentUser) return false;
+  if (currentUser.role === 'admin') return true;
+  return (currentUser.permissions || []).includes(permission);
+}
+
+function applyStaffPermissions() {
+  document.querySelectorAll('#adminPage [data-permission]').forEach(btn => {
+    btn.style.display = hasPermission(btn.dataset.permission) ? '' : 'none';
+  });
+}
+
 function showAdminTab(tabName) {
   // Update sidebar buttons
   document.querySelectorAll('.sidebar-btn').forEach(btn => {
@@ -1920,9 +4159,16 @@ function showAdminTab(tabName) {
   const tabMap = {
     overview: 'overviewTab',
     products: 'adminProductsTab',
+    categories: 'categoriesTab',
+    collections: 'collectionsTab',
+    reviews: 'reviewsTab',
     orders: 'adminOrdersTab',
     tracking: 'adminTrackingTab',
-    customers: 'customersTab'
+    customers: 'customersTab',
+    cod: 'codTab',
+    security: 'securityTab',
+    staff: 'staffTab',
+    audit: 'auditTab'
   };
   
   const activeTab = document.getElementById(tabMap[tabName]);
@@ -1936,6 +4182,15 @@ function showAdminTab(tabName) {
     case 'products':
       renderAdminProducts();
       break;
+    case 'categories':
+      renderCategories();
+      break;
+    case 'collections':
+      renderCollections();
+      break;
+    case 'reviews':
+      renderReviewQueue();
+      break;
     case 'orders':
       renderAdminOrders();
       break;
@@ -1945,6 +4200,18 @@ function showAdminTab(tabName) {
     case 'customers':
       renderAdminCustomers();
       break;
+    case 'cod':
+      renderCodSettlement();
+      break;
+    case 'security':
+      renderSecurityEvents();
+      break;
+    case 'staff':
+      renderStaff();
+      break;
+    case 'audit':
+      renderAuditLog();
+      break;
   }
 }
 async function updateAdminStats() {
@@ -2016,6 +4283,266 @@ async function editProduct(productId) {
     }
 }
 
+// Options are entered as "Size: 250g, 500g; Roast: Light, Dark", then SKU,
+// price and stock for every combination. Leaving a combination blank skips it;
+// leaving the options blank turns the product back into a single item.
+async function editProductVariants(productId) {
+    try {
+        const product = await apiServices.products.getProductById(productId);
+        if (!product) {
+            showNotification('Product not found', 'error');
+            return;
+        }
+
+        const currentOptions = (product.options || [])
+            .map(option => `${option.name}: ${option.values.join(', ')}`)
+            .join('; ');
+        const optionInput = prompt('Options (e.g. Size: 250g, 500g, 1kg; Roast: Light, Dark):', currentOptions);
+        if (optionInput === null) return;
+
+        const options = optionInput.split(';')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const [name, values = ''] = part.split(':');
+                return {
+                    name: name.trim(),
+                    values: values.split(',').map(value => value.trim()).filter(Boolean)
+                };
+            });
+
+        // Every combination of option values, e.g. [{Size: '250g', Roast: 'Light'}, ...]
+        const combinations = options.reduce((combos, option) =>
+            combos.flatMap(combo => option.values.map(value => ({ ...combo, [option.name]: value }))), [{}]);
+
+        const variants = [];
+
+        for (const combination of options.length ? combinations : []) {
+            const label = Object.values(combination).join(' / ');
+            const existing = (product.variants || []).find(variant =>
+                options.every(option => variant.options[option.name] === combination[option.name]));
+            const defaultSku = `${product.id}-${Object.values(combination).join('-')}`.toUpperCase().replace(/\s+/g, '');
+            const defaults = existing
+                ? `${existing.sku}, ${existing.price}, ${existing.stock}`
+                : `${defaultSku}, ${product.price}, 0`;
+
+            const input = prompt(`SKU, price, stock for ${label} (leave blank to skip):`, defaults);
+            if (input === null) return;
+            if (!input.trim()) continue;
+
+            const [sku, price, stock] = input.split(',').map(part => part.trim());
+            variants.push({ sku, options: combination, price: parseFloat(price), stock: parseInt(stock) });
+        }
+
+        await apiServices.admin.updateProduct(productId, {
+            name: product.name,
+            description: product.description || undefined,
+            category: product.category,
+            image_url: product.image_url || undefined,
+            price: product.price,
+            stock: product.stock,
+            options,
+            variants
+        });
+        showNotification('Product variants saved!', 'success');
+        renderAdminProducts();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// Bulk import: the file is checked with a dry run first, and only imported
+// once it has no errors and the admin confirms
+async function importProducts(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+        const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        const fileText = await file.text();
+
+        const preview = await apiServices.admin.importProducts(fileText, format, true);
+        renderImportReport(preview);
+
+        const { summary } = preview.data;
+        if (summary.failed > 0) {
+            showNotification(preview.message, 'error');
+            return;
+        }
+
+        if (!confirm(`Add ${summary.create} new products and update ${summary.update}?`)) return;
+
+        const result = await apiServices.admin.importProducts(fileText, format, false);
+        renderImportReport(result);
+        showNotification(result.message, result.data.summary.failed > 0 ? 'warning' : 'success');
+        renderAdminProducts();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function renderImportReport(result) {
+    const container = document.getElementById('productImportReport');
+    if (!container) return;
+
+    const { dryRun, products } = result.data;
+    const failed = products.filter(product => product.errors.length > 0);
+
+    container.innerHTML = `
+        <p style="margin: 0.75rem 0; font-weight: 600;">${dryRun ? 'Preview: ' : ''}${result.message}</p>
+        ${failed.map(product => `
+            <div style="padding: 0.5rem; margin-bottom: 0.5rem; border-left: 3px solid #dc2626; background: #fef2f2;">
+                <strong>${product.sku || 'No SKU'}</strong> ${product.name ? `(${product.name})` : ''}
+                <ul style="margin: 0.25rem 0 0 1rem;">
+                    ${product.errors.map(error => `<li>Row ${error.row}: ${error.message}</li>`).join('')}
+                </ul>
+            </div>
+        `).join('')}
+    `;
+}
+
+async function exportProducts(format) {
+    try {
+        const { blob, fileName } = await apiServices.admin.exportProducts(format);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// Gallery manager: upload images, pick the primary one, reorder and remove.
+// Every change is saved straight away.
+let managedProduct = null;
+
+async function manageProductImages(productId) {
+    try {
+        const product = await apiServices.products.getProductById(productId);
+        if (!product) {
+            showNotification('Product not found', 'error');
+            return;
+        }
+
+        managedProduct = product;
+        renderProductImageManager();
+        document.getElementById('productImagesModal').classList.remove('hidden');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function renderProductImageManager() {
+    const product = managedProduct;
+    const images = product.images || [];
+
+    document.getElementById('productImagesContent').innerHTML = `
+        <h4 style="margin: 0 0 1rem; font-weight: 600;">${product.name}</h4>
+        ${images.length ? images.map((image, index) => `
+            <div style="display: flex; gap: 0.75rem; align-items: center; padding: 0.5rem 0; border-bottom: 1px solid #e5e7eb;">
+                <img src="${image.thumbnail_url || image.url}" alt="${image.alt_text || product.name}"
+                     style="width: 64px; height: 64px; object-fit: cover; border-radius: 0.375rem;">
+                <div style="flex: 1; color: #6b7280; font-size: 0.875rem;">
+                    ${image.is_primary ? '<strong style="color: #059669;">Primary</strong><br>' : ''}
+                    ${image.alt_text || 'No alt text'}
+                </div>
+                <div style="display: flex; gap: 0.25rem; flex-wrap: wrap; justify-content: flex-end;">
+                    ${image.is_primary ? '' : `<button onclick="setPrimaryProductImage(${image.id})" style="padding: 0.25rem 0.5rem;">Make primary</button>`}
+                    <button onclick="moveProductImage(${image.id}, -1)" ${index === 0 ? 'disabled' : ''} style="padding: 0.25rem 0.5rem;">↑</button>
+                    <button onclick="moveProductImage(${image.id}, 1)" ${index === images.length - 1 ? 'disabled' : ''} style="padding: 0.25rem 0.5rem;">↓</button>
+                    <button onclick="editProductImageAlt(${image.id})" style="padding: 0.25rem 0.5rem;">Alt text</button>
+                    <button onclick="removeProductImage(${image.id})" style="padding: 0.25rem 0.5rem; color: #dc2626;">Remove</button>
+                </div>
+            </div>
+        `).join('') : '<p style="color: #6b7280;">No images yet</p>'}
+        <label style="display: block; margin-top: 1rem; font-weight: 600;">
+            Upload images (JPEG, PNG, WebP or GIF)
+            <input type="file" multiple accept="image/jpeg,image/png,image/webp,image/gif"
+                   onchange="uploadProductImages(this)" style="display: block; margin-top: 0.5rem;">
+        </label>
+    `;
+}
+
+async function saveManagedGallery(images) {
+    // Uploaded images are referred to by media ID, others by their URL
+    managedProduct = await apiServices.admin.updateProductImages(managedProduct.id, images.map(image => ({
+        media_id: image.media_id || undefined,
+        url: image.media_id ? undefined : image.url,
+        alt_text: image.alt_text || null,
+        is_primary: image.is_primary
+    })));
+    renderProductImageManager();
+    renderAdminProducts();
+}
+
+async function uploadProductImages(input) {
+    try {
+        if (!input.files.length) return;
+
+        input.disabled = true;
+        managedProduct = await apiServices.admin.uploadProductImages(managedProduct.id, input.files);
+        showNotification('Images uploaded!', 'success');
+        renderProductImageManager();
+        renderAdminProducts();
+    } catch (error) {
+        input.disabled = false;
+        showNotification(error.message, 'error');
+    }
+}
+
+async function setPrimaryProductImage(imageId) {
+    try {
+        await saveManagedGallery(managedProduct.images.map(image => ({ ...image, is_primary: image.id === imageId })));
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function moveProductImage(imageId, direction) {
+    try {
+        const images = [...managedProduct.images];
+        const index = images.findIndex(image => image.id === imageId);
+        [images[index], images[index + direction]] = [images[index + direction], images[index]];
+
+        await saveManagedGallery(images);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function editProductImageAlt(imageId) {
+    try {
+        const image = managedProduct.images.find(candidate => candidate.id === imageId);
+        const altText = prompt('Describe the image for screen readers:', image.alt_text || '');
+        if (altText === null) return;
+
+        await saveManagedGallery(managedProduct.images.map(candidate =>
+            candidate.id === imageId ? { ...candidate, alt_text: altText.trim() } : candidate));
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function removeProductImage(imageId) {
+    try {
+        if (!confirm('Remove this image from the product?')) return;
+
+        managedProduct = await apiServices.admin.deleteProductImage(managedProduct.id, imageId);
+        renderProductImageManager();
+        renderAdminProducts();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function hideProductImagesModal() {
+    document.getElementById('productImagesModal').classList.add('hidden');
+    managedProduct = null;
+}
+
 async function deleteProduct(productId) {
     try {
         if (!confirm('Are you sure you want to delete this product?')) return;
@@ -2061,11 +4588,23 @@ async function addNewProduct() {
 }
 
 // Admin Order Management Functions
-async function updateOrderStatus(orderId, newStatus) {
+async function updateOrderStatus(orderId, newStatus, paymentMethod, totalAmount) {
     try {
         if (!newStatus) return;
 
-        await apiServices.orders.updateOrderStatus(orderId, newStatus);
+        // The rider collects cash on delivery, so record how much they received
+        const details = {};
+        if (newStatus === 'Delivered' && paymentMethod === 'cash') {
+            const collected = prompt('Cash collected on delivery (KSh):', totalAmount);
+            if (collected === null) return;
+            if (collected === '' || isNaN(collected)) {
+                showNotification('Please enter a valid amount', 'error');
+                return;
+            }
+            details.cod_collected_amount = parseFloat(collected);
+        }
+
+        await apiServices.orders.updateOrderStatus(orderId, newStatus, details);
         showNotification(`Order status updated to ${newStatus}!`, 'success');
         renderAdminOrders();
     } catch (error) {
@@ -2073,6 +4612,29 @@ async function updateOrderStatus(orderId, newStatus) {
     }
 }
 
+async function refundOrder(orderId) {
+    try {
+        const amount = prompt('Refund amount (KSh). Leave empty to refund the full remaining balance:');
+        if (amount === null) return;
+        if (amount && isNaN(amount)) {
+            showNotification('Please enter a valid amount', 'error');
+            return;
+        }
+
+        const reason = prompt('Reason for refund:', 'Order cancelled');
+        if (reason === null) return;
+
+        const refundData = { reason };
+        if (amount) refundData.amount = parseFloat(amount);
+
+        await apiServices.admin.refundOrder(orderId, refundData);
+        showNotification('Refund initiated. The customer will be notified once the payment provider confirms it.', 'success');
+        renderAdminOrders();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
 // Admin Tracking Functions
 async function adminTrackOrder() {
     try {
@@ -2121,7 +4683,7 @@ function displayAdminOrderTracking(trackingData) {
                 <strong>Order Items:</strong>
                 <ul style="margin: 0.5rem 0; padding-left: 1.5rem;">
                     ${order.items.map(item => `
-                        <li>${item.product_name} x ${item.quantity} - ${formatPrice(item.total_price)}</li>
+                        <li>${item.product_name}${item.variant_label ? ` (${item.variant_label})` : ''} x ${item.quantity} - ${formatPrice(item.total_price)}</li>
                     `).join('')}
                 </ul>
             </div>
@@ -2146,7 +4708,7 @@ function displayAdminOrderTracking(trackingData) {
             </div>
 
             <div style="display: flex; gap: 0.5rem;">
-                <select onchange="updateOrderStatus('${order.id}', this.value)" 
+                <select onchange="updateOrderStatus('${order.id}', this.value, '${order.payment_method}', ${order.total_amount})" 
                         style="padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 0.375rem;">
                     <option value="">Update Status</option>
                     <option value="Processing" ${order.status === 'Processing' ? 'selected' : ''}>Processing</option>
@@ -2278,7 +4840,7 @@ function showOrderDetails(orderId) {
             <div style="margin: 1rem 0;">
                 ${order.items.map(item => `
                     <div style="display: flex; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid #e5e7eb;">
-                        <span>${item.product_name}</span>
+                        <span>${item.product_name}${item.variant_label ? ` (${item.variant_label})` : ''}</span>
                         <span>${item.quantity} x ${formatPrice(item.product_price)} = ${formatPrice(item.total_price)}</span>
                     </div>
                 `).join('')}
@@ -2353,6 +4915,39 @@ function showNotification(message, type = 'success') {
     }, 4000);
 }
 
+// Wishlist emails link to a product with ?product=
+function handleProductLink() {
+    const params = new URLSearchParams(window.location.search);
+    const productId = params.get('product');
+    if (!productId) return;
+
+    window.history.replaceState({}, document.title, window.location.pathname);
+    showProductDetails(productId);
+}
+
+// The card gateway sends the customer back with the payment reference in the query string
+async function handleCardPaymentReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const reference = params.get('tx_ref');
+    if (!reference || !isLoggedIn) return;
+
+    window.history.replaceState({}, document.title, window.location.pathname);
+    showNotification('Confirming your card payment...');
+
+    try {
+        const result = await apiServices.payments.pollPaymentStatus('card', reference, 10, 3000);
+
+        if (result.status === 'success') {
+            showNotification('Payment successful! Your order has been confirmed.', 'success');
+        } else {
+            showNotification('Card payment was not completed. Please try again.', 'error');
+        }
+        await renderOrders();
+    } catch (error) {
+        showNotification('Payment status check failed. Please contact support.', 'error');
+    }
+}
+
 // Event Listeners
 document.addEventListener('DOMContentLoaded', function () {
     // Check if user is already logged in
@@ -2368,6 +4963,10 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Initialize the application
     showPage('home');
+    loadCategories();
+    handleCardPaymentReturn();
+    handleAccountEmailLinks();
+    handleProductLink();
 
     // Login form handler
     document.getElementById('loginForm').addEventListener('submit', async function (e) {
@@ -2479,6 +5078,20 @@ window.showLoginForm = showLoginForm;
 window.toggleRegister = toggleRegister;
 window.logout = logout;
 window.addToCart = addToCart;
+window.selectVariant = selectVariant;
+window.editProductVariants = editProductVariants;
+window.showProductDetails = showProductDetails;
+window.showGalleryImage = showGalleryImage;
+window.hideProductDetailsModal = hideProductDetailsModal;
+window.importProducts = importProducts;
+window.exportProducts = exportProducts;
+window.manageProductImages = manageProductImages;
+window.uploadProductImages = uploadProductImages;
+window.setPrimaryProductImage = setPrimaryProductImage;
+window.moveProductImage = moveProductImage;
+window.editProductImageAlt = editProductImageAlt;
+window.removeProductImage = removeProductImage;
+window.hideProductImagesModal = hideProductImagesModal;
 window.removeFromCart = removeFromCart;
 window.updateCartQuantity = updateCartQuantity;
 window.toggleCart = toggleCart;
@@ -2494,4 +5107,44 @@ window.trackOrderById = trackOrderById;
 window.showOrderDetails = showOrderDetails;
 window.hideOrderDetailsModal = hideOrderDetailsModal;
 window.filterProducts = filterProducts;
+window.loadMoreProducts = loadMoreProducts;
+window.selectCategoryFacet = selectCategoryFacet;
+window.selectPriceFacet = selectPriceFacet;
+window.hideSearchSuggestions = hideSearchSuggestions;
+window.updateOrderStatus = updateOrderStatus;
+window.refundOrder = refundOrder;
+window.renderCodSettlement = renderCodSettlement;
+window.settleCodCollections = settleCodCollections;
+window.addCategory = addCategory;
+window.editCategory = editCategory;
+window.deleteCategory = deleteCategory;
+window.addCollection = addCollection;
+window.editCollection = editCollection;
+window.editCollectionProducts = editCollectionProducts;
+window.deleteCollection = deleteCollection;
+window.sortProductReviews = sortProductReviews;
+window.loadMoreReviews = loadMoreReviews;
+window.toggleReviewForm = toggleReviewForm;
+window.submitReview = submitReview;
+window.markReviewHelpful = markReviewHelpful;
+window.renderReviewQueue = renderReviewQueue;
+window.moderateReview = moderateReview;
+window.toggleWishlist = toggleWishlist;
+window.updateWishlistAlert = updateWishlistAlert;
+window.moveWishlistItemToCart = moveWishlistItemToCart;
+window.removeWishlistItem = removeWishlistItem;
+window.changeUserRole = changeUserRole;
+window.inviteStaffMember = inviteStaffMember;
+window.toggleUserActive = toggleUserActive;
+window.forceUserPasswordReset = forceUserPasswordReset;
+window.renderSecurityEvents = renderSecurityEvents;
+window.renderAuditLog = renderAuditLog;
+window.showEntityHistory = showEntityHistory;
+window.verifyPhoneNumber = verifyPhoneNumber;
+window.setupAuthenticator = setupAuthenticator;
+window.disableAuthenticator = disableAuthenticator;
+window.revokeSession = revokeSession;
+window.loginWithPhone = loginWithPhone;
+window.forgotPassword = forgotPassword;
+window.resendVerification = resendVerification;
 window.submitInquiry = submitInquiry;
\ No newline at end of file